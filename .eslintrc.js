@@ -0,0 +1,44 @@
+/**
+ * 🧹 SAVAGE BOTS SCANNER - ESLint configuration
+ * Standard style, adjusted to the house style: 4-space indent and semicolons
+ */
+
+module.exports = {
+    root: true,
+    extends: 'standard',
+    env: {
+        node: true,
+        es2022: true
+    },
+    parserOptions: {
+        ecmaVersion: 2022
+    },
+    rules: {
+        indent: ['error', 4, { SwitchCase: 1 }],
+        semi: ['error', 'always'],
+        quotes: ['error', 'single', { avoidEscape: true, allowTemplateLiterals: true }],
+        'space-before-function-paren': ['error', { anonymous: 'always', named: 'never', asyncArrow: 'always' }],
+        'no-multi-spaces': ['error', { ignoreEOLComments: true }],
+        'valid-typeof': ['error', { requireStringLiterals: false }],
+        'no-trailing-spaces': 'off',
+        'padded-blocks': 'off',
+        'object-shorthand': 'off',
+        'quote-props': 'off'
+    },
+    overrides: [
+        {
+            files: ['tests/**/*.js'],
+            env: { jest: true }
+        },
+        {
+            // Chat and page copy is written in double quotes so apostrophes read naturally
+            files: ['bots/*-connector.js', 'public/**/*.js'],
+            rules: { quotes: 'off' }
+        },
+        {
+            files: ['public/**/*.js'],
+            env: { browser: true, node: false, commonjs: true },
+            globals: { io: 'readonly' }
+        }
+    ]
+};
@@ -0,0 +1,296 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Baileys Auth State Adapter
+ * Drop-in replacement for useMultiFileAuthState backed by savageSessionManager
+ * Creds are encrypted into the SavageSession collection (one document per bot); signal keys are encrypted
+ * one document per key (savage_auth_keys). Every change is written as it happens - Baileys awaits keys.set,
+ * so a crash can't lose key updates, and no single document grows with the key store.
+ */
+
+const { initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+const savageSessionManager = require('./sessionManager');
+
+class SavageAuthState {
+    constructor(botName) {
+        this.botName = botName;
+        this.creds = null;
+        this.keys = {};
+        this.sessionId = null; // SAVAGE-XMD-BOT-SESSION-... handed to connectors
+        this.credsDirty = false;
+        this.dirtyKeys = new Map(); // `${type}/${id}` -> { type, id }
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * 📥 Load stored state (or start a fresh, unlinked one when nothing is stored)
+     * Unreadable stored state throws AUTH_STATE_UNREADABLE - never replaced by fresh creds
+     */
+    async load() {
+        const stored = await savageSessionManager.loadAuthState(this.botName);
+
+        if (stored) {
+            this.hydrate(stored);
+
+            // States saved before per-key storage carry their keys inline - move them out
+            const inlineKeys = Object.keys(this.keys).length > 0;
+            this.mergeKeys(await savageSessionManager.loadAuthKeys(this.botName));
+
+            if (inlineKeys) {
+                this.markAllDirty();
+                await this.flush();
+                console.log(`⬆️ [AUTH-STATE] Moved ${this.botName} signal keys to per-key storage`);
+            }
+
+            console.log(`♻️ [AUTH-STATE] Restored ${this.botName} auth state (${this.creds.registered ? 'linked' : 'not linked'})`);
+        } else {
+            this.creds = initAuthCreds();
+            this.keys = {};
+            this.sessionId = null;
+            console.log(`🆕 [AUTH-STATE] Fresh auth state for ${this.botName}`);
+        }
+
+        return this;
+    }
+
+    /**
+     * 🔄 Serialized form (Buffers preserved via BufferJSON) - creds + keys, as exported in session strings
+     */
+    serialize() {
+        return JSON.stringify({
+            creds: this.creds,
+            keys: this.keys,
+            sessionId: this.sessionId
+        }, BufferJSON.replacer);
+    }
+
+    // What the creds document stores - keys are saved per entry
+    serializeCreds() {
+        return JSON.stringify({
+            creds: this.creds,
+            sessionId: this.sessionId
+        }, BufferJSON.replacer);
+    }
+
+    hydrate(serialized) {
+        const data = JSON.parse(serialized, BufferJSON.reviver);
+        this.creds = data.creds;
+        this.keys = data.keys || {};
+        this.sessionId = data.sessionId || null;
+        return this;
+    }
+
+    mergeKeys(stored) {
+        for (const type in stored) {
+            this.keys[type] = this.keys[type] || {};
+            for (const id in stored[type]) {
+                this.keys[type][id] = JSON.parse(stored[type][id], BufferJSON.reviver);
+            }
+        }
+    }
+
+    markAllDirty() {
+        this.credsDirty = true;
+        for (const type in this.keys) {
+            for (const id in this.keys[type]) {
+                this.dirtyKeys.set(`${type}/${id}`, { type, id });
+            }
+        }
+    }
+
+    /**
+     * 🆔 Bind the connector session ID to this link
+     */
+    setSessionId(sessionId) {
+        if (this.sessionId === sessionId) return;
+
+        this.sessionId = sessionId;
+        this.saveCreds();
+    }
+
+    get phoneNumber() {
+        return this.creds?.me?.id ? this.creds.me.id.split(':')[0].split('@')[0] : null;
+    }
+
+    /**
+     * 🔑 Baileys AuthenticationState
+     */
+    get state() {
+        return {
+            creds: this.creds,
+            keys: {
+                get: async (type, ids) => this.getKeys(type, ids),
+                set: async (data) => this.setKeys(data)
+            }
+        };
+    }
+
+    getKeys(type, ids) {
+        const bucket = this.keys[type] || {};
+        const result = {};
+
+        for (const id of ids) {
+            let value = bucket[id];
+            if (value && type === 'app-state-sync-key') {
+                value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            result[id] = value;
+        }
+
+        return result;
+    }
+
+    setKeys(data) {
+        for (const type in data) {
+            this.keys[type] = this.keys[type] || {};
+
+            for (const id in data[type]) {
+                const value = data[type][id];
+                if (value) {
+                    this.keys[type][id] = value;
+                } else {
+                    delete this.keys[type][id];
+                }
+                this.dirtyKeys.set(`${type}/${id}`, { type, id });
+            }
+        }
+
+        return this.flush();
+    }
+
+    /**
+     * 💾 creds.update - written right away
+     */
+    saveCreds() {
+        this.credsDirty = true;
+        return this.flush();
+    }
+
+    /**
+     * 💾 Write pending changes now (serialized so saves never interleave) - keys first, so creds never
+     * reference keys that were not stored. Failed writes stay pending for the next flush.
+     */
+    flush() {
+        this.writeChain = this.writeChain.then(async () => {
+            if (this.dirtyKeys.size > 0) {
+                const pending = Array.from(this.dirtyKeys.entries());
+                this.dirtyKeys.clear();
+
+                const changes = pending.map(([, { type, id }]) => {
+                    const value = this.keys[type]?.[id];
+                    return { type, id, value: value ? JSON.stringify(value, BufferJSON.replacer) : null };
+                });
+
+                try {
+                    await savageSessionManager.saveAuthKeys(this.botName, changes);
+                } catch (error) {
+                    for (const [name, entry] of pending) {
+                        if (!this.dirtyKeys.has(name)) this.dirtyKeys.set(name, entry);
+                    }
+                    console.error(`❌ [AUTH-STATE] Failed to persist ${this.botName} signal keys:`, error.message);
+                    return;
+                }
+            }
+
+            if (!this.credsDirty) return;
+            this.credsDirty = false;
+
+            try {
+                await savageSessionManager.saveAuthState(this.botName, this.serializeCreds(), { phoneNumber: this.phoneNumber });
+            } catch (error) {
+                this.credsDirty = true;
+                console.error(`❌ [AUTH-STATE] Failed to persist ${this.botName} auth state:`, error.message);
+            }
+        });
+
+        return this.writeChain;
+    }
+
+    /**
+     * 🗑️ Forget the link (logout) - stored state is deleted, memory reset
+     */
+    async clear() {
+        this.credsDirty = false;
+        this.dirtyKeys.clear();
+
+        await this.writeChain;
+        await savageSessionManager.deleteAuthState(this.botName);
+
+        this.creds = initAuthCreds();
+        this.keys = {};
+        this.sessionId = null;
+        console.log(`🗑️ [AUTH-STATE] Cleared ${this.botName} auth state`);
+    }
+
+    /**
+     * 📦 Portable session string (signed + encrypted with the scanner master key)
+     */
+    async toSessionString() {
+        if (!this.creds?.registered && !this.creds?.me) {
+            throw new Error(`${this.botName} is not linked to WhatsApp`);
+        }
+
+        await this.flush();
+
+        // utils/encryption refuses to load without SESSION_ENCRYPTION_KEY - only needed here
+        const savageEncryption = require('../utils/encryption');
+
+        return savageEncryption.exportSessionString({
+            botName: this.botName,
+            sessionId: this.sessionId,
+            phoneNumber: this.phoneNumber,
+            authState: this.serialize(),
+            exportedAt: new Date().toISOString()
+        }, this.botName);
+    }
+}
+
+function toHook(authState) {
+    return {
+        state: authState.state,
+        saveCreds: () => authState.saveCreds(),
+        flush: () => authState.flush(),
+        clear: () => authState.clear(),
+        adapter: authState
+    };
+}
+
+/**
+ * 🔐 useMultiFileAuthState-compatible hook for a bot
+ */
+async function useSavageAuthState(botName) {
+    const authState = await new SavageAuthState(botName).load();
+    return toHook(authState);
+}
+
+/**
+ * 📥 Rehydrate auth state from a portable session string
+ */
+async function importSessionString(sessionString, options = {}) {
+    const { botName = null, persist = true } = options;
+
+    const savageEncryption = require('../utils/encryption');
+    const payload = savageEncryption.importSessionString(sessionString, botName);
+
+    const authState = new SavageAuthState(payload.botName).hydrate(payload.authState);
+    if (!authState.creds?.registered && !authState.creds?.me) {
+        throw new Error('Session string does not contain a linked WhatsApp account');
+    }
+
+    authState.markAllDirty();
+    if (persist) {
+        await authState.flush();
+    }
+
+    return {
+        ...toHook(authState),
+        botName: payload.botName,
+        sessionId: payload.sessionId,
+        phoneNumber: payload.phoneNumber,
+        exportedAt: payload.exportedAt
+    };
+}
+
+module.exports = {
+    SavageAuthState,
+    useSavageAuthState,
+    importSessionString
+};
@@ -7,13 +7,18 @@
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
-const { SECURITY_CONFIG, UI_CONFIG, MESSAGES } = require('../config/constants');
+const savageUserManager = require('./userManager');
+const { SECURITY_CONFIG, MESSAGES } = require('../config/constants');
+
+const { ROLES } = SECURITY_CONFIG;
 
 class SavagePasswordAuth {
     constructor() {
         this.attempts = new Map(); // Track login attempts by IP
         this.lockedIPs = new Map(); // Track locked IP addresses
         this.sessionTokens = new Map(); // Active session tokens
+        this.twoFactorChallenges = new Map(); // Password accepted, waiting for the TOTP code
+        this.twoFactorFailures = new Map(); // Bad codes per account (a new password login must not reset them)
         this.auditLog = []; // Security audit trail
         
         this.initializeSecurity();
@@ -33,6 +38,13 @@ class SavagePasswordAuth {
             console.warn('⚠️ [AUTH] Using default password - UNSECURE FOR PRODUCTION');
         }
 
+        // Optional read-only password (viewer role)
+        this.viewerPassword = process.env.SCANNER_VIEWER_PASSWORD || null;
+        if (this.viewerPassword === this.masterPassword) {
+            console.warn('⚠️ [AUTH] SCANNER_VIEWER_PASSWORD matches SCANNER_PASSWORD - viewer login disabled');
+            this.viewerPassword = null;
+        }
+
         console.log('✅ [AUTH] Password authentication system initialized');
         console.log(`🔐 [AUTH] Password length: ${this.masterPassword.length} characters`);
         
@@ -42,8 +54,10 @@ class SavagePasswordAuth {
 
     /**
      * 🔑 Validate password with security checks
+     * With a username the named MongoDB account is checked; without one the
+     * env passwords apply, but only until the first account exists
      */
-    async validatePassword(password, clientIP = 'unknown') {
+    async validatePassword(password, clientIP = 'unknown', username = null) {
         try {
             // Security checks
             const securityCheck = await this.performSecurityChecks(clientIP);
@@ -56,40 +70,61 @@ class SavagePasswordAuth {
                 };
             }
 
-            // Validate password
-            const isValid = password === this.masterPassword;
-            
-            if (isValid) {
-                // Successful login
-                await this.handleSuccessfulLogin(clientIP);
-                
-                const sessionToken = this.generateSessionToken();
-                this.sessionTokens.set(sessionToken, {
-                    ip: clientIP,
-                    createdAt: new Date(),
-                    lastAccess: new Date()
-                });
-
-                // Log successful attempt
-                this.logSecurityEvent('SUCCESS', clientIP, 'Password accepted');
+            // Accounts exist but can't be checked - never fall back to the env passwords
+            if (!savageUserManager.available && await savageUserManager.accountsEnabled()) {
+                return {
+                    success: false,
+                    error: 'User accounts require the database - try again shortly',
+                    unavailable: true
+                };
+            }
 
+            if (!username && await savageUserManager.accountsEnabled()) {
                 return {
-                    success: true,
-                    sessionToken,
-                    message: 'Authentication successful',
-                    redirect: '/scanner'
+                    success: false,
+                    error: 'Username is required',
+                    usernameRequired: true
                 };
+            }
+
+            const principal = username
+                ? await this.resolveAccount(username, password, clientIP)
+                : this.resolveEnvPassword(password);
+            
+            if (principal) {
+                // Second factor - the login (and its LOGIN audit entry) only completes once the authenticator code checks out
+                if (principal.twoFactorEnabled) {
+                    return this.createTwoFactorChallenge(principal, clientIP);
+                }
+
+                await this.handleSuccessfulLogin(clientIP, principal.username);
+                this.logSecurityEvent('SUCCESS', clientIP, `Password accepted (${principal.role})`, { user: principal.username });
+
+                return this.createSession(principal, clientIP);
 
             } else {
                 // Failed login
                 await this.handleFailedLogin(clientIP);
                 
                 // Log failed attempt
-                this.logSecurityEvent('FAILED', clientIP, 'Invalid password');
+                this.logSecurityEvent('FAILED', clientIP, 'Invalid password', { user: username || null });
 
                 const attempts = this.attempts.get(clientIP) || { count: 0 };
                 const remainingAttempts = SECURITY_CONFIG.PASSWORD.MAX_ATTEMPTS - attempts.count;
 
+                // Last attempt used up - lock now so the client gets the real retry window
+                if (remainingAttempts <= 0) {
+                    const lockCheck = await this.performSecurityChecks(clientIP);
+
+                    return {
+                        success: false,
+                        error: lockCheck.reason,
+                        remainingAttempts: 0,
+                        locked: true,
+                        retryAfter: lockCheck.retryAfter
+                    };
+                }
+
                 return {
                     success: false,
                     error: MESSAGES.ERRORS.AUTH_FAILED,
@@ -109,6 +144,252 @@ class SavagePasswordAuth {
         }
     }
 
+    /**
+     * 🎫 Issue a login session for an authenticated principal
+     */
+    createSession(principal, clientIP) {
+        const { twoFactorEnabled, ...sessionPrincipal } = principal;
+        const sessionToken = this.generateSessionToken();
+
+        this.sessionTokens.set(sessionToken, {
+            ip: clientIP,
+            ...sessionPrincipal,
+            twoFactor: !!twoFactorEnabled,
+            createdAt: new Date(),
+            lastAccess: new Date()
+        });
+
+        return {
+            success: true,
+            sessionToken,
+            role: principal.role,
+            user: { username: principal.username, role: principal.role, bots: principal.bots },
+            message: 'Authentication successful',
+            redirect: '/scanner'
+        };
+    }
+
+    /**
+     * 📲 Password accepted - park the login until the second factor arrives
+     */
+    createTwoFactorChallenge(principal, clientIP) {
+        const challengeToken = crypto.randomBytes(32).toString('hex');
+
+        this.twoFactorChallenges.set(challengeToken, {
+            principal,
+            ip: clientIP,
+            attempts: 0,
+            expires: Date.now() + SECURITY_CONFIG.TWO_FACTOR.CHALLENGE_TTL
+        });
+
+        this.logSecurityEvent('2FA_REQUIRED', clientIP, 'Password accepted - waiting for authenticator code', { user: principal.username });
+
+        return {
+            success: false,
+            twoFactorRequired: true,
+            challengeToken,
+            expiresIn: SECURITY_CONFIG.TWO_FACTOR.CHALLENGE_TTL / 1000,
+            message: 'Enter the code from your authenticator app'
+        };
+    }
+
+    /**
+     * 🔢 Complete a login with a TOTP or recovery code
+     */
+    async verifyTwoFactor(challengeToken, code, clientIP = 'unknown') {
+        try {
+            const securityCheck = await this.performSecurityChecks(clientIP);
+            if (!securityCheck.allowed) {
+                return {
+                    success: false,
+                    error: securityCheck.reason,
+                    locked: securityCheck.locked,
+                    retryAfter: securityCheck.retryAfter
+                };
+            }
+
+            const challenge = this.twoFactorChallenges.get(challengeToken);
+
+            if (!challenge || challenge.expires <= Date.now() || challenge.ip !== clientIP) {
+                this.twoFactorChallenges.delete(challengeToken);
+                return {
+                    success: false,
+                    error: 'Login challenge expired - enter your password again',
+                    restart: true
+                };
+            }
+
+            const username = challenge.principal.username;
+            const failures = this.twoFactorFailures.get(username);
+
+            if (failures && failures.count >= SECURITY_CONFIG.PASSWORD.MAX_ATTEMPTS &&
+                Date.now() - failures.firstFailure < SECURITY_CONFIG.PASSWORD.LOCKOUT_TIME) {
+                const retryAfter = Math.ceil((failures.firstFailure + SECURITY_CONFIG.PASSWORD.LOCKOUT_TIME - Date.now()) / 1000);
+                this.twoFactorChallenges.delete(challengeToken);
+                this.logSecurityEvent('LOCKED', clientIP, 'Two-factor temporarily locked for account', { user: username });
+
+                return {
+                    success: false,
+                    error: `Too many invalid codes for this account. Try again in ${retryAfter} seconds.`,
+                    locked: true,
+                    restart: true,
+                    retryAfter
+                };
+            }
+
+            const result = await savageUserManager.verifySecondFactor(username, code);
+
+            if (!result.success) {
+                challenge.attempts++;
+                this.recordTwoFactorFailure(username);
+                await this.handleFailedLogin(clientIP);
+                this.logSecurityEvent('2FA_FAILED', clientIP, `Invalid second factor (attempt ${challenge.attempts})`, { user: username });
+
+                const restart = challenge.attempts >= SECURITY_CONFIG.TWO_FACTOR.MAX_CHALLENGE_ATTEMPTS;
+                if (restart) {
+                    this.twoFactorChallenges.delete(challengeToken);
+                }
+
+                const lockCheck = this.checkIPLock(clientIP);
+                return {
+                    success: false,
+                    error: restart ? 'Too many invalid codes - enter your password again' : result.error,
+                    restart,
+                    locked: !lockCheck.allowed,
+                    retryAfter: lockCheck.retryAfter
+                };
+            }
+
+            this.twoFactorChallenges.delete(challengeToken);
+            this.twoFactorFailures.delete(username);
+
+            if (result.method === 'recovery') {
+                this.logSecurityEvent('RECOVERY_CODE_USED', clientIP, `Recovery code used (${result.recoveryCodesLeft} left)`, { user: username });
+            }
+            this.logSecurityEvent('2FA_SUCCESS', clientIP, `Second factor accepted (${challenge.principal.role})`, { user: username });
+            await this.handleSuccessfulLogin(clientIP, username);
+
+            return {
+                ...this.createSession(challenge.principal, clientIP),
+                recoveryCodesLeft: result.recoveryCodesLeft
+            };
+
+        } catch (error) {
+            console.error('❌ [AUTH] Two-factor validation error:', error);
+            this.logSecurityEvent('ERROR', clientIP, `2FA error: ${error.message}`);
+
+            return {
+                success: false,
+                error: 'Authentication system error'
+            };
+        }
+    }
+
+    recordTwoFactorFailure(username) {
+        const now = Date.now();
+        let failures = this.twoFactorFailures.get(username);
+
+        if (!failures || now - failures.firstFailure > SECURITY_CONFIG.PASSWORD.LOCKOUT_TIME) {
+            failures = { count: 0, firstFailure: now };
+        }
+
+        failures.count++;
+        this.twoFactorFailures.set(username, failures);
+    }
+
+    /**
+     * 👤 Session principal for a named account (null on bad credentials)
+     */
+    async resolveAccount(username, password, clientIP) {
+        const user = await savageUserManager.authenticate(username, password, clientIP);
+        if (!user) return null;
+
+        return {
+            userId: user.id,
+            username: user.username,
+            role: user.role,
+            bots: user.bots,
+            twoFactorEnabled: user.twoFactorEnabled
+        };
+    }
+
+    /**
+     * 🔑 Session principal for the env passwords (only while no account exists)
+     */
+    resolveEnvPassword(password) {
+        const role = this.resolveRole(password);
+        if (!role) return null;
+
+        return {
+            userId: null,
+            username: role === ROLES.OPERATOR ? 'master' : 'viewer',
+            role: role,
+            bots: [ROLES.ALL_BOTS]
+        };
+    }
+
+    /**
+     * 🎭 Role granted by an env password (null when it matches neither)
+     */
+    resolveRole(password) {
+        if (typeof password !== 'string') return null;
+
+        if (this.safeCompare(password, this.masterPassword)) {
+            return SECURITY_CONFIG.ROLES.OPERATOR;
+        }
+
+        if (this.viewerPassword && this.safeCompare(password, this.viewerPassword)) {
+            return SECURITY_CONFIG.ROLES.VIEWER;
+        }
+
+        return null;
+    }
+
+    /**
+     * 🪜 Does a role meet the required level? (owner > operator > viewer)
+     */
+    hasRole(role, requiredRole) {
+        return (ROLES.LEVELS[role] || 0) >= ROLES.LEVELS[requiredRole];
+    }
+
+    /**
+     * 🤖 May this session see / act on a bot?
+     */
+    canAccessBot(session, botName) {
+        const bots = session?.bots || [];
+        return bots.includes(ROLES.ALL_BOTS) || bots.includes(botName);
+    }
+
+    /**
+     * 🔌 Drop every session of an account (role change, disable, delete)
+     */
+    revokeUserSessions(username, reason = 'Account changed') {
+        let revoked = 0;
+
+        for (const [token, session] of this.sessionTokens.entries()) {
+            if (session.username === username) {
+                this.sessionTokens.delete(token);
+                revoked++;
+            }
+        }
+
+        if (revoked > 0) {
+            this.logSecurityEvent('REVOKED', 'system', `${revoked} session(s) revoked: ${reason}`, { user: username });
+        }
+
+        return revoked;
+    }
+
+    /**
+     * 🔐 Constant-time comparison (hashing first equalizes lengths)
+     */
+    safeCompare(a, b) {
+        const hashA = crypto.createHash('sha256').update(String(a)).digest();
+        const hashB = crypto.createHash('sha256').update(String(b)).digest();
+
+        return crypto.timingSafeEqual(hashA, hashB);
+    }
+
     /**
      * 🛡️ Perform security checks before authentication
      */
@@ -135,12 +416,12 @@ class SavagePasswordAuth {
                 reason: 'Max attempts exceeded'
             });
 
-            this.logSecurityEvent('LOCKED', clientIP, `IP locked for ${lockDuration/1000} seconds`);
+            this.logSecurityEvent('LOCKED', clientIP, `IP locked for ${lockDuration / 1000} seconds`);
 
             return {
                 allowed: false,
                 locked: true,
-                reason: `Too many failed attempts. IP locked for ${lockDuration/1000/60} minutes.`,
+                reason: `Too many failed attempts. IP locked for ${lockDuration / 1000 / 60} minutes.`,
                 retryAfter: lockDuration / 1000
             };
         }
@@ -148,16 +429,35 @@ class SavagePasswordAuth {
         return { allowed: true };
     }
 
+    /**
+     * 🔒 Read-only lock check (for middleware - never records an attempt)
+     */
+    checkIPLock(clientIP) {
+        const lockInfo = this.lockedIPs.get(clientIP);
+
+        if (lockInfo && lockInfo.expires > Date.now()) {
+            const retryAfter = Math.ceil((lockInfo.expires - Date.now()) / 1000);
+            return {
+                allowed: false,
+                locked: true,
+                reason: `IP temporarily locked. Try again in ${retryAfter} seconds.`,
+                retryAfter
+            };
+        }
+
+        return { allowed: true };
+    }
+
     /**
      * ✅ Handle successful login
      */
-    async handleSuccessfulLogin(clientIP) {
+    async handleSuccessfulLogin(clientIP, username = null) {
         // Clear failed attempts for this IP
         this.attempts.delete(clientIP);
         this.lockedIPs.delete(clientIP);
         
         // Log the successful login
-        this.logSecurityEvent('LOGIN', clientIP, 'User authenticated successfully');
+        this.logSecurityEvent('LOGIN', clientIP, 'User authenticated successfully', { user: username });
     }
 
     /**
@@ -191,8 +491,9 @@ class SavagePasswordAuth {
 
     /**
      * 🎫 Validate session token
+     * options.bindIP rejects (instead of logging) use from another IP
      */
-    validateSessionToken(token, clientIP = 'unknown') {
+    validateSessionToken(token, clientIP = 'unknown', options = {}) {
         try {
             const session = this.sessionTokens.get(token);
             
@@ -205,11 +506,10 @@ class SavagePasswordAuth {
 
             // Check if session is expired (24 hours)
             const sessionAge = Date.now() - session.createdAt.getTime();
-            const maxSessionAge = 24 * 60 * 60 * 1000; // 24 hours
 
-            if (sessionAge > maxSessionAge) {
+            if (sessionAge > SECURITY_CONFIG.SESSION.MAX_AGE) {
                 this.sessionTokens.delete(token);
-                this.logSecurityEvent('EXPIRED', clientIP, 'Session token expired');
+                this.logSecurityEvent('EXPIRED', clientIP, 'Session token expired', { user: session.username });
                 
                 return {
                     valid: false,
@@ -220,7 +520,14 @@ class SavagePasswordAuth {
             // Optional: Check IP match (can be disabled for proxy setups)
             if (session.ip !== clientIP && clientIP !== 'unknown') {
                 console.warn(`⚠️ [AUTH] Session token used from different IP: ${session.ip} -> ${clientIP}`);
-                this.logSecurityEvent('IP_MISMATCH', clientIP, `Token from ${session.ip} used by ${clientIP}`);
+                this.logSecurityEvent('IP_MISMATCH', clientIP, `Token from ${session.ip} used by ${clientIP}`, { user: session.username });
+
+                if (options.bindIP) {
+                    return {
+                        valid: false,
+                        error: 'Session token is bound to another IP address'
+                    };
+                }
             }
 
             // Update last access
@@ -231,6 +538,10 @@ class SavagePasswordAuth {
                 valid: true,
                 session: {
                     ip: session.ip,
+                    userId: session.userId,
+                    username: session.username,
+                    role: session.role,
+                    bots: session.bots,
                     createdAt: session.createdAt,
                     lastAccess: session.lastAccess
                 }
@@ -249,9 +560,11 @@ class SavagePasswordAuth {
      * 🚪 Logout - invalidate session
      */
     logout(token, clientIP = 'unknown') {
-        if (this.sessionTokens.has(token)) {
+        const session = this.sessionTokens.get(token);
+
+        if (session) {
             this.sessionTokens.delete(token);
-            this.logSecurityEvent('LOGOUT', clientIP, 'User logged out');
+            this.logSecurityEvent('LOGOUT', clientIP, 'User logged out', { user: session.username });
             
             return {
                 success: true,
@@ -305,12 +618,27 @@ class SavagePasswordAuth {
 
         // Clean expired session tokens (older than 24 hours)
         for (const [token, session] of this.sessionTokens.entries()) {
-            if (now - session.createdAt.getTime() > 24 * 60 * 60 * 1000) {
+            if (now - session.createdAt.getTime() > SECURITY_CONFIG.SESSION.MAX_AGE) {
                 this.sessionTokens.delete(token);
                 cleaned++;
             }
         }
 
+        // Clean abandoned two-factor challenges
+        for (const [token, challenge] of this.twoFactorChallenges.entries()) {
+            if (challenge.expires <= now) {
+                this.twoFactorChallenges.delete(token);
+                cleaned++;
+            }
+        }
+
+        for (const [username, failures] of this.twoFactorFailures.entries()) {
+            if (now - failures.firstFailure > SECURITY_CONFIG.PASSWORD.LOCKOUT_TIME) {
+                this.twoFactorFailures.delete(username);
+                cleaned++;
+            }
+        }
+
         // Clean expired IP locks
         for (const [ip, lock] of this.lockedIPs.entries()) {
             if (lock.expires <= now) {
@@ -346,14 +674,16 @@ class SavagePasswordAuth {
             message,
             timestamp: new Date(),
             userAgent: details.userAgent || 'unknown',
-            ...details
+            ...details,
+            user: details.user || null
         };
 
         this.auditLog.push(event);
 
         // Log to console based on event type
         const emoji = this.getEventEmoji(type);
-        console.log(`${emoji} [AUTH-AUDIT] ${type} - IP: ${ip} - ${message}`);
+        const actor = event.user ? ` - User: ${event.user}` : '';
+        console.log(`${emoji} [AUTH-AUDIT] ${type} - IP: ${ip}${actor} - ${message}`);
 
         // Save to file in production
         if (process.env.NODE_ENV === 'production') {
@@ -370,7 +700,7 @@ class SavagePasswordAuth {
             await fs.mkdir(logDir, { recursive: true });
             
             const logFile = path.join(logDir, `auth-${new Date().toISOString().split('T')[0]}.log`);
-            const logEntry = `${event.timestamp.toISOString()} | ${event.type} | ${event.ip} | ${event.message}\n`;
+            const logEntry = `${event.timestamp.toISOString()} | ${event.type} | ${event.ip} | ${event.user || '-'} | ${event.message}\n`;
             
             await fs.appendFile(logFile, logEntry, 'utf8');
         } catch (error) {
@@ -390,6 +720,19 @@ class SavagePasswordAuth {
             'LOGOUT': '🚪',
             'EXPIRED': '⏰',
             'IP_MISMATCH': '⚠️',
+            'REVOKED': '🔌',
+            '2FA_REQUIRED': '📲',
+            '2FA_SUCCESS': '🛡️',
+            '2FA_FAILED': '❌',
+            '2FA_ENROLLED': '🛡️',
+            '2FA_DISABLED': '⚠️',
+            'RECOVERY_CODE_USED': '🧾',
+            'GROUP_ACTION': '👥',
+            'CONSENT_CHANGE': '✋',
+            'OUTBOUND_RELAY': '📨',
+            'OUTBOUND_RELAY_BLOCKED': '⛔',
+            'BROADCAST': '📣',
+            'KEY_ROTATION': '🔄',
             'ERROR': '💥'
         };
         
@@ -401,9 +744,10 @@ class SavagePasswordAuth {
      */
     startCleanupInterval() {
         // Cleanup every hour
-        setInterval(() => {
+        const interval = setInterval(() => {
             this.cleanupExpiredData();
         }, 60 * 60 * 1000);
+        if (interval.unref) interval.unref();
 
         console.log('✅ [AUTH] Cleanup interval started (every hour)');
     }
@@ -417,6 +761,8 @@ class SavagePasswordAuth {
         return {
             status: 'healthy',
             masterPasswordSet: !!this.masterPassword,
+            viewerPasswordSet: !!this.viewerPassword,
+            userAccounts: savageUserManager.available,
             activeSessions: stats.activeSessions,
             lockedIPs: stats.lockedIPs,
             auditEvents: stats.totalAuditEvents,
@@ -437,6 +783,9 @@ class SavagePasswordAuth {
         if (filter.ip) {
             logs = logs.filter(log => log.ip === filter.ip);
         }
+        if (filter.user) {
+            logs = logs.filter(log => log.user === filter.user);
+        }
         if (filter.startDate) {
             const start = new Date(filter.startDate);
             logs = logs.filter(log => new Date(log.timestamp) >= start);
@@ -9,18 +9,29 @@ const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 const savageDatabase = require('../config/database');
+const savageKeyring = require('../utils/keyring');
+const savageEnvelope = require('../utils/envelope');
 const { 
     SECURITY_CONFIG, 
     DATABASE_CONFIG, 
-    BOT_CONFIG,
     DEPLOYMENT,
-    generateSessionId,
-    isValidSessionId 
+    generateSessionId
 } = require('../config/constants');
 
+// Everything the session manager seals (sessions, auth states, 2FA secrets) shares one purpose and context
+const SESSION_SEAL = { purpose: 'session', aad: 'SAVAGE-BOTS-SESSION' };
+
+// Signal keys are sealed one by one, each bound to its bot, type and id
+const AUTH_KEY_PURPOSE = 'auth-key';
+
+function sessionError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
 class SavageSessionManager {
     constructor() {
-        this.encryptionKey = null;
         this.backupDir = DATABASE_CONFIG.BACKUP.DISK_PATH;
         this.activeSessions = new Map();
         this.recoveryMode = false;
@@ -48,60 +59,18 @@ class SavageSessionManager {
     }
 
     /**
-     * 🔑 Initialize encryption system
+     * 🔑 Initialize encryption system - keys live in utils/keyring (current key + retired decrypt-only keys)
      */
     initializeEncryption() {
-        try {
-            const envKey = process.env.SESSION_ENCRYPTION_KEY;
-            
-            if (!envKey) {
-                console.warn('⚠️ [SESSION-MGR] No SESSION_ENCRYPTION_KEY - Using temporary key (NOT FOR PRODUCTION)');
-                // Generate temporary key for development
-                this.encryptionKey = crypto.randomBytes(SECURITY_CONFIG.ENCRYPTION.KEY_LENGTH);
-                return;
-            }
-
-            if (envKey.length !== SECURITY_CONFIG.ENCRYPTION.KEY_LENGTH * 2) {
-                throw new Error(`Encryption key must be ${SECURITY_CONFIG.ENCRYPTION.KEY_LENGTH * 2} characters (${SECURITY_CONFIG.ENCRYPTION.KEY_LENGTH} bytes)`);
-            }
-
-            this.encryptionKey = Buffer.from(envKey, 'hex');
-            console.log('✅ [SESSION-MGR] Encryption system initialized');
-
-        } catch (error) {
-            console.error('❌ [SESSION-MGR] Encryption initialization failed:', error.message);
-            // Use temporary key as fallback
-            this.encryptionKey = crypto.randomBytes(SECURITY_CONFIG.ENCRYPTION.KEY_LENGTH);
-        }
+        console.log(`✅ [SESSION-MGR] Encryption system initialized (key ${savageKeyring.currentId})`);
     }
 
     /**
-     * 🔒 Encrypt session data
+     * 🔒 Encrypt session data into a savage envelope (utils/envelope)
      */
     encryptSessionData(sessionData) {
         try {
-            const iv = crypto.randomBytes(SECURITY_CONFIG.ENCRYPTION.IV_LENGTH);
-            const cipher = crypto.createCipheriv(
-                SECURITY_CONFIG.ENCRYPTION.ALGORITHM, 
-                this.encryptionKey, 
-                iv
-            );
-
-            // Add authentication data
-            cipher.setAAD(Buffer.from('SAVAGE-BOTS-SESSION'));
-
-            let encrypted = cipher.update(JSON.stringify(sessionData), 'utf8', 'hex');
-            encrypted += cipher.final('hex');
-            const authTag = cipher.getAuthTag();
-
-            return {
-                iv: iv.toString('hex'),
-                data: encrypted,
-                authTag: authTag.toString('hex'),
-                algorithm: SECURITY_CONFIG.ENCRYPTION.ALGORITHM,
-                timestamp: new Date().toISOString()
-            };
-
+            return savageEnvelope.seal(sessionData, SESSION_SEAL);
         } catch (error) {
             console.error('❌ [SESSION-MGR] Session encryption failed:', error);
             throw new Error('Failed to encrypt session data');
@@ -109,28 +78,66 @@ class SavageSessionManager {
     }
 
     /**
-     * 🔓 Decrypt session data
+     * 🔓 Decrypt session data - envelopes and the pre-envelope session format alike
      */
     decryptSessionData(encryptedData) {
         try {
-            const decipher = crypto.createDecipheriv(
-                encryptedData.algorithm,
-                this.encryptionKey,
-                Buffer.from(encryptedData.iv, 'hex')
-            );
-
-            decipher.setAAD(Buffer.from('SAVAGE-BOTS-SESSION'));
-            decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-
-            let decrypted = decipher.update(encryptedData.data, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
+            return savageEnvelope.open(encryptedData, { purpose: SESSION_SEAL.purpose });
+        } catch (error) {
+            console.error('❌ [SESSION-MGR] Session decryption failed:', error.message);
+            throw new Error('Failed to decrypt session data - possible corruption or wrong key');
+        }
+    }
 
-            return JSON.parse(decrypted);
+    /**
+     * 🔁 Re-seal a blob in the current envelope and key - null when it already is
+     */
+    reencryptSessionData(encryptedData) {
+        return savageEnvelope.upgrade(encryptedData);
+    }
 
+    /**
+     * 📖 Decrypt a stored session document, upgrading it in place when it is a legacy format or on a retired key
+     */
+    async openStoredSession(sessionDoc) {
+        let opened;
+        try {
+            opened = savageEnvelope.openAndUpgrade(sessionDoc.encryptedData, { purpose: SESSION_SEAL.purpose });
         } catch (error) {
-            console.error('❌ [SESSION-MGR] Session decryption failed:', error);
+            console.error('❌ [SESSION-MGR] Session decryption failed:', error.message);
             throw new Error('Failed to decrypt session data - possible corruption or wrong key');
         }
+
+        if (opened.upgraded) {
+            const previous = sessionDoc.encryptedData;
+            const encryptedString = JSON.stringify(opened.upgraded);
+            try {
+                const written = await this.persistUpgradedSession(sessionDoc.sessionId, encryptedString, previous);
+                if (written) {
+                    sessionDoc.encryptedData = encryptedString;
+                    console.log(`⬆️ [SESSION-MGR] Session ${sessionDoc.sessionId} upgraded to envelope v${opened.upgraded.version} (key ${opened.upgraded.keyId})`);
+                }
+            } catch (error) {
+                // The read still succeeds - the next read tries again
+                console.warn(`⚠️ [SESSION-MGR] Upgrade write-back failed for ${sessionDoc.sessionId}:`, error.message);
+            }
+        }
+
+        return opened.value;
+    }
+
+    /**
+     * 💾 Write an upgraded blob to MongoDB and whichever disk backups hold the session - each copy only while it
+     * still holds the blob that was read, so a save that landed in between is never rolled back
+     */
+    async persistUpgradedSession(sessionId, encryptedString, previous) {
+        let written = await savageDatabase.updateSessionEncryption(sessionId, encryptedString, previous);
+
+        for (const directory of new Set([savageDatabase.backupDir, this.backupDir])) {
+            const backupPath = path.join(directory, `${sessionId}.json`);
+            written = await savageDatabase.updateBackupEncryption(backupPath, encryptedString, previous) || written;
+        }
+        return written;
     }
 
     /**
@@ -224,7 +231,7 @@ class SavageSessionManager {
     async saveToDiskBackup(sessionId, sessionDoc) {
         try {
             const backupPath = path.join(this.backupDir, `${sessionId}.json`);
-            await fs.writeFile(backupPath, JSON.stringify(sessionDoc, null, 2));
+            await savageDatabase.withBackupLock(backupPath, () => fs.writeFile(backupPath, JSON.stringify(sessionDoc, null, 2)));
             return true;
         } catch (error) {
             console.warn(`⚠️ [SESSION-MGR] Disk backup failed for ${sessionId}:`, error.message);
@@ -280,8 +287,7 @@ class SavageSessionManager {
             let decryptedData = null;
             if (decrypt) {
                 try {
-                    const encryptedData = JSON.parse(sessionDoc.encryptedData);
-                    decryptedData = this.decryptSessionData(encryptedData);
+                    decryptedData = await this.openStoredSession(sessionDoc);
                 } catch (decryptError) {
                     console.error(`❌ [SESSION-MGR] Session decryption failed: ${sessionId}`, decryptError);
                     
@@ -338,7 +344,7 @@ class SavageSessionManager {
                 });
 
                 return diskBackup.decryptedData || 
-                       this.decryptSessionData(JSON.parse(diskBackup.encryptedData));
+                       await this.openStoredSession(diskBackup);
             }
 
             console.log(`❌ [SESSION-MGR] Recovery failed - no backups found: ${sessionId}`);
@@ -422,7 +428,7 @@ class SavageSessionManager {
             let updatedData;
             if (merge) {
                 // Merge with existing data
-                const currentDecrypted = this.decryptSessionData(JSON.parse(existing.encryptedData));
+                const currentDecrypted = this.decryptSessionData(existing.encryptedData);
                 updatedData = { ...currentDecrypted, ...newData };
             } else {
                 // Replace completely
@@ -542,6 +548,110 @@ class SavageSessionManager {
         }
     }
 
+    /**
+     * 🔐 Auth-state document ID (one encrypted Baileys creds document per bot - signal keys live per entry)
+     */
+    getAuthStateId(botName) {
+        return `savage-auth-state-${botName.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`;
+    }
+
+    /**
+     * 💾 Persist a bot's serialized Baileys creds
+     */
+    async saveAuthState(botName, serializedState, options = {}) {
+        const { phoneNumber = null } = options;
+        const sessionId = this.getAuthStateId(botName);
+
+        const encryptedString = JSON.stringify(this.encryptSessionData({ authState: serializedState }));
+
+        return savageDatabase.saveSession({
+            sessionId,
+            phoneNumber: phoneNumber || 'pending',
+            encryptedData: encryptedString,
+            botName
+        });
+    }
+
+    /**
+     * 📥 Load a bot's serialized Baileys creds - null only when nothing is stored.
+     * A stored state that can't be read (wrong key, corrupt backup, storage error) throws AUTH_STATE_UNREADABLE:
+     * treating it as missing would start a fresh link whose first save overwrites the real one.
+     */
+    async loadAuthState(botName) {
+        let sessionDoc;
+        try {
+            sessionDoc = await savageDatabase.getSession(this.getAuthStateId(botName), { strict: true });
+        } catch (error) {
+            throw sessionError(`Auth state for ${botName} could not be read: ${error.message}`, 'AUTH_STATE_UNREADABLE');
+        }
+        if (!sessionDoc) return null;
+
+        try {
+            const decrypted = await this.openStoredSession(sessionDoc);
+            return decrypted.authState;
+        } catch (error) {
+            throw sessionError(`Auth state for ${botName} is unreadable - check SESSION_ENCRYPTION_KEY / SESSION_ENCRYPTION_OLD_KEYS`, 'AUTH_STATE_UNREADABLE');
+        }
+    }
+
+    /**
+     * 🔑 Persist signal key changes - changes: [{ type, id, value }] with value the serialized key, null to delete
+     */
+    async saveAuthKeys(botName, changes) {
+        return savageDatabase.saveAuthKeys(botName, changes.map(({ type, id, value }) => ({
+            type,
+            keyId: id,
+            encryptedData: value === null
+                ? null
+                : JSON.stringify(savageEnvelope.seal({ value }, { purpose: AUTH_KEY_PURPOSE, aad: `${botName}:${type}:${id}` }))
+        })));
+    }
+
+    /**
+     * 📥 Every stored signal key for a bot → { type: { id: serialized } } - throws AUTH_STATE_UNREADABLE like loadAuthState
+     */
+    async loadAuthKeys(botName) {
+        let entries;
+        try {
+            entries = await savageDatabase.getAuthKeys(botName);
+        } catch (error) {
+            throw sessionError(`Signal keys for ${botName} could not be read: ${error.message}`, 'AUTH_STATE_UNREADABLE');
+        }
+
+        const keys = {};
+        for (const { type, keyId, encryptedData } of entries) {
+            try {
+                const { value } = savageEnvelope.open(encryptedData, { purpose: AUTH_KEY_PURPOSE, aad: `${botName}:${type}:${keyId}` });
+                keys[type] = keys[type] || {};
+                keys[type][keyId] = value;
+            } catch (error) {
+                throw sessionError(`Signal key ${type}/${keyId} for ${botName} is unreadable - check SESSION_ENCRYPTION_KEY / SESSION_ENCRYPTION_OLD_KEYS`, 'AUTH_STATE_UNREADABLE');
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * 🔍 Does this bot have a linked (registered) auth state stored?
+     */
+    async hasLinkedAuthState(botName) {
+        const sessionDoc = await savageDatabase.getSession(this.getAuthStateId(botName));
+        return !!sessionDoc && !!sessionDoc.phoneNumber && sessionDoc.phoneNumber !== 'pending';
+    }
+
+    /**
+     * 🗑️ Delete a bot's stored auth state and signal keys (after logout)
+     */
+    async deleteAuthState(botName) {
+        try {
+            await savageDatabase.deleteAuthKeys(botName);
+            return await savageDatabase.deleteSession(this.getAuthStateId(botName));
+        } catch (error) {
+            console.warn(`⚠️ [SESSION-MGR] Auth state delete failed for ${botName}:`, error.message);
+            return { mongo: false, disk: false };
+        }
+    }
+
     /**
      * 🔑 Generate data hash for integrity verification
      */
@@ -567,7 +677,8 @@ class SavageSessionManager {
             }
 
             const sessionHealth = {
-                encryption: !!this.encryptionKey,
+                encryption: !!savageKeyring.current(),
+                encryptionKeyId: savageKeyring.currentId,
                 memoryCache: this.activeSessions.size,
                 recoveryMode: this.recoveryMode,
                 backupDir: this.backupDir,
@@ -605,8 +716,7 @@ class SavageSessionManager {
 
             // Test decryption
             try {
-                const encryptedData = JSON.parse(backupData.encryptedData);
-                this.decryptSessionData(encryptedData);
+                this.decryptSessionData(backupData.encryptedData);
             } catch (decryptError) {
                 throw new Error('Backup data cannot be decrypted - wrong key or corrupted');
             }
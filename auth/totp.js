@@ -0,0 +1,147 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - TOTP (RFC 6238)
+ * Time-based one-time passwords for the optional second login factor
+ * HMAC-SHA1, 6 digits, 30 second steps - what every authenticator app expects
+ */
+
+const crypto = require('crypto');
+const { SECURITY_CONFIG } = require('../config/constants');
+
+const { TWO_FACTOR } = SECURITY_CONFIG;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class SavageTOTP {
+    /**
+     * 🔑 New random shared secret (base32, as authenticator apps take it)
+     */
+    generateSecret() {
+        return this.base32Encode(crypto.randomBytes(TWO_FACTOR.SECRET_BYTES));
+    }
+
+    /**
+     * 🔗 otpauth:// URI for the enrolment QR code
+     */
+    buildOtpauthURL(secret, accountName) {
+        const label = encodeURIComponent(`${TWO_FACTOR.ISSUER}:${accountName}`);
+        const params = new URLSearchParams({
+            secret: secret,
+            issuer: TWO_FACTOR.ISSUER,
+            algorithm: 'SHA1',
+            digits: String(TWO_FACTOR.DIGITS),
+            period: String(TWO_FACTOR.PERIOD)
+        });
+
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    /**
+     * ⏱️ Current time step
+     */
+    getTimeStep(timestamp = Date.now()) {
+        return Math.floor(timestamp / 1000 / TWO_FACTOR.PERIOD);
+    }
+
+    /**
+     * 🔢 Code for a given time step (RFC 4226 dynamic truncation)
+     */
+    generateCode(secret, step = this.getTimeStep()) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) |
+            (hmac[offset + 1] << 16) |
+            (hmac[offset + 2] << 8) |
+            hmac[offset + 3];
+
+        return String(binary % 10 ** TWO_FACTOR.DIGITS).padStart(TWO_FACTOR.DIGITS, '0');
+    }
+
+    /**
+     * ✅ Verify a code within the drift window
+     * Returns the matched step (so callers can refuse replays) or null
+     */
+    verifyCode(secret, code, lastUsedStep = null) {
+        const normalized = String(code || '').replace(/\s+/g, '');
+        if (!new RegExp(`^\\d{${TWO_FACTOR.DIGITS}}$`).test(normalized)) return null;
+
+        const currentStep = this.getTimeStep();
+
+        for (let drift = -TWO_FACTOR.WINDOW; drift <= TWO_FACTOR.WINDOW; drift++) {
+            const step = currentStep + drift;
+            if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+            const expected = this.generateCode(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 🧾 One-time recovery codes (xxxx-xxxx, shown once, stored hashed)
+     */
+    generateRecoveryCodes(count = TWO_FACTOR.RECOVERY_CODES) {
+        return Array.from({ length: count }, () => {
+            const raw = crypto.randomBytes(4).toString('hex');
+            return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+        });
+    }
+
+    hashRecoveryCode(code) {
+        const normalized = String(code || '').trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    base32Decode(input) {
+        const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) throw new Error('Invalid base32 secret');
+
+            value = (value << 5) | index;
+            bits += 5;
+
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+}
+
+// Create singleton instance
+const savageTOTP = new SavageTOTP();
+
+module.exports = savageTOTP;
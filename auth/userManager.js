@@ -0,0 +1,473 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - User Accounts
+ * Named dashboard accounts stored in MongoDB (bcrypt hashes)
+ * Roles: owner (manages users) > operator (controls bots) > viewer (read-only), scoped per bot
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const savageDatabase = require('../config/database');
+const savageSessionManager = require('./sessionManager');
+const savageTOTP = require('./totp');
+const savageHelpers = require('../utils/helpers');
+const { SCANNER_IDENTITY, SECURITY_CONFIG } = require('../config/constants');
+
+const { ROLES, USERS, PASSWORD } = SECURITY_CONFIG;
+
+class SavageUserManager {
+    constructor() {
+        // Compared against when the username is unknown, so misses cost the same as hits
+        this.dummyHash = null;
+
+        // Survives MongoDB outages and restarts - without it the env password would bypass named accounts
+        this.accountsMarker = path.join(savageDatabase.backupDir, 'accounts-enabled');
+        this.accountsKnown = null;
+    }
+
+    /**
+     * 🔌 Accounts live in MongoDB - unavailable while it is down
+     */
+    get available() {
+        return savageDatabase.isConnected;
+    }
+
+    /**
+     * 👥 True once at least one account exists (password-only login is then disabled)
+     * While MongoDB is down the last known answer is used, from memory or the marker on disk
+     */
+    async accountsEnabled() {
+        if (!this.available) {
+            return this.accountsKnown ?? await this.readAccountsMarker();
+        }
+
+        const enabled = (await savageDatabase.User.countDocuments()) > 0;
+        await this.rememberAccounts(enabled);
+        return enabled;
+    }
+
+    async rememberAccounts(enabled) {
+        if (this.accountsKnown === enabled) return;
+        this.accountsKnown = enabled;
+
+        try {
+            if (enabled) {
+                await fs.mkdir(path.dirname(this.accountsMarker), { recursive: true });
+                await fs.writeFile(this.accountsMarker, new Date().toISOString());
+            } else {
+                await fs.rm(this.accountsMarker, { force: true });
+            }
+        } catch (error) {
+            console.warn(`⚠️ [USERS] Could not update the accounts marker: ${error.message}`);
+        }
+    }
+
+    // Fails closed - a marker that can't be read counts as accounts existing
+    async readAccountsMarker() {
+        try {
+            await fs.access(this.accountsMarker);
+            return true;
+        } catch (error) {
+            return error.code !== 'ENOENT';
+        }
+    }
+
+    /**
+     * 🌱 Seed the first owner from SCANNER_PASSWORD on an empty collection
+     */
+    async bootstrapOwner(password) {
+        if (!this.available || await this.accountsEnabled()) return null;
+
+        if (!password) {
+            console.warn('⚠️ [USERS] No accounts and no SCANNER_PASSWORD - owner account not seeded');
+            return null;
+        }
+
+        const owner = await savageDatabase.User.create({
+            username: USERS.BOOTSTRAP_USERNAME,
+            passwordHash: await bcrypt.hash(password, PASSWORD.HASH_ROUNDS),
+            role: ROLES.OWNER,
+            bots: [ROLES.ALL_BOTS],
+            createdBy: 'bootstrap'
+        });
+
+        await this.rememberAccounts(true);
+
+        console.log(`🌱 [USERS] Seeded owner account '${owner.username}' from SCANNER_PASSWORD`);
+        return this.toPublic(owner);
+    }
+
+    /**
+     * 🔑 Verify username + password (null on any mismatch)
+     */
+    async authenticate(username, password, clientIP = 'unknown') {
+        if (!this.available || typeof password !== 'string') return null;
+
+        const user = await savageDatabase.User.findOne({
+            username: this.normalizeUsername(username),
+            isActive: true
+        });
+
+        if (!this.dummyHash) {
+            this.dummyHash = await bcrypt.hash('savage-dummy-password', PASSWORD.HASH_ROUNDS);
+        }
+
+        const matches = await bcrypt.compare(password, user ? user.passwordHash : this.dummyHash);
+        if (!user || !matches) return null;
+
+        user.lastLoginAt = new Date();
+        user.lastLoginIP = clientIP;
+        await user.save();
+
+        return this.toPublic(user);
+    }
+
+    /**
+     * 📋 All accounts (never includes hashes)
+     */
+    async listUsers() {
+        this.assertAvailable();
+
+        const users = await savageDatabase.User.find().sort({ createdAt: 1 });
+        return users.map(user => this.toPublic(user));
+    }
+
+    /**
+     * ➕ Create an account
+     */
+    async createUser(data, createdBy = null) {
+        try {
+            this.assertAvailable();
+
+            const username = this.normalizeUsername(data.username);
+            if (!USERS.USERNAME_PATTERN.test(username)) {
+                return { success: false, error: 'Username must be 3-32 characters: a-z, 0-9, . _ -' };
+            }
+
+            const validation = this.validateAccountFields(data, { requirePassword: true });
+            if (validation) return { success: false, error: validation };
+
+            if (await savageDatabase.User.exists({ username })) {
+                return { success: false, error: `User '${username}' already exists` };
+            }
+
+            const user = await savageDatabase.User.create({
+                username,
+                passwordHash: await bcrypt.hash(data.password, PASSWORD.HASH_ROUNDS),
+                role: data.role || ROLES.VIEWER,
+                bots: data.bots || [ROLES.ALL_BOTS],
+                createdBy
+            });
+
+            await this.rememberAccounts(true);
+
+            console.log(`➕ [USERS] ${createdBy || 'system'} created ${user.role} '${username}'`);
+            return { success: true, user: this.toPublic(user) };
+
+        } catch (error) {
+            console.error('❌ [USERS] Create user failed:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * ✏️ Change role, bot permissions, password or active flag
+     */
+    async updateUser(username, changes, updatedBy = null) {
+        try {
+            this.assertAvailable();
+
+            const user = await savageDatabase.User.findOne({ username: this.normalizeUsername(username) });
+            if (!user) return { success: false, error: 'User not found' };
+
+            const validation = this.validateAccountFields(changes, { requirePassword: false });
+            if (validation) return { success: false, error: validation };
+
+            const losesOwner = user.role === ROLES.OWNER &&
+                ((changes.role && changes.role !== ROLES.OWNER) || changes.isActive === false);
+            if (losesOwner && await this.isLastOwner(user)) {
+                return { success: false, error: 'Cannot demote or disable the last owner' };
+            }
+
+            if (changes.role) user.role = changes.role;
+            if (changes.bots) user.bots = changes.bots;
+            if (typeof changes.isActive === 'boolean') user.isActive = changes.isActive;
+            if (changes.password) user.passwordHash = await bcrypt.hash(changes.password, PASSWORD.HASH_ROUNDS);
+            user.updatedAt = new Date();
+
+            await user.save();
+
+            console.log(`✏️ [USERS] ${updatedBy || 'system'} updated '${user.username}'`);
+            return { success: true, user: this.toPublic(user) };
+
+        } catch (error) {
+            console.error('❌ [USERS] Update user failed:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * 🗑️ Delete an account
+     */
+    async deleteUser(username, deletedBy = null) {
+        try {
+            this.assertAvailable();
+
+            const user = await savageDatabase.User.findOne({ username: this.normalizeUsername(username) });
+            if (!user) return { success: false, error: 'User not found' };
+
+            if (user.role === ROLES.OWNER && await this.isLastOwner(user)) {
+                return { success: false, error: 'Cannot delete the last owner' };
+            }
+
+            await savageDatabase.User.deleteOne({ _id: user._id });
+
+            console.log(`🗑️ [USERS] ${deletedBy || 'system'} deleted '${user.username}'`);
+            return { success: true, username: user.username };
+
+        } catch (error) {
+            console.error('❌ [USERS] Delete user failed:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // =========================================================================
+    // 🛡️ TWO-FACTOR (TOTP) ENROLMENT
+    // =========================================================================
+
+    /**
+     * 📊 Two-factor state of an account
+     */
+    async getTwoFactorStatus(username) {
+        const user = await this.findActiveUser(username);
+        if (!user) return { success: false, error: 'User not found' };
+
+        return {
+            success: true,
+            enabled: !!user.twoFactor?.enabled,
+            pending: !!user.twoFactor?.pendingSecret,
+            enrolledAt: user.twoFactor?.enrolledAt || null,
+            recoveryCodesLeft: user.twoFactor?.recoveryCodes?.length || 0
+        };
+    }
+
+    /**
+     * 🆕 Start enrolment - new pending secret, active once a code confirms it
+     */
+    async startTwoFactorEnrolment(username) {
+        try {
+            const user = await this.findActiveUser(username);
+            if (!user) return { success: false, error: 'User not found' };
+
+            if (user.twoFactor?.enabled) {
+                return { success: false, error: 'Two-factor authentication is already enabled' };
+            }
+
+            const secret = savageTOTP.generateSecret();
+            user.set('twoFactor.pendingSecret', this.sealSecret(secret));
+            await user.save();
+
+            return {
+                success: true,
+                secret: secret,
+                otpauthUrl: savageTOTP.buildOtpauthURL(secret, user.username)
+            };
+
+        } catch (error) {
+            console.error('❌ [USERS] 2FA enrolment failed:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * ✅ Confirm enrolment with a first code - returns the recovery codes (shown once)
+     */
+    async confirmTwoFactorEnrolment(username, code) {
+        try {
+            const user = await this.findActiveUser(username);
+            if (!user?.twoFactor?.pendingSecret) {
+                return { success: false, error: 'No two-factor enrolment in progress' };
+            }
+
+            const secret = this.openSecret(user.twoFactor.pendingSecret);
+            const step = savageTOTP.verifyCode(secret, code);
+            if (step === null) {
+                return { success: false, error: 'Invalid authenticator code' };
+            }
+
+            const recoveryCodes = savageTOTP.generateRecoveryCodes();
+
+            user.set('twoFactor', {
+                enabled: true,
+                secret: user.twoFactor.pendingSecret,
+                pendingSecret: null,
+                recoveryCodes: recoveryCodes.map(recoveryCode => savageTOTP.hashRecoveryCode(recoveryCode)),
+                lastUsedStep: step,
+                enrolledAt: new Date()
+            });
+            await user.save();
+
+            return { success: true, recoveryCodes };
+
+        } catch (error) {
+            console.error('❌ [USERS] 2FA confirmation failed:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * 🔢 Check a login's second factor (TOTP code or one-time recovery code)
+     */
+    async verifySecondFactor(username, code) {
+        try {
+            const user = await this.findActiveUser(username);
+            if (!user?.twoFactor?.enabled) {
+                return { success: false, error: 'Two-factor authentication is not enabled' };
+            }
+
+            const step = savageTOTP.verifyCode(this.openSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep ?? null);
+            if (step !== null) {
+                user.set('twoFactor.lastUsedStep', step);
+                await user.save();
+                return { success: true, method: 'totp' };
+            }
+
+            const hash = savageTOTP.hashRecoveryCode(code);
+            const remaining = (user.twoFactor.recoveryCodes || []).filter(stored => stored !== hash);
+            if (remaining.length < (user.twoFactor.recoveryCodes || []).length) {
+                user.set('twoFactor.recoveryCodes', remaining);
+                await user.save();
+                return { success: true, method: 'recovery', recoveryCodesLeft: remaining.length };
+            }
+
+            return { success: false, error: 'Invalid authenticator or recovery code' };
+
+        } catch (error) {
+            console.error('❌ [USERS] 2FA verification failed:', error.message);
+            return { success: false, error: 'Two-factor verification error' };
+        }
+    }
+
+    /**
+     * 🧾 Replace the recovery codes (needs a current code)
+     */
+    async regenerateRecoveryCodes(username, code) {
+        const check = await this.verifySecondFactor(username, code);
+        if (!check.success) return check;
+
+        const user = await this.findActiveUser(username);
+        const recoveryCodes = savageTOTP.generateRecoveryCodes();
+        user.set('twoFactor.recoveryCodes', recoveryCodes.map(recoveryCode => savageTOTP.hashRecoveryCode(recoveryCode)));
+        await user.save();
+
+        return { success: true, recoveryCodes };
+    }
+
+    /**
+     * 🚫 Turn two-factor off (needs a current code, or an owner reset with force)
+     */
+    async disableTwoFactor(username, code, { force = false } = {}) {
+        if (!force) {
+            const check = await this.verifySecondFactor(username, code);
+            if (!check.success) return check;
+        }
+
+        const user = await this.findActiveUser(username);
+        if (!user) return { success: false, error: 'User not found' };
+
+        user.set('twoFactor', { enabled: false, recoveryCodes: [] });
+        await user.save();
+
+        return { success: true };
+    }
+
+    async findActiveUser(username) {
+        this.assertAvailable();
+
+        return savageDatabase.User.findOne({ username: this.normalizeUsername(username), isActive: true });
+    }
+
+    // TOTP secrets are stored encrypted with the session manager's key
+    sealSecret(secret) {
+        return JSON.stringify(savageSessionManager.encryptSessionData({ secret }));
+    }
+
+    openSecret(sealed) {
+        return savageSessionManager.decryptSessionData(JSON.parse(sealed)).secret;
+    }
+
+    /**
+     * 👑 Is this the only active owner left?
+     */
+    async isLastOwner(user) {
+        const owners = await savageDatabase.User.countDocuments({
+            role: ROLES.OWNER,
+            isActive: true,
+            _id: { $ne: user._id }
+        });
+
+        return owners === 0;
+    }
+
+    /**
+     * ✅ Validate role / bots / password fields (returns an error message or null)
+     */
+    validateAccountFields(data, { requirePassword }) {
+        if (requirePassword || data.password !== undefined) {
+            if (!savageHelpers.validatePassword(data.password)) {
+                return `Password must be at least ${PASSWORD.MIN_LENGTH} characters with upper, lower, number and symbol`;
+            }
+        }
+
+        if (data.role !== undefined && !ROLES.LEVELS[data.role]) {
+            return `Role must be one of: ${Object.keys(ROLES.LEVELS).join(', ')}`;
+        }
+
+        if (data.bots !== undefined) {
+            const validBots = [ROLES.ALL_BOTS, ...Object.keys(SCANNER_IDENTITY.BOTS)];
+
+            if (!Array.isArray(data.bots) || data.bots.some(bot => !validBots.includes(bot))) {
+                return `Bots must be a list of: ${validBots.join(', ')}`;
+            }
+        }
+
+        if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+            return 'isActive must be a boolean';
+        }
+
+        return null;
+    }
+
+    normalizeUsername(username) {
+        return String(username || '').trim().toLowerCase();
+    }
+
+    assertAvailable() {
+        if (!this.available) {
+            throw new Error('User accounts require MongoDB - database not connected');
+        }
+    }
+
+    /**
+     * 🪪 Account without its password hash
+     */
+    toPublic(user) {
+        return {
+            id: String(user._id),
+            username: user.username,
+            role: user.role,
+            bots: user.bots,
+            isActive: user.isActive,
+            twoFactorEnabled: !!user.twoFactor?.enabled,
+            createdBy: user.createdBy,
+            createdAt: user.createdAt,
+            lastLoginAt: user.lastLoginAt || null,
+            lastLoginIP: user.lastLoginIP || null
+        };
+    }
+}
+
+// Create and export singleton instance
+const savageUserManager = new SavageUserManager();
+
+module.exports = savageUserManager;
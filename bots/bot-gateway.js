@@ -0,0 +1,830 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Bot Gateway
+ * Native WebSocket gateway on /savage-ws for the SAVAGE-X, DE-UKNOWN-BOT and QUEEN RIXIE connectors
+ * JSON protocol: bot_auth → auth_result, send_message / send_media → message_queued (+ message_status receipts),
+ * media_url → media_url (fresh signed link), group_request → group_result (+ group_update events),
+ * set_chat_prefix → chat_prefix (per-chat overrides are pushed as chat_prefixes after auth),
+ * consent_request → consent_result (allowlist for sends carrying an originChatId other than chatId; strikes must carry one),
+ * broadcast_request → broadcast_result (+ broadcast_report when a broadcast has been queued), ping ⇄ pong, bot_status
+ */
+
+const WebSocket = require('ws');
+const crypto = require('crypto');
+const { SCANNER_IDENTITY, SECURITY_CONFIG, BOT_CONFIG, DEPLOYMENT } = require('../config/constants');
+const { validateBotSessionId } = require('../utils/generators');
+const savageMedia = require('../utils/media');
+const savageGroupManager = require('../utils/groupManager');
+const savageDatabase = require('../config/database');
+const savageOutboundConsent = require('../utils/outboundConsent');
+const savageBroadcastManager = require('../utils/broadcastManager');
+
+// authHash layouts used by each connector's generateAuthHash()/generateRoyalHash()
+const AUTH_HASH_FORMATS = {
+    'SAVAGE-X': (botName, sessionId, ts) => `SAVAGE:${botName}:${sessionId}:${ts}:COMBAT`,
+    'DE-UKNOWN-BOT': (botName, sessionId, ts) => `${botName}:${sessionId}:${ts}`,
+    'QUEEN-RIXIE': (botName, sessionId, ts) => `ROYAL:${botName}:${sessionId}:${ts}:THRONE`
+};
+
+const GATEWAY_CONFIG = {
+    AUTH_TIMEOUT: 10000,            // bot_auth must arrive within 10s
+    AUTH_MAX_SKEW: 5 * 60 * 1000    // reject auth frames stamped more than 5 min away
+};
+
+const CLOSE_CODES = {
+    AUTH_TIMEOUT: 4001,
+    AUTH_FAILED: 4003,
+    REPLACED: 4004,
+    SESSION_RESET: 4005,
+    PONG_TIMEOUT: 4008,
+    GATEWAY_FULL: 1013
+};
+
+// Connector address - behind the Render/Heroku proxy only the hop it appended is trusted (as getSocketIP does);
+// locally X-Forwarded-For is whatever the client wrote, so the socket address is used
+function getUpgradeIP(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+
+    if (forwarded && DEPLOYMENT.getCurrentPlatform() !== DEPLOYMENT.PLATFORMS.LOCAL) {
+        return String(forwarded).split(',').pop().trim();
+    }
+
+    return req.socket.remoteAddress || 'unknown';
+}
+
+class SavageBotGateway {
+    constructor() {
+        this.wss = null;
+        this.scanner = null;
+        this.clients = new Map(); // registry bot name -> ws
+        this.usedAuthHashes = new Map(); // authHash -> expiry (replay protection)
+        this.heartbeatInterval = null;
+
+        this.stats = {
+            connections: 0,
+            authSuccess: 0,
+            authFailures: 0,
+            framesIn: 0,
+            framesOut: 0,
+            startTime: null
+        };
+    }
+
+    /**
+     * 🎯 Attach the gateway to the scanner's HTTP server
+     */
+    initialize(server, scanner) {
+        if (this.wss) return this;
+
+        this.scanner = scanner;
+        this.wss = new WebSocket.Server({
+            noServer: true,
+            maxPayload: SECURITY_CONFIG.WEBSOCKET.MAX_PAYLOAD
+        });
+
+        // socket.io owns every other upgrade path on this server
+        server.on('upgrade', (req, socket, head) => {
+            const { pathname } = new URL(req.url, 'http://localhost');
+            if (pathname !== BOT_CONFIG.WEBSOCKET.PATH) return;
+
+            this.wss.handleUpgrade(req, socket, head, (ws) => {
+                this.wss.emit('connection', ws, req);
+            });
+        });
+
+        this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+        this.startHeartbeat();
+        this.stats.startTime = new Date();
+
+        console.log(`✅ [GATEWAY] Bot gateway listening on ${BOT_CONFIG.WEBSOCKET.PATH}`);
+        return this;
+    }
+
+    /**
+     * 🔌 Handle new connector socket
+     */
+    handleConnection(ws, req) {
+        const clientIP = getUpgradeIP(req);
+
+        if (this.wss.clients.size > BOT_CONFIG.WEBSOCKET.MAX_CONNECTIONS) {
+            console.warn(`⚠️ [GATEWAY] Connection limit reached, rejecting ${clientIP}`);
+            ws.close(CLOSE_CODES.GATEWAY_FULL, 'Gateway full');
+            return;
+        }
+
+        this.stats.connections++;
+        ws.botName = null;
+        ws.clientIP = clientIP;
+        ws.pongTimer = null;
+        ws.authTimer = setTimeout(() => {
+            if (!ws.botName) {
+                this.closeWithError(ws, CLOSE_CODES.AUTH_TIMEOUT, 'Authentication timeout');
+            }
+        }, GATEWAY_CONFIG.AUTH_TIMEOUT);
+
+        console.log(`🔗 [GATEWAY] Connector connected from ${clientIP} (${req.headers['x-bot-name'] || 'unknown bot'})`);
+
+        ws.on('message', (data) => this.handleFrame(ws, data));
+        ws.on('close', (code) => this.handleClose(ws, code));
+        ws.on('error', (error) => {
+            console.error(`❌ [GATEWAY] Socket error (${ws.botName || clientIP}):`, error.message);
+        });
+    }
+
+    /**
+     * 📨 Route an incoming JSON frame
+     */
+    async handleFrame(ws, data) {
+        this.stats.framesIn++;
+        this.markAlive(ws);
+
+        let frame;
+        try {
+            frame = JSON.parse(data.toString());
+        } catch (error) {
+            this.send(ws, { type: 'error', error: 'Invalid JSON frame' });
+            return;
+        }
+
+        // Connectors report 'connecting' before bot_auth; the auth timer handles silent sockets
+        if (!ws.botName && frame.type !== 'bot_auth') {
+            return;
+        }
+
+        try {
+            switch (frame.type) {
+                case 'bot_auth':
+                    this.authenticateBot(ws, frame);
+                    break;
+
+                case 'send_message':
+                    await this.handleSendMessage(ws, frame);
+                    break;
+
+                case 'send_media':
+                    await this.handleSendMedia(ws, frame);
+                    break;
+
+                case 'media_url':
+                    this.handleMediaUrl(ws, frame);
+                    break;
+
+                case 'group_request':
+                    await this.handleGroupRequest(ws, frame);
+                    break;
+
+                case 'set_chat_prefix':
+                    await this.handleSetChatPrefix(ws, frame);
+                    break;
+
+                case 'consent_request':
+                    await this.handleConsentRequest(ws, frame);
+                    break;
+
+                case 'broadcast_request':
+                    await this.handleBroadcastRequest(ws, frame);
+                    break;
+
+                case 'bot_status':
+                    this.handleBotStatus(ws, frame);
+                    break;
+
+                case 'ping':
+                    this.send(ws, { type: 'pong', timestamp: new Date().toISOString() });
+                    break;
+
+                case 'pong':
+                    break;
+
+                default:
+                    this.send(ws, { type: 'error', error: `Unsupported frame type: ${frame.type}` });
+            }
+        } catch (error) {
+            console.error(`❌ [GATEWAY] Frame handling failed (${frame.type}):`, error.message);
+            this.send(ws, { type: 'error', error: 'Frame processing failed', frameType: frame.type });
+        }
+    }
+
+    /**
+     * 🔐 Verify bot_auth (bot name, session ID, authHash) and register the connector
+     */
+    authenticateBot(ws, frame) {
+        if (ws.botName) {
+            this.send(ws, { type: 'auth_result', success: true, botName: ws.botName });
+            return;
+        }
+
+        // One attempt per socket - frames queued behind a rejected bot_auth are not checked again
+        if (ws.authAttempted) return;
+        ws.authAttempted = true;
+
+        const botName = this.resolveBotName(frame.botName);
+        if (!botName) {
+            return this.rejectAuth(ws, `Unknown bot: ${frame.botName}`);
+        }
+
+        if (!validateBotSessionId(frame.sessionId)) {
+            return this.rejectAuth(ws, 'Invalid session ID format');
+        }
+
+        if (!this.verifyAuthHash(botName, frame)) {
+            return this.rejectAuth(ws, 'Invalid or expired auth hash');
+        }
+
+        const connection = this.scanner.botConnections.get(botName);
+        if (!connection || !connection.sessionId) {
+            return this.rejectAuth(ws, `${botName} is not linked to WhatsApp yet`);
+        }
+
+        if (!this.safeCompare(connection.sessionId, frame.sessionId)) {
+            return this.rejectAuth(ws, `Session ID does not match the active ${botName} session`);
+        }
+
+        // One connector per bot - newest wins
+        const existing = this.clients.get(botName);
+        if (existing && existing !== ws) {
+            this.closeWithError(existing, CLOSE_CODES.REPLACED, 'Replaced by a new connection');
+        }
+
+        clearTimeout(ws.authTimer);
+        ws.botName = botName;
+        this.clients.set(botName, ws);
+        this.stats.authSuccess++;
+
+        console.log(`✅ [GATEWAY] ${botName} connector authenticated from ${ws.clientIP}`);
+
+        this.send(ws, {
+            type: 'auth_result',
+            success: true,
+            botName: botName,
+            scannerInfo: {
+                name: SCANNER_IDENTITY.NAME,
+                version: SCANNER_IDENTITY.VERSION,
+                prefix: SCANNER_IDENTITY.BOTS[botName].prefix,
+                whatsapp: connection.isAuthenticated,
+                phoneNumber: connection.phoneNumber
+            },
+            timestamp: new Date().toISOString()
+        });
+
+        this.scanner.onConnectorConnected(botName);
+        this.pushChatPrefixes(ws, botName);
+    }
+
+    /**
+     * 🔣 Per-chat prefix overrides for a freshly authenticated connector
+     */
+    async pushChatPrefixes(ws, botName) {
+        try {
+            const prefixes = await savageDatabase.getChatSettings(botName);
+            this.send(ws, { type: 'chat_prefixes', botName: botName, prefixes: prefixes });
+        } catch (error) {
+            console.error(`❌ [GATEWAY] Could not load chat prefixes for ${botName}:`, error.message);
+        }
+    }
+
+    /**
+     * 🔑 Recompute the connector's authHash - connectors hash the exact millisecond they send as timestamp,
+     * so one hash is checked per frame
+     */
+    verifyAuthHash(botName, frame) {
+        const format = AUTH_HASH_FORMATS[botName];
+        const stampedAt = Date.parse(frame.timestamp);
+
+        if (!format || typeof frame.authHash !== 'string' || !/^[a-f0-9]{64}$/.test(frame.authHash)) {
+            return false;
+        }
+
+        if (isNaN(stampedAt) || Math.abs(Date.now() - stampedAt) > GATEWAY_CONFIG.AUTH_MAX_SKEW) {
+            return false;
+        }
+
+        if (this.usedAuthHashes.has(frame.authHash)) {
+            console.warn(`🚨 [GATEWAY] Replayed auth hash for ${botName}`);
+            return false;
+        }
+
+        const expected = crypto.createHash('sha256')
+            .update(format(frame.botName, frame.sessionId, stampedAt))
+            .digest('hex');
+
+        if (!this.safeCompare(expected, frame.authHash)) {
+            return false;
+        }
+
+        this.usedAuthHashes.set(frame.authHash, Date.now() + GATEWAY_CONFIG.AUTH_MAX_SKEW);
+        return true;
+    }
+
+    /**
+     * ❌ Reject authentication and drop the socket
+     */
+    rejectAuth(ws, error) {
+        this.stats.authFailures++;
+        console.warn(`🚫 [GATEWAY] Auth rejected from ${ws.clientIP}: ${error}`);
+
+        this.send(ws, {
+            type: 'auth_result',
+            success: false,
+            error: error,
+            timestamp: new Date().toISOString()
+        });
+
+        this.closeWithError(ws, CLOSE_CODES.AUTH_FAILED, error);
+    }
+
+    /**
+     * 📤 send_message → the bot's durable outbound queue
+     * message_queued acknowledges the job; message_status frames follow as it is sent, delivered and read
+     */
+    async handleSendMessage(ws, frame) {
+        const { chatId, text, requestId } = frame;
+
+        if (frame.botName && this.resolveBotName(frame.botName) !== ws.botName) {
+            this.send(ws, {
+                type: 'message_queued',
+                success: false,
+                chatId: chatId,
+                requestId: requestId || null,
+                error: 'Connectors can only send through their own WhatsApp session'
+            });
+            return;
+        }
+
+        if (!chatId || typeof text !== 'string' || text.trim() === '') {
+            this.send(ws, {
+                type: 'message_queued',
+                success: false,
+                chatId: chatId,
+                requestId: requestId || null,
+                error: 'chatId and text are required'
+            });
+            return;
+        }
+
+        try {
+            const relayedFrom = await savageOutboundConsent.authorizeRelay(ws.botName, frame, this.actorFor(ws));
+            const job = await this.scanner.sendBotMessage(ws.botName, chatId, { text }, {
+                source: 'gateway',
+                requestId: requestId || null,
+                requestedBy: frame.requestedBy || null,
+                relayedFrom: relayedFrom
+            });
+
+            this.send(ws, {
+                type: 'message_queued',
+                success: true,
+                chatId: chatId,
+                requestId: requestId || null,
+                jobId: job.jobId,
+                status: job.status,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`❌ [GATEWAY] ${ws.botName} send failed:`, error.message);
+
+            this.send(ws, {
+                type: 'message_queued',
+                success: false,
+                chatId: chatId,
+                requestId: requestId || null,
+                error: error.message,
+                code: error.code || null
+            });
+        }
+    }
+
+    /**
+     * 🖼️ send_media → store the file (or reuse an uploaded mediaId) and queue it like any other message
+     * media: { data (base64) | mediaId, mimetype, fileName, caption, type, ptt }
+     */
+    async handleSendMedia(ws, frame) {
+        const { chatId, media, requestId } = frame;
+        const reject = (error, code = null) => this.send(ws, {
+            type: 'message_queued',
+            success: false,
+            chatId: chatId,
+            requestId: requestId || null,
+            error: error,
+            code: code
+        });
+
+        if (frame.botName && this.resolveBotName(frame.botName) !== ws.botName) {
+            reject('Connectors can only send through their own WhatsApp session');
+            return;
+        }
+
+        if (!chatId || !media || (typeof media.data !== 'string' && typeof media.mediaId !== 'string')) {
+            reject('chatId and media (data or mediaId) are required');
+            return;
+        }
+
+        try {
+            const relayedFrom = await savageOutboundConsent.authorizeRelay(ws.botName, frame, this.actorFor(ws));
+
+            let stored;
+            if (media.mediaId) {
+                stored = savageMedia.get(media.mediaId);
+                if (!stored || stored.botName !== ws.botName) {
+                    reject('Unknown mediaId');
+                    return;
+                }
+            } else {
+                stored = await savageMedia.store(ws.botName, Buffer.from(media.data, 'base64'), {
+                    mimetype: media.mimetype,
+                    fileName: media.fileName,
+                    type: media.type
+                });
+            }
+
+            const job = await this.scanner.sendBotMessage(ws.botName, chatId, {
+                media: {
+                    mediaId: stored.mediaId,
+                    type: media.mediaId ? savageMedia.resolveType(stored.mimetype, media.type || stored.type) : stored.type,
+                    caption: media.caption || null,
+                    fileName: media.fileName || stored.fileName || null,
+                    ptt: !!media.ptt
+                }
+            }, {
+                source: 'gateway',
+                requestId: requestId || null,
+                requestedBy: frame.requestedBy || null,
+                relayedFrom: relayedFrom
+            });
+
+            this.send(ws, {
+                type: 'message_queued',
+                success: true,
+                chatId: chatId,
+                requestId: requestId || null,
+                jobId: job.jobId,
+                mediaId: stored.mediaId,
+                status: job.status,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`❌ [GATEWAY] ${ws.botName} media send failed:`, error.message);
+            reject(error.message, error.code || null);
+        }
+    }
+
+    /**
+     * ✋ consent_request → list, allow or revoke chats on the bot's allowlist (the connector checks the owner role)
+     */
+    async handleConsentRequest(ws, frame) {
+        const { action, chatId, requestId } = frame;
+        const actor = { ...this.actorFor(ws), user: frame.requestedBy || `bot:${ws.botName}` };
+
+        const handlers = {
+            list: () => savageOutboundConsent.list(ws.botName),
+            allow: () => savageOutboundConsent.allow(ws.botName, chatId, actor),
+            revoke: () => savageOutboundConsent.revoke(ws.botName, chatId, actor)
+        };
+
+        const result = { type: 'consent_result', action: action, chatId: chatId || null, requestId: requestId || null };
+
+        if (!handlers[action]) {
+            this.send(ws, { ...result, success: false, error: `Unsupported consent action: ${action}`, code: 'INVALID_ACTION' });
+            return;
+        }
+        if (action !== 'list' && !chatId) {
+            this.send(ws, { ...result, success: false, error: 'chatId is required', code: 'INVALID_CHAT' });
+            return;
+        }
+
+        try {
+            const data = await handlers[action]();
+            this.send(ws, { ...result, success: true, data: data });
+        } catch (error) {
+            if (!error.code) console.error(`❌ [GATEWAY] ${ws.botName} consent ${action} failed:`, error.message);
+            this.send(ws, { ...result, success: false, error: error.message, code: error.code || 'CONSENT_ERROR' });
+        }
+    }
+
+    /**
+     * 📣 broadcast_request → broadcast lists and broadcasts (the connector checks who may do what)
+     * actions: lists, list, create, delete, subscribe, unsubscribe, send, status, runs
+     */
+    async handleBroadcastRequest(ws, frame) {
+        const { action, list, chatId, requestId } = frame;
+        const botName = ws.botName;
+        const actor = { ...this.actorFor(ws), user: frame.requestedBy || `bot:${botName}` };
+
+        const handlers = {
+            lists: () => savageBroadcastManager.listLists(botName),
+            list: () => savageBroadcastManager.getList(botName, list),
+            create: () => savageBroadcastManager.createList(botName, list, { description: frame.description }, actor),
+            delete: () => savageBroadcastManager.deleteList(botName, list, actor),
+            subscribe: () => savageBroadcastManager.subscribe(botName, list, chatId, frame.requestedBy || null),
+            unsubscribe: () => savageBroadcastManager.unsubscribe(botName, list, chatId),
+            send: () => savageBroadcastManager.send(botName, list, frame.text, {
+                source: 'gateway',
+                requestedBy: frame.requestedBy || null,
+                originChatId: frame.originChatId || null
+            }, actor),
+            status: () => savageBroadcastManager.getRun(botName, frame.broadcastId),
+            runs: () => savageBroadcastManager.listRuns(botName)
+        };
+
+        const result = { type: 'broadcast_result', action: action, list: list || null, requestId: requestId || null };
+
+        if (!handlers[action]) {
+            this.send(ws, { ...result, success: false, error: `Unsupported broadcast action: ${action}`, code: 'INVALID_ACTION' });
+            return;
+        }
+
+        try {
+            const data = await handlers[action]();
+            this.send(ws, { ...result, success: true, data: data });
+        } catch (error) {
+            if (!error.code) console.error(`❌ [GATEWAY] ${botName} broadcast ${action} failed:`, error.message);
+            this.send(ws, { ...result, success: false, error: error.message, code: error.code || 'BROADCAST_ERROR' });
+        }
+    }
+
+    actorFor(ws) {
+        return { user: `bot:${ws.botName}`, ip: ws.clientIP, source: 'gateway' };
+    }
+
+    /**
+     * 🔣 set_chat_prefix → persist a group admin's prefix override (null restores the bot default)
+     */
+    async handleSetChatPrefix(ws, frame) {
+        const { chatId, requestId } = frame;
+        const prefix = frame.prefix || null;
+        const reply = (fields) => this.send(ws, {
+            type: 'chat_prefix',
+            chatId: chatId,
+            requestId: requestId || null,
+            ...fields
+        });
+
+        if (!chatId || typeof chatId !== 'string') {
+            return reply({ success: false, error: 'chatId is required' });
+        }
+
+        if (prefix !== null && (typeof prefix !== 'string' || !BOT_CONFIG.COMMANDS.PREFIX_PATTERN.test(prefix))) {
+            return reply({ success: false, error: 'Prefix must be 1-3 symbols (no letters, digits or spaces)' });
+        }
+
+        try {
+            await savageDatabase.saveChatSetting(ws.botName, chatId, {
+                prefix: prefix,
+                updatedBy: frame.requestedBy || `bot:${ws.botName}`
+            });
+
+            console.log(`🔣 [GATEWAY] ${ws.botName} prefix in ${chatId} ${prefix ? `set to ${prefix}` : 'reset'}`);
+            reply({ success: true, prefix: prefix });
+        } catch (error) {
+            console.error(`❌ [GATEWAY] Could not save ${ws.botName} prefix for ${chatId}:`, error.message);
+            reply({ success: false, error: 'Prefix could not be saved' });
+        }
+    }
+
+    /**
+     * 🔗 media_url → fresh signed link for one of the bot's stored files
+     */
+    handleMediaUrl(ws, frame) {
+        const entry = savageMedia.get(frame.mediaId);
+
+        if (!entry || entry.botName !== ws.botName) {
+            this.send(ws, {
+                type: 'media_url',
+                success: false,
+                mediaId: frame.mediaId || null,
+                error: 'Unknown mediaId'
+            });
+            return;
+        }
+
+        this.send(ws, {
+            type: 'media_url',
+            success: true,
+            ...savageMedia.toPublic(entry)
+        });
+    }
+
+    /**
+     * 👥 group_request → group_result (always for the connector's own WhatsApp session)
+     * actions: list, metadata, add, remove, promote, demote, invite_link, revoke_invite, settings, join_requests, approve, reject
+     */
+    async handleGroupRequest(ws, frame) {
+        const { action, groupId, participants, requestId } = frame;
+        const botName = ws.botName;
+        const actor = this.actorFor(ws);
+
+        const handlers = {
+            list: () => savageGroupManager.listGroups(botName),
+            metadata: () => savageGroupManager.getGroup(botName, groupId, { refresh: !!frame.refresh }),
+            invite_link: () => savageGroupManager.getInviteLink(botName, groupId, actor),
+            revoke_invite: () => savageGroupManager.revokeInviteLink(botName, groupId, actor),
+            settings: () => savageGroupManager.updateSettings(botName, groupId, frame.settings, actor),
+            join_requests: () => savageGroupManager.listJoinRequests(botName, groupId)
+        };
+        for (const participantAction of ['add', 'remove', 'promote', 'demote']) {
+            handlers[participantAction] = () => savageGroupManager.updateParticipants(botName, groupId, participants, participantAction, actor);
+        }
+        for (const requestAction of ['approve', 'reject']) {
+            handlers[requestAction] = () => savageGroupManager.updateJoinRequests(botName, groupId, participants, requestAction, actor);
+        }
+
+        const reply = { type: 'group_result', action: action, groupId: groupId || null, requestId: requestId || null };
+
+        if (!handlers[action]) {
+            this.send(ws, { ...reply, success: false, error: `Unknown group action: ${action}`, code: 'INVALID_ACTION' });
+            return;
+        }
+
+        try {
+            const data = await handlers[action]();
+            this.send(ws, { ...reply, success: true, data: data, timestamp: new Date().toISOString() });
+        } catch (error) {
+            console.warn(`⚠️ [GATEWAY] ${botName} group ${action} failed:`, error.message);
+            this.send(ws, { ...reply, success: false, error: error.message, code: error.code || 'GROUP_ACTION_ERROR' });
+        }
+    }
+
+    /**
+     * 📊 bot_status → dashboard
+     */
+    handleBotStatus(ws, frame) {
+        ws.lastStatus = {
+            status: frame.status,
+            stats: frame.stats || null,
+            lastSeen: new Date()
+        };
+
+        this.scanner.emitBotEvent('connector_status', ws.botName, ws.lastStatus);
+    }
+
+    isConnected(botName) {
+        const ws = this.clients.get(botName);
+        return !!ws && ws.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * 📨 Send a frame to a bot's connector
+     */
+    sendToBot(botName, frame) {
+        const ws = this.clients.get(botName);
+        if (!ws) return false;
+
+        return this.send(ws, frame);
+    }
+
+    /**
+     * 📨 Serialize and send a frame
+     */
+    send(ws, frame) {
+        if (ws.readyState !== WebSocket.OPEN) return false;
+
+        try {
+            ws.send(JSON.stringify(frame));
+            this.stats.framesOut++;
+            return true;
+        } catch (error) {
+            console.error('❌ [GATEWAY] Frame send failed:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 🔌 Disconnect a bot's connector (e.g. its WhatsApp session was reset)
+     */
+    disconnectBot(botName, reason = 'Disconnected by scanner') {
+        const ws = this.clients.get(botName);
+        if (!ws) return false;
+
+        this.send(ws, { type: 'system_message', level: 'warning', message: reason });
+        this.closeWithError(ws, CLOSE_CODES.SESSION_RESET, reason);
+        return true;
+    }
+
+    /**
+     * 🚪 Close a socket with a reason
+     */
+    closeWithError(ws, code, reason) {
+        clearTimeout(ws.authTimer);
+        clearTimeout(ws.pongTimer);
+
+        if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+            ws.close(code, String(reason).substring(0, 120));
+        }
+    }
+
+    /**
+     * 🔌 Socket closed
+     */
+    handleClose(ws, code) {
+        clearTimeout(ws.authTimer);
+        clearTimeout(ws.pongTimer);
+
+        if (ws.botName && this.clients.get(ws.botName) === ws) {
+            this.clients.delete(ws.botName);
+            console.log(`🔌 [GATEWAY] ${ws.botName} connector disconnected (${code})`);
+            this.scanner.onConnectorDisconnected(ws.botName);
+        }
+    }
+
+    /**
+     * 💓 Any frame proves the connector is alive
+     */
+    markAlive(ws) {
+        if (ws.pongTimer) {
+            clearTimeout(ws.pongTimer);
+            ws.pongTimer = null;
+        }
+    }
+
+    /**
+     * 💓 Ping authenticated connectors, drop the ones that stop answering
+     */
+    startHeartbeat() {
+        this.heartbeatInterval = setInterval(() => {
+            for (const ws of this.clients.values()) {
+                if (ws.pongTimer) continue;
+
+                this.send(ws, { type: 'ping', timestamp: new Date().toISOString() });
+                ws.pongTimer = setTimeout(() => {
+                    console.warn(`⏰ [GATEWAY] ${ws.botName} missed heartbeat, terminating`);
+                    ws.terminate();
+                }, BOT_CONFIG.WEBSOCKET.PONG_TIMEOUT);
+            }
+
+            const now = Date.now();
+            for (const [hash, expiresAt] of this.usedAuthHashes) {
+                if (expiresAt < now) this.usedAuthHashes.delete(hash);
+            }
+        }, BOT_CONFIG.WEBSOCKET.PING_INTERVAL);
+    }
+
+    /**
+     * 🤖 Map connector bot names ('QUEEN RIXIE') onto registry names ('QUEEN-RIXIE')
+     */
+    resolveBotName(name) {
+        if (!name) return null;
+        if (SCANNER_IDENTITY.BOTS[name]) return name;
+
+        return Object.keys(SCANNER_IDENTITY.BOTS)
+            .find(key => SCANNER_IDENTITY.BOTS[key].name === name) || null;
+    }
+
+    /**
+     * 🔐 Constant-time string comparison
+     */
+    safeCompare(a, b) {
+        const bufferA = Buffer.from(String(a));
+        const bufferB = Buffer.from(String(b));
+
+        return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+    }
+
+    /**
+     * 📊 Gateway statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            path: BOT_CONFIG.WEBSOCKET.PATH,
+            sockets: this.wss ? this.wss.clients.size : 0,
+            connectedBots: Array.from(this.clients.keys())
+        };
+    }
+
+    /**
+     * 🏥 Health check
+     */
+    healthCheck() {
+        return {
+            status: this.wss ? 'healthy' : 'stopped',
+            path: BOT_CONFIG.WEBSOCKET.PATH,
+            connectedBots: Array.from(this.clients.keys()),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 🛑 Close every connector
+     */
+    shutdown() {
+        if (this.heartbeatInterval) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
+        }
+
+        if (this.wss) {
+            for (const ws of this.wss.clients) {
+                ws.close(1001, 'Scanner shutting down');
+            }
+            this.wss.close();
+            this.wss = null;
+        }
+
+        this.clients.clear();
+        console.log('🛑 [GATEWAY] Bot gateway stopped');
+    }
+}
+
+// Create singleton instance
+const savageBotGateway = new SavageBotGateway();
+
+module.exports = savageBotGateway;
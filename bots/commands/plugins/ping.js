@@ -0,0 +1,18 @@
+/**
+ * 🏓 Command plugin: !ping - loaded by every connector from bots/commands/plugins
+ * Drop another file here (a definition, an array of them, or a function(registry)) to add commands
+ * without touching the connector classes; set `bots: ['SAVAGE-X']` to limit one to a single bot
+ */
+
+module.exports = {
+    name: 'ping',
+    description: 'Check the bot is answering',
+    category: '🔌 *PLUGINS*',
+    cooldown: 5000,
+    handler: ({ bot, message, reply }) => {
+        const sentAt = message.timestamp ? new Date(message.timestamp).getTime() : null;
+        const latency = sentAt ? `${Math.max(0, Date.now() - sentAt)}ms` : 'unknown';
+
+        reply(`🏓 *PONG*\n${bot?.config?.botName || 'Bot'} is online\nLatency: ${latency}`);
+    }
+};
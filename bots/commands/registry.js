@@ -0,0 +1,476 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Bot Command Registry
+ * Declarative commands shared by the SAVAGE-X, DE-UKNOWN-BOT and QUEEN RIXIE connectors
+ * name / aliases / joi args / cooldown / required role / group-only or DM-only / help text - plus plugins from a directory
+ * Triggered by the bot's prefix (per-chat overrides from the scanner) or by @mentioning the bot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { BOT_CONFIG } = require('../../config/constants');
+
+const { PREFIX_PATTERN } = BOT_CONFIG.COMMANDS;
+
+// Lowest to highest - each role may run everything below it
+const ROLES = ['everyone', 'admin', 'owner'];
+const SCOPES = ['any', 'group', 'dm'];
+
+const NAME_PATTERN = /^[a-z0-9_-]+$/;
+
+const ARG_SCHEMA = Joi.object({
+    name: Joi.string().pattern(/^\w+$/).required(),
+    schema: Joi.object().schema().default(() => Joi.string()),
+    rest: Joi.boolean().default(false), // Last argument only - swallows the remaining words
+    description: Joi.string().allow('')
+});
+
+const DEFINITION_SCHEMA = Joi.object({
+    name: Joi.string().lowercase().pattern(NAME_PATTERN).required(),
+    aliases: Joi.array().items(Joi.string().lowercase().pattern(NAME_PATTERN)).default([]),
+    description: Joi.string().required(),
+    category: Joi.string().default('General'),
+    args: Joi.array().items(ARG_SCHEMA).default([]),
+    cooldown: Joi.number().integer().min(0).default(0), // ms per sender
+    role: Joi.string().valid(...ROLES).default('everyone'),
+    scope: Joi.string().valid(...SCOPES).default('any'),
+    hidden: Joi.boolean().default(false),
+    bots: Joi.array().items(Joi.string()), // Plugins: only load for these bots
+    handler: Joi.function().required()
+});
+
+const DEFAULT_PLUGIN_DIR = path.join(__dirname, 'plugins');
+
+class SavageCommandRegistry {
+    /**
+     * options: { bot, botName, logTag, prefix, reply(chatId, text), fetchGroup(groupId), savePrefix(chatId, prefix, sender),
+     *            owners, help: { title, footer, category }, messages: { error } }
+     */
+    constructor(options = {}) {
+        this.bot = options.bot || null; // Connector instance handed to every handler as ctx.bot
+        this.botName = options.botName;
+        this.logTag = options.logTag || options.botName || 'COMMANDS';
+        this.prefix = options.prefix || '!';
+        this.reply = options.reply;
+        this.fetchGroup = options.fetchGroup || null;
+        this.savePrefix = options.savePrefix || null;
+        this.chatPrefixes = new Map(); // chatId -> prefix set by that chat's admins
+        this.selfUser = null; // Linked WhatsApp number - @mentions of it trigger commands
+        this.owners = (options.owners || []).map(owner => this.userPart(owner)).filter(Boolean);
+        this.help = options.help || {};
+        this.messages = {
+            error: 'Error executing command. Please try again.',
+            ...options.messages
+        };
+
+        this.commands = new Map(); // name -> definition
+        this.aliases = new Map(); // alias -> name
+        this.cooldowns = new Map(); // `${name}:${sender}` -> last run
+
+        this.register({
+            name: 'help',
+            aliases: ['commands'],
+            description: 'Show this help message',
+            category: this.help.category || 'General',
+            args: [{ name: 'command', schema: Joi.string().lowercase() }],
+            handler: (ctx) => ctx.reply(ctx.args.command
+                ? this.commandHelp(ctx.args.command, ctx.prefix)
+                : this.helpText(ctx.prefix))
+        });
+
+        this.register({
+            name: 'prefix',
+            description: 'Change the command prefix in this group',
+            category: this.help.category || 'General',
+            role: 'admin',
+            scope: 'group',
+            args: [{
+                name: 'prefix',
+                schema: Joi.string().pattern(PREFIX_PATTERN).allow('reset').required()
+                    .messages({ 'string.pattern.base': 'prefix must be 1-3 symbols (no letters, digits or spaces)' }),
+                description: 'new prefix, or reset for the bot default'
+            }],
+            handler: (ctx) => this.handlePrefixCommand(ctx)
+        });
+    }
+
+    /**
+     * ➕ Add a command (throws on an invalid definition or a taken name)
+     */
+    register(definition) {
+        const { value, error } = DEFINITION_SCHEMA.validate(definition);
+        if (error) {
+            throw new Error(`Invalid command definition ${definition?.name || ''}: ${error.message}`);
+        }
+
+        for (const name of [value.name, ...value.aliases]) {
+            if (this.has(name)) {
+                throw new Error(`Command name already registered: ${this.prefix}${name}`);
+            }
+        }
+
+        const restIndex = value.args.findIndex(arg => arg.rest);
+        if (restIndex !== -1 && restIndex !== value.args.length - 1) {
+            throw new Error(`${this.prefix}${value.name}: only the last argument can be rest`);
+        }
+
+        value.validator = Joi.object(Object.fromEntries(value.args.map(arg => [arg.name, arg.schema])));
+
+        this.commands.set(value.name, value);
+        for (const alias of value.aliases) {
+            this.aliases.set(alias, value.name);
+        }
+
+        return value;
+    }
+
+    registerAll(definitions) {
+        for (const definition of definitions) {
+            this.register(definition);
+        }
+        return this;
+    }
+
+    /**
+     * 🔌 Load every .js plugin in a directory (a definition, an array of them, or a function(registry) returning either)
+     * A broken plugin is skipped with a warning - it never takes the connector down
+     */
+    loadPlugins(directory = DEFAULT_PLUGIN_DIR) {
+        if (!fs.existsSync(directory)) return 0;
+
+        let loaded = 0;
+        const files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+
+        for (const file of files) {
+            try {
+                let exported = require(path.join(directory, file));
+                if (typeof exported === 'function') exported = exported(this);
+
+                for (const definition of [].concat(exported || [])) {
+                    if (definition.bots && !definition.bots.includes(this.botName)) continue;
+
+                    this.register(definition);
+                    loaded++;
+                }
+            } catch (error) {
+                console.warn(`⚠️ [${this.logTag}] Command plugin ${file} skipped: ${error.message}`);
+            }
+        }
+
+        if (loaded > 0) {
+            console.log(`🔌 [${this.logTag}] Loaded ${loaded} plugin command(s)`);
+        }
+        return loaded;
+    }
+
+    has(name) {
+        return this.commands.has(name) || this.aliases.has(name);
+    }
+
+    find(name) {
+        const key = String(name || '').toLowerCase().replace(/^[^a-z0-9]+/, ''); // Tolerate a leading prefix of any kind
+
+        return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+    }
+
+    /**
+     * 🎯 Scanner-side settings: default prefix and the linked WhatsApp number (for @mentions)
+     */
+    configure({ prefix, phoneNumber } = {}) {
+        if (prefix && PREFIX_PATTERN.test(prefix)) this.prefix = prefix;
+        if (phoneNumber) this.setSelf(phoneNumber);
+    }
+
+    setSelf(jid) {
+        this.selfUser = this.userPart(jid) || null;
+    }
+
+    /**
+     * 💬 Per-chat overrides pushed by the scanner ({ chatId: prefix })
+     */
+    setChatPrefixes(prefixes = {}) {
+        this.chatPrefixes = new Map(Object.entries(prefixes));
+    }
+
+    setChatPrefix(chatId, prefix) {
+        if (prefix) {
+            this.chatPrefixes.set(chatId, prefix);
+        } else {
+            this.chatPrefixes.delete(chatId);
+        }
+    }
+
+    prefixFor(chatId) {
+        return this.chatPrefixes.get(chatId) || this.prefix;
+    }
+
+    /**
+     * 🔔 Body without leading @mentions of this bot (null when the message does not start by mentioning it)
+     */
+    stripMention(body, message) {
+        if (!this.selfUser || !(message.mentions || []).some(jid => this.userPart(jid) === this.selfUser)) return null;
+
+        const mention = new RegExp(`^(@${this.selfUser}\\s*)+`);
+        return mention.test(body) ? body.replace(mention, '') : null;
+    }
+
+    /**
+     * 🚦 Addressed to this bot: starts with this chat's prefix or with an @mention of the bot
+     */
+    isTriggered(message = {}) {
+        const body = String(message.body || '').trim();
+        return body.startsWith(this.prefixFor(message.from)) || this.stripMention(body, message) !== null;
+    }
+
+    /**
+     * 🔍 Message → { definition, name, argText, prefix } (null when it is not a known command)
+     * "!status" and "@bot status" both work; "@bot !status" too
+     */
+    parse(body, message = {}) {
+        const prefix = this.prefixFor(message.from);
+        let text = String(body || '').trim();
+
+        const mentioned = this.stripMention(text, message);
+        if (mentioned !== null) text = mentioned;
+
+        if (text.startsWith(prefix)) {
+            text = text.slice(prefix.length);
+        } else if (mentioned === null) {
+            return null;
+        }
+
+        const match = text.match(/^(\S+)\s*([\s\S]*)$/);
+        if (!match) return null;
+
+        const definition = this.find(match[1]);
+        return definition ? { definition, name: match[1].toLowerCase(), argText: match[2].trim(), prefix } : null;
+    }
+
+    /**
+     * 🔣 !prefix <symbols|reset> - persisted by the scanner, applied here straight away
+     */
+    async handlePrefixCommand(ctx) {
+        const prefix = ctx.args.prefix === 'reset' ? null : ctx.args.prefix;
+
+        if (this.savePrefix) {
+            await this.savePrefix(ctx.chatId, prefix, ctx.sender);
+        }
+        this.setChatPrefix(ctx.chatId, prefix);
+
+        const active = this.prefixFor(ctx.chatId);
+        ctx.reply(`🔣 Command prefix for ${this.botName} in this chat is now ${active}\nTry ${active}help`);
+    }
+
+    /**
+     * 🧩 Split arguments on spaces ("quoted words" stay together) and map them onto the definition's args
+     */
+    parseArgs(definition, argText) {
+        const tokens = [];
+        const pattern = /"([^"]*)"|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(argText)) !== null) {
+            tokens.push({ value: match[1] !== undefined ? match[1] : match[2], index: match.index });
+        }
+
+        const raw = {};
+        definition.args.forEach((arg, position) => {
+            const token = tokens[position];
+            if (!token) return;
+
+            raw[arg.name] = arg.rest ? argText.slice(token.index).trim() : token.value;
+        });
+
+        return { raw, tokens: tokens.map(token => token.value) };
+    }
+
+    /**
+     * ⚡ Run a parsed command for a WhatsApp message
+     * trusted: scanner-issued (dashboard operator) - skips role, scope and cooldown checks
+     */
+    async execute(invocation, message, { trusted = false } = {}) {
+        const { definition, name } = invocation;
+        const prefix = invocation.prefix || this.prefixFor(message.from);
+        const chatId = message.from;
+        const sender = message.sender || message.from;
+        const isGroup = !!message.isGroup || String(chatId || '').endsWith('@g.us');
+        const reply = (text) => this.reply(chatId, text);
+
+        try {
+            if (!trusted) {
+                if (definition.scope === 'group' && !isGroup) {
+                    reply(`👥 ${prefix}${definition.name} only works in groups.`);
+                    return false;
+                }
+                if (definition.scope === 'dm' && isGroup) {
+                    reply(`📩 ${prefix}${definition.name} only works in private chat.`);
+                    return false;
+                }
+
+                const role = await this.resolveRole(sender, chatId, isGroup, definition.role);
+                if (ROLES.indexOf(role) < ROLES.indexOf(definition.role)) {
+                    reply(`🚫 ${prefix}${definition.name} needs the ${definition.role} role.`);
+                    return false;
+                }
+
+                const wait = role === 'owner' ? 0 : this.cooldownLeft(definition, sender);
+                if (wait > 0) {
+                    reply(`⏳ ${prefix}${definition.name} is cooling down - try again in ${Math.ceil(wait / 1000)}s.`);
+                    return false;
+                }
+            }
+
+            const { raw, tokens } = this.parseArgs(definition, invocation.argText || '');
+            const { value: args, error } = definition.validator.validate(raw, { abortEarly: true });
+            if (error) {
+                reply(`❌ ${error.message}\nUsage: ${this.usage(definition, prefix)}`);
+                return false;
+            }
+
+            console.log(`⚡ [${this.logTag}] Executing ${prefix}${name}`);
+            if (definition.cooldown > 0) {
+                this.cooldowns.set(`${definition.name}:${sender}`, Date.now());
+            }
+
+            await definition.handler({
+                bot: this.bot,
+                args: args,
+                rawArgs: tokens,
+                message: message,
+                chatId: chatId,
+                sender: sender,
+                isGroup: isGroup,
+                prefix: prefix,
+                command: definition,
+                reply: reply
+            });
+            return true;
+        } catch (error) {
+            console.error(`❌ [${this.logTag}] ${prefix}${name} failed:`, error);
+            reply(this.messages.error);
+            return false;
+        }
+    }
+
+    /**
+     * 👤 Sender's role: owner (configured owners), admin (group admin) or everyone - never admin in a DM
+     * Group metadata is only fetched when the command actually needs an admin
+     */
+    async resolveRole(sender, chatId, isGroup, required) {
+        const user = this.userPart(sender);
+
+        if (this.owners.includes(user)) return 'owner';
+        if (required !== 'admin') return 'everyone';
+
+        // Admin only exists in groups - in a private chat anyone could message the bot, so they stay 'everyone'
+        if (!isGroup) return 'everyone';
+        if (!this.fetchGroup) return 'everyone';
+
+        try {
+            const group = await this.fetchGroup(chatId);
+            return group.admins.some(admin => this.userPart(admin) === user) ? 'admin' : 'everyone';
+        } catch (error) {
+            console.warn(`⚠️ [${this.logTag}] Could not check admins of ${chatId}: ${error.message}`);
+            return 'everyone';
+        }
+    }
+
+    cooldownLeft(definition, sender) {
+        if (!definition.cooldown) return 0;
+
+        const key = `${definition.name}:${sender}`;
+        const left = (this.cooldowns.get(key) || 0) + definition.cooldown - Date.now();
+        if (left <= 0) this.cooldowns.delete(key);
+
+        return Math.max(0, left);
+    }
+
+    /**
+     * 📇 Phone number part of a JID or number ("123:4@s.whatsapp.net" → "123")
+     */
+    userPart(jid) {
+        return String(jid || '').split('@')[0].split(':')[0].replace(/\D/g, '');
+    }
+
+    usage(definition, prefix = this.prefix) {
+        const args = definition.args.map(arg => {
+            const required = arg.schema.describe().flags?.presence === 'required';
+            const label = arg.rest ? `${arg.name}...` : arg.name;
+            return required ? `<${label}>` : `[${label}]`;
+        });
+
+        return [`${prefix}${definition.name}`, ...args].join(' ');
+    }
+
+    /**
+     * ❓ Generated !help - commands grouped by category in registration order
+     */
+    helpText(prefix = this.prefix) {
+        const categories = new Map();
+
+        // Built-in help is registered first but listed last
+        const definitions = Array.from(this.commands.values())
+            .sort((a, b) => (a.name === 'help') - (b.name === 'help'));
+
+        for (const definition of definitions) {
+            if (definition.hidden) continue;
+
+            if (!categories.has(definition.category)) categories.set(definition.category, []);
+            categories.get(definition.category).push(`${this.usage(definition, prefix)} - ${definition.description}`);
+        }
+
+        const sections = Array.from(categories.entries())
+            .map(([category, lines]) => `${category}\n${lines.join('\n')}`);
+
+        return [
+            this.help.title || `*${this.botName} COMMANDS*`,
+            ...sections,
+            this.help.footer
+        ].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * ❓ !help <command> - usage, aliases and restrictions for one command
+     */
+    commandHelp(name, prefix = this.prefix) {
+        const definition = this.find(name);
+        if (!definition || definition.hidden) {
+            return `Unknown command: ${prefix}${name}. Use ${prefix}help for available commands.`;
+        }
+
+        const lines = [
+            `*${prefix}${definition.name}* - ${definition.description}`,
+            `Usage: ${this.usage(definition, prefix)}`
+        ];
+
+        for (const arg of definition.args) {
+            if (arg.description) lines.push(`• ${arg.name}: ${arg.description}`);
+        }
+        if (definition.aliases.length > 0) {
+            lines.push(`Aliases: ${definition.aliases.map(alias => `${prefix}${alias}`).join(', ')}`);
+        }
+        if (definition.role !== 'everyone') lines.push(`Role: ${definition.role}`);
+        if (definition.scope !== 'any') lines.push(`Only in: ${definition.scope === 'group' ? 'groups' : 'private chat'}`);
+        if (definition.cooldown > 0) lines.push(`Cooldown: ${Math.ceil(definition.cooldown / 1000)}s`);
+
+        return lines.join('\n');
+    }
+
+    list() {
+        return Array.from(this.commands.values()).map(definition => ({
+            name: definition.name,
+            aliases: definition.aliases,
+            description: definition.description,
+            category: definition.category,
+            usage: this.usage(definition),
+            role: definition.role,
+            scope: definition.scope,
+            cooldown: definition.cooldown
+        }));
+    }
+}
+
+SavageCommandRegistry.ROLES = ROLES;
+SavageCommandRegistry.SCOPES = SCOPES;
+
+module.exports = SavageCommandRegistry;
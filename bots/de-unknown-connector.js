@@ -7,6 +7,9 @@
 const WebSocket = require('ws');
 const { EventEmitter } = require('events');
 const crypto = require('crypto');
+const SavageCommandRegistry = require('./commands/registry');
+const SavageStateStore = require('./state/store');
+const { SCANNER_IDENTITY } = require('../config/constants');
 
 class DEUnknownBot extends EventEmitter {
     constructor(config) {
@@ -27,6 +30,7 @@ class DEUnknownBot extends EventEmitter {
         this.isAuthenticated = false;
         this.reconnectAttempts = 0;
         this.messageQueue = [];
+        this.pendingGroupRequests = new Map(); // requestId -> { resolve, reject, timer }
         this.messageHistory = [];
         this.maxHistorySize = 1000;
 
@@ -46,15 +50,18 @@ class DEUnknownBot extends EventEmitter {
         };
 
         // Command registry
-        this.commands = new Map([
-            ['!deunknown', this.handleDeUnknownCommand.bind(this)],
-            ['!mystery', this.handleMysteryCommand.bind(this)],
-            ['!secret', this.handleSecretCommand.bind(this)],
-            ['!stealth', this.handleStealthCommand.bind(this)],
-            ['!reveal', this.handleRevealCommand.bind(this)],
-            ['!help', this.handleHelpCommand.bind(this)],
-            ['!status', this.handleStatusCommand.bind(this)]
-        ]);
+        this.commands = this.setupCommands();
+
+        // State persistence - stats and recent history survive restarts
+        this.stateStore = new SavageStateStore({
+            botName: 'DE-UKNOWN-BOT',
+            logTag: 'DE-UKNOWN',
+            backend: this.config.stateBackend,
+            mongoUri: this.config.mongoUri,
+            dir: this.config.stateDir,
+            interval: this.config.stateInterval
+        });
+        this.stateRestored = false;
 
         this.init();
     }
@@ -68,7 +75,7 @@ class DEUnknownBot extends EventEmitter {
         console.log(`🔑 [DE-UKNOWN] Session: ${this.config.sessionId}`);
 
         this.validateConfig();
-        this.connectToScanner();
+        this.restoreState().then(() => this.connectToScanner());
         this.setupHealthChecks();
 
         this.emit('initialized', {
@@ -78,6 +85,44 @@ class DEUnknownBot extends EventEmitter {
         });
     }
 
+    /**
+     * 🌌 Declare mystery commands (plugins from bots/commands/plugins are added on top)
+     */
+    setupCommands() {
+        const commands = new SavageCommandRegistry({
+            bot: this,
+            botName: 'DE-UKNOWN-BOT',
+            logTag: 'DE-UKNOWN',
+            prefix: this.config.prefix || SCANNER_IDENTITY.BOTS['DE-UKNOWN-BOT'].prefix,
+            owners: this.config.owners,
+            reply: (to, text) => this.sendReply(to, text),
+            fetchGroup: (groupId) => this.groupRequest('metadata', groupId),
+            savePrefix: (chatId, prefix, sender) => this.saveChatPrefix(chatId, prefix, sender),
+            help: {
+                title: '🦅 *DE-UKNOWN-BOT COMMANDS*',
+                category: '🔧 *UTILITY COMMANDS*',
+                footer: `🎭 *ABOUT*
+DE-UKNOWN-BOT - The mystery in your machine
+Some secrets are meant to be kept...`
+            }
+        });
+
+        const mystery = '🌌 *MYSTERY COMMANDS*';
+        const utility = '🔧 *UTILITY COMMANDS*';
+
+        commands.registerAll([
+            { name: 'deunknown', description: 'Activate mystery mode', category: mystery, handler: ({ message }) => this.handleDeUnknownCommand(message) },
+            { name: 'mystery', description: 'Reveal a random mystery', category: mystery, handler: ({ message }) => this.handleMysteryCommand(message) },
+            { name: 'secret', description: 'Access classified information', category: mystery, handler: ({ message }) => this.handleSecretCommand(message) },
+            { name: 'stealth', description: 'Toggle stealth mode', category: mystery, role: 'admin', handler: ({ message }) => this.handleStealthCommand(message) },
+            { name: 'reveal', description: 'Show bot capabilities', category: mystery, handler: ({ message }) => this.handleRevealCommand(message) },
+            { name: 'status', description: 'Check bot status', category: utility, handler: ({ message }) => this.handleStatusCommand(message) }
+        ]);
+
+        commands.loadPlugins(this.config.pluginDir);
+        return commands;
+    }
+
     /**
      * 🔧 Validate configuration
      */
@@ -159,13 +204,15 @@ class DEUnknownBot extends EventEmitter {
      * 🔐 Authenticate with scanner
      */
     authenticate() {
+        // The gateway recomputes the hash from timestamp - both must carry the same millisecond
+        const stampedAt = Date.now();
         const authMessage = {
             type: 'bot_auth',
             botName: this.config.botName,
             sessionId: this.config.sessionId,
             capabilities: this.state.features,
-            timestamp: new Date().toISOString(),
-            authHash: this.generateAuthHash()
+            timestamp: new Date(stampedAt).toISOString(),
+            authHash: this.generateAuthHash(stampedAt)
         };
 
         this.sendMessage(authMessage);
@@ -175,8 +222,8 @@ class DEUnknownBot extends EventEmitter {
     /**
      * 🔑 Generate authentication hash
      */
-    generateAuthHash() {
-        const data = `${this.config.botName}:${this.config.sessionId}:${Date.now()}`;
+    generateAuthHash(stampedAt) {
+        const data = `${this.config.botName}:${this.config.sessionId}:${stampedAt}`;
         return crypto.createHash('sha256').update(data).digest('hex');
     }
 
@@ -235,6 +282,31 @@ class DEUnknownBot extends EventEmitter {
                 this.handlePing(message);
                 break;
 
+            case 'message_queued':
+            case 'message_status':
+                this.handleMessageReceipt(message);
+                break;
+
+            case 'media_url':
+                this.emit('media_url', message);
+                break;
+
+            case 'group_result':
+                this.handleGroupResult(message);
+                break;
+
+            case 'group_update':
+                this.emit('group_update', message);
+                break;
+
+            case 'chat_prefixes':
+                this.commands.setChatPrefixes(message.prefixes);
+                break;
+
+            case 'chat_prefix':
+                this.handleChatPrefixResult(message);
+                break;
+
             default:
                 console.log(`📨 [DE-UKNOWN] Unknown message type: ${message.type}`);
                 this.emit('unknown_message', message);
@@ -248,6 +320,7 @@ class DEUnknownBot extends EventEmitter {
         if (message.success) {
             this.isAuthenticated = true;
             this.updateStatus('online');
+            this.commands.configure(message.scannerInfo || {});
             console.log('✅ [DE-UKNOWN] Authentication successful');
 
             this.emit('authenticated', {
@@ -277,9 +350,9 @@ class DEUnknownBot extends EventEmitter {
             this.state.messageCount++;
 
             // Check for commands
-            const command = this.extractCommand(data.body);
+            const command = this.commands.parse(data.body, data);
             if (command) {
-                this.executeCommand(command, data);
+                this.commands.execute(command, data);
             } else if (this.state.features.autoResponse) {
                 this.handleAutoResponse(data);
             }
@@ -299,42 +372,10 @@ class DEUnknownBot extends EventEmitter {
         // 2. Starts with command prefix
         // 3. In mystery mode (process all messages)
         return body.includes('DE-UKNOWN-BOT') || 
-               body.startsWith('!') ||
+               this.commands.isTriggered(message) ||
                this.state.features.mysteryMode;
     }
 
-    /**
-     # 🔍 Extract command from message
-     */
-    extractCommand(messageBody) {
-        if (!messageBody) return null;
-
-        const commandMatch = messageBody.match(/^(!\w+)/);
-        if (commandMatch && this.commands.has(commandMatch[1])) {
-            return commandMatch[1];
-        }
-
-        return null;
-    }
-
-    /**
-     * ⚡ Execute bot command
-     */
-    executeCommand(command, messageData) {
-        try {
-            const handler = this.commands.get(command);
-            if (handler) {
-                console.log(`⚡ [DE-UKNOWN] Executing command: ${command}`);
-                handler(messageData);
-            } else {
-                this.sendReply(messageData.from, `Unknown command: ${command}. Use !help for available commands.`);
-            }
-        } catch (error) {
-            console.error(`❌ [DE-UKNOWN] Command execution error:`, error);
-            this.sendReply(messageData.from, 'Error executing command. Please try again.');
-        }
-    }
-
     /**
      * 🌌 Handle !deunknown command
      */
@@ -419,32 +460,6 @@ ${capabilities}
         this.sendReply(messageData.from, stats);
     }
 
-    /**
-     * ❓ Handle !help command
-     */
-    handleHelpCommand(messageData) {
-        const helpText = `
-🦅 *DE-UKNOWN-BOT COMMANDS*
-
-🌌 *MYSTERY COMMANDS*
-!deunknown - Activate mystery mode
-!mystery - Reveal a random mystery
-!secret - Access classified information
-!stealth - Toggle stealth mode
-!reveal - Show bot capabilities
-
-🔧 *UTILITY COMMANDS*  
-!help - Show this help message
-!status - Check bot status
-
-🎭 *ABOUT*
-DE-UKNOWN-BOT - The mystery in your machine
-Some secrets are meant to be kept...
-        `.trim();
-
-        this.sendReply(messageData.from, helpText);
-    }
-
     /**
      * 📊 Handle !status command
      */
@@ -479,10 +494,68 @@ Some secrets are meant to be kept...
         } else if (body.includes('secret') || body.includes('mystery')) {
             this.sendReply(messageData.from, "🔮 Some mysteries are better left unsolved...");
         } else if (body.includes('help')) {
-            this.sendReply(messageData.from, "💡 Use !help to see my available commands.");
+            this.sendReply(messageData.from, `💡 Use ${this.commands.prefixFor(messageData.from)}help to see my available commands.`);
+        }
+    }
+
+    /**
+     * 🤖 Handle scanner-issued bot command
+     */
+    handleBotCommand(message) {
+        const name = String(message.command || '');
+        const definition = this.commands.find(name);
+
+        if (definition) {
+            const data = message.data || {};
+            this.commands.execute({ definition, name: definition.name, argText: String(message.args || '') }, data, { trusted: true });
+        } else {
+            console.log(`📨 [DE-UKNOWN] Unknown scanner command: ${name}`);
         }
     }
 
+    /**
+     * 📡 Handle scanner status update (WhatsApp link state)
+     */
+    handleStatusUpdate(message) {
+        this.state.whatsappStatus = message.status;
+        if (message.phoneNumber) this.commands.setSelf(message.phoneNumber);
+        console.log(`📡 [DE-UKNOWN] Scanner status: ${message.status}`);
+
+        this.emit('scanner_status', message);
+    }
+
+    /**
+     * 📢 Handle scanner system message
+     */
+    handleSystemMessage(message) {
+        const log = message.level === 'warning' || message.level === 'error' ? console.warn : console.log;
+        log(`📢 [DE-UKNOWN] Scanner: ${message.message}`);
+
+        this.emit('system_message', message);
+    }
+
+    /**
+     * 📬 Outbound receipt from the scanner (queued → sent → delivered → read, or failed)
+     */
+    handleMessageReceipt(message) {
+        if (message.success === false || message.status === 'failed') {
+            console.warn(`⚠️ [DE-UKNOWN] Message to ${message.chatId} failed: ${message.error || message.lastError}`);
+        }
+
+        this.emit('message_status', message);
+    }
+
+    /**
+     * 🏓 Answer scanner heartbeat
+     */
+    handlePing(message) {
+        this.sendMessage({
+            type: 'pong',
+            botName: this.config.botName,
+            timestamp: new Date().toISOString()
+        });
+    }
+
     /**
      * 📤 Send reply message
      */
@@ -498,6 +571,113 @@ Some secrets are meant to be kept...
         this.sendMessage(replyMessage);
     }
 
+    /**
+     * 🖼️ Send media (Buffer, base64 string or an already stored mediaId) - inbound media arrives as a signed media.url
+     */
+    sendMedia(to, media, options = {}) {
+        const frame = {
+            type: 'send_media',
+            chatId: to,
+            media: {
+                mimetype: options.mimetype || null,
+                fileName: options.fileName || null,
+                caption: options.caption || null,
+                type: options.type || null,
+                ptt: !!options.ptt
+            },
+            requestId: options.requestId || null,
+            botName: this.config.botName,
+            timestamp: new Date().toISOString()
+        };
+
+        if (options.mediaId) {
+            frame.media.mediaId = options.mediaId;
+        } else {
+            frame.media.data = Buffer.isBuffer(media) ? media.toString('base64') : media;
+        }
+
+        this.sendMessage(frame);
+    }
+
+    /**
+     * 🔗 Ask for a fresh signed link to stored media (answered with a 'media_url' event)
+     */
+    requestMediaUrl(mediaId) {
+        this.sendMessage({
+            type: 'media_url',
+            mediaId: mediaId,
+            botName: this.config.botName,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * 👥 Group action through the scanner - resolves with the group_result data
+     * actions: list, metadata, add, remove, promote, demote, invite_link, revoke_invite, settings, join_requests, approve, reject
+     */
+    groupRequest(action, groupId = null, params = {}) {
+        const requestId = crypto.randomBytes(8).toString('hex');
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingGroupRequests.delete(requestId);
+                reject(new Error(`Group ${action} timed out`));
+            }, 30000);
+
+            this.pendingGroupRequests.set(requestId, { resolve, reject, timer });
+            this.sendMessage({
+                type: 'group_request',
+                action: action,
+                groupId: groupId,
+                ...params,
+                requestId: requestId,
+                botName: this.config.botName,
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+
+    /**
+     * 🔣 Persist a chat's prefix override on the scanner (it is pushed back as chat_prefixes on every login)
+     */
+    saveChatPrefix(chatId, prefix, requestedBy) {
+        this.sendMessage({
+            type: 'set_chat_prefix',
+            chatId: chatId,
+            prefix: prefix,
+            requestedBy: requestedBy || null,
+            botName: this.config.botName,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    handleChatPrefixResult(message) {
+        if (message.success) {
+            this.commands.setChatPrefix(message.chatId, message.prefix);
+        } else {
+            console.warn(`⚠️ [DE-UKNOWN] Prefix for ${message.chatId} not saved: ${message.error}`);
+        }
+    }
+
+    /**
+     * 👥 Settle a pending groupRequest()
+     */
+    handleGroupResult(message) {
+        const pending = this.pendingGroupRequests.get(message.requestId);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingGroupRequests.delete(message.requestId);
+
+        if (message.success) {
+            pending.resolve(message.data);
+        } else {
+            const error = new Error(message.error);
+            error.code = message.code;
+            pending.reject(error);
+        }
+    }
+
     /**
      * 📨 Send message to scanner
      */
@@ -541,7 +721,7 @@ Some secrets are meant to be kept...
         this.reconnectAttempts++;
         const delay = this.config.reconnectDelay * this.reconnectAttempts;
 
-        console.log(`🔄 [DE-UKNOWN] Reconnecting in ${delay/1000}s (Attempt ${this.reconnectAttempts})`);
+        console.log(`🔄 [DE-UKNOWN] Reconnecting in ${delay / 1000}s (Attempt ${this.reconnectAttempts})`);
 
         setTimeout(() => {
             this.connectToScanner();
@@ -639,6 +819,40 @@ Some secrets are meant to be kept...
         };
     }
 
+    /**
+     * 💾 Restore the last snapshot once per process, then snapshot on an interval
+     */
+    async restoreState() {
+        if (this.stateRestored) return;
+        this.stateRestored = true;
+
+        try {
+            const snapshot = await this.stateStore.load();
+            if (snapshot) this.applyState(snapshot);
+        } catch (error) {
+            console.error(`❌ [DE-UKNOWN] State restore failed:`, error.message);
+        }
+
+        this.stateStore.start(() => this.snapshotState());
+    }
+
+    /**
+     * 📸 Plain-JSON snapshot of what should survive a restart
+     */
+    snapshotState() {
+        return {
+            messageCount: this.state.messageCount,
+            errorCount: this.state.errorCount,
+            messageHistory: SavageStateStore.historySnapshot(this.messageHistory)
+        };
+    }
+
+    applyState(snapshot) {
+        this.state.messageCount = snapshot.messageCount || 0;
+        this.state.errorCount = snapshot.errorCount || 0;
+        this.messageHistory = snapshot.messageHistory || [];
+    }
+
     /**
      * 🛑 Disconnect bot
      */
@@ -653,6 +867,8 @@ Some secrets are meant to be kept...
         this.isAuthenticated = false;
         this.updateStatus('offline');
 
+        this.stateStore.save(this.snapshotState()).catch(() => {});
+
         this.emit('disconnected');
     }
 
@@ -671,11 +887,6 @@ Some secrets are meant to be kept...
 
 module.exports = DEUnknownBot;
 
-// 🚀 Quick start function
-function createDEUnknownBot(config) {
-    return new DEUnknownBot(config);
-}
-
 // 📝 Example usage
 if (require.main === module) {
     const bot = new DEUnknownBot({
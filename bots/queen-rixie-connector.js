@@ -7,6 +7,10 @@
 const WebSocket = require('ws');
 const { EventEmitter } = require('events');
 const crypto = require('crypto');
+const Joi = require('joi');
+const SavageCommandRegistry = require('./commands/registry');
+const SavageStateStore = require('./state/store');
+const { SCANNER_IDENTITY } = require('../config/constants');
 
 class QueenRixieBot extends EventEmitter {
     constructor(config) {
@@ -21,6 +25,7 @@ class QueenRixieBot extends EventEmitter {
             reconnectDelay: 8000,
             royalProtocol: true,
             commandAuthority: 'supreme',
+            decreeList: 'decrees', // Broadcast list that !decree and !command all go to
             ...config
         };
 
@@ -29,6 +34,8 @@ class QueenRixieBot extends EventEmitter {
         this.isAuthenticated = false;
         this.reconnectAttempts = 0;
         this.messageQueue = [];
+        this.pendingGroupRequests = new Map(); // requestId -> { resolve, reject, timer }
+        this.pendingBroadcastRequests = new Map(); // requestId -> { resolve, reject, timer }
         this.royalDecrees = [];
         this.messageHistory = [];
         this.maxHistorySize = 1500;
@@ -55,19 +62,18 @@ class QueenRixieBot extends EventEmitter {
         };
 
         // Command registry - ROYAL DECREES
-        this.commands = new Map([
-            ['!queen', this.handleQueenCommand.bind(this)],
-            ['!royal', this.handleRoyalCommand.bind(this)],
-            ['!command', this.handleCommandCommand.bind(this)],
-            ['!decree', this.handleDecreeCommand.bind(this)],
-            ['!court', this.handleCourtCommand.bind(this)],
-            ['!subjects', this.handleSubjectsCommand.bind(this)],
-            ['!authority', this.handleAuthorityCommand.bind(this)],
-            ['!throne', this.handleThroneCommand.bind(this)],
-            ['!help', this.handleHelpCommand.bind(this)],
-            ['!status', this.handleStatusCommand.bind(this)],
-            ['!edict', this.handleEdictCommand.bind(this)]
-        ]);
+        this.commands = this.setupCommands();
+
+        // State persistence - subjects, edicts, stats and recent history survive restarts
+        this.stateStore = new SavageStateStore({
+            botName: 'QUEEN-RIXIE',
+            logTag: 'QUEEN RIXIE',
+            backend: this.config.stateBackend,
+            mongoUri: this.config.mongoUri,
+            dir: this.config.stateDir,
+            interval: this.config.stateInterval
+        });
+        this.stateRestored = false;
 
         // Royal responses
         this.royalResponses = {
@@ -90,7 +96,7 @@ class QueenRixieBot extends EventEmitter {
         console.log(`💎 [QUEEN RIXIE] Royal Protocol: ${this.config.royalProtocol}`);
 
         this.validateConfig();
-        this.connectToScanner();
+        this.restoreState().then(() => this.connectToScanner());
         this.setupRoyalCourt();
         this.setupHealthChecks();
 
@@ -102,6 +108,100 @@ class QueenRixieBot extends EventEmitter {
         });
     }
 
+    /**
+     * 👑 Declare royal commands (plugins from bots/commands/plugins are added on top)
+     */
+    setupCommands() {
+        const commands = new SavageCommandRegistry({
+            bot: this,
+            botName: 'QUEEN-RIXIE',
+            logTag: 'QUEEN RIXIE',
+            prefix: this.config.prefix || SCANNER_IDENTITY.BOTS['QUEEN-RIXIE'].prefix,
+            owners: this.config.owners,
+            reply: (to, text) => this.sendRoyalReply(to, text),
+            fetchGroup: (groupId) => this.groupRequest('metadata', groupId),
+            savePrefix: (chatId, prefix, sender) => this.saveChatPrefix(chatId, prefix, sender),
+            help: {
+                title: '👑 *QUEEN RIXIE ROYAL COMMANDS*',
+                category: '👥 *ROYAL SUBJECTS*',
+                footer: `🎭 *ROYAL PROTOCOL*
+Address me as: Queen, Your Majesty, Sovereign`
+            },
+            messages: { error: 'ROYAL CHAMBER ERROR. Decree could not be executed.' }
+        });
+
+        const presence = '💎 *ROYAL PRESENCE*';
+        const governance = '⚡ *ROYAL GOVERNANCE*';
+        const subjects = '👥 *ROYAL SUBJECTS*';
+
+        commands.registerAll([
+            { name: 'queen', description: 'Acknowledge royal presence', category: presence, handler: ({ message }) => this.handleQueenCommand(message) },
+            { name: 'royal', description: 'Issue royal edict', category: presence, handler: ({ message }) => this.handleRoyalCommand(message) },
+            { name: 'throne', description: 'Check throne status', category: presence, handler: ({ message }) => this.handleThroneCommand(message) },
+            { name: 'authority', description: 'Display royal authority', category: presence, handler: ({ message }) => this.handleAuthorityCommand(message) },
+            {
+                name: 'command',
+                description: 'Issue royal command',
+                category: governance,
+                role: 'admin',
+                args: [
+                    { name: 'subject', schema: Joi.string().default('all'), description: 'chat ID, or all for the decree list (owners)' },
+                    { name: 'directive', schema: Joi.string().default('Serve your queen!'), rest: true }
+                ],
+                handler: ({ message, args }) => this.handleCommandCommand(message, args)
+            },
+            {
+                name: 'decree',
+                description: 'Proclaim a royal decree to the decree list',
+                category: governance,
+                role: 'owner',
+                args: [{ name: 'message', schema: Joi.string().default('The queen is pleased with her loyal subjects.'), rest: true }],
+                handler: ({ message, args }) => this.handleDecreeCommand(message, args)
+            },
+            {
+                name: 'broadcast',
+                description: 'Manage broadcast lists and proclaim to them',
+                category: governance,
+                role: 'owner',
+                args: [
+                    { name: 'action', schema: Joi.string().lowercase().valid('lists', 'create', 'delete', 'send', 'status', 'history').default('lists'), description: 'lists / create / delete / send / status / history' },
+                    { name: 'target', description: 'list name (broadcast ID for status)' },
+                    { name: 'text', description: 'message (send) or description (create)', rest: true }
+                ],
+                handler: ({ message, args }) => this.handleBroadcastCommand(message, args)
+            },
+            { name: 'court', description: 'Toggle court session', category: governance, role: 'admin', handler: ({ message }) => this.handleCourtCommand(message) },
+            {
+                name: 'edict',
+                description: 'Manage royal edicts',
+                category: governance,
+                args: [{ name: 'edict', description: 'message, list or clear', rest: true }],
+                handler: ({ message, args }) => this.handleEdictCommand(message, args)
+            },
+            { name: 'subjects', description: 'View subject registry', category: subjects, handler: ({ message }) => this.handleSubjectsCommand(message) },
+            {
+                name: 'subscribe',
+                description: 'Receive royal proclamations from a list',
+                category: subjects,
+                scope: 'dm',
+                args: [{ name: 'list', description: 'list name (leave out to see the lists)' }],
+                handler: ({ message, args }) => this.handleSubscribeCommand(message, args)
+            },
+            {
+                name: 'unsubscribe',
+                description: 'Stop receiving a list (reply STOP to leave every list)',
+                category: subjects,
+                scope: 'dm',
+                args: [{ name: 'list', schema: Joi.string().required() }],
+                handler: ({ message, args }) => this.handleUnsubscribeCommand(message, args)
+            },
+            { name: 'status', description: 'Check royal status', category: subjects, handler: ({ message }) => this.handleStatusCommand(message) }
+        ]);
+
+        commands.loadPlugins(this.config.pluginDir);
+        return commands;
+    }
+
     /**
      * 🔧 Validate configuration - ROYAL STANDARDS
      */
@@ -185,6 +285,8 @@ class QueenRixieBot extends EventEmitter {
      * 🔐 Authenticate with scanner - ROYAL SEAL
      */
     authenticate() {
+        // The scanner verifies the seal against this exact timestamp
+        const stampedAt = Date.now();
         const authMessage = {
             type: 'bot_auth',
             botName: this.config.botName,
@@ -192,8 +294,8 @@ class QueenRixieBot extends EventEmitter {
             capabilities: this.state.features,
             royalTier: this.state.royalTier,
             commandAuthority: this.config.commandAuthority,
-            timestamp: new Date().toISOString(),
-            authHash: this.generateRoyalHash(),
+            timestamp: new Date(stampedAt).toISOString(),
+            authHash: this.generateRoyalHash(stampedAt),
             royalSeal: true
         };
 
@@ -204,8 +306,8 @@ class QueenRixieBot extends EventEmitter {
     /**
      * 🔑 Generate royal authentication hash
      */
-    generateRoyalHash() {
-        const data = `ROYAL:${this.config.botName}:${this.config.sessionId}:${Date.now()}:THRONE`;
+    generateRoyalHash(stampedAt) {
+        const data = `ROYAL:${this.config.botName}:${this.config.sessionId}:${stampedAt}:THRONE`;
         return crypto.createHash('sha256').update(data).digest('hex');
     }
 
@@ -264,6 +366,39 @@ class QueenRixieBot extends EventEmitter {
                 this.handlePing(message);
                 break;
 
+            case 'message_queued':
+            case 'message_status':
+                this.handleMessageReceipt(message);
+                break;
+
+            case 'media_url':
+                this.emit('media_url', message);
+                break;
+
+            case 'group_result':
+                this.handleGroupResult(message);
+                break;
+
+            case 'broadcast_result':
+                this.handleBroadcastResult(message);
+                break;
+
+            case 'broadcast_report':
+                this.handleBroadcastReport(message);
+                break;
+
+            case 'group_update':
+                this.emit('group_update', message);
+                break;
+
+            case 'chat_prefixes':
+                this.commands.setChatPrefixes(message.prefixes);
+                break;
+
+            case 'chat_prefix':
+                this.handleChatPrefixResult(message);
+                break;
+
             case 'royal_request':
                 this.handleRoyalRequest(message);
                 break;
@@ -281,6 +416,7 @@ class QueenRixieBot extends EventEmitter {
         if (message.success) {
             this.isAuthenticated = true;
             this.updateStatus('online');
+            this.commands.configure(message.scannerInfo || {});
             console.log('✅ [QUEEN RIXIE] Royal authentication approved - THRONE ACTIVE');
 
             this.emit('royal_authenticated', {
@@ -315,9 +451,10 @@ class QueenRixieBot extends EventEmitter {
             this.registerSubject(data.from);
 
             // Check for commands
-            const command = this.extractCommand(data.body);
+            const command = this.commands.parse(data.body, data);
             if (command) {
-                this.executeCommand(command, data);
+                this.state.commandCount++;
+                this.commands.execute(command, data);
             } else if (this.isRoyalAddress(data.body)) {
                 this.handleRoyalAddress(data);
             }
@@ -338,7 +475,7 @@ class QueenRixieBot extends EventEmitter {
         // 3. From registered subjects
         // 4. Royal protocol requires attention
         return this.isRoyalAddress(body) || 
-               body.startsWith('!') ||
+               this.commands.isTriggered(message) ||
                this.state.subjects.has(message.from) ||
                this.config.royalProtocol;
     }
@@ -351,39 +488,6 @@ class QueenRixieBot extends EventEmitter {
         return royalTerms.some(term => messageBody.toLowerCase().includes(term));
     }
 
-    /**
-     * 🔍 Extract command from message
-     */
-    extractCommand(messageBody) {
-        if (!messageBody) return null;
-
-        const commandMatch = messageBody.match(/^(!\w+)/);
-        if (commandMatch && this.commands.has(commandMatch[1])) {
-            return commandMatch[1];
-        }
-
-        return null;
-    }
-
-    /**
-     * ⚡ Execute bot command - ROYAL DECREE
-     */
-    executeCommand(command, messageData) {
-        try {
-            const handler = this.commands.get(command);
-            if (handler) {
-                console.log(`⚡ [QUEEN RIXIE] Executing royal decree: ${command}`);
-                this.state.commandCount++;
-                handler(messageData);
-            } else {
-                this.sendRoyalReply(messageData.from, `UNKNOWN ROYAL DECREE: ${command}. Use !help for royal commands.`);
-            }
-        } catch (error) {
-            console.error(`❌ [QUEEN RIXIE] Royal decree execution error:`, error);
-            this.sendRoyalReply(messageData.from, 'ROYAL CHAMBER ERROR. Decree could not be executed.');
-        }
-    }
-
     /**
      * 👑 Handle !queen command
      */
@@ -419,40 +523,184 @@ class QueenRixieBot extends EventEmitter {
     /**
      * ⚡ Handle !command command
      */
-    handleCommandCommand(messageData) {
-        const args = messageData.body.split(' ').slice(1);
-        const subject = args[0] || 'all';
-        const directive = args.slice(1).join(' ') || 'Serve your queen!';
+    async handleCommandCommand(messageData, args) {
+        const { subject, directive } = args;
+
+        // "all" is a broadcast to the decree list - owners only
+        if (subject === 'all') {
+            const role = await this.commands.resolveRole(messageData.sender, messageData.from, messageData.isGroup, 'owner');
+            if (role !== 'owner') {
+                this.sendRoyalReply(messageData.from, '🚫 Only the crown\'s owners may command the whole realm.');
+                return;
+            }
+        }
 
-        this.issueRoyalCommand(subject, directive);
-        this.sendRoyalReply(messageData.from, `⚡ *ROYAL COMMAND ISSUED*\nSubject: ${subject}\nDirective: ${directive}`);
+        try {
+            const broadcast = await this.issueRoyalCommand(subject, directive, messageData);
+            this.sendRoyalReply(messageData.from, broadcast
+                ? `⚡ *ROYAL COMMAND PROCLAIMED*\nList: ${broadcast.listName} (${broadcast.total} subjects)\nDirective: ${directive}\nBroadcast: ${broadcast.broadcastId}`
+                : `⚡ *ROYAL COMMAND ISSUED*\nSubject: ${subject}\nDirective: ${directive}`);
+        } catch (error) {
+            this.sendRoyalReply(messageData.from, `⚡ *THE COMMAND COULD NOT BE PROCLAIMED*\n${error.message}`);
+        }
     }
 
     /**
      * 📜 Handle !decree command
      */
-    handleDecreeCommand(messageData) {
-        const args = messageData.body.split(' ').slice(1);
-        const decree = args.join(' ') || 'The queen is pleased with her loyal subjects.';
+    async handleDecreeCommand(messageData, args) {
+        const decree = args.message;
 
-        this.issueRoyalDecree(decree);
-        this.sendRoyalReply(messageData.from, `📜 *ROYAL DECREE RECORDED*\n\"${decree}\"`);
+        try {
+            const broadcast = await this.issueRoyalDecree(decree, messageData);
+            this.sendRoyalReply(messageData.from, `📜 *ROYAL DECREE PROCLAIMED*\n"${decree}"\nList: ${broadcast.listName} (${broadcast.total} subjects)\nBroadcast: ${broadcast.broadcastId}`);
+        } catch (error) {
+            this.sendRoyalReply(messageData.from, `📜 *THE DECREE COULD NOT BE PROCLAIMED*\n${error.message}`);
+        }
     }
 
     /**
-     * 🏛️ Handle !court command
+     * 📣 Handle !broadcast command (owners) - lists, create, delete, send, status, history
      */
-    handleCourtCommand(messageData) {
-        this.state.features.courtSession = !this.state.features.courtSession;
-        
-        const status = this.state.features.courtSession ? 'IN SESSION' : 'ADJOURNED';
+    async handleBroadcastCommand(messageData, args) {
+        const { action, target, text } = args;
+        const prefix = this.commands.prefixFor(messageData.from);
+
+        if (['create', 'delete', 'send', 'status'].includes(action) && !target) {
+            this.sendRoyalReply(messageData.from, `📣 Usage: ${prefix}broadcast ${action} <${action === 'status' ? 'broadcast ID' : 'list'}>${action === 'send' ? ' <message>' : ''}`);
+            return;
+        }
+
+        try {
+            switch (action) {
+                case 'lists': {
+                    const lists = await this.broadcastRequest('lists');
+                    this.sendRoyalReply(messageData.from, `📣 *ROYAL BROADCAST LISTS*\n${this.formatLists(lists)}`);
+                    break;
+                }
+
+                case 'create': {
+                    const list = await this.broadcastRequest('create', { list: target, description: text || null, requestedBy: messageData.sender });
+                    this.sendRoyalReply(messageData.from, `📣 *LIST ESTABLISHED*\n${list.name}\nSubjects join with ${prefix}subscribe ${list.name}`);
+                    break;
+                }
+
+                case 'delete': {
+                    const list = await this.broadcastRequest('delete', { list: target, requestedBy: messageData.sender });
+                    this.sendRoyalReply(messageData.from, `📣 *LIST DISSOLVED*\n${list.name} (${list.subscribers} subjects released)`);
+                    break;
+                }
+
+                case 'send': {
+                    if (!text) {
+                        this.sendRoyalReply(messageData.from, `📣 Usage: ${prefix}broadcast send <list> <message>`);
+                        return;
+                    }
+                    const broadcast = await this.proclaim(target, `📣 *ROYAL PROCLAMATION*\n${text}`, messageData);
+                    this.sendRoyalReply(messageData.from, `📣 *PROCLAMATION DISPATCHED*\nList: ${broadcast.listName} (${broadcast.total} subjects)\nBroadcast: ${broadcast.broadcastId}\nA report follows once every subject has been reached.`);
+                    break;
+                }
+
+                case 'status': {
+                    const broadcast = await this.broadcastRequest('status', { broadcastId: target });
+                    this.sendRoyalReply(messageData.from, this.formatBroadcastReport(broadcast));
+                    break;
+                }
+
+                case 'history': {
+                    const broadcasts = await this.broadcastRequest('runs');
+                    const lines = broadcasts.slice(0, 10)
+                        .map(broadcast => `• ${broadcast.broadcastId} → ${broadcast.listName} (${broadcast.total}, ${broadcast.status})`)
+                        .join('\n');
+                    this.sendRoyalReply(messageData.from, `📣 *RECENT PROCLAMATIONS*\n${lines || 'None yet'}`);
+                    break;
+                }
+            }
+        } catch (error) {
+            this.sendRoyalReply(messageData.from, `📣 *BROADCAST ${action.toUpperCase()} FAILED*\n${error.message}`);
+        }
+    }
+
+    /**
+     * 🙋 Handle !subscribe command - the chat it is sent from joins the list
+     */
+    async handleSubscribeCommand(messageData, args) {
+        try {
+            if (!args.list) {
+                const lists = await this.broadcastRequest('lists');
+                this.sendRoyalReply(messageData.from, `📣 *ROYAL BROADCAST LISTS*\n${this.formatLists(lists)}\n\nJoin with ${this.commands.prefixFor(messageData.from)}subscribe <list>`);
+                return;
+            }
+
+            const result = await this.broadcastRequest('subscribe', { list: args.list, chatId: messageData.from, requestedBy: messageData.sender });
+            this.sendRoyalReply(messageData.from, result.changed
+                ? `🙋 *WELCOME TO THE ROYAL LIST ${result.list.toUpperCase()}*\nYou will receive the queen's proclamations. Reply STOP at any time to leave every list.`
+                : `🙋 You already receive ${result.list}.`);
+        } catch (error) {
+            this.sendRoyalReply(messageData.from, `🙋 *SUBSCRIPTION REFUSED*\n${error.message}`);
+        }
+    }
+
+    /**
+     * 👋 Handle !unsubscribe command
+     */
+    async handleUnsubscribeCommand(messageData, args) {
+        try {
+            const result = await this.broadcastRequest('unsubscribe', { list: args.list, chatId: messageData.from });
+            this.sendRoyalReply(messageData.from, result.changed
+                ? `👋 You will no longer receive ${result.list}.`
+                : `👋 You were not subscribed to ${result.list}.`);
+        } catch (error) {
+            this.sendRoyalReply(messageData.from, `👋 *COULD NOT UNSUBSCRIBE*\n${error.message}`);
+        }
+    }
+
+    /**
+     * 🏛️ Handle !court command - in a group, court in session means only admins may speak
+     */
+    async handleCourtCommand(messageData) {
+        const inSession = !this.state.features.courtSession;
+
+        if (messageData.isGroup) {
+            try {
+                await this.groupRequest('settings', messageData.from, { settings: { announce: inSession } });
+            } catch (error) {
+                this.sendRoyalReply(messageData.from, `🏛️ *THE COURT CANNOT BE CALLED*\n${error.message}`);
+                return;
+            }
+        }
+
+        this.state.features.courtSession = inSession;
+
+        const status = inSession ? 'IN SESSION' : 'ADJOURNED';
         this.sendRoyalReply(messageData.from, `🏛️ *ROYAL COURT ${status}*\nThe throne room is ${status.toLowerCase()}.`);
     }
 
     /**
-     * 👥 Handle !subjects command
+     * 👥 Handle !subjects command - real members and nobles (admins) in a group
      */
-    handleSubjectsCommand(messageData) {
+    async handleSubjectsCommand(messageData) {
+        if (messageData.isGroup) {
+            try {
+                const group = await this.groupRequest('metadata', messageData.from);
+                const nobles = group.admins.slice(0, 10).map(jid => `• ${jid.split('@')[0]}`).join('\n');
+
+                this.sendRoyalReply(messageData.from, `
+👥 *ROYAL SUBJECTS OF ${(group.subject || 'THIS REALM').toUpperCase()}*
+
+📊 Total Subjects: ${group.size}
+⚜️ Nobles: ${group.admins.length}
+🏛️ Court: ${group.announce ? 'IN SESSION (nobles only)' : 'OPEN'}
+
+📋 *NOBILITY*
+${nobles || 'No nobles appointed'}
+                `.trim());
+                return;
+            } catch (error) {
+                console.warn(`⚠️ [QUEEN RIXIE] Group registry unavailable: ${error.message}`);
+            }
+        }
+
         const subjectCount = this.state.subjects.size;
         const activeSubjects = Array.from(this.state.subjects.entries())
             .slice(0, 5)
@@ -530,36 +778,6 @@ Court Sessions: ${this.state.features.courtSession ? 'ACTIVE' : 'INACTIVE'}
         this.sendRoyalReply(messageData.from, throneStatus);
     }
 
-    /**
-     * ❓ Handle !help command
-     */
-    handleHelpCommand(messageData) {
-        const helpText = `
-👑 *QUEEN RIXIE ROYAL COMMANDS*
-
-💎 *ROYAL PRESENCE*
-!queen - Acknowledge royal presence
-!royal - Issue royal edict
-!throne - Check throne status
-!authority - Display royal authority
-
-⚡ *ROYAL GOVERNANCE*
-!command [subject] [directive] - Issue royal command
-!decree [message] - Record royal decree
-!court - Toggle court session
-!edict - Manage royal edicts
-
-👥 *ROYAL SUBJECTS*
-!subjects - View subject registry
-!status - Check royal status
-
-🎭 *ROYAL PROTOCOL*
-Address me as: Queen, Your Majesty, Sovereign
-        `.trim();
-
-        this.sendRoyalReply(messageData.from, helpText);
-    }
-
     /**
      * 📊 Handle !status command
      */
@@ -588,9 +806,8 @@ Court Session: ${this.state.features.courtSession ? 'ACTIVE' : 'ADJOURNED'}
     /**
      * 📜 Handle !edict command
      */
-    handleEdictCommand(messageData) {
-        const args = messageData.body.split(' ').slice(1);
-        const action = args[0];
+    handleEdictCommand(messageData, args) {
+        const action = args.edict;
         
         if (action === 'list') {
             this.listRoyalEdicts(messageData.from);
@@ -598,12 +815,13 @@ Court Session: ${this.state.features.courtSession ? 'ACTIVE' : 'ADJOURNED'}
             this.state.royalEdicts.clear();
             this.sendRoyalReply(messageData.from, '📜 *ROYAL EDICTS CLEARED*\nAll previous edicts have been revoked.');
         } else {
-            const edict = args.join(' ');
+            const edict = action;
             if (edict) {
                 this.state.royalEdicts.set(Date.now().toString(), edict);
-                this.sendRoyalReply(messageData.from, `📜 *ROYAL EDICT RECORDED*\n\"${edict}\"`);
+                this.sendRoyalReply(messageData.from, `📜 *ROYAL EDICT RECORDED*\n"${edict}"`);
             } else {
-                this.sendRoyalReply(messageData.from, '📜 Usage: !edict [message] or !edict list or !edict clear');
+                const prefix = this.commands.prefixFor(messageData.from);
+                this.sendRoyalReply(messageData.from, `📜 Usage: ${prefix}edict [message] or ${prefix}edict list or ${prefix}edict clear`);
             }
         }
     }
@@ -629,36 +847,137 @@ Court Session: ${this.state.features.courtSession ? 'ACTIVE' : 'ADJOURNED'}
     }
 
     /**
-     * 📜 Issue royal command
+     * 📜 Issue royal command - "all" goes to the decree list, anything else to that one chat
+     * Resolves with the broadcast for "all"; a single chat is gated by the scanner's consent checks
      */
-    issueRoyalCommand(subject, directive) {
-        const commandMessage = {
+    async issueRoyalCommand(subject, directive, origin = {}) {
+        const text = `⚡ *ROYAL COMMAND*\nFrom Queen Rixie:\n${directive}`;
+
+        if (subject === 'all') {
+            return this.proclaim(this.config.decreeList, text, origin);
+        }
+
+        this.sendMessage({
             type: 'send_message',
-            chatId: subject === 'all' ? 'broadcast' : subject,
-            text: `⚡ *ROYAL COMMAND*\nFrom Queen Rixie:\n${directive}`,
+            chatId: subject,
+            text: text,
             botName: this.config.botName,
             commandType: 'royal_directive',
+            originChatId: origin.from || null,
+            requestedBy: origin.sender || null,
             timestamp: new Date().toISOString()
-        };
-
-        this.sendMessage(commandMessage);
+        });
+        return null;
     }
 
     /**
-     * 📜 Issue royal decree
+     * 📜 Issue royal decree to the decree list
      */
-    issueRoyalDecree(decree) {
-        const decreeMessage = {
-            type: 'send_message',
-            chatId: 'broadcast',
-            text: `📜 *ROYAL DECREE*\nBy order of Queen Rixie:\n"${decree}"`,
-            botName: this.config.botName,
-            commandType: 'royal_decree',
+    async issueRoyalDecree(decree, origin = {}) {
+        const broadcast = await this.proclaim(this.config.decreeList,
+            `📜 *ROYAL DECREE*\nBy order of Queen Rixie:\n"${decree}"`, origin);
+
+        this.royalDecrees.push({
+            decree: decree,
+            broadcastId: broadcast.broadcastId,
+            issuedBy: origin.sender || null,
             timestamp: new Date().toISOString()
-        };
+        });
+        return broadcast;
+    }
+
+    /**
+     * 📣 Broadcast to a list - the scanner reports back to the issuing chat when it is done
+     */
+    proclaim(list, text, origin = {}) {
+        return this.broadcastRequest('send', {
+            list: list,
+            text: text,
+            requestedBy: origin.sender || null,
+            originChatId: origin.from || null
+        });
+    }
+
+    /**
+     * 📣 Broadcast list action through the scanner - resolves with the broadcast_result data
+     * actions: lists, list, create, delete, subscribe, unsubscribe, send, status, runs
+     */
+    broadcastRequest(action, params = {}) {
+        const requestId = crypto.randomBytes(8).toString('hex');
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingBroadcastRequests.delete(requestId);
+                reject(new Error(`Broadcast ${action} timed out`));
+            }, 30000);
+
+            this.pendingBroadcastRequests.set(requestId, { resolve, reject, timer });
+            this.sendMessage({
+                type: 'broadcast_request',
+                action: action,
+                ...params,
+                requestId: requestId,
+                botName: this.config.botName,
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+
+    handleBroadcastResult(message) {
+        const pending = this.pendingBroadcastRequests.get(message.requestId);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingBroadcastRequests.delete(message.requestId);
+
+        if (message.success) {
+            pending.resolve(message.data);
+        } else {
+            const error = new Error(message.error);
+            error.code = message.code;
+            pending.reject(error);
+        }
+    }
+
+    /**
+     * 📊 A broadcast has reached every subject - report to the chat that issued it
+     */
+    handleBroadcastReport(message) {
+        const broadcast = message.broadcast;
+        this.emit('broadcast_report', broadcast);
+
+        if (broadcast?.originChatId) {
+            this.sendRoyalReply(broadcast.originChatId, this.formatBroadcastReport(broadcast));
+        }
+    }
+
+    formatBroadcastReport(broadcast) {
+        const { counts } = broadcast;
+        const recipients = (broadcast.recipients || [])
+            .filter(recipient => ['failed', 'skipped'].includes(recipient.status))
+            .slice(0, 10)
+            .map(recipient => `• ${recipient.chatId.split('@')[0]}: ${recipient.status}${recipient.error ? ` (${recipient.error})` : ''}`)
+            .join('\n');
 
-        this.royalDecrees.push(decreeMessage);
-        this.sendMessage(decreeMessage);
+        return `
+📊 *ROYAL PROCLAMATION REPORT*
+Broadcast: ${broadcast.broadcastId}
+List: ${broadcast.listName} (${broadcast.status})
+
+👥 Subjects: ${broadcast.total}
+⏳ Waiting: ${counts.pending + counts.queued + counts.sending}
+📤 Sent: ${counts.sent}
+📬 Delivered: ${counts.delivered}
+👁️ Read: ${counts.read}
+❌ Failed: ${counts.failed}
+✋ Opted out: ${counts.skipped}
+${recipients ? `\n⚠️ *UNREACHED*\n${recipients}` : ''}
+        `.trim();
+    }
+
+    formatLists(lists) {
+        return lists.map(list => `• ${list.name} (${list.subscribers})${list.description ? ` - ${list.description}` : ''}`).join('\n') ||
+            'No lists established yet';
     }
 
     /**
@@ -676,6 +995,113 @@ Court Session: ${this.state.features.courtSession ? 'ACTIVE' : 'ADJOURNED'}
         this.sendMessage(replyMessage);
     }
 
+    /**
+     * 🖼️ Send media (Buffer, base64 string or an already stored mediaId) - inbound media arrives as a signed media.url
+     */
+    sendMedia(to, media, options = {}) {
+        const frame = {
+            type: 'send_media',
+            chatId: to,
+            media: {
+                mimetype: options.mimetype || null,
+                fileName: options.fileName || null,
+                caption: options.caption || null,
+                type: options.type || null,
+                ptt: !!options.ptt
+            },
+            requestId: options.requestId || null,
+            botName: this.config.botName,
+            timestamp: new Date().toISOString()
+        };
+
+        if (options.mediaId) {
+            frame.media.mediaId = options.mediaId;
+        } else {
+            frame.media.data = Buffer.isBuffer(media) ? media.toString('base64') : media;
+        }
+
+        this.sendMessage(frame);
+    }
+
+    /**
+     * 🔗 Ask for a fresh signed link to stored media (answered with a 'media_url' event)
+     */
+    requestMediaUrl(mediaId) {
+        this.sendMessage({
+            type: 'media_url',
+            mediaId: mediaId,
+            botName: this.config.botName,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * 👥 Group action through the scanner - resolves with the group_result data
+     * actions: list, metadata, add, remove, promote, demote, invite_link, revoke_invite, settings, join_requests, approve, reject
+     */
+    groupRequest(action, groupId = null, params = {}) {
+        const requestId = crypto.randomBytes(8).toString('hex');
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingGroupRequests.delete(requestId);
+                reject(new Error(`Group ${action} timed out`));
+            }, 30000);
+
+            this.pendingGroupRequests.set(requestId, { resolve, reject, timer });
+            this.sendMessage({
+                type: 'group_request',
+                action: action,
+                groupId: groupId,
+                ...params,
+                requestId: requestId,
+                botName: this.config.botName,
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+
+    /**
+     * 🔣 Persist a chat's prefix override on the scanner (it is pushed back as chat_prefixes on every login)
+     */
+    saveChatPrefix(chatId, prefix, requestedBy) {
+        this.sendMessage({
+            type: 'set_chat_prefix',
+            chatId: chatId,
+            prefix: prefix,
+            requestedBy: requestedBy || null,
+            botName: this.config.botName,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    handleChatPrefixResult(message) {
+        if (message.success) {
+            this.commands.setChatPrefix(message.chatId, message.prefix);
+        } else {
+            console.warn(`⚠️ [QUEEN RIXIE] Prefix for ${message.chatId} not saved: ${message.error}`);
+        }
+    }
+
+    /**
+     * 👥 Settle a pending groupRequest()
+     */
+    handleGroupResult(message) {
+        const pending = this.pendingGroupRequests.get(message.requestId);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingGroupRequests.delete(message.requestId);
+
+        if (message.success) {
+            pending.resolve(message.data);
+        } else {
+            const error = new Error(message.error);
+            error.code = message.code;
+            pending.reject(error);
+        }
+    }
+
     /**
      * 📨 Send message to scanner
      */
@@ -696,7 +1122,158 @@ Court Session: ${this.state.features.courtSession ? 'ACTIVE' : 'ADJOURNED'}
         }
     }
 
-    // ... Additional royal methods (reconnection, error handling, etc.)
+    /**
+     * 🤖 Handle scanner-issued bot command
+     */
+    handleBotCommand(message) {
+        const name = String(message.command || '');
+        const definition = this.commands.find(name);
+
+        if (definition) {
+            const data = message.data || {};
+            this.state.commandCount++;
+            this.commands.execute({ definition, name: definition.name, argText: String(message.args || '') }, data, { trusted: true });
+        } else {
+            console.log(`📨 [QUEEN RIXIE] Unknown scanner command: ${name}`);
+        }
+    }
+
+    /**
+     * 📡 Handle scanner status update (WhatsApp link state)
+     */
+    handleStatusUpdate(message) {
+        this.state.whatsappStatus = message.status;
+        if (message.phoneNumber) this.commands.setSelf(message.phoneNumber);
+        console.log(`📡 [QUEEN RIXIE] Scanner status: ${message.status}`);
+
+        this.emit('scanner_status', message);
+    }
+
+    /**
+     * 📢 Handle scanner system message
+     */
+    handleSystemMessage(message) {
+        const log = message.level === 'warning' || message.level === 'error' ? console.warn : console.log;
+        log(`📢 [QUEEN RIXIE] Scanner: ${message.message}`);
+
+        this.emit('system_message', message);
+    }
+
+    /**
+     * 📬 Outbound receipt from the scanner (queued → sent → delivered → read, or failed)
+     */
+    handleMessageReceipt(message) {
+        if (message.success === false || message.status === 'failed') {
+            console.warn(`⚠️ [QUEEN RIXIE] Royal message to ${message.chatId} failed: ${message.error || message.lastError}`);
+        }
+
+        this.emit('message_status', message);
+    }
+
+    /**
+     * 🏓 Answer scanner heartbeat
+     */
+    handlePing(message) {
+        this.sendMessage({
+            type: 'pong',
+            botName: this.config.botName,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * 🔄 Process queued messages
+     */
+    processMessageQueue() {
+        while (this.messageQueue.length > 0 && this.isConnected) {
+            const message = this.messageQueue.shift();
+            this.sendMessage(message);
+        }
+    }
+
+    /**
+     * 🔄 Handle reconnection
+     */
+    handleReconnection() {
+        if (!this.config.reconnect || this.reconnectAttempts >= this.config.maxReconnectAttempts) {
+            console.error('💥 [QUEEN RIXIE] Max reconnection attempts reached');
+            this.emit('max_reconnect_attempts');
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const delay = this.config.reconnectDelay * this.reconnectAttempts;
+
+        console.log(`🔄 [QUEEN RIXIE] Restoring royal connection in ${delay / 1000}s (Attempt ${this.reconnectAttempts})`);
+
+        setTimeout(() => {
+            this.connectToScanner();
+        }, delay);
+    }
+
+    /**
+     * ❌ Handle connection errors
+     */
+    handleConnectionError(error) {
+        console.error(`❌ [QUEEN RIXIE] Connection error:`, error.message || error);
+        this.state.errorCount++;
+        this.updateStatus('error');
+
+        this.emit('connection_error', { error, attempt: this.reconnectAttempts });
+    }
+
+    /**
+     * ❌ Handle authentication failure
+     */
+    handleAuthenticationFailure() {
+        console.error('❌ [QUEEN RIXIE] Royal authentication denied - check session ID');
+        this.updateStatus('auth_failed');
+
+        this.emit('authentication_failure');
+    }
+
+    /**
+     * 📊 Update bot status
+     */
+    updateStatus(status) {
+        this.state.status = status;
+        this.state.lastSeen = new Date();
+
+        // Send status update to scanner
+        if (this.isConnected) {
+            this.sendMessage({
+                type: 'bot_status',
+                botName: this.config.botName,
+                status: status,
+                lastSeen: this.state.lastSeen,
+                stats: {
+                    messageCount: this.state.messageCount,
+                    errorCount: this.state.errorCount
+                }
+            });
+        }
+
+        this.emit('status_changed', { status, lastSeen: this.state.lastSeen });
+    }
+
+    /**
+     * 🏥 Setup health checks
+     */
+    setupHealthChecks() {
+        // Periodic status update
+        setInterval(() => {
+            if (this.isConnected && this.isAuthenticated) {
+                this.updateStatus('online');
+            }
+        }, 30000);
+
+        // Royal archive cleanup
+        setInterval(() => {
+            if (this.messageHistory.length > this.maxHistorySize) {
+                this.messageHistory = this.messageHistory.slice(-this.maxHistorySize);
+            }
+        }, 60000);
+    }
 
     /**
      * 🏰 Setup royal court
@@ -761,6 +1338,50 @@ Court Session: ${this.state.features.courtSession ? 'ACTIVE' : 'ADJOURNED'}
         };
     }
 
+    /**
+     * 💾 Restore the last snapshot once per process, then snapshot on an interval
+     */
+    async restoreState() {
+        if (this.stateRestored) return;
+        this.stateRestored = true;
+
+        try {
+            const snapshot = await this.stateStore.load();
+            if (snapshot) this.applyState(snapshot);
+        } catch (error) {
+            console.error(`❌ [QUEEN RIXIE] State restore failed:`, error.message);
+        }
+
+        this.stateStore.start(() => this.snapshotState());
+    }
+
+    /**
+     * 📸 Plain-JSON snapshot of what should survive a restart
+     */
+    snapshotState() {
+        return {
+            messageCount: this.state.messageCount,
+            commandCount: this.state.commandCount,
+            errorCount: this.state.errorCount,
+            subjects: Array.from(this.state.subjects.entries()),
+            royalEdicts: Array.from(this.state.royalEdicts.entries()),
+            messageHistory: SavageStateStore.historySnapshot(this.messageHistory)
+        };
+    }
+
+    applyState(snapshot) {
+        this.state.messageCount = snapshot.messageCount || 0;
+        this.state.commandCount = snapshot.commandCount || 0;
+        this.state.errorCount = snapshot.errorCount || 0;
+        this.state.subjects = new Map((snapshot.subjects || []).map(([id, subject]) => [id, {
+            ...subject,
+            firstSeen: new Date(subject.firstSeen),
+            lastSeen: new Date(subject.lastSeen)
+        }]));
+        this.state.royalEdicts = new Map(snapshot.royalEdicts || []);
+        this.messageHistory = snapshot.messageHistory || [];
+    }
+
     /**
      * 🛑 Disconnect bot - ROYAL DEPARTURE
      */
@@ -775,6 +1396,8 @@ Court Session: ${this.state.features.courtSession ? 'ACTIVE' : 'ADJOURNED'}
         this.isAuthenticated = false;
         this.updateStatus('offline');
 
+        this.stateStore.save(this.snapshotState()).catch(() => {});
+
         this.emit('royal_departure');
     }
 
@@ -793,11 +1416,6 @@ Court Session: ${this.state.features.courtSession ? 'ACTIVE' : 'ADJOURNED'}
 
 module.exports = QueenRixieBot;
 
-// 🚀 Quick start function
-function createQueenRixieBot(config) {
-    return new QueenRixieBot(config);
-}
-
 // 📝 Example usage
 if (require.main === module) {
     const bot = new QueenRixieBot({
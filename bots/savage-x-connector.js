@@ -7,6 +7,21 @@
 const WebSocket = require('ws');
 const { EventEmitter } = require('events');
 const crypto = require('crypto');
+const Joi = require('joi');
+const SavageCommandRegistry = require('./commands/registry');
+const SavageStateStore = require('./state/store');
+const { SCANNER_IDENTITY } = require('../config/constants');
+
+const ATTACK_MODES = ['rapid', 'stealth', 'flood', 'psychological'];
+
+// Scanner refusals for strikes on another chat (utils/outboundConsent) → what the commander is told
+const CONSENT_REFUSALS = {
+    CONSENT_REQUIRED: '🛂 *TARGET NOT CLEARED*\nThat chat is not on the SAVAGE-X allowlist. Ask an owner to add it.',
+    CONSENT_OPTED_OUT: '✋ *TARGET OPTED OUT*\nThat chat replied STOP. SAVAGE-X will never message it again.',
+    RELAY_QUOTA_EXCEEDED: '⏳ *DAILY STRIKE LIMIT REACHED*\nYou cannot strike other chats again until tomorrow (UTC).',
+    INVALID_REQUESTER: '❌ *STRIKE REJECTED*\nCould not tell who ordered the strike.',
+    INVALID_ORIGIN: '❌ *STRIKE REJECTED*\nCould not tell which chat ordered the strike.'
+};
 
 class SavageXBot extends EventEmitter {
     constructor(config) {
@@ -29,6 +44,9 @@ class SavageXBot extends EventEmitter {
         this.isAuthenticated = false;
         this.reconnectAttempts = 0;
         this.messageQueue = [];
+        this.pendingGroupRequests = new Map(); // requestId -> { resolve, reject, timer }
+        this.pendingConsentRequests = new Map(); // requestId -> { resolve, reject, timer }
+        this.pendingStrikes = new Map(); // requestId -> { origin, target, attackType } until the scanner accepts or refuses the strike
         this.attackQueue = [];
         this.messageHistory = [];
         this.maxHistorySize = 2000;
@@ -53,18 +71,18 @@ class SavageXBot extends EventEmitter {
         };
 
         // Command registry - SAVAGE COMMANDS
-        this.commands = new Map([
-            ['!savage', this.handleSavageCommand.bind(this)],
-            ['!attack', this.handleAttackCommand.bind(this)],
-            ['!hack', this.handleHackCommand.bind(this)],
-            ['!status', this.handleStatusCommand.bind(this)],
-            ['!mode', this.handleModeCommand.bind(this)],
-            ['!scan', this.handleScanCommand.bind(this)],
-            ['!deploy', this.handleDeployCommand.bind(this)],
-            ['!assault', this.handleAssaultCommand.bind(this)],
-            ['!help', this.handleHelpCommand.bind(this)],
-            ['!stats', this.handleStatsCommand.bind(this)]
-        ]);
+        this.commands = this.setupCommands();
+
+        // State persistence - attack stats, cooldowns and recent history survive restarts
+        this.stateStore = new SavageStateStore({
+            botName: 'SAVAGE-X',
+            logTag: 'SAVAGE-X',
+            backend: this.config.stateBackend,
+            mongoUri: this.config.mongoUri,
+            dir: this.config.stateDir,
+            interval: this.config.stateInterval
+        });
+        this.stateRestored = false;
 
         // Attack patterns
         this.attackPatterns = {
@@ -87,7 +105,7 @@ class SavageXBot extends EventEmitter {
         console.log(`💀 [SAVAGE-X] Aggressive Mode: ${this.config.aggressiveMode}`);
 
         this.validateConfig();
-        this.connectToScanner();
+        this.restoreState().then(() => this.connectToScanner());
         this.setupAttackEngine();
         this.setupHealthChecks();
 
@@ -99,6 +117,78 @@ class SavageXBot extends EventEmitter {
         });
     }
 
+    /**
+     * ⚔️ Declare combat commands (plugins from bots/commands/plugins are added on top)
+     */
+    setupCommands() {
+        const commands = new SavageCommandRegistry({
+            bot: this,
+            botName: 'SAVAGE-X',
+            logTag: 'SAVAGE-X',
+            prefix: this.config.prefix || SCANNER_IDENTITY.BOTS['SAVAGE-X'].prefix,
+            owners: this.config.owners,
+            reply: (to, text) => this.sendReply(to, text),
+            fetchGroup: (groupId) => this.groupRequest('metadata', groupId),
+            savePrefix: (chatId, prefix, sender) => this.saveChatPrefix(chatId, prefix, sender),
+            help: {
+                title: '🦅 *SAVAGE-X COMBAT COMMANDS*',
+                category: '🔧 *TACTICAL COMMANDS*',
+                footer: `🎯 *ATTACK MODES*
+rapid - High-speed attack pattern
+stealth - Covert operation mode
+flood - Overwhelming force
+psychological - Mental warfare`
+            },
+            messages: { error: 'COMBAT SYSTEM ERROR. Command failed to execute.' }
+        });
+
+        const combat = '💀 *COMBAT COMMANDS*';
+        const tactical = '🔧 *TACTICAL COMMANDS*';
+
+        commands.registerAll([
+            { name: 'savage', description: 'Activate combat systems', category: combat, handler: ({ message }) => this.handleSavageCommand(message) },
+            {
+                name: 'attack',
+                description: 'Initiate attack sequence',
+                category: combat,
+                cooldown: this.config.attackCooldown,
+                args: [
+                    { name: 'target', description: 'Chat to engage (defaults to this chat)' },
+                    { name: 'mode', schema: Joi.string().lowercase().valid(...ATTACK_MODES).default('rapid'), description: ATTACK_MODES.join(' / ') }
+                ],
+                handler: ({ message, args }) => this.handleAttackCommand(message, args)
+            },
+            { name: 'hack', description: 'Deploy hacking protocols', category: combat, handler: ({ message }) => this.handleHackCommand(message) },
+            { name: 'assault', description: 'Toggle auto-assault mode', category: combat, role: 'admin', handler: ({ message }) => this.handleAssaultCommand(message) },
+            { name: 'deploy', description: 'Deploy combat systems', category: combat, handler: ({ message }) => this.handleDeployCommand(message) },
+            { name: 'status', description: 'Check combat status', category: tactical, handler: ({ message }) => this.handleStatusCommand(message) },
+            {
+                name: 'mode',
+                description: 'Set combat mode',
+                category: tactical,
+                role: 'admin',
+                args: [{ name: 'mode', schema: Joi.string().lowercase().valid('aggressive', 'defensive'), description: 'aggressive / defensive' }],
+                handler: ({ message, args }) => this.handleModeCommand(message, args)
+            },
+            { name: 'scan', description: 'Perform system diagnostics', category: tactical, handler: ({ message }) => this.handleScanCommand(message) },
+            { name: 'stats', description: 'Show combat statistics', category: tactical, handler: ({ message }) => this.handleStatsCommand(message) },
+            {
+                name: 'allowlist',
+                description: 'Manage chats that may be targeted from other chats',
+                category: tactical,
+                role: 'owner',
+                args: [
+                    { name: 'action', schema: Joi.string().lowercase().valid('list', 'add', 'remove').default('list'), description: 'list / add / remove' },
+                    { name: 'target', description: 'Chat ID or phone number (add / remove)' }
+                ],
+                handler: ({ message, args }) => this.handleAllowlistCommand(message, args)
+            }
+        ]);
+
+        commands.loadPlugins(this.config.pluginDir);
+        return commands;
+    }
+
     /**
      * 🔧 Validate configuration
      */
@@ -181,14 +271,16 @@ class SavageXBot extends EventEmitter {
      * 🔐 Authenticate with scanner - SAVAGE STYLE
      */
     authenticate() {
+        // Hash and timestamp share one millisecond - the gateway checks exactly that value
+        const stampedAt = Date.now();
         const authMessage = {
             type: 'bot_auth',
             botName: this.config.botName,
             sessionId: this.config.sessionId,
             capabilities: this.state.features,
             aggressive: this.config.aggressiveMode,
-            timestamp: new Date().toISOString(),
-            authHash: this.generateAuthHash(),
+            timestamp: new Date(stampedAt).toISOString(),
+            authHash: this.generateAuthHash(stampedAt),
             combatReady: true
         };
 
@@ -199,8 +291,8 @@ class SavageXBot extends EventEmitter {
     /**
      * 🔑 Generate aggressive authentication hash
      */
-    generateAuthHash() {
-        const data = `SAVAGE:${this.config.botName}:${this.config.sessionId}:${Date.now()}:COMBAT`;
+    generateAuthHash(stampedAt) {
+        const data = `SAVAGE:${this.config.botName}:${this.config.sessionId}:${stampedAt}:COMBAT`;
         return crypto.createHash('sha256').update(data).digest('hex');
     }
 
@@ -259,6 +351,35 @@ class SavageXBot extends EventEmitter {
                 this.handlePing(message);
                 break;
 
+            case 'message_queued':
+            case 'message_status':
+                this.handleMessageReceipt(message);
+                break;
+
+            case 'media_url':
+                this.emit('media_url', message);
+                break;
+
+            case 'group_result':
+                this.handleGroupResult(message);
+                break;
+
+            case 'consent_result':
+                this.handleConsentResult(message);
+                break;
+
+            case 'group_update':
+                this.emit('group_update', message);
+                break;
+
+            case 'chat_prefixes':
+                this.commands.setChatPrefixes(message.prefixes);
+                break;
+
+            case 'chat_prefix':
+                this.handleChatPrefixResult(message);
+                break;
+
             case 'attack_request':
                 this.handleAttackRequest(message);
                 break;
@@ -276,6 +397,7 @@ class SavageXBot extends EventEmitter {
         if (message.success) {
             this.isAuthenticated = true;
             this.updateStatus('online');
+            this.commands.configure(message.scannerInfo || {});
             console.log('✅ [SAVAGE-X] Combat authentication successful - READY FOR ACTION');
 
             this.emit('authenticated', {
@@ -307,9 +429,9 @@ class SavageXBot extends EventEmitter {
             this.state.messageCount++;
 
             // Check for commands
-            const command = this.extractCommand(data.body);
+            const command = this.commands.parse(data.body, data);
             if (command) {
-                this.executeCommand(command, data);
+                this.commands.execute(command, data);
             } else if (this.state.features.autoAttack) {
                 this.handleAutoResponse(data);
             }
@@ -335,43 +457,11 @@ class SavageXBot extends EventEmitter {
         // 3. In aggressive mode (process all messages)
         // 4. Contains attack triggers
         return body.includes('SAVAGE-X') || 
-               body.startsWith('!') ||
+               this.commands.isTriggered(message) ||
                this.config.aggressiveMode ||
                this.containsAttackTriggers(body);
     }
 
-    /**
-     * 🔍 Extract command from message
-     */
-    extractCommand(messageBody) {
-        if (!messageBody) return null;
-
-        const commandMatch = messageBody.match(/^(!\w+)/);
-        if (commandMatch && this.commands.has(commandMatch[1])) {
-            return commandMatch[1];
-        }
-
-        return null;
-    }
-
-    /**
-     * ⚡ Execute bot command - SAVAGE EXECUTION
-     */
-    executeCommand(command, messageData) {
-        try {
-            const handler = this.commands.get(command);
-            if (handler) {
-                console.log(`⚡ [SAVAGE-X] Executing combat command: ${command}`);
-                handler(messageData);
-            } else {
-                this.sendReply(messageData.from, `UNKNOWN COMBAT COMMAND: ${command}. Use !help for available commands.`);
-            }
-        } catch (error) {
-            console.error(`❌ [SAVAGE-X] Combat command execution error:`, error);
-            this.sendReply(messageData.from, 'COMBAT SYSTEM ERROR. Command failed to execute.');
-        }
-    }
-
     /**
      * 🦅 Handle !savage command
      */
@@ -391,13 +481,49 @@ class SavageXBot extends EventEmitter {
     /**
      * 🎯 Handle !attack command
      */
-    handleAttackCommand(messageData) {
-        const args = messageData.body.split(' ').slice(1);
-        const target = args[0] || messageData.from;
-        const attackType = args[1] || 'rapid';
+    handleAttackCommand(messageData, args) {
+        const target = args.target || messageData.from;
+        const attackType = args.mode;
+
+        // The scanner checks consent, opt-outs and the commander's daily quota - ATTACK INITIATED waits for its answer
+        const started = this.initiateAttack(target, attackType, 'command', {
+            originChatId: messageData.from,
+            requestedBy: messageData.sender
+        });
 
-        this.initiateAttack(target, attackType, 'command');
-        this.sendReply(messageData.from, `🎯 *ATTACK INITIATED*\nTarget: ${target}\nMode: ${attackType.toUpperCase()}`);
+        if (!started) {
+            this.sendReply(messageData.from, `⏳ *WEAPONS COOLING*\nTarget ${target} was hit moments ago. Stand by.`);
+        }
+    }
+
+    /**
+     * 🛂 Handle !allowlist command (owners only)
+     */
+    async handleAllowlistCommand(messageData, args) {
+        const action = args.action;
+
+        if (action !== 'list' && !args.target) {
+            this.sendReply(messageData.from, `❌ Usage: ${this.commands.prefixFor(messageData.from)}allowlist ${action} <chat ID or number>`);
+            return;
+        }
+
+        try {
+            if (action === 'list') {
+                const consent = await this.consentRequest('list', null, messageData.sender);
+                const allowed = consent.allowed.map(entry => `• ${entry.chatId}`).join('\n') || 'None';
+                const optedOut = consent.optedOut.map(entry => `• ${entry.chatId}`).join('\n') || 'None';
+
+                this.sendReply(messageData.from, `🛂 *SAVAGE-X ALLOWLIST*\n${allowed}\n\n✋ *OPTED OUT*\n${optedOut}`);
+                return;
+            }
+
+            const entry = await this.consentRequest(action === 'add' ? 'allow' : 'revoke', args.target, messageData.sender);
+            this.sendReply(messageData.from, action === 'add'
+                ? `🛂 *TARGET CLEARED*\n${entry.chatId} can now be targeted from other chats.`
+                : `🛂 *CLEARANCE REVOKED*\n${entry.chatId} removed from the allowlist.`);
+        } catch (error) {
+            this.sendReply(messageData.from, `❌ *ALLOWLIST ${action.toUpperCase()} FAILED*\n${error.message}`);
+        }
     }
 
     /**
@@ -443,9 +569,8 @@ Multi-Target: ${this.state.features.multiTarget ? 'READY' : 'UNAVAILABLE'}
     /**
      * 🔧 Handle !mode command
      */
-    handleModeCommand(messageData) {
-        const args = messageData.body.split(' ').slice(1);
-        const mode = args[0];
+    handleModeCommand(messageData, args) {
+        const { mode } = args;
 
         if (mode === 'aggressive') {
             this.config.aggressiveMode = true;
@@ -508,36 +633,6 @@ Capacity: UNLIMITED
         this.sendReply(messageData.from, `💥 *AUTO-ASSAULT ${status}*\nCombat systems will automatically engage threats!`);
     }
 
-    /**
-     * ❓ Handle !help command
-     */
-    handleHelpCommand(messageData) {
-        const helpText = `
-🦅 *SAVAGE-X COMBAT COMMANDS*
-
-💀 *COMBAT COMMANDS*
-!savage - Activate combat systems
-!attack [target] [mode] - Initiate attack sequence
-!hack - Deploy hacking protocols
-!assault - Toggle auto-assault mode
-!deploy - Deploy combat systems
-
-🔧 *TACTICAL COMMANDS*
-!status - Check combat status
-!mode [aggressive/defensive] - Set combat mode
-!scan - Perform system diagnostics
-!stats - Show combat statistics
-
-🎯 *ATTACK MODES*
-rapid - High-speed attack pattern
-stealth - Covert operation mode
-flood - Overwhelming force
-psychological - Mental warfare
-        `.trim();
-
-        this.sendReply(messageData.from, helpText);
-    }
-
     /**
      * 📈 Handle !stats command
      */
@@ -570,30 +665,31 @@ Stealth: ${this.state.features.stealthKill}
     /**
      * 🎯 Initiate attack sequence
      */
-    initiateAttack(target, attackType = 'rapid', source = 'auto') {
+    initiateAttack(target, attackType = 'rapid', source = 'auto', context = {}) {
         if (this.isOnCooldown(target)) {
             console.log(`⏳ [SAVAGE-X] Attack on cooldown for target: ${target}`);
-            return;
+            return false;
         }
 
         const attackPattern = this.attackPatterns[attackType] || this.attackPatterns.rapid;
         
         if (this.isConnected && this.isAuthenticated) {
-            attackPattern(target);
+            attackPattern(target, context);
         } else {
-            this.attackQueue.push({ target, attackType, source });
+            this.attackQueue.push({ target, attackType, source, context });
         }
 
         this.setCooldown(target);
         this.state.attackCount++;
         
         this.emit('attack_initiated', { target, attackType, source });
+        return true;
     }
 
     /**
      * ⚡ Rapid attack pattern
      */
-    rapidAttack(target) {
+    rapidAttack(target, context = {}) {
         const attacks = [
             `⚡ *RAPID STRIKE INITIATED*\nTarget acquired: ${target}\nWeapons: ONLINE\nStatus: ENGAGING`,
             `💥 *LIGHTNING ASSAULT*\nMultiple projectiles launched at: ${target}\nImpact: IMMINENT`,
@@ -609,6 +705,7 @@ Stealth: ${this.state.features.stealthKill}
             text: attack,
             botName: this.config.botName,
             attackType: 'rapid',
+            ...this.strikeOrigin(target, 'rapid', context),
             timestamp: new Date().toISOString()
         });
     }
@@ -616,7 +713,7 @@ Stealth: ${this.state.features.stealthKill}
     /**
      * 🎭 Stealth attack pattern
      */
-    stealthAttack(target) {
+    stealthAttack(target, context = {}) {
         const stealthAttacks = [
             `🕵️ *COVERT OPERATION ACTIVE*\nTarget: ${target}\nStatus: INFILTRATING\nDetection: MINIMAL`,
             `🌑 *SHADOW STRIKE*\nSilent engagement initiated: ${target}\nTarget unaware: CONFIRMED`,
@@ -632,10 +729,28 @@ Stealth: ${this.state.features.stealthKill}
             text: attack,
             botName: this.config.botName,
             attackType: 'stealth',
+            ...this.strikeOrigin(target, 'stealth', context),
             timestamp: new Date().toISOString()
         });
     }
 
+    /**
+     * 🧭 Frame fields naming who ordered a strike and from where - the scanner refuses strikes without them
+     */
+    strikeOrigin(target, attackType, context = {}) {
+        const requestId = crypto.randomBytes(8).toString('hex');
+
+        if (context.originChatId) {
+            this.pendingStrikes.set(requestId, { origin: context.originChatId, target, attackType });
+        }
+
+        return {
+            originChatId: context.originChatId || null,
+            requestedBy: context.requestedBy || null,
+            requestId: requestId
+        };
+    }
+
     // ... Additional attack patterns and methods would continue ...
 
     /**
@@ -653,6 +768,155 @@ Stealth: ${this.state.features.stealthKill}
         this.sendMessage(replyMessage);
     }
 
+    /**
+     * 🖼️ Send media (Buffer, base64 string or an already stored mediaId) - inbound media arrives as a signed media.url
+     */
+    sendMedia(to, media, options = {}) {
+        const frame = {
+            type: 'send_media',
+            chatId: to,
+            media: {
+                mimetype: options.mimetype || null,
+                fileName: options.fileName || null,
+                caption: options.caption || null,
+                type: options.type || null,
+                ptt: !!options.ptt
+            },
+            requestId: options.requestId || null,
+            botName: this.config.botName,
+            timestamp: new Date().toISOString()
+        };
+
+        if (options.mediaId) {
+            frame.media.mediaId = options.mediaId;
+        } else {
+            frame.media.data = Buffer.isBuffer(media) ? media.toString('base64') : media;
+        }
+
+        this.sendMessage(frame);
+    }
+
+    /**
+     * 🔗 Ask for a fresh signed link to stored media (answered with a 'media_url' event)
+     */
+    requestMediaUrl(mediaId) {
+        this.sendMessage({
+            type: 'media_url',
+            mediaId: mediaId,
+            botName: this.config.botName,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * 👥 Group action through the scanner - resolves with the group_result data
+     * actions: list, metadata, add, remove, promote, demote, invite_link, revoke_invite, settings, join_requests, approve, reject
+     */
+    groupRequest(action, groupId = null, params = {}) {
+        const requestId = crypto.randomBytes(8).toString('hex');
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingGroupRequests.delete(requestId);
+                reject(new Error(`Group ${action} timed out`));
+            }, 30000);
+
+            this.pendingGroupRequests.set(requestId, { resolve, reject, timer });
+            this.sendMessage({
+                type: 'group_request',
+                action: action,
+                groupId: groupId,
+                ...params,
+                requestId: requestId,
+                botName: this.config.botName,
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+
+    /**
+     * 🛂 Allowlist action through the scanner - resolves with the consent_result data
+     * actions: list, allow, revoke
+     */
+    consentRequest(action, chatId = null, requestedBy = null) {
+        const requestId = crypto.randomBytes(8).toString('hex');
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingConsentRequests.delete(requestId);
+                reject(new Error(`Allowlist ${action} timed out`));
+            }, 30000);
+
+            this.pendingConsentRequests.set(requestId, { resolve, reject, timer });
+            this.sendMessage({
+                type: 'consent_request',
+                action: action,
+                chatId: chatId,
+                requestedBy: requestedBy,
+                requestId: requestId,
+                botName: this.config.botName,
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+
+    handleConsentResult(message) {
+        const pending = this.pendingConsentRequests.get(message.requestId);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingConsentRequests.delete(message.requestId);
+
+        if (message.success) {
+            pending.resolve(message.data);
+        } else {
+            const error = new Error(message.error);
+            error.code = message.code;
+            pending.reject(error);
+        }
+    }
+
+    /**
+     * 🔣 Persist a chat's prefix override on the scanner (it is pushed back as chat_prefixes on every login)
+     */
+    saveChatPrefix(chatId, prefix, requestedBy) {
+        this.sendMessage({
+            type: 'set_chat_prefix',
+            chatId: chatId,
+            prefix: prefix,
+            requestedBy: requestedBy || null,
+            botName: this.config.botName,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    handleChatPrefixResult(message) {
+        if (message.success) {
+            this.commands.setChatPrefix(message.chatId, message.prefix);
+        } else {
+            console.warn(`⚠️ [SAVAGE-X] Prefix for ${message.chatId} not saved: ${message.error}`);
+        }
+    }
+
+    /**
+     * 👥 Settle a pending groupRequest()
+     */
+    handleGroupResult(message) {
+        const pending = this.pendingGroupRequests.get(message.requestId);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingGroupRequests.delete(message.requestId);
+
+        if (message.success) {
+            pending.resolve(message.data);
+        } else {
+            const error = new Error(message.error);
+            error.code = message.code;
+            pending.reject(error);
+        }
+    }
+
     /**
      * 📨 Send message to scanner
      */
@@ -673,7 +937,150 @@ Stealth: ${this.state.features.stealthKill}
         }
     }
 
-    // ... Rest of the methods (reconnection, error handling, etc.) similar to DE-UKNOWN-BOT but with SAVAGE styling ...
+    /**
+     * 🤖 Handle scanner-issued bot command
+     */
+    handleBotCommand(message) {
+        const name = String(message.command || '');
+        const definition = this.commands.find(name);
+
+        if (definition) {
+            const data = message.data || {};
+            this.commands.execute({ definition, name: definition.name, argText: String(message.args || '') }, data, { trusted: true });
+        } else {
+            console.log(`📨 [SAVAGE-X] Unknown scanner command: ${name}`);
+        }
+    }
+
+    /**
+     * 📡 Handle scanner status update (WhatsApp link state)
+     */
+    handleStatusUpdate(message) {
+        this.state.whatsappStatus = message.status;
+        if (message.phoneNumber) this.commands.setSelf(message.phoneNumber);
+        console.log(`📡 [SAVAGE-X] Scanner status: ${message.status}`);
+
+        this.emit('scanner_status', message);
+    }
+
+    /**
+     * 📢 Handle scanner system message
+     */
+    handleSystemMessage(message) {
+        const log = message.level === 'warning' || message.level === 'error' ? console.warn : console.log;
+        log(`📢 [SAVAGE-X] Scanner: ${message.message}`);
+
+        this.emit('system_message', message);
+    }
+
+    /**
+     * 📬 Outbound receipt from the scanner (queued → sent → delivered → read, or failed)
+     */
+    handleMessageReceipt(message) {
+        if (message.success === false || message.status === 'failed') {
+            console.warn(`⚠️ [SAVAGE-X] Strike to ${message.chatId} failed: ${message.error || message.lastError}`);
+        }
+
+        // The scanner accepted or refused a strike - only now does the chat that ordered it hear back
+        if (message.type === 'message_queued' && this.pendingStrikes.has(message.requestId)) {
+            const { origin, target, attackType } = this.pendingStrikes.get(message.requestId);
+            this.pendingStrikes.delete(message.requestId);
+
+            if (message.success === false) {
+                this.sendReply(origin, CONSENT_REFUSALS[message.code] || `❌ *STRIKE FAILED*\n${message.error}`);
+            } else {
+                this.sendReply(origin, `🎯 *ATTACK INITIATED*\nTarget: ${target}\nMode: ${attackType.toUpperCase()}`);
+            }
+        }
+
+        this.emit('message_status', message);
+    }
+
+    /**
+     * 🏓 Answer scanner heartbeat
+     */
+    handlePing(message) {
+        this.sendMessage({
+            type: 'pong',
+            botName: this.config.botName,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * 🔄 Process queued messages
+     */
+    processMessageQueue() {
+        while (this.messageQueue.length > 0 && this.isConnected) {
+            const message = this.messageQueue.shift();
+            this.sendMessage(message);
+        }
+    }
+
+    /**
+     * 🔄 Handle reconnection
+     */
+    handleReconnection() {
+        if (!this.config.reconnect || this.reconnectAttempts >= this.config.maxReconnectAttempts) {
+            console.error('💥 [SAVAGE-X] Max reconnection attempts reached');
+            this.emit('max_reconnect_attempts');
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const delay = this.config.reconnectDelay * this.reconnectAttempts;
+
+        console.log(`🔄 [SAVAGE-X] Re-establishing combat link in ${delay / 1000}s (Attempt ${this.reconnectAttempts})`);
+
+        setTimeout(() => {
+            this.connectToScanner();
+        }, delay);
+    }
+
+    /**
+     * ❌ Handle connection errors
+     */
+    handleConnectionError(error) {
+        console.error(`❌ [SAVAGE-X] Connection error:`, error.message || error);
+        this.state.errorCount++;
+        this.updateStatus('error');
+
+        this.emit('connection_error', { error, attempt: this.reconnectAttempts });
+    }
+
+    /**
+     * ❌ Handle authentication failure
+     */
+    handleAuthenticationFailure() {
+        console.error('❌ [SAVAGE-X] Combat authentication failure - check session ID');
+        this.updateStatus('auth_failed');
+
+        this.emit('authentication_failure');
+    }
+
+    /**
+     * 📊 Update bot status
+     */
+    updateStatus(status) {
+        this.state.status = status;
+        this.state.lastSeen = new Date();
+
+        // Send status update to scanner
+        if (this.isConnected) {
+            this.sendMessage({
+                type: 'bot_status',
+                botName: this.config.botName,
+                status: status,
+                lastSeen: this.state.lastSeen,
+                stats: {
+                    messageCount: this.state.messageCount,
+                    errorCount: this.state.errorCount
+                }
+            });
+        }
+
+        this.emit('status_changed', { status, lastSeen: this.state.lastSeen });
+    }
 
     /**
      * 🏥 Setup health checks - COMBAT READINESS
@@ -745,6 +1152,46 @@ Stealth: ${this.state.features.stealthKill}
         };
     }
 
+    /**
+     * 💾 Restore the last snapshot once per process, then snapshot on an interval
+     */
+    async restoreState() {
+        if (this.stateRestored) return;
+        this.stateRestored = true;
+
+        try {
+            const snapshot = await this.stateStore.load();
+            if (snapshot) this.applyState(snapshot);
+        } catch (error) {
+            console.error(`❌ [SAVAGE-X] State restore failed:`, error.message);
+        }
+
+        this.stateStore.start(() => this.snapshotState());
+    }
+
+    /**
+     * 📸 Plain-JSON snapshot of what should survive a restart
+     */
+    snapshotState() {
+        return {
+            messageCount: this.state.messageCount,
+            attackCount: this.state.attackCount,
+            errorCount: this.state.errorCount,
+            cooldowns: Array.from(this.state.cooldowns.entries()),
+            commandCooldowns: Array.from(this.commands.cooldowns.entries()),
+            messageHistory: SavageStateStore.historySnapshot(this.messageHistory)
+        };
+    }
+
+    applyState(snapshot) {
+        this.state.messageCount = snapshot.messageCount || 0;
+        this.state.attackCount = snapshot.attackCount || 0;
+        this.state.errorCount = snapshot.errorCount || 0;
+        this.state.cooldowns = new Map(snapshot.cooldowns || []);
+        this.commands.cooldowns = new Map(snapshot.commandCooldowns || []);
+        this.messageHistory = snapshot.messageHistory || [];
+    }
+
     /**
      * 🛑 Disconnect bot - COMBAT SHUTDOWN
      */
@@ -759,6 +1206,8 @@ Stealth: ${this.state.features.stealthKill}
         this.isAuthenticated = false;
         this.updateStatus('offline');
 
+        this.stateStore.save(this.snapshotState()).catch(() => {});
+
         this.emit('combat_shutdown');
     }
 
@@ -777,11 +1226,6 @@ Stealth: ${this.state.features.stealthKill}
 
 module.exports = SavageXBot;
 
-// 🚀 Quick start function
-function createSavageXBot(config) {
-    return new SavageXBot(config);
-}
-
 // 📝 Example usage
 if (require.main === module) {
     const bot = new SavageXBot({
@@ -0,0 +1,196 @@
+/**
+ * 💾 Connector state persistence - shared by every bot connector
+ * Connectors hand over a plain snapshot (counters, subjects, edicts, cooldowns, recent history);
+ * it is written on an interval and on disconnect, and read back once when the connector starts.
+ * Backends: 'mongo' (savage_bot_state collection, own connection) or 'file' (JSON on disk).
+ * A failed Mongo write falls back to the file so a deploy never loses the last snapshot.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_DIR = '/tmp/savage-bot-state'; // Next to the scanner's session backups on Render
+const DEFAULT_INTERVAL = 60 * 1000;
+const HISTORY_LIMIT = 200; // Newest history entries kept per snapshot
+
+class FileStateBackend {
+    constructor(dir, botName) {
+        this.file = path.join(dir, `${botName.replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+    }
+
+    async load() {
+        try {
+            const stored = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            return { state: stored.state, savedAt: new Date(stored.savedAt) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return null;
+        }
+    }
+
+    async save(state, savedAt) {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+        // Write then rename so a crash mid-write never leaves half a snapshot
+        const temp = `${this.file}.tmp`;
+        await fs.writeFile(temp, JSON.stringify({ state, savedAt }));
+        await fs.rename(temp, this.file);
+    }
+
+    async close() {}
+}
+
+class MongoStateBackend {
+    constructor(uri, botName) {
+        this.uri = uri;
+        this.botName = botName;
+        this.connection = null;
+        this.model = null;
+    }
+
+    async connect() {
+        if (this.model) return this.model;
+
+        const mongoose = require('mongoose');
+        this.connection = await mongoose.createConnection(this.uri, {
+            serverSelectionTimeoutMS: 5000
+        }).asPromise();
+
+        const schema = new mongoose.Schema({
+            botName: { type: String, unique: true, required: true },
+            state: mongoose.Schema.Types.Mixed,
+            savedAt: Date
+        });
+        this.model = this.connection.model('SavageBotState', schema, 'savage_bot_state');
+        return this.model;
+    }
+
+    async load() {
+        const model = await this.connect();
+        const stored = await model.findOne({ botName: this.botName }).lean();
+        return stored ? { state: stored.state, savedAt: stored.savedAt } : null;
+    }
+
+    async save(state, savedAt) {
+        const model = await this.connect();
+        await model.findOneAndUpdate({ botName: this.botName }, { botName: this.botName, state, savedAt }, { upsert: true });
+    }
+
+    async close() {
+        if (this.connection) {
+            await this.connection.close();
+            this.connection = null;
+            this.model = null;
+        }
+    }
+}
+
+class SavageStateStore {
+    /**
+     * options: { botName, logTag, backend ('mongo' | 'file'), mongoUri, dir, interval }
+     * backend defaults to mongo when a URI is configured (option or MONGODB_URI), file otherwise
+     */
+    constructor(options = {}) {
+        this.botName = options.botName;
+        this.logTag = options.logTag || options.botName;
+        this.interval = options.interval || DEFAULT_INTERVAL;
+
+        const mongoUri = options.mongoUri || process.env.MONGODB_URI;
+        const backend = options.backend || (mongoUri ? 'mongo' : 'file');
+
+        this.file = new FileStateBackend(options.dir || process.env.BOT_STATE_DIR || DEFAULT_DIR, this.botName);
+        this.primary = backend === 'mongo' && mongoUri ? new MongoStateBackend(mongoUri, this.botName) : this.file;
+        this.backend = this.primary === this.file ? 'file' : 'mongo';
+
+        this.timer = null;
+        this.lastSaved = null; // serialized snapshot last written (unchanged state is not rewritten)
+    }
+
+    /**
+     * 📂 Latest snapshot (the newer of Mongo and the file fallback), or null on first run
+     */
+    async load() {
+        const sources = [this.primary];
+        if (this.primary !== this.file) sources.push(this.file);
+
+        let latest = null;
+        for (const source of sources) {
+            try {
+                const stored = await source.load();
+                if (stored && (!latest || stored.savedAt > latest.savedAt)) latest = stored;
+            } catch (error) {
+                console.warn(`⚠️ [${this.logTag}] State ${source === this.file ? 'file' : 'MongoDB'} unreadable: ${error.message}`);
+            }
+        }
+
+        if (latest) {
+            this.lastSaved = JSON.stringify(latest.state);
+            console.log(`💾 [${this.logTag}] State restored from snapshot of ${latest.savedAt.toISOString()}`);
+        }
+        return latest ? latest.state : null;
+    }
+
+    /**
+     * 💾 Write a snapshot (skipped when nothing changed since the last one)
+     */
+    async save(state) {
+        const serialized = JSON.stringify(state);
+        if (serialized === this.lastSaved) return false;
+
+        const snapshot = JSON.parse(serialized);
+        const savedAt = new Date();
+
+        try {
+            await this.primary.save(snapshot, savedAt);
+        } catch (error) {
+            if (this.primary === this.file) {
+                console.error(`❌ [${this.logTag}] State snapshot failed: ${error.message}`);
+                return false;
+            }
+
+            console.warn(`⚠️ [${this.logTag}] State snapshot falling back to disk: ${error.message}`);
+            try {
+                await this.file.save(snapshot, savedAt);
+            } catch (fileError) {
+                console.error(`❌ [${this.logTag}] State snapshot failed: ${fileError.message}`);
+                return false;
+            }
+        }
+
+        this.lastSaved = serialized;
+        return true;
+    }
+
+    /**
+     * ⏱️ Snapshot collect() every interval until stop()
+     */
+    start(collect) {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.save(collect()).catch(error => {
+                console.error(`❌ [${this.logTag}] State snapshot failed: ${error.message}`);
+            });
+        }, this.interval);
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.primary.close();
+    }
+
+    /**
+     * 📜 Recent message history fit for a snapshot - base64 media payloads are dropped
+     */
+    static historySnapshot(history, limit = HISTORY_LIMIT) {
+        return history.slice(-limit).map(entry => {
+            if (!entry.media?.data) return entry;
+            const { data, ...media } = entry.media;
+            return { ...entry, media };
+        });
+    }
+}
+
+module.exports = SavageStateStore;
@@ -5,6 +5,16 @@
  */
 
 const path = require('path');
+const PACKAGE_CONFIG = require('../package.json').config;
+
+// "10MB" / "512KB" (package.json config) -> bytes
+function parseSize(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i.exec(String(value || '').trim());
+    if (!match) return 10 * 1024 * 1024;
+
+    const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+    return Math.floor(parseFloat(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+}
 
 // =============================================================================
 // 🦅 SCANNER IDENTITY & BRANDING
@@ -21,19 +31,19 @@ const SCANNER_IDENTITY = {
         'SAVAGE-X': {
             name: 'SAVAGE-X',
             color: '#00FF00', // Green
-            prefix: '!savage',
+            prefix: '!', // ✅ UPDATED: Distinct command prefixes so one group can host all three bots (migration notes: README, COMMAND PREFIXES)
             description: 'Primary attack bot with advanced features'
         },
         'DE-UKNOWN-BOT': {
             name: 'DE-UKNOWN-BOT', 
             color: '#0000FF', // Blue
-            prefix: '!deunknown',
+            prefix: '#',
             description: 'Mystery bot with hidden capabilities'
         },
         'QUEEN-RIXIE': {
             name: 'QUEEN RIXIE',
             color: '#FF00FF', // Pink
-            prefix: '!queen',
+            prefix: '.',
             description: 'Royal command bot with elite features'
         }
     }
@@ -51,7 +61,59 @@ const SECURITY_CONFIG = {
         REQUIRE_NUMBERS: true,
         REQUIRE_SYMBOLS: true,
         MAX_ATTEMPTS: 5,
-        LOCKOUT_TIME: 15 * 60 * 1000 // 15 minutes
+        LOCKOUT_TIME: 15 * 60 * 1000, // 15 minutes
+        HASH_ROUNDS: 12 // bcrypt cost for user account passwords
+    },
+
+    // Optional RFC 6238 TOTP second factor (per user account)
+    TWO_FACTOR: {
+        ISSUER: 'SAVAGE BOTS SCANNER',
+        DIGITS: 6,
+        PERIOD: 30, // seconds
+        WINDOW: 1, // accept one step of clock drift either way
+        SECRET_BYTES: 20,
+        RECOVERY_CODES: 10,
+        CHALLENGE_TTL: 5 * 60 * 1000, // 5 minutes to enter the code
+        MAX_CHALLENGE_ATTEMPTS: 5
+    },
+
+    // Named dashboard accounts (stored in MongoDB)
+    USERS: {
+        USERNAME_PATTERN: /^[a-z0-9._-]{3,32}$/,
+        BOOTSTRAP_USERNAME: process.env.SCANNER_OWNER_USERNAME || 'owner'
+    },
+
+    // Dashboard login session (HttpOnly cookie)
+    SESSION: {
+        COOKIE_NAME: 'savage_session',
+        MAX_AGE: 24 * 60 * 60 * 1000 // 24 hours
+    },
+
+    // Dashboard roles - viewers watch, operators control the bots, owners manage users
+    ROLES: {
+        VIEWER: 'viewer',
+        OPERATOR: 'operator',
+        OWNER: 'owner',
+        LEVELS: { viewer: 1, operator: 2, owner: 3 },
+        ALL_BOTS: '*', // Per-bot permission wildcard
+        OPERATOR_EVENTS: [
+            'select_bot',
+            'execute_command',
+            'refresh_qr',
+            'generate_pairing_code',
+            'bot_register',
+            'send_message'
+        ],
+        VIEWER_HIDDEN_EVENTS: [
+            'pairing_code_generated',
+            'pairing_code_error',
+            'phone_number_linked',
+            'command_result',
+            'message_sent',
+            'message_queued',
+            'message_status'
+        ],
+        VIEWER_REDACTED_FIELDS: ['sessionId', 'phoneNumber', 'pairingCode', 'qrImage']
     },
     
     // Session encryption
@@ -60,7 +122,22 @@ const SECURITY_CONFIG = {
         KEY_LENGTH: 32, // 32 bytes = 256 bits
         IV_LENGTH: 16,  // 16 bytes for AES-GCM
         SALT: 'SAVAGE_BOTS_XMD_2024',
-        ITERATIONS: 10000
+        ITERATIONS: 10000,
+
+        // ✅ ADDED: Keyring (utils/keyring) - every blob names the key that sealed it; old keys stay decrypt-only
+        // SESSION_ENCRYPTION_KEY_ID names the current key, SESSION_ENCRYPTION_OLD_KEYS = "id:hex,id:hex"
+        DEFAULT_KEY_ID: 'k1',
+        KEY_ID_PATTERN: /^[A-Za-z0-9_.-]{1,32}$/,
+        ROTATION_ERROR_LIMIT: 20, // Failures kept in the rotation report
+
+        // ✅ ADDED: One self-describing envelope (utils/envelope) for sessions, disk backups and file exports
+        // Version 1 covers the two older shapes (session manager / utils/encryption) - read and upgraded, never written
+        ENVELOPE: {
+            FORMAT: 'savage-envelope',
+            VERSION: 2,
+            KDF: 'hkdf-sha256', // Per-purpose key from the keyring key
+            IV_LENGTH: 12       // 96-bit GCM nonce
+        }
     },
     
     // WebSocket security
@@ -84,7 +161,7 @@ const WHATSAPP_CONFIG = {
     // Baileys connection settings - UPDATED for v6.4.0
     BAILEYS: {
         VERSION: [2, 2413, 1], // ✅ Compatible with Baileys 6.4.0
-        BROWSER: ["SAVAGE BOTS SCANNER", "Chrome", "121.0.0.0"],
+        BROWSER: ['SAVAGE BOTS SCANNER', 'Chrome', '121.0.0.0'],
         MARK_ONLINE_ON_CONNECT: false, // ✅ Anti-ban
         SYNC_FULL_HISTORY: false, // ✅ Performance
         GENERATE_HIGH_QUALITY_LINK: true, // ✅ Better QR codes
@@ -108,16 +185,66 @@ const WHATSAPP_CONFIG = {
             printQRInTerminal: false
         },
         
-        // Anti-ban settings
+        // Anti-ban settings - enforced per bot by utils/outboundScheduler
         ANTI_BAN: {
             MAX_MESSAGES_PER_MINUTE: 30,
             MIN_MESSAGE_INTERVAL: 2000, // 2 seconds
             AVOID_BROADCAST: true,
             LIMIT_GROUP_MESSAGES: true,
-            RANDOM_DELAYS: true
+            GROUP_MESSAGES_PER_MINUTE: 10, // ✅ ADDED: Separate, tighter bucket for @g.us chats
+            RANDOM_DELAYS: true,
+            MAX_RANDOM_DELAY: 1500, // ✅ ADDED: Jitter on top of MIN_MESSAGE_INTERVAL
+            MAX_QUEUE_SIZE: 200 // ✅ ADDED: Per-bot backlog before sends are refused
         }
     },
-    
+
+    // ✅ ADDED: Durable outbound queue (utils/outboundQueue) - jobs survive restarts and link drops
+    OUTBOUND: {
+        MAX_ATTEMPTS: 5,
+        RETRY_BASE_DELAY: 5000, // Doubles per failed attempt
+        RETRY_MAX_DELAY: 5 * 60 * 1000,
+        RECEIPT_CACHE_TTL: 10 * 60 * 1000, // Sent jobs kept in memory for fast receipt matching
+        STATUSES: ['queued', 'sending', 'sent', 'delivered', 'read', 'failed']
+    },
+
+    // ✅ ADDED: Media pipeline (utils/media) - uploads, inbound downloads, signed download links
+    MEDIA: {
+        MAX_FILE_SIZE: parseSize(PACKAGE_CONFIG.max_file_size),
+        STORAGE_DIR: '/tmp/savage-media',
+        BOT_QUOTA: 200 * 1024 * 1024, // Stored bytes per bot
+        RETENTION: 24 * 60 * 60 * 1000, // Files are deleted after a day
+        URL_TTL: 15 * 60 * 1000, // Signed links expire after 15 minutes
+        DOWNLOAD_TIMEOUT: 30000,
+        TYPES: ['image', 'video', 'audio', 'document', 'sticker']
+    },
+
+    // ✅ ADDED: Group management (utils/groupManager) - Baileys group APIs for linked bots
+    GROUPS: {
+        METADATA_CACHE_TTL: 60 * 1000, // groupMetadata is rate limited by WhatsApp
+        MAX_PARTICIPANTS_PER_REQUEST: 20, // Bulk adds are a ban signal
+        INVITE_BASE_URL: 'https://chat.whatsapp.com/',
+        PARTICIPANT_ACTIONS: ['add', 'remove', 'promote', 'demote'],
+        JOIN_REQUEST_ACTIONS: ['approve', 'reject']
+    },
+
+    // ✅ ADDED: Consent for bot sends to chats other than the one the command came from (utils/outboundConsent)
+    CONSENT: {
+        RELAY_DAILY_QUOTA: parseInt(process.env.RELAY_DAILY_QUOTA, 10) || 10, // Per triggering user, per bot, per UTC day
+        OPT_OUT_KEYWORDS: ['STOP', 'UNSUBSCRIBE', 'STOPALL'],
+        OPT_OUT_REPLY: 'You have been unsubscribed and will not receive further messages from this number.'
+    },
+
+    // ✅ ADDED: Opt-in broadcast lists (utils/broadcastManager) - one outbound job per subscriber, sent in paced batches
+    BROADCAST: {
+        LIST_NAME_PATTERN: /^[a-z0-9][a-z0-9_-]{1,31}$/,
+        MAX_LISTS_PER_BOT: 20,
+        MAX_SUBSCRIBERS_PER_LIST: 1000,
+        BATCH_SIZE: 10, // Stays well inside ANTI_BAN.MAX_MESSAGES_PER_MINUTE with room for replies
+        BATCH_PAUSE: 60 * 1000, // Between batches, once the previous batch has left the queue
+        MAX_TEXT_LENGTH: 4096,
+        RECENT_RUNS: 20 // Broadcast reports listed per bot
+    },
+
     // QR Code settings - ✅ UPDATED: Auto-regeneration
     QR: {
         WIDTH: 400, // ✅ INCREASED: Better visibility
@@ -275,6 +402,50 @@ const BOT_CONFIG = {
             NORMAL: 2,
             LOW: 3
         }
+    },
+
+    // ✅ ADDED: Command triggers (bots/commands/registry) - defaults are SCANNER_IDENTITY.BOTS[*].prefix
+    COMMANDS: {
+        PREFIX_PATTERN: /^[^\sA-Za-z0-9]{1,3}$/ // 1-3 symbols; group admins may override per chat
+    },
+
+    // ✅ ADDED: Functions providers behind /api/functions/:botType (utils/functionsProvider)
+    FUNCTIONS: {
+        // Tried in order - 'http' (remote service), 'local' (command modules on disk); 'builtin' always answers last
+        PROVIDERS: (process.env.FUNCTIONS_PROVIDERS || 'http').split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+        HTTP_URL: process.env.FUNCTIONS_URL || PACKAGE_CONFIG.functions_url,
+        HTTP_TIMEOUT: 10000,
+        LOCAL_DIR: process.env.FUNCTIONS_DIR || path.join(__dirname, '..', 'functions'), // <dir>/<bot slug>/*.js + <dir>/common/*.js
+
+        // Per bot endpoint of the http provider - an open breaker fails fast so the next provider answers at once
+        BREAKER: {
+            FAILURE_THRESHOLD: 3, // Consecutive failures that open it
+            OPEN_DURATION: 30000, // Before a health probe may half-open it
+            PROBE_TIMEOUT: 3000
+        },
+
+        // HMAC-signed requests and responses between the http provider and the functions service (utils/functionsSigning)
+        SIGNING: {
+            SECRET: process.env.FUNCTIONS_SECRET || null, // Required in production; unset elsewhere, requests go out unsigned and responses are not checked
+            MAX_SKEW: 5 * 60 * 1000, // Timestamps further off are rejected; nonces are remembered this long
+            HEADERS: {
+                TIMESTAMP: 'x-savage-timestamp',
+                NONCE: 'x-savage-nonce',
+                SIGNATURE: 'x-savage-signature'
+            }
+        },
+
+        // Idempotent commands answered from savageHelpers' cache (argument-free calls only)
+        CACHE: {
+            COMMANDS: ['menu', 'ping', 'help'],
+            TTL: 60000
+        },
+
+        BOT_SLUGS: {
+            'SAVAGE-X': 'savage-x',
+            'DE-UKNOWN-BOT': 'de-unknown',
+            'QUEEN-RIXIE': 'queen-rixie'
+        }
     }
 };
 
@@ -15,6 +15,12 @@ class SavageDatabase {
         this.connectionAttempts = 0;
         this.maxRetries = 5;
         this.backupDir = '/tmp/savage-session-backups'; // Render persistent storage
+        this.outboundDir = path.join(this.backupDir, 'outbound'); // Outbound jobs while MongoDB is down
+        this.outboundRetention = 86400 * 7 * 1000; // Matches the savage_outbound TTL
+        this.chatSettingsDir = path.join(this.backupDir, 'chat-settings'); // Per-chat bot settings while MongoDB is down
+        this.consentDir = path.join(this.backupDir, 'consent'); // Allowlist / opt-out changes while MongoDB is down
+        this.authKeysDir = path.join(this.backupDir, 'auth-keys'); // Signal key writes while MongoDB is down
+        this.backupLocks = new Map(); // backup path -> tail of its pending writes
         
         // Session schema for MongoDB
         this.sessionSchema = new mongoose.Schema({
@@ -70,6 +76,282 @@ class SavageDatabase {
         });
 
         this.Session = mongoose.model('SavageSession', this.sessionSchema);
+
+        // Dashboard user accounts (bcrypt hashes, role + per-bot permissions)
+        this.userSchema = new mongoose.Schema({
+            username: {
+                type: String,
+                unique: true,
+                index: true,
+                required: true,
+                lowercase: true,
+                trim: true
+            },
+            passwordHash: {
+                type: String,
+                required: true
+            },
+            role: {
+                type: String,
+                enum: ['owner', 'operator', 'viewer'],
+                default: 'viewer'
+            },
+            bots: {
+                type: [{
+                    type: String,
+                    enum: ['*', 'SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN-RIXIE']
+                }],
+                default: ['*'] // '*' = every bot
+            },
+            isActive: {
+                type: Boolean,
+                default: true
+            },
+            createdBy: {
+                type: String,
+                default: null
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            },
+            updatedAt: {
+                type: Date,
+                default: Date.now
+            },
+            lastLoginAt: Date,
+            lastLoginIP: String,
+            twoFactor: {
+                enabled: { type: Boolean, default: false },
+                secret: String, // Encrypted with the session key
+                pendingSecret: String, // Awaiting the first code during enrolment
+                recoveryCodes: [String], // sha256 hashes, removed once used
+                lastUsedStep: Number, // Replay protection
+                enrolledAt: Date
+            }
+        });
+
+        this.User = mongoose.model('SavageUser', this.userSchema, 'savage_users');
+
+        // Durable outbound WhatsApp messages (status + real message key for receipts)
+        this.outboundSchema = new mongoose.Schema({
+            jobId: {
+                type: String,
+                unique: true,
+                index: true,
+                required: true
+            },
+            botName: {
+                type: String,
+                enum: ['SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN-RIXIE'],
+                required: true
+            },
+            chatId: {
+                type: String,
+                required: true
+            },
+            content: {
+                type: mongoose.Schema.Types.Mixed,
+                required: true
+            },
+            status: {
+                type: String,
+                enum: ['queued', 'sending', 'sent', 'delivered', 'read', 'failed'],
+                default: 'queued',
+                index: true
+            },
+            source: {
+                type: String,
+                enum: ['socket', 'gateway', 'api', 'system', 'broadcast'],
+                default: 'api'
+            },
+            requestId: String, // Caller's own correlation ID
+            requestedBy: String,
+            relayedFrom: String, // Chat whose command sent this to another chat (counts against the consent quota)
+            attempts: {
+                type: Number,
+                default: 0
+            },
+            nextAttemptAt: Date,
+            lastError: String,
+            messageKey: {
+                id: String,
+                remoteJid: String,
+                fromMe: Boolean
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now,
+                expires: 86400 * 7 // Auto-delete after 7 days (see outboundRetention)
+            },
+            updatedAt: {
+                type: Date,
+                default: Date.now
+            },
+            sentAt: Date,
+            deliveredAt: Date,
+            readAt: Date
+        });
+        this.outboundSchema.index({ botName: 1, 'messageKey.id': 1 });
+        this.outboundSchema.index({ botName: 1, requestedBy: 1, createdAt: 1 });
+
+        this.OutboundMessage = mongoose.model('SavageOutboundMessage', this.outboundSchema, 'savage_outbound');
+
+        // Per-chat bot settings (command prefix overrides set by group admins)
+        this.chatSettingSchema = new mongoose.Schema({
+            botName: {
+                type: String,
+                enum: ['SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN-RIXIE'],
+                required: true
+            },
+            chatId: {
+                type: String,
+                required: true
+            },
+            prefix: String,
+            updatedBy: String,
+            updatedAt: {
+                type: Date,
+                default: Date.now
+            }
+        });
+        this.chatSettingSchema.index({ botName: 1, chatId: 1 }, { unique: true });
+
+        this.ChatSetting = mongoose.model('SavageChatSetting', this.chatSettingSchema, 'savage_chat_settings');
+
+        // Outbound consent per bot and chat (owner allowlist, recipient STOP opt-outs)
+        this.consentSchema = new mongoose.Schema({
+            botName: {
+                type: String,
+                enum: ['SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN-RIXIE'],
+                required: true
+            },
+            chatId: {
+                type: String,
+                required: true
+            },
+            allowed: {
+                type: Boolean,
+                default: false
+            },
+            allowedBy: String,
+            optedOut: {
+                type: Boolean,
+                default: false
+            },
+            optedOutBy: String,
+            optedOutAt: Date,
+            updatedAt: {
+                type: Date,
+                default: Date.now
+            }
+        });
+        this.consentSchema.index({ botName: 1, chatId: 1 }, { unique: true });
+
+        this.Consent = mongoose.model('SavageConsent', this.consentSchema, 'savage_consent');
+
+        // Named opt-in broadcast lists
+        this.broadcastListSchema = new mongoose.Schema({
+            botName: {
+                type: String,
+                enum: ['SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN-RIXIE'],
+                required: true
+            },
+            name: {
+                type: String,
+                required: true
+            },
+            description: String,
+            createdBy: String,
+            subscribers: [{
+                _id: false,
+                chatId: String,
+                subscribedBy: String,
+                subscribedAt: Date
+            }],
+            createdAt: {
+                type: Date,
+                default: Date.now
+            },
+            updatedAt: {
+                type: Date,
+                default: Date.now
+            }
+        });
+        this.broadcastListSchema.index({ botName: 1, name: 1 }, { unique: true });
+
+        this.BroadcastList = mongoose.model('SavageBroadcastList', this.broadcastListSchema, 'savage_broadcast_lists');
+
+        // One broadcast to a list - per-recipient outbound job and status
+        this.broadcastRunSchema = new mongoose.Schema({
+            broadcastId: {
+                type: String,
+                unique: true,
+                index: true,
+                required: true
+            },
+            botName: {
+                type: String,
+                enum: ['SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN-RIXIE'],
+                required: true
+            },
+            listName: String,
+            content: mongoose.Schema.Types.Mixed,
+            status: {
+                type: String,
+                enum: ['sending', 'completed'],
+                default: 'sending',
+                index: true
+            },
+            source: String,
+            requestedBy: String,
+            originChatId: String, // Where the report goes (bot-issued broadcasts)
+            recipients: [{
+                _id: false,
+                chatId: String,
+                jobId: String,
+                status: String,
+                error: String
+            }],
+            createdAt: {
+                type: Date,
+                default: Date.now,
+                expires: 86400 * 30 // Reports kept for 30 days
+            },
+            updatedAt: Date,
+            completedAt: Date
+        });
+        this.broadcastRunSchema.index({ botName: 1, createdAt: -1 });
+
+        this.BroadcastRun = mongoose.model('SavageBroadcastRun', this.broadcastRunSchema, 'savage_broadcasts');
+
+        // Baileys signal keys - one encrypted document per key, so a busy key store never nears the 16MB document limit
+        this.authKeySchema = new mongoose.Schema({
+            botName: {
+                type: String,
+                enum: ['SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN-RIXIE', 'SCANNER'],
+                required: true
+            },
+            type: {
+                type: String,
+                required: true
+            },
+            keyId: {
+                type: String,
+                required: true
+            },
+            encryptedData: {
+                type: String,
+                required: true
+            },
+            updatedAt: {
+                type: Date,
+                default: Date.now
+            }
+        });
+        this.authKeySchema.index({ botName: 1, type: 1, keyId: 1 }, { unique: true });
+
+        this.AuthKey = mongoose.model('SavageAuthKey', this.authKeySchema, 'savage_auth_keys');
     }
 
     /**
@@ -216,7 +498,7 @@ class SavageDatabase {
                 backupType: 'disk_backup'
             };
             
-            await fs.writeFile(backupPath, JSON.stringify(backupData, null, 2));
+            await this.withBackupLock(backupPath, () => fs.writeFile(backupPath, JSON.stringify(backupData, null, 2)));
             return true;
         } catch (error) {
             throw new Error(`Disk backup failed: ${error.message}`);
@@ -225,8 +507,9 @@ class SavageDatabase {
 
     /**
      * 🔄 Get session with auto-recovery
+     * strict: read errors throw instead of reading as "not found" - for callers that would replace a missing session
      */
-    async getSession(sessionId) {
+    async getSession(sessionId, { strict = false } = {}) {
         try {
             let session = null;
 
@@ -254,6 +537,7 @@ class SavageDatabase {
                     return session;
                 }
             } catch (diskError) {
+                if (strict && diskError.code !== 'ENOENT') throw diskError;
                 console.warn('⚠️ [SAVAGE-DB] Disk restore failed:', diskError.message);
             }
 
@@ -262,6 +546,7 @@ class SavageDatabase {
 
         } catch (error) {
             console.error('❌ [SAVAGE-DB] Get session failed:', error);
+            if (strict) throw error;
             return null;
         }
     }
@@ -275,7 +560,9 @@ class SavageDatabase {
             const data = await fs.readFile(backupPath, 'utf8');
             return JSON.parse(data);
         } catch (error) {
-            throw new Error(`Disk restore failed: ${error.message}`);
+            const restoreError = new Error(`Disk restore failed: ${error.message}`);
+            restoreError.code = error.code; // ENOENT = no backup, anything else = unreadable backup
+            throw restoreError;
         }
     }
 
@@ -284,7 +571,7 @@ class SavageDatabase {
      */
     async deleteSession(sessionId) {
         try {
-            let results = { mongo: false, disk: false };
+            const results = { mongo: false, disk: false };
 
             // Delete from MongoDB
             if (this.isConnected) {
@@ -310,6 +597,539 @@ class SavageDatabase {
         }
     }
 
+    /**
+     * 📋 Every stored session document (MongoDB only - disk backups are walked separately)
+     */
+    async getAllSessions() {
+        if (!this.isConnected) return [];
+        return this.Session.find({}).lean();
+    }
+
+    /**
+     * 🔁 Swap a session's encrypted payload in place (key rotation, upgrade-on-read) - access times and metadata are kept
+     * Only while the stored payload is still `previous`: a live save in between wins and this returns false
+     */
+    async updateSessionEncryption(sessionId, encryptedData, previous) {
+        if (!this.isConnected) return false;
+
+        const result = await this.Session.updateOne(
+            { sessionId, encryptedData: previous },
+            { $set: { encryptedData, 'metadata.backupHash': this.generateBackupHash(encryptedData) } }
+        );
+        return result.matchedCount > 0;
+    }
+
+    /**
+     * 🔁 Same compare-and-swap for a session backup file on disk - false when there is no backup at that path
+     * or it no longer holds `previous`
+     */
+    async updateBackupEncryption(backupPath, encryptedData, previous) {
+        return this.withBackupLock(backupPath, async () => {
+            let backup;
+            try {
+                backup = JSON.parse(await fs.readFile(backupPath, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+
+            if (backup.encryptedData !== previous) return false;
+
+            const updated = {
+                ...backup,
+                encryptedData,
+                metadata: { ...backup.metadata, backupHash: this.generateBackupHash(encryptedData) }
+            };
+
+            // Write then rename so a crash mid-write never leaves a half-written session
+            const tempPath = `${backupPath}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(updated, null, 2));
+            await fs.rename(tempPath, backupPath);
+            return true;
+        });
+    }
+
+    /**
+     * 🔒 Run writes to one backup file one at a time - keeps a compare-then-write from interleaving with a save
+     */
+    async withBackupLock(backupPath, task) {
+        const previous = this.backupLocks.get(backupPath) || Promise.resolve();
+        const run = previous.catch(() => {}).then(task);
+        const tail = run.catch(() => {});
+
+        this.backupLocks.set(backupPath, tail);
+        tail.then(() => {
+            if (this.backupLocks.get(backupPath) === tail) this.backupLocks.delete(backupPath);
+        });
+
+        return run;
+    }
+
+    /**
+     * 📤 Save an outbound message job (MongoDB, Render disk while MongoDB is down)
+     */
+    async saveOutboundJob(job) {
+        const { _id, __v, ...fields } = job; // lean documents come back with Mongo's own keys
+        const doc = { ...fields, updatedAt: new Date() };
+
+        if (this.isConnected) {
+            try {
+                await this.OutboundMessage.findOneAndUpdate({ jobId: job.jobId }, doc, { upsert: true });
+                return 'mongo';
+            } catch (error) {
+                console.warn(`⚠️ [SAVAGE-DB] Outbound job ${job.jobId} falling back to disk:`, error.message);
+            }
+        }
+
+        await this.saveOutboundToDisk(doc);
+        return 'disk';
+    }
+
+    /**
+     * 💾 Buffer an outbound job on disk
+     */
+    async saveOutboundToDisk(job) {
+        try {
+            await fs.mkdir(this.outboundDir, { recursive: true });
+            await fs.writeFile(path.join(this.outboundDir, `${job.jobId}.json`), JSON.stringify(job));
+        } catch (error) {
+            throw new Error(`Outbound disk buffer failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * 📂 Outbound jobs buffered on disk (expired ones are pruned)
+     */
+    async loadOutboundFromDisk() {
+        let files = [];
+        try {
+            files = await fs.readdir(this.outboundDir);
+        } catch (error) {
+            return [];
+        }
+
+        const jobs = [];
+        const expiredBefore = Date.now() - this.outboundRetention;
+
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            const filePath = path.join(this.outboundDir, file);
+            try {
+                const job = JSON.parse(await fs.readFile(filePath, 'utf8'));
+                if (new Date(job.createdAt).getTime() < expiredBefore) {
+                    await fs.unlink(filePath);
+                    continue;
+                }
+                jobs.push(job);
+            } catch (error) {
+                console.warn(`⚠️ [SAVAGE-DB] Unreadable outbound buffer ${file}:`, error.message);
+            }
+        }
+
+        return jobs;
+    }
+
+    /**
+     * ♻️ Move disk-buffered outbound jobs into MongoDB once it is reachable
+     */
+    async recoverOutboundJobs() {
+        if (!this.isConnected) return 0;
+
+        const jobs = await this.loadOutboundFromDisk();
+        for (const job of jobs) {
+            await this.OutboundMessage.findOneAndUpdate({ jobId: job.jobId }, job, { upsert: true });
+            await fs.unlink(path.join(this.outboundDir, `${job.jobId}.json`));
+        }
+
+        if (jobs.length > 0) {
+            console.log(`♻️ [SAVAGE-DB] Recovered ${jobs.length} outbound job(s) from disk`);
+        }
+        return jobs.length;
+    }
+
+    /**
+     * 📋 Outbound jobs for a bot that still have to go out (oldest first)
+     */
+    async getPendingOutboundJobs(botName) {
+        const pending = ['queued', 'sending'];
+
+        try {
+            await this.recoverOutboundJobs();
+        } catch (error) {
+            console.warn('⚠️ [SAVAGE-DB] Outbound recovery failed:', error.message);
+        }
+
+        if (this.isConnected) {
+            return this.OutboundMessage.find({ botName, status: { $in: pending } }).sort({ createdAt: 1 }).lean();
+        }
+
+        const jobs = await this.loadOutboundFromDisk();
+        return jobs
+            .filter(job => job.botName === botName && pending.includes(job.status))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    /**
+     * 🔍 Find an outbound job by job ID or by the WhatsApp message ID it was sent as
+     */
+    async findOutboundJob(query) {
+        if (this.isConnected) {
+            const filter = query.jobId
+                ? { jobId: query.jobId }
+                : { botName: query.botName, 'messageKey.id': query.messageId };
+            return this.OutboundMessage.findOne(filter).lean();
+        }
+
+        const jobs = await this.loadOutboundFromDisk();
+        return jobs.find(job => query.jobId
+            ? job.jobId === query.jobId
+            : job.botName === query.botName && job.messageKey?.id === query.messageId) || null;
+    }
+
+    /**
+     * 🔢 Sends a user triggered into chats other than their own since a point in time (consent quota)
+     */
+    async countRelayedJobs(botName, requestedBy, since) {
+        if (this.isConnected) {
+            return this.OutboundMessage.countDocuments({
+                botName,
+                requestedBy,
+                relayedFrom: { $ne: null },
+                createdAt: { $gte: since }
+            });
+        }
+
+        const jobs = await this.loadOutboundFromDisk();
+        return jobs.filter(job => job.botName === botName && job.requestedBy === requestedBy &&
+            job.relayedFrom && new Date(job.createdAt) >= since).length;
+    }
+
+    /**
+     * 💬 Save a bot's settings for one chat (prefix: null removes the override)
+     */
+    async saveChatSetting(botName, chatId, { prefix = null, updatedBy = null } = {}) {
+        const doc = { botName, chatId, prefix, updatedBy, updatedAt: new Date() };
+
+        if (this.isConnected) {
+            try {
+                if (prefix) {
+                    await this.ChatSetting.findOneAndUpdate({ botName, chatId }, doc, { upsert: true });
+                } else {
+                    await this.ChatSetting.deleteOne({ botName, chatId });
+                }
+                return 'mongo';
+            } catch (error) {
+                console.warn(`⚠️ [SAVAGE-DB] Chat setting for ${botName}/${chatId} falling back to disk:`, error.message);
+            }
+        }
+
+        const settings = await this.loadChatSettingsFromDisk(botName);
+        settings[chatId] = doc; // null prefixes are kept so recovery also clears them in MongoDB
+        await this.saveChatSettingsToDisk(botName, settings);
+        return 'disk';
+    }
+
+    /**
+     * 💬 Every chat override for a bot → { chatId: prefix }
+     */
+    async getChatSettings(botName) {
+        if (this.isConnected) {
+            try {
+                await this.recoverChatSettings(botName);
+            } catch (error) {
+                console.warn('⚠️ [SAVAGE-DB] Chat settings recovery failed:', error.message);
+            }
+
+            const docs = await this.ChatSetting.find({ botName }).lean();
+            return Object.fromEntries(docs.filter(doc => doc.prefix).map(doc => [doc.chatId, doc.prefix]));
+        }
+
+        const settings = await this.loadChatSettingsFromDisk(botName);
+        return Object.fromEntries(Object.values(settings).filter(doc => doc.prefix).map(doc => [doc.chatId, doc.prefix]));
+    }
+
+    async loadChatSettingsFromDisk(botName) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.chatSettingsDir, `${botName}.json`), 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    async saveChatSettingsToDisk(botName, settings) {
+        try {
+            await fs.mkdir(this.chatSettingsDir, { recursive: true });
+            await fs.writeFile(path.join(this.chatSettingsDir, `${botName}.json`), JSON.stringify(settings));
+        } catch (error) {
+            throw new Error(`Chat settings disk buffer failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * ♻️ Move disk-buffered chat settings into MongoDB once it is reachable
+     */
+    async recoverChatSettings(botName) {
+        const settings = Object.values(await this.loadChatSettingsFromDisk(botName));
+        if (settings.length === 0) return 0;
+
+        for (const doc of settings) {
+            if (doc.prefix) {
+                await this.ChatSetting.findOneAndUpdate({ botName, chatId: doc.chatId }, doc, { upsert: true });
+            } else {
+                await this.ChatSetting.deleteOne({ botName, chatId: doc.chatId });
+            }
+        }
+        await fs.unlink(path.join(this.chatSettingsDir, `${botName}.json`));
+
+        console.log(`♻️ [SAVAGE-DB] Recovered ${settings.length} chat setting(s) for ${botName} from disk`);
+        return settings.length;
+    }
+
+    /**
+     * ✋ Save a chat's consent record for a bot (allowlist flag and STOP opt-out)
+     */
+    async saveConsent(record) {
+        const { _id, __v, ...fields } = record;
+        const doc = { ...fields, updatedAt: new Date() };
+
+        if (this.isConnected) {
+            try {
+                await this.Consent.findOneAndUpdate({ botName: doc.botName, chatId: doc.chatId }, doc, { upsert: true });
+                return 'mongo';
+            } catch (error) {
+                console.warn(`⚠️ [SAVAGE-DB] Consent for ${doc.botName}/${doc.chatId} falling back to disk:`, error.message);
+            }
+        }
+
+        const records = await this.loadConsentFromDisk(doc.botName);
+        records[doc.chatId] = doc;
+        await this.saveConsentToDisk(doc.botName, records);
+        return 'disk';
+    }
+
+    /**
+     * ✋ Every consent record for a bot
+     */
+    async getConsentRecords(botName) {
+        if (this.isConnected) {
+            try {
+                await this.recoverConsent(botName);
+            } catch (error) {
+                console.warn('⚠️ [SAVAGE-DB] Consent recovery failed:', error.message);
+            }
+
+            return this.Consent.find({ botName }).lean();
+        }
+
+        return Object.values(await this.loadConsentFromDisk(botName));
+    }
+
+    async loadConsentFromDisk(botName) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.consentDir, `${botName}.json`), 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    async saveConsentToDisk(botName, records) {
+        try {
+            await fs.mkdir(this.consentDir, { recursive: true });
+            await fs.writeFile(path.join(this.consentDir, `${botName}.json`), JSON.stringify(records));
+        } catch (error) {
+            throw new Error(`Consent disk buffer failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * ♻️ Move disk-buffered consent records into MongoDB once it is reachable
+     */
+    async recoverConsent(botName) {
+        const records = Object.values(await this.loadConsentFromDisk(botName));
+        if (records.length === 0) return 0;
+
+        for (const doc of records) {
+            await this.Consent.findOneAndUpdate({ botName, chatId: doc.chatId }, doc, { upsert: true });
+        }
+        await fs.unlink(path.join(this.consentDir, `${botName}.json`));
+
+        console.log(`♻️ [SAVAGE-DB] Recovered ${records.length} consent record(s) for ${botName} from disk`);
+        return records.length;
+    }
+
+    /**
+     * 🔑 Save a batch of signal key changes for a bot - entries: [{ type, keyId, encryptedData }],
+     * encryptedData null deletes the key
+     */
+    async saveAuthKeys(botName, entries) {
+        if (entries.length === 0) return 'none';
+
+        if (this.isConnected) {
+            try {
+                await this.AuthKey.bulkWrite(entries.map(entry => this.authKeyOperation(botName, entry)), { ordered: true });
+                return 'mongo';
+            } catch (error) {
+                console.warn(`⚠️ [SAVAGE-DB] Auth keys for ${botName} falling back to disk:`, error.message);
+            }
+        }
+
+        const bufferPath = this.authKeysBufferPath(botName);
+        await this.withBackupLock(bufferPath, async () => {
+            const buffered = await this.loadAuthKeysFromDisk(botName);
+            for (const entry of entries) {
+                // Deletions are kept so recovery also removes them from MongoDB
+                buffered[`${entry.type}/${entry.keyId}`] = { ...entry, updatedAt: new Date() };
+            }
+            await this.saveAuthKeysToDisk(botName, buffered);
+        });
+        return 'disk';
+    }
+
+    /**
+     * 🔑 Every stored signal key for a bot → [{ type, keyId, encryptedData }]
+     */
+    async getAuthKeys(botName) {
+        if (this.isConnected) {
+            await this.recoverAuthKeys(botName);
+            return this.AuthKey.find({ botName }).lean();
+        }
+
+        const buffered = await this.loadAuthKeysFromDisk(botName);
+        return Object.values(buffered).filter(entry => entry.encryptedData);
+    }
+
+    /**
+     * 🗑️ Drop a bot's signal keys (logout)
+     */
+    async deleteAuthKeys(botName) {
+        if (this.isConnected) {
+            await this.AuthKey.deleteMany({ botName });
+        }
+
+        const bufferPath = this.authKeysBufferPath(botName);
+        await this.withBackupLock(bufferPath, () => fs.unlink(bufferPath).catch(() => {}));
+    }
+
+    /**
+     * 🔁 Compare-and-swap one key's ciphertext (key rotation) - false when it changed since it was read
+     */
+    async updateAuthKeyEncryption(botName, type, keyId, encryptedData, previous) {
+        if (!this.isConnected) return false;
+
+        const result = await this.AuthKey.updateOne(
+            { botName, type, keyId, encryptedData: previous },
+            { $set: { encryptedData } }
+        );
+        return result.matchedCount > 0;
+    }
+
+    /**
+     * 🔁 Same swap for a key still buffered on disk
+     */
+    async updateBufferedAuthKeyEncryption(botName, type, keyId, encryptedData, previous) {
+        return this.withBackupLock(this.authKeysBufferPath(botName), async () => {
+            const buffered = await this.loadAuthKeysFromDisk(botName);
+            const entry = buffered[`${type}/${keyId}`];
+            if (!entry || entry.encryptedData !== previous) return false;
+
+            entry.encryptedData = encryptedData;
+            await this.saveAuthKeysToDisk(botName, buffered);
+            return true;
+        });
+    }
+
+    authKeyOperation(botName, { type, keyId, encryptedData }) {
+        const filter = { botName, type, keyId };
+        return encryptedData
+            ? { updateOne: { filter, update: { $set: { encryptedData, updatedAt: new Date() } }, upsert: true } }
+            : { deleteOne: { filter } };
+    }
+
+    authKeysBufferPath(botName) {
+        return path.join(this.authKeysDir, `${botName}.json`);
+    }
+
+    async loadAuthKeysFromDisk(botName) {
+        try {
+            return JSON.parse(await fs.readFile(this.authKeysBufferPath(botName), 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    async saveAuthKeysToDisk(botName, buffered) {
+        try {
+            const bufferPath = this.authKeysBufferPath(botName);
+            const tempPath = `${bufferPath}.tmp`;
+            await fs.mkdir(this.authKeysDir, { recursive: true });
+            await fs.writeFile(tempPath, JSON.stringify(buffered));
+            await fs.rename(tempPath, bufferPath);
+        } catch (error) {
+            throw new Error(`Auth keys disk buffer failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * ♻️ Move disk-buffered signal keys into MongoDB once it is reachable
+     */
+    async recoverAuthKeys(botName) {
+        const bufferPath = this.authKeysBufferPath(botName);
+
+        return this.withBackupLock(bufferPath, async () => {
+            const entries = Object.values(await this.loadAuthKeysFromDisk(botName));
+            if (entries.length === 0) return 0;
+
+            await this.AuthKey.bulkWrite(entries.map(entry => this.authKeyOperation(botName, entry)), { ordered: true });
+            await fs.unlink(bufferPath);
+
+            console.log(`♻️ [SAVAGE-DB] Recovered ${entries.length} auth key change(s) for ${botName} from disk`);
+            return entries.length;
+        });
+    }
+
+    /**
+     * 📣 Broadcast lists (MongoDB only - callers check isConnected first)
+     */
+    async saveBroadcastList(list) {
+        const { _id, __v, ...fields } = list;
+        const doc = { ...fields, updatedAt: new Date() };
+
+        await this.BroadcastList.findOneAndUpdate({ botName: doc.botName, name: doc.name }, doc, { upsert: true });
+        return doc;
+    }
+
+    async findBroadcastList(botName, name) {
+        return this.BroadcastList.findOne({ botName, name }).lean();
+    }
+
+    async getBroadcastLists(botName) {
+        return this.BroadcastList.find({ botName }).sort({ name: 1 }).lean();
+    }
+
+    async deleteBroadcastList(botName, name) {
+        const result = await this.BroadcastList.deleteOne({ botName, name });
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * 📣 Broadcast runs (per-recipient status reports)
+     */
+    async saveBroadcastRun(run) {
+        const { _id, __v, ...fields } = run;
+        const doc = { ...fields, updatedAt: new Date() };
+
+        await this.BroadcastRun.findOneAndUpdate({ broadcastId: doc.broadcastId }, doc, { upsert: true });
+        return doc;
+    }
+
+    async findBroadcastRun(broadcastId) {
+        return this.BroadcastRun.findOne({ broadcastId }).lean();
+    }
+
+    async getBroadcastRuns(botName, { status = null, limit = 20 } = {}) {
+        const filter = status ? { botName, status } : { botName };
+        return this.BroadcastRun.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    }
+
     /**
      * 📊 Get database statistics
      */
@@ -329,7 +1149,7 @@ class SavageDatabase {
             ]);
 
             // Get disk backup stats
-            let diskStats = { total: 0, size: 0 };
+            const diskStats = { total: 0, size: 0 };
             try {
                 const files = await fs.readdir(this.backupDir);
                 diskStats.total = files.filter(f => f.endsWith('.json')).length;
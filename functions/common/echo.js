@@ -0,0 +1,15 @@
+/**
+ * 🔁 Local function: echo - served by the 'local' functions provider (FUNCTIONS_PROVIDERS=local)
+ * Drop more files into functions/common (every bot) or functions/<bot slug> (savage-x, de-unknown, queen-rixie);
+ * each exports a definition, an array of them, or a function(bot) returning either
+ */
+
+module.exports = {
+    name: 'echo',
+    aliases: ['say'],
+    description: 'Repeat the arguments back',
+    execute: ({ bot, args }) => {
+        const text = [].concat(args || []).join(' ').trim();
+        return text ? `🔁 ${text}` : `🔁 ${bot} is listening`;
+    }
+};
@@ -5,7 +5,7 @@
  */
 
 const savagePasswordAuth = require('../auth/passwordAuth');
-const { MESSAGES, SECURITY_CONFIG } = require('../config/constants');
+const { SECURITY_CONFIG, DEPLOYMENT } = require('../config/constants');
 
 /**
  * 🔐 Main password authentication middleware
@@ -98,6 +98,135 @@ const optionalPasswordAuth = (req, res, next) => {
     next();
 };
 
+/**
+ * 🖥️ Page authentication middleware
+ * Like requirePasswordAuth, but sends browsers back to the password page
+ */
+const requirePageAuth = (req, res, next) => {
+    const clientIP = getClientIP(req);
+    const sessionToken = extractSessionToken(req);
+    const tokenValidation = sessionToken
+        ? savagePasswordAuth.validateSessionToken(sessionToken, clientIP)
+        : { valid: false };
+
+    if (!tokenValidation.valid) {
+        logSecurityEvent('UNAUTHORIZED', clientIP, `Redirecting unauthenticated visitor from ${req.path}`);
+        return res.redirect('/password');
+    }
+
+    req.auth = {
+        authenticated: true,
+        session: tokenValidation.session,
+        clientIP: clientIP,
+        sessionToken: sessionToken
+    };
+
+    next();
+};
+
+/**
+ * 🔌 Socket.IO handshake authentication
+ * Accepts the HttpOnly session cookie (browsers) or auth.sessionToken (scripts)
+ */
+const authenticateSocket = (socket, next) => {
+    const clientIP = getSocketIP(socket);
+    const cookies = parseCookies(socket.handshake.headers.cookie);
+    const sessionToken = cookies[SECURITY_CONFIG.SESSION.COOKIE_NAME] || socket.handshake.auth?.sessionToken;
+
+    const lockCheck = checkIPLock(clientIP);
+    if (!lockCheck.allowed) {
+        logSecurityEvent('IP_LOCKED', clientIP, 'Socket handshake from locked IP');
+        return next(createSocketAuthError(lockCheck.reason, 'IP_LOCKED'));
+    }
+
+    if (!sessionToken) {
+        logSecurityEvent('MISSING_TOKEN', clientIP, 'Socket handshake without session token');
+        return next(createSocketAuthError('Authentication required', 'MISSING_TOKEN'));
+    }
+
+    // Sockets outlive requests - a token replayed from another address is refused outright
+    const tokenValidation = savagePasswordAuth.validateSessionToken(sessionToken, clientIP, { bindIP: true });
+    if (!tokenValidation.valid) {
+        logSecurityEvent('INVALID_TOKEN', clientIP, `Socket token validation failed: ${tokenValidation.error}`);
+        return next(createSocketAuthError(tokenValidation.error || 'Invalid session token', 'INVALID_TOKEN'));
+    }
+
+    socket.auth = {
+        authenticated: true,
+        session: tokenValidation.session,
+        role: tokenValidation.session.role || SECURITY_CONFIG.ROLES.VIEWER,
+        clientIP: clientIP,
+        sessionToken: sessionToken
+    };
+
+    next();
+};
+
+/**
+ * 🎭 Per-event socket authorization (socket.use packet middleware)
+ * The session must still be live; viewers may watch the dashboard, scanner controls need the operator role
+ */
+const authorizeSocketEvent = (socket) => ([event, data], next) => {
+    const role = socket.auth?.role;
+    const clientIP = socket.auth?.clientIP || getSocketIP(socket);
+
+    // The handshake token may since have been revoked, logged out or expired
+    const tokenValidation = savagePasswordAuth.validateSessionToken(socket.auth?.sessionToken, clientIP, { bindIP: true });
+    if (!tokenValidation.valid) {
+        logSecurityEvent('INVALID_TOKEN', clientIP, `Socket event '${event}' on a dead session: ${tokenValidation.error}`, { user: socket.auth?.session?.username });
+        next(createSocketAuthError(tokenValidation.error || 'Session ended', 'SESSION_ENDED'));
+        socket.disconnect(true);
+        return;
+    }
+
+    if (SECURITY_CONFIG.ROLES.OPERATOR_EVENTS.includes(event) && !savagePasswordAuth.hasRole(role, SECURITY_CONFIG.ROLES.OPERATOR)) {
+        logSecurityEvent('FORBIDDEN', clientIP, `${role} attempted '${event}'`, { user: socket.auth?.session?.username });
+        return next(createSocketAuthError(`Operator role required for ${event}`, 'OPERATOR_REQUIRED'));
+    }
+
+    if (data?.botName && !savagePasswordAuth.canAccessBot(socket.auth?.session, data.botName)) {
+        logSecurityEvent('FORBIDDEN', clientIP, `'${event}' denied for ${data.botName}`, { user: socket.auth?.session?.username });
+        return next(createSocketAuthError(`No permission for ${data.botName}`, 'BOT_FORBIDDEN'));
+    }
+
+    next();
+};
+
+/**
+ * 🛡️ Role-gated route middleware (use after requirePasswordAuth)
+ */
+const requireRole = (role) => (req, res, next) => {
+    const sessionRole = req.auth?.session?.role;
+
+    if (!req.auth?.authenticated || !savagePasswordAuth.hasRole(sessionRole, role)) {
+        logSecurityEvent('FORBIDDEN', getClientIP(req), `${sessionRole || 'anonymous'} denied ${req.method} ${req.path}`, {
+            user: req.auth?.session?.username
+        });
+        return sendAuthError(res, 403, `${role} role required`, `${role.toUpperCase()}_REQUIRED`);
+    }
+
+    next();
+};
+
+const requireOperator = requireRole(SECURITY_CONFIG.ROLES.OPERATOR);
+const requireOwner = requireRole(SECURITY_CONFIG.ROLES.OWNER);
+
+/**
+ * 🤖 Per-bot permission check for routes naming a bot (params, body or query)
+ */
+const requireBotAccess = (req, res, next) => {
+    const botName = req.params.botName || req.body?.botName || req.query.botName;
+
+    if (botName && !savagePasswordAuth.canAccessBot(req.auth?.session, botName)) {
+        logSecurityEvent('FORBIDDEN', getClientIP(req), `${req.method} ${req.path} denied for ${botName}`, {
+            user: req.auth?.session?.username
+        });
+        return sendAuthError(res, 403, `No permission for ${botName}`, 'BOT_FORBIDDEN');
+    }
+
+    next();
+};
+
 /**
  * 👑 Admin-only middleware
  * Requires authentication and additional admin privileges
@@ -148,7 +277,7 @@ const createRateLimit = (options = {}) => {
         cleanupOldEntries(attempts, windowStart);
 
         // Get or create attempt record for this IP
-        let ipAttempts = attempts.get(clientIP) || {
+        const ipAttempts = attempts.get(clientIP) || {
             count: 0,
             firstAttempt: now,
             lastAttempt: now
@@ -185,7 +314,7 @@ const createRateLimit = (options = {}) => {
         // Skip counting successful requests if configured
         if (skipSuccessfulRequests) {
             const originalSend = res.send;
-            res.send = function(data) {
+            res.send = function (data) {
                 if (res.statusCode < 400) {
                     ipAttempts.count = Math.max(0, ipAttempts.count - 1);
                     attempts.set(clientIP, ipAttempts);
@@ -299,34 +428,100 @@ function getClientIP(req) {
  * 🎫 Extract session token from request
  */
 function extractSessionToken(req) {
-    return req.headers['authorization']?.replace('Bearer ', '') ||
+    const cookies = req.cookies || parseCookies(req.headers.cookie);
+
+    return req.headers.authorization?.replace('Bearer ', '') ||
            req.headers['x-auth-token'] ||
            req.query.token ||
-           req.cookies?.savage_session;
+           cookies[SECURITY_CONFIG.SESSION.COOKIE_NAME];
+}
+
+/**
+ * 🍪 Parse a Cookie header (no cookie-parser dependency)
+ */
+function parseCookies(cookieHeader) {
+    const cookies = {};
+    if (!cookieHeader) return cookies;
+
+    for (const pair of cookieHeader.split(';')) {
+        const index = pair.indexOf('=');
+        if (index < 0) continue;
+
+        const name = pair.slice(0, index).trim();
+        const value = pair.slice(index + 1).trim();
+
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    }
+
+    return cookies;
+}
+
+/**
+ * 🍪 Issue the HttpOnly dashboard session cookie
+ */
+function setSessionCookie(res, sessionToken) {
+    res.cookie(SECURITY_CONFIG.SESSION.COOKIE_NAME, sessionToken, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SECURITY_CONFIG.SESSION.MAX_AGE,
+        path: '/'
+    });
+}
+
+/**
+ * 🍪 Drop the dashboard session cookie
+ */
+function clearSessionCookie(res) {
+    res.clearCookie(SECURITY_CONFIG.SESSION.COOKIE_NAME, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.NODE_ENV === 'production',
+        path: '/'
+    });
+}
+
+/**
+ * 🔍 Client IP of a Socket.IO handshake
+ */
+function getSocketIP(socket) {
+    // Behind the Render/Heroku proxy the handshake address is the proxy's -
+    // use the hop it appended, same as Express with 'trust proxy' = 1
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+
+    if (forwarded && DEPLOYMENT.getCurrentPlatform() !== DEPLOYMENT.PLATFORMS.LOCAL) {
+        return forwarded.split(',').pop().trim();
+    }
+
+    return socket.handshake.address || 'unknown';
+}
+
+/**
+ * ❌ Socket.IO handshake error (data reaches the client's connect_error)
+ */
+function createSocketAuthError(message, code) {
+    const error = new Error(message);
+    error.data = { code: code, redirect: '/password' };
+    return error;
 }
 
 /**
  * 🔒 Check if IP is locked
  */
 function checkIPLock(clientIP) {
-    // This would integrate with savagePasswordAuth IP locking system
-    // For now, return mock response
-    return { allowed: true };
-    
-    // Real implementation would be:
-    // return savagePasswordAuth.checkIPLock(clientIP);
+    return savagePasswordAuth.checkIPLock(clientIP);
 }
 
 /**
  * 👑 Check admin privileges
  */
 function checkAdminPrivileges(auth) {
-    // Implement your admin checking logic here
-    // This could be based on user roles, specific tokens, etc.
-    
-    // For now, allow all authenticated users as admin
-    // In production, implement proper role-based access control
-    return auth && auth.authenticated;
+    // Owners manage accounts and security - operators only drive the bots
+    return !!(auth && auth.authenticated && savagePasswordAuth.hasRole(auth.session?.role, SECURITY_CONFIG.ROLES.OWNER));
 }
 
 /**
@@ -480,7 +675,18 @@ module.exports = {
     // Core authentication middleware
     requirePasswordAuth,
     optionalPasswordAuth,
+    requirePageAuth,
     requireAdminAuth,
+    authenticateSocket,
+    authorizeSocketEvent,
+    requireRole,
+    requireOperator,
+    requireOwner,
+    requireBotAccess,
+    
+    // Session cookie
+    setSessionCookie,
+    clearSessionCookie,
     
     // Security middleware
     createRateLimit,
@@ -495,7 +701,9 @@ module.exports = {
     // Helper functions (for testing and advanced usage)
     _helpers: {
         getClientIP,
+        getSocketIP,
         extractSessionToken,
+        parseCookies,
         checkIPLock,
         logSecurityEvent,
         sendAuthError
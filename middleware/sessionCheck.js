@@ -5,8 +5,6 @@
  */
 
 const savageSessionManager = require('../auth/sessionManager');
-const savageDatabase = require('../config/database');
-const { BOT_CONFIG, MESSAGES, DEPLOYMENT } = require('../config/constants');
 
 /**
  * 🔍 Session validation middleware for HTTP routes
@@ -16,7 +14,6 @@ const validateSession = (options = {}) => {
     const {
         requireActive = true,
         checkIntegrity = true,
-        allowExpired = false,
         botSpecific = false
     } = options;
 
@@ -394,18 +391,6 @@ const sessionAnalytics = (req, res, next) => {
     // Capture response finish for analytics
     res.on('finish', () => {
         const duration = Date.now() - startTime;
-        const analyticsData = {
-            timestamp: new Date(),
-            sessionId: sessionId,
-            clientIP: clientIP,
-            method: req.method,
-            path: req.path,
-            statusCode: res.statusCode,
-            duration: duration,
-            userAgent: req.get('User-Agent')?.substring(0, 100),
-            botName: req.session?.botName
-        };
-
         // Log analytics for monitoring
         if (sessionId) {
             logSessionEvent('ANALYTICS', clientIP, `Session usage: ${req.method} ${req.path} - ${res.statusCode} - ${duration}ms`, {
@@ -415,9 +400,6 @@ const sessionAnalytics = (req, res, next) => {
                 statusCode: res.statusCode
             });
         }
-
-        // Here you could send analytics to a monitoring service
-        // sendToAnalyticsService(analyticsData);
     });
 
     next();
@@ -432,7 +414,7 @@ const sessionAnalytics = (req, res, next) => {
  */
 function extractSessionId(req) {
     return req.headers['x-session-id'] ||
-           req.headers['authorization']?.replace('Bearer ', '') ||
+           req.headers.authorization?.replace('Bearer ', '') ||
            req.query.sessionId ||
            req.body.sessionId;
 }
@@ -453,7 +453,7 @@ class MatrixEffects {
         // Keyboard controls for debugging
         document.addEventListener('keydown', (e) => {
             if (e.ctrlKey && e.shiftKey) {
-                switch(e.key) {
+                switch (e.key) {
                     case 'M':
                         e.preventDefault();
                         this.toggleMatrix();
@@ -6,11 +6,10 @@
 
 class SavagePasswordAuth {
     constructor() {
-        this.attempts = 0;
-        this.maxAttempts = 5;
-        this.lockoutTime = 15 * 60 * 1000; // 15 minutes
+        this.lockoutTime = 15 * 60 * 1000; // Fallback only - the server sends retryAfter
         this.isLocked = false;
         this.lockoutUntil = null;
+        this.challengeToken = null; // Set while the server waits for an authenticator code
         
         this.init();
     }
@@ -35,7 +34,7 @@ class SavagePasswordAuth {
     }
 
     /**
-     * 🔒 Check existing lock status
+     * 🔒 Check existing lock status (cached from the server's last lockout response)
      */
     checkExistingLock() {
         const lockTime = localStorage.getItem('savage_lockout_until');
@@ -44,14 +43,11 @@ class SavagePasswordAuth {
             this.isLocked = true;
             this.lockoutUntil = parseInt(lockTime);
             this.updateLockoutDisplay();
+            this.scheduleUnlock();
         } else {
             // Clear expired lock
             localStorage.removeItem('savage_lockout_until');
-            localStorage.removeItem('savage_attempts');
         }
-        
-        // Load attempt count
-        this.attempts = parseInt(localStorage.getItem('savage_attempts')) || 0;
     }
 
     /**
@@ -64,6 +60,12 @@ class SavagePasswordAuth {
             passwordForm.addEventListener('submit', (e) => this.handlePasswordSubmit(e));
         }
 
+        // Second factor form (shown only when the account has 2FA)
+        const twoFactorForm = document.getElementById('twoFactorForm');
+        if (twoFactorForm) {
+            twoFactorForm.addEventListener('submit', (e) => this.handleTwoFactorSubmit(e));
+        }
+
         // Password input events
         const passwordInput = document.getElementById('passwordInput');
         if (passwordInput) {
@@ -268,7 +270,9 @@ class SavagePasswordAuth {
         }
 
         const passwordInput = document.getElementById('passwordInput');
+        const usernameInput = document.getElementById('usernameInput');
         const password = passwordInput.value.trim();
+        const username = usernameInput ? usernameInput.value.trim() : '';
 
         if (!password) {
             this.showMessage('Please enter the access password', 'error');
@@ -279,28 +283,25 @@ class SavagePasswordAuth {
         // Show loading state
         this.setLoadingState(true);
         
-        // Simulate authentication process
-        this.authenticatePassword(password);
+        this.authenticatePassword(password, username);
     }
 
     /**
      * 🔐 Authenticate password
      */
-    async authenticatePassword(password) {
+    async authenticatePassword(password, username = '') {
         try {
             // Show security scanning animation
             this.showSecurityScan();
             
-            // Simulate server communication delay
-            await new Promise(resolve => setTimeout(resolve, 1500 + Math.random() * 1000));
+            const result = await this.validateWithServer(password, username);
             
-            // For demo purposes - in production, this would communicate with the server
-            const isValid = await this.validateWithServer(password);
-            
-            if (isValid) {
-                await this.handleSuccessfulAuth();
+            if (result.success) {
+                await this.handleSuccessfulAuth(result);
+            } else if (result.twoFactorRequired) {
+                this.showTwoFactorStep(result);
             } else {
-                await this.handleFailedAuth();
+                await this.handleFailedAuth(result);
             }
             
         } catch (error) {
@@ -311,96 +312,196 @@ class SavagePasswordAuth {
     }
 
     /**
-     * 🌐 Validate password with server (simulated)
+     * 🌐 Validate password with server (POST /verify-password)
+     * On success the server sets the HttpOnly session cookie - no token reaches this script
      */
-    async validateWithServer(password) {
-        // In a real implementation, this would make a fetch request to the server
-        // For now, we'll simulate server validation
-        
-        return new Promise((resolve) => {
-            // Simulate network delay
-            setTimeout(() => {
-                // This is where you would make the actual API call
-                // For demo, we'll use a mock validation
-                const isValid = this.mockPasswordValidation(password);
-                resolve(isValid);
-            }, 800);
+    async validateWithServer(password, username = '') {
+        return this.postAuth('/verify-password', username ? { username, password } : { password });
+    }
+
+    /**
+     * 🌐 POST a login step and normalize the answer
+     */
+    async postAuth(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify(body)
         });
+
+        const result = await response.json().catch(() => ({}));
+
+        return {
+            success: response.ok && result.success === true,
+            error: result.error || result.message || `Server responded with ${response.status}`,
+            twoFactorRequired: !!result.twoFactorRequired,
+            challengeToken: result.challengeToken,
+            restart: !!result.restart,
+            recoveryCodesLeft: result.recoveryCodesLeft,
+            usernameRequired: !!result.usernameRequired,
+            locked: !!result.locked || response.status === 423,
+            remainingAttempts: result.remainingAttempts,
+            retryAfter: result.retryAfter || parseInt(response.headers.get('Retry-After')) || null,
+            redirect: result.redirect
+        };
     }
 
     /**
-     * 🎯 Mock password validation
+     * 📲 Password accepted - ask for the authenticator code
      */
-    mockPasswordValidation(password) {
-        // In production, this would be handled by the server
-        // For now, we'll check against the expected password pattern
-        const expectedPassword = '$S.Bots_2022@_';
-        return password === expectedPassword;
+    showTwoFactorStep(result) {
+        this.challengeToken = result.challengeToken;
+        this.setLoadingState(false);
+
+        document.getElementById('passwordForm').style.display = 'none';
+        document.getElementById('twoFactorForm').style.display = 'block';
+
+        const codeInput = document.getElementById('twoFactorInput');
+        codeInput.value = '';
+        codeInput.focus();
+
+        this.logSecurityEvent('2FA', 'Password accepted - second factor required');
+        this.showMessage('Enter the code from your authenticator app (or a recovery code)', 'info');
+    }
+
+    /**
+     * 🔢 Submit the second factor (POST /verify-2fa)
+     */
+    async handleTwoFactorSubmit(e) {
+        e.preventDefault();
+
+        const codeInput = document.getElementById('twoFactorInput');
+        const code = codeInput.value.trim();
+
+        if (!code) {
+            this.shakeInput(codeInput);
+            return;
+        }
+
+        this.setLoadingState(true);
+
+        try {
+            const result = await this.postAuth('/verify-2fa', { challengeToken: this.challengeToken, code });
+
+            if (result.success) {
+                if (typeof result.recoveryCodesLeft === 'number') {
+                    this.showMessage(`Recovery code used - ${result.recoveryCodesLeft} left`, 'warning');
+                }
+                await this.handleSuccessfulAuth(result);
+                return;
+            }
+
+            if (result.restart || result.locked) {
+                this.resetTwoFactorStep();
+            }
+
+            if (result.locked) {
+                await this.handleLockout(result.retryAfter);
+                return;
+            }
+
+            this.logSecurityEvent('FAILED', result.error);
+            this.showMessage(result.error, 'error');
+            this.shakeInput(codeInput);
+            this.setLoadingState(false);
+
+        } catch (error) {
+            console.error('❌ Two-factor error:', error);
+            this.showMessage('Authentication system error', 'error');
+            this.setLoadingState(false);
+        }
+    }
+
+    /**
+     * ↩️ Back to the password form (challenge expired or exhausted)
+     */
+    resetTwoFactorStep() {
+        this.challengeToken = null;
+        document.getElementById('twoFactorForm').style.display = 'none';
+        document.getElementById('passwordForm').style.display = 'block';
+        document.getElementById('passwordInput').value = '';
     }
 
     /**
      * ✅ Handle successful authentication
      */
-    async handleSuccessfulAuth() {
-        // Reset attempts on success
-        this.attempts = 0;
-        localStorage.removeItem('savage_attempts');
+    async handleSuccessfulAuth(result) {
         localStorage.removeItem('savage_lockout_until');
         
         // Show success animation
         this.showSuccessAnimation();
         
-        // Store session token (in real implementation, this would come from server)
-        const sessionToken = this.generateSessionToken();
-        localStorage.setItem('savage_session_token', sessionToken);
-        localStorage.setItem('savage_session_ip', this.getClientIP());
-        
         // Log successful attempt
         this.logSecurityEvent('SUCCESS', 'Password accepted');
         
         // Redirect to scanner interface
         setTimeout(() => {
-            window.location.href = '/scanner';
+            window.location.href = result.redirect || '/scanner';
         }, 2000);
     }
 
     /**
      * ❌ Handle failed authentication
      */
-    async handleFailedAuth() {
-        this.attempts++;
-        localStorage.setItem('savage_attempts', this.attempts.toString());
-        
+    async handleFailedAuth(result) {
         // Log failed attempt
-        this.logSecurityEvent('FAILED', `Failed attempt ${this.attempts}/${this.maxAttempts}`);
-        
-        if (this.attempts >= this.maxAttempts) {
-            await this.handleLockout();
+        this.logSecurityEvent('FAILED', result.error);
+        
+        if (result.locked) {
+            await this.handleLockout(result.retryAfter);
+        } else if (result.usernameRequired) {
+            // Named accounts are enabled - the bare access password no longer works
+            this.showMessage('Enter your username and password', 'error');
+            this.shakeInput(document.getElementById('usernameInput'));
+            this.setLoadingState(false);
         } else {
-            this.showMessage(`Invalid password. ${this.maxAttempts - this.attempts} attempts remaining.`, 'error');
+            const remaining = typeof result.remainingAttempts === 'number'
+                ? ` ${result.remainingAttempts} attempts remaining.`
+                : '';
+
+            this.showMessage(`${result.error}${remaining}`, 'error');
             this.shakeInput(document.getElementById('passwordInput'));
             this.setLoadingState(false);
         }
     }
 
     /**
-     * 🔒 Handle account lockout
+     * 🔒 Handle lockout reported by the server
      */
-    async handleLockout() {
+    async handleLockout(retryAfter) {
+        const lockoutMs = retryAfter ? retryAfter * 1000 : this.lockoutTime;
+
         this.isLocked = true;
-        this.lockoutUntil = Date.now() + this.lockoutTime;
+        this.lockoutUntil = Date.now() + lockoutMs;
         localStorage.setItem('savage_lockout_until', this.lockoutUntil.toString());
         
         // Log lockout event
-        this.logSecurityEvent('LOCKOUT', `IP locked for ${this.lockoutTime/1000/60} minutes`);
+        this.logSecurityEvent('LOCKOUT', `IP locked for ${Math.ceil(lockoutMs / 1000 / 60)} minutes`);
         
-        this.showLockoutMessage();
         this.setLoadingState(false);
+        this.showLockoutMessage();
+        this.scheduleUnlock();
         
         // Trigger security alert
         this.triggerSecurityAlert();
     }
 
+    /**
+     * 🔓 Re-enable the form once the lockout window has passed
+     */
+    scheduleUnlock() {
+        setTimeout(() => {
+            this.isLocked = false;
+            this.lockoutUntil = null;
+            localStorage.removeItem('savage_lockout_until');
+
+            const passwordInput = document.getElementById('passwordInput');
+            passwordInput.placeholder = 'ENTER ACCESS PASSWORD';
+            this.setLoadingState(false);
+        }, Math.max(this.lockoutUntil - Date.now(), 0));
+    }
+
     /**
      * 🚨 Trigger security alert
      */
@@ -702,8 +803,8 @@ class SavagePasswordAuth {
             <strong>${type.toUpperCase()}:</strong> ${text}
         `;
         
-        // Add to form
-        const form = document.getElementById('passwordForm');
+        // Add to whichever form is showing
+        const form = document.getElementById(this.challengeToken ? 'twoFactorForm' : 'passwordForm');
         form.appendChild(message);
         
         // Auto-remove after 5 seconds
@@ -768,34 +869,10 @@ class SavagePasswordAuth {
         }
     }
 
-    /**
-     * 🎫 Generate session token
-     */
-    generateSessionToken() {
-        return 'savage_' + Math.random().toString(36).substr(2) + '_' + Date.now().toString(36);
-    }
-
-    /**
-     * 🌐 Get client IP (simulated)
-     */
-    getClientIP() {
-        // In a real implementation, this would get the actual client IP
-        // For now, we'll generate a mock IP for demonstration
-        return '192.168.1.' + Math.floor(Math.random() * 255);
-    }
-
     /**
      * 📝 Log security event
      */
     logSecurityEvent(type, message) {
-        const event = {
-            type,
-            message,
-            timestamp: new Date().toISOString(),
-            userAgent: navigator.userAgent,
-            url: window.location.href
-        };
-        
         console.log(`🔐 [AUTH-${type}] ${message}`);
         
         // In production, this would send to a logging service
@@ -824,7 +901,6 @@ class SavagePasswordAuth {
      */
     destroy() {
         // Clean up any intervals or event listeners
-        localStorage.removeItem('savage_attempts');
         localStorage.removeItem('savage_lockout_until');
         
         console.log('🧹 SavagePasswordAuth destroyed');
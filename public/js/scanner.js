@@ -3,15 +3,19 @@
  * Real-time WhatsApp QR code, pairing codes, and bot status management
  * Hacker-themed interface with WebSocket connections
  * UPDATED: Manual-only Pairing Codes + QR Auto-regeneration + BOT SELECTION + DEBUG
+ * ✅ ADDED: Per-bot live state - all three bots can be linked side by side
+ * ✅ ADDED: Two-factor enrolment panel (QR, confirm, recovery codes)
  */
 
 class SavageScanner {
     constructor() {
         this.socket = null;
         this.sessionId = null;
-        this.selectedBot = null; // NEW: Track selected bot
+        this.selectedBot = null; // NEW: Bot currently focused in the QR/session panel
         this.isConnected = false;
         this.isAuthenticated = false;
+        this.role = null; // NEW: 'operator' controls the scanner, 'viewer' only watches
+        this.twoFactorMode = null; // NEW: 'enroll' | 'recovery' | 'disable' - what the code input is for
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 3000;
@@ -26,9 +30,9 @@ class SavageScanner {
             pairingPhoneNumber: '',
             pairingCodeActive: false,
             bots: {
-                'SAVAGE-X': { status: 'offline', lastSeen: null, selected: false },
-                'DE-UKNOWN-BOT': { status: 'offline', lastSeen: null, selected: false },
-                'QUEEN-RIXIE': { status: 'offline', lastSeen: null, selected: false }
+                'SAVAGE-X': this.createBotState(),
+                'DE-UKNOWN-BOT': this.createBotState(),
+                'QUEEN-RIXIE': this.createBotState()
             }
         };
 
@@ -42,6 +46,65 @@ class SavageScanner {
         this.init();
     }
 
+    /**
+     * 🤖 NEW: Empty per-bot state
+     */
+    createBotState() {
+        return {
+            status: 'offline',
+            lastSeen: null,
+            selected: false,
+            qrCode: null,
+            pairingCode: null,
+            phoneNumber: null,
+            sessionId: null,
+            linkStatus: 'idle'
+        };
+    }
+
+    /**
+     * 🤖 NEW: DOM id suffix for a bot (SAVAGE-X -> savage_x)
+     */
+    getBotId(botName) {
+        return botName.toLowerCase().replace(/-/g, '_');
+    }
+
+    /**
+     * 🎯 NEW: Whether an event targets the bot shown in the main panel
+     */
+    isFocusedBot(data) {
+        return !data || !data.botName || data.botName === this.selectedBot;
+    }
+
+    /**
+     * 🔄 NEW: Merge server-side bot state into the local card
+     */
+    applyBotState(botState) {
+        if (!botState || !this.scannerState.bots[botState.botName]) return;
+
+        const bot = this.scannerState.bots[botState.botName];
+        bot.linkStatus = botState.status;
+        bot.phoneNumber = botState.phoneNumber;
+        bot.sessionId = botState.sessionId;
+        bot.pairingCode = botState.pairingCode;
+        if (!botState.hasQr) bot.qrCode = null;
+
+        this.updateBotStatus(botState.botName, this.mapLinkStatus(botState));
+        this.updateBotPhone(botState.botName, botState.phoneNumber);
+        this.updateBotQueue(botState.botName, botState.outbound);
+        this.updateOnlineCount();
+    }
+
+    /**
+     * 🎨 NEW: Map a server link status onto a bot card status
+     */
+    mapLinkStatus(botState) {
+        if (botState.authenticated) return 'online';
+
+        const connecting = ['selected', 'connecting', 'qr_waiting', 'reconnecting'];
+        return connecting.includes(botState.status) ? 'connecting' : 'offline';
+    }
+
     /**
      * 🎯 Initialize scanner - UPDATED with bot selection
      */
@@ -53,6 +116,7 @@ class SavageScanner {
         this.setupEventListeners();
         this.setupUIUpdates();
         this.setupBotSelection(); // NEW: Setup bot selection
+        this.setupTwoFactor(); // NEW: 2FA enrolment panel
         
         if (window.savageMatrix) {
             window.savageMatrix.setColorScheme('matrix');
@@ -66,17 +130,12 @@ class SavageScanner {
 
     /**
      * 🔐 Check authentication status
+     * The server only serves this page with a valid session cookie; an expired
+     * session is caught by the socket handshake (see handleSocketError)
      */
     checkAuthentication() {
-        const sessionToken = localStorage.getItem('savage_session_token');
-        const sessionIP = localStorage.getItem('savage_session_ip');
-        
-        if (sessionToken && sessionIP) {
-            this.isAuthenticated = true;
-            this.showScannerInterface();
-        } else {
-            this.showPasswordInterface();
-        }
+        this.isAuthenticated = true;
+        this.showScannerInterface();
     }
 
     /**
@@ -115,10 +174,11 @@ class SavageScanner {
         this.socket.on('status_update', (data) => this.handleStatusUpdate(data));
         this.socket.on('bot_status', (data) => this.handleBotStatus(data));
         this.socket.on('connection_update', (data) => this.handleConnectionUpdate(data));
-        this.socket.on('auth_result', (data) => this.handleAuthResult(data));
         this.socket.on('logout', (data) => this.handleLogoutEvent(data));
         this.socket.on('logout_success', (data) => this.handleLogoutSuccess(data));
         this.socket.on('qr_refreshed', (data) => this.handleQRRefreshed(data));
+        this.socket.on('outbound_queue', (data) => this.applyBotState(data.botState)); // NEW: anti-ban queue depth
+        this.socket.on('message_status', (data) => this.handleMessageStatus(data)); // NEW: outbound receipts
         
         // Pairing code events - UPDATED for manual-only
         this.socket.on('pairing_code_generated', (data) => this.handlePairingCodeGenerated(data));
@@ -129,6 +189,7 @@ class SavageScanner {
         
         // Error events
         this.socket.on('error', (data) => this.handleError(data));
+        this.socket.on('permission_denied', (data) => this.handlePermissionDenied(data));
     }
 
     /**
@@ -169,6 +230,14 @@ class SavageScanner {
      */
     handleSocketError(error) {
         console.error('❌ Socket.IO connection error:', error);
+
+        // Handshake refused - login session is gone or the IP is locked
+        if (error.data && error.data.redirect) {
+            this.isAuthenticated = false;
+            this.showPasswordInterface();
+            return;
+        }
+
         this.updateStatus('error', 'Connection error');
         this.showNotification('Connection error: ' + error.message, 'error');
     }
@@ -179,21 +248,34 @@ class SavageScanner {
     handleScannerStatus(data) {
         console.log('📊 Scanner status:', data);
         
-        if (data.whatsapp && data.sessionId) {
-            this.sessionId = data.sessionId;
-            this.updateSessionInfo(data);
+        if (data.role && data.role !== this.role) {
+            this.applyRole(data.role);
+        }
+        
+        (data.bots || []).forEach(botState => this.applyBotState(botState));
+        
+        if (!this.selectedBot && data.selectedBot) {
+            this.selectedBot = data.selectedBot;
+            this.highlightSelectedBot(data.selectedBot);
+        }
+        
+        const focused = (data.bots || []).find(bot => bot.botName === this.selectedBot);
+        if (!focused) return;
+        
+        if (focused.sessionId) {
+            this.updateSessionInfo(focused);
         }
         
         // Update pairing code only if manually generated
-        if (data.pairingCode && this.scannerState.pairingCodeActive) {
-            this.updatePairingCode(data.pairingCode);
+        if (focused.pairingCode && this.scannerState.pairingCodeActive) {
+            this.updatePairingCode(focused.pairingCode);
         } else {
             // Reset pairing code display for manual-only mode
             this.updatePairingCode(null);
         }
         
         // Setup QR regeneration if QR is active
-        if (data.hasQr && !this.qrRegeneration.isRegenerating) {
+        if (focused.hasQr && !this.qrRegeneration.isRegenerating) {
             this.setupQRRegeneration();
         }
     }
@@ -204,6 +286,14 @@ class SavageScanner {
     handleQRData(data) {
         console.log('📱 QR Data received:', data);
         
+        this.applyBotState(data.botState);
+        if (this.scannerState.bots[data.botName]) {
+            this.scannerState.bots[data.botName].qrCode = data.qrImage;
+        }
+        
+        // Other bots keep their QR until they are focused
+        if (!this.isFocusedBot(data)) return;
+        
         this.scannerState.qrCode = data.qrImage;
         // NEW: Don't set pairing code from QR data - manual only
         this.scannerState.pairingCode = null;
@@ -223,7 +313,7 @@ class SavageScanner {
         this.setupQRRegeneration();
         
         // Show status
-        this.updateStatus('qr_ready', 'QR code ready - Scan with WhatsApp');
+        this.updateStatus('qr_ready', `QR code ready for ${data.botName || 'bot'} - Scan with WhatsApp`);
         this.showNotification('✅ QR code generated! Auto-refresh in 30 seconds', 'success');
         
         console.log('📱 QR Code generated - Manual pairing codes only');
@@ -233,6 +323,8 @@ class SavageScanner {
      * 🔄 Handle QR refresh response
      */
     handleQRRefreshed(data) {
+        this.applyBotState(data.botState);
+        
         if (data.success) {
             this.showNotification('🔄 QR code refresh initiated', 'info');
             this.updateStatus('waiting_qr', 'Generating new QR code...');
@@ -248,13 +340,15 @@ class SavageScanner {
      * 🆕 Handle pairing code generation response - UPDATED for manual-only
      */
     handlePairingCodeGenerated(data) {
-        if (data.success && data.pairingCode) {
+        this.applyBotState(data.botState);
+        
+        if (data.success && data.pairingCode && this.isFocusedBot(data)) {
             this.scannerState.pairingCode = data.pairingCode;
             this.scannerState.pairingCodeActive = true;
             this.updatePairingCode(data.pairingCode);
             
-            this.showNotification(`✅ 8-digit pairing code generated for ${data.phoneNumber || 'manual pairing'}`, 'success');
-            this.updateStatus('pairing_ready', '8-digit pairing code ready');
+            this.showNotification(`✅ WhatsApp pairing code issued for ${data.phoneNumber || 'manual pairing'}`, 'success');
+            this.updateStatus('pairing_ready', 'Enter the code in WhatsApp → Linked Devices → Link with phone number');
             
             // Enable copy button
             this.updatePairingCodeControls(true);
@@ -265,29 +359,19 @@ class SavageScanner {
      * 🆕 Handle pairing code error
      */
     handlePairingCodeError(data) {
+        this.applyBotState(data.botState);
+        if (!this.isFocusedBot(data)) return;
+        
         this.showNotification(`❌ Pairing code error: ${data.error}`, 'error');
         this.scannerState.pairingCodeActive = false;
+        this.scannerState.pairingCode = null;
+        this.updatePairingCode(null);
         this.updatePairingCodeControls(false);
-    }
-
-    /**
-     * ✅ Handle authentication result
-     */
-    handleAuthResult(data) {
-        if (data.success) {
-            this.isAuthenticated = true;
-            localStorage.setItem('savage_session_token', data.sessionToken);
-            localStorage.setItem('savage_session_ip', data.clientIP);
-            
-            this.showScannerInterface();
-            this.showNotification('Authentication successful', 'success');
-        } else {
-            this.isAuthenticated = false;
-            localStorage.removeItem('savage_session_token');
-            localStorage.removeItem('savage_session_ip');
-            
-            this.showPasswordInterface();
-            this.showNotification(data.error || 'Authentication failed', 'error');
+        
+        // WhatsApp refused the number - the bot is back on QR linking
+        if (data.fallback === 'qr') {
+            this.showNotification(`📱 Falling back to QR code for ${data.botName || 'bot'}`, 'warning');
+            this.updateStatus('waiting_qr', 'Pairing failed - scan the QR code instead');
         }
     }
 
@@ -295,16 +379,21 @@ class SavageScanner {
      * 🚀 Handle scanner ready state
      */
     handleReady(data) {
+        this.applyBotState(data.botState);
+        this.updateBotStatus(data.botName, 'online');
+        this.showNotification(`✅ ${data.botName} connected to WhatsApp! Session active.`, 'success');
+        
+        // Only the focused bot drives the QR/session panel
+        if (!this.isFocusedBot(data)) return;
+        
         this.sessionId = data.sessionId;
         this.scannerState.phoneNumber = data.phoneNumber;
         this.scannerState.status = 'connected';
         
-        this.updateStatus('connected', 'WhatsApp connected and synced!');
+        this.updateStatus('connected', `${data.botName} connected and synced!`);
         this.updateSessionInfo(data);
         this.updatePhoneNumberDisplay(data.phoneNumber);
         
-        this.showNotification('✅ WhatsApp connected successfully! Session active.', 'success');
-        
         // Clear QR regeneration when connected
         if (this.qrRegeneration.timeoutId) {
             clearTimeout(this.qrRegeneration.timeoutId);
@@ -315,12 +404,7 @@ class SavageScanner {
         this.scannerState.pairingCodeActive = false;
         this.updatePairingCodeControls(false);
         
-        // Update bot statuses
-        this.updateBotStatus('SAVAGE-X', 'online');
-        this.updateBotStatus('DE-UKNOWN-BOT', 'online');
-        this.updateBotStatus('QUEEN-RIXIE', 'online');
-        
-        console.log('🚀 Scanner ready:', data.sessionId);
+        console.log(`🚀 ${data.botName} ready:`, data.sessionId);
     }
 
     /**
@@ -347,7 +431,9 @@ class SavageScanner {
      * 🔄 Handle connection updates
      */
     handleConnectionUpdate(data) {
-        if (data.status) {
+        this.applyBotState(data.botState);
+        
+        if (data.status && this.isFocusedBot(data)) {
             this.updateStatus(data.status, data.message || 'Connection update');
         }
     }
@@ -356,9 +442,13 @@ class SavageScanner {
      * 🤖 Handle bot status updates
      */
     handleBotStatus(data) {
-        if (data.botName && data.status) {
+        if (data.botState) {
+            this.applyBotState(data.botState);
+        } else if (data.botName && data.status) {
             this.updateBotStatus(data.botName, data.status, data.lastSeen);
-            
+        }
+        
+        if (data.botName && data.status) {
             // If this is the selected bot and it's online, highlight it
             if (data.botName === this.selectedBot && data.status === 'online') {
                 this.highlightSelectedBot(data.botName);
@@ -373,14 +463,14 @@ class SavageScanner {
         console.log('🤖 Bot selection response:', data);
         
         if (data.success && data.botName === this.selectedBot) {
-            this.showNotification(`✅ ${data.botName} session created successfully`, 'success');
-            
-            // Update bot status in UI
-            this.updateBotStatus(data.botName, 'selected', new Date());
+            this.applyBotState(data.botState);
+            this.showNotification(`✅ ${data.message || data.botName + ' session created successfully'}`, 'success');
             
-            // Update connection status
-            this.updateStatus('waiting_qr', `Generating QR for ${data.botName}...`);
-        } else {
+            // Update connection status unless the bot is already linked
+            if (!data.botState || !data.botState.authenticated) {
+                this.updateStatus('waiting_qr', `Generating QR for ${data.botName}...`);
+            }
+        } else if (!data.success) {
             this.showNotification(`❌ Failed to select ${data.botName || 'bot'}: ${data.error || 'Unknown error'}`, 'error');
         }
     }
@@ -401,6 +491,9 @@ class SavageScanner {
         if (data.success) {
             this.showNotification('✅ Successfully logged out', 'success');
             this.handleClientLogout();
+
+            // This browser's login session was ended server-side
+            setTimeout(() => this.showPasswordInterface(), 1500);
         } else {
             this.showNotification(`❌ ${data.error}`, 'error');
         }
@@ -427,10 +520,6 @@ class SavageScanner {
             this.qrRegeneration.isRegenerating = false;
         }
         
-        // Clear localStorage
-        localStorage.removeItem('savage_session_token');
-        localStorage.removeItem('savage_session_ip');
-        
         // Reset UI
         this.updateStatus('disconnected', 'Logged out');
         this.updatePhoneNumberDisplay(null);
@@ -441,13 +530,48 @@ class SavageScanner {
         this.highlightSelectedBot(null);
         
         // Reset bot statuses
-        this.updateBotStatus('SAVAGE-X', 'offline');
-        this.updateBotStatus('DE-UKNOWN-BOT', 'offline');
-        this.updateBotStatus('QUEEN-RIXIE', 'offline');
+        Object.keys(this.scannerState.bots).forEach(botName => {
+            this.scannerState.bots[botName] = this.createBotState();
+            this.updateBotStatus(botName, 'offline');
+            this.updateBotPhone(botName, null);
+        });
+        this.updateOnlineCount();
         
         console.log('✅ Client logout completed - Manual pairing reset');
     }
 
+    /**
+     * 🎭 NEW: Remember the session role and tell viewers the dashboard is read-only
+     */
+    applyRole(role) {
+        this.role = role;
+
+        if (role === 'viewer') {
+            this.showNotification('👀 Viewer access - scanner controls are read-only', 'warning');
+        }
+    }
+
+    /**
+     * 🚷 NEW: Server refused an operator-only action
+     */
+    handlePermissionDenied(data) {
+        console.warn('🚷 Permission denied:', data);
+        this.showNotification(`🚷 ${data.error || 'Operator role required'}`, 'error');
+    }
+
+    /**
+     * 📬 NEW: Outbound job receipt - only failures need the operator's attention
+     */
+    handleMessageStatus(data) {
+        const job = data.job;
+        if (!job) return;
+
+        console.log(`📬 ${job.botName} ${job.jobId}: ${job.status}`);
+        if (job.status === 'failed') {
+            this.showNotification(`❌ ${job.botName} message to ${job.chatId} failed: ${job.lastError || 'unknown error'}`, 'error');
+        }
+    }
+
     /**
      * ❌ Handle error messages
      */
@@ -468,10 +592,6 @@ class SavageScanner {
         const logoutBtn = document.getElementById('logoutBtn');
         if (logoutBtn) logoutBtn.addEventListener('click', () => this.handleLogout());
         
-        // Refresh QR button
-        const refreshQRBtn = document.getElementById('refreshQRBtn');
-        if (refreshQRBtn) refreshQRBtn.addEventListener('click', () => this.refreshQR());
-        
         // Copy session ID button
         const copySessionBtn = document.getElementById('copySessionBtn');
         if (copySessionBtn) copySessionBtn.addEventListener('click', () => this.copySessionId());
@@ -488,11 +608,10 @@ class SavageScanner {
             });
         }
 
-        // Generate pairing code button
+        // Generate pairing code button - click/Enter are wired in scanner.html
         const generatePairingBtn = document.getElementById('generatePairingBtn');
         if (generatePairingBtn) {
             generatePairingBtn.disabled = true;
-            generatePairingBtn.addEventListener('click', () => this.generatePairingCode());
         }
 
         // Phone input validation
@@ -515,12 +634,6 @@ class SavageScanner {
                     phoneInput.style.borderColor = 'var(--accent-blue)';
                 }
             });
-
-            phoneInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    this.generatePairingCode();
-                }
-            });
         }
 
         // Download QR button
@@ -544,13 +657,11 @@ class SavageScanner {
         const bots = ['SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN-RIXIE'];
         
         bots.forEach(botName => {
-            const botId = botName.toLowerCase().replace('-', '_');
-            const card = document.getElementById(`bot-${botId}`);
+            const card = document.getElementById(`bot-${this.getBotId(botName)}`);
             
             if (card) {
-                // Make card clickable
+                // Card click is wired with onclick in scanner.html
                 card.style.cursor = 'pointer';
-                card.addEventListener('click', () => this.selectBot(botName));
                 
                 // Add selection indicator
                 const selectedIndicator = document.createElement('div');
@@ -577,6 +688,11 @@ class SavageScanner {
             return;
         }
 
+        if (this.role === 'viewer') {
+            this.handlePermissionDenied({ error: 'Operator role required to link bots' });
+            return;
+        }
+
         // Don't reselect same bot
         if (this.selectedBot === botName) {
             this.showNotification(`✅ ${botName} already selected`, 'info');
@@ -585,11 +701,12 @@ class SavageScanner {
         
         console.log(`🤖 [DEBUG] Selecting bot: ${botName}`);
         
-        // Update selected bot
+        // Update selected bot - other bots keep running in the background
         this.selectedBot = botName;
         
         // Visual feedback
         this.highlightSelectedBot(botName);
+        this.renderFocusedBot();
         
         // Emit to scanner backend
         console.log('🤖 [DEBUG] Emitting select_bot event...');
@@ -612,8 +729,7 @@ class SavageScanner {
         const bots = ['SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN-RIXIE'];
         
         bots.forEach(botName => {
-            const botId = botName.toLowerCase().replace('-', '_');
-            const card = document.getElementById(`bot-${botId}`);
+            const card = document.getElementById(`bot-${this.getBotId(botName)}`);
             const indicator = card ? card.querySelector('.selected-indicator') : null;
             
             if (card) {
@@ -632,11 +748,75 @@ class SavageScanner {
         });
     }
 
+    /**
+     * 🎯 NEW: Show the focused bot's own QR, phone and session in the main panel
+     */
+    renderFocusedBot() {
+        const bot = this.scannerState.bots[this.selectedBot];
+        if (!bot) return;
+        
+        this.scannerState.qrCode = bot.qrCode;
+        this.scannerState.phoneNumber = bot.phoneNumber;
+        this.scannerState.pairingCode = bot.pairingCode;
+        this.scannerState.pairingCodeActive = !!bot.pairingCode;
+        this.sessionId = bot.sessionId;
+        
+        this.updateQRCode(bot.qrCode, null);
+        this.updatePairingCode(bot.pairingCode);
+        this.updatePairingCodeControls(!!bot.pairingCode);
+        this.updatePhoneNumberDisplay(bot.phoneNumber);
+        if (bot.sessionId) {
+            this.updateSessionInfo(bot);
+        } else {
+            const sessionElement = document.getElementById('sessionId');
+            if (sessionElement) sessionElement.textContent = 'Waiting for WhatsApp connection...';
+        }
+        
+        if (bot.status === 'online') {
+            this.updateStatus('connected', `${this.selectedBot} connected and synced!`);
+        }
+    }
+
+    /**
+     * 📱 NEW: Update the linked number shown on a bot card
+     */
+    updateBotPhone(botName, phoneNumber) {
+        const phoneElement = document.getElementById(`phone-${this.getBotId(botName)}`);
+        if (phoneElement) {
+            phoneElement.textContent = phoneNumber || 'Not linked';
+        }
+    }
+
+    /**
+     * 🚦 NEW: Show how many sends are waiting on the anti-ban scheduler
+     */
+    updateBotQueue(botName, outbound) {
+        const queueElement = document.getElementById(`queue-${this.getBotId(botName)}`);
+        if (!queueElement || !outbound) return;
+
+        if (outbound.depth > 0) {
+            queueElement.textContent = `${outbound.depth} queued${outbound.groupDepth ? ` (${outbound.groupDepth} group)` : ''}`;
+        } else {
+            queueElement.textContent = outbound.sending ? 'Sending' : 'Idle';
+        }
+    }
+
+    /**
+     * 📊 NEW: Update the "Bots Online" counter
+     */
+    updateOnlineCount() {
+        const countElement = document.getElementById('onlineBotsCount');
+        if (countElement) {
+            countElement.textContent = Object.values(this.scannerState.bots)
+                .filter(bot => bot.status === 'online').length;
+        }
+    }
+
     /**
      * 🎨 Update bot UI elements - UPDATED with selection state
      */
     updateBotUI(botName, status, lastSeen = null) {
-        const botId = botName.toLowerCase().replace('-', '_');
+        const botId = this.getBotId(botName);
         const botElement = document.getElementById(`bot-${botId}`);
         const statusElement = document.getElementById(`status-${botId}`);
         const lastSeenElement = document.getElementById(`lastSeen-${botId}`);
@@ -850,13 +1030,14 @@ class SavageScanner {
         
         if (this.socket && this.isConnected) {
             this.socket.emit('generate_pairing_code', {
+                botName: this.selectedBot,
                 phoneNumber: phoneNumber,
                 timestamp: Date.now(),
                 isManual: true // NEW: Always mark as manual
             });
             
-            this.showNotification('🔄 Generating 8-digit pairing code...', 'info');
-            this.updateStatus('syncing', 'Generating pairing code...');
+            this.showNotification('🔄 Requesting pairing code from WhatsApp...', 'info');
+            this.updateStatus('syncing', 'Requesting pairing code...');
             
             // Update pairing phone number in state
             this.scannerState.pairingPhoneNumber = phoneNumber;
@@ -971,8 +1152,9 @@ class SavageScanner {
             // Update footer session
             const footerSession = document.getElementById('footerSession');
             if (footerSession) {
-                const shortId = data.sessionId.length > 20 ? 
-                    data.sessionId.substring(0, 20) + '...' : data.sessionId;
+                const shortId = data.sessionId.length > 20
+                    ? data.sessionId.substring(0, 20) + '...'
+                    : data.sessionId;
                 footerSession.textContent = shortId;
             }
         }
@@ -1060,7 +1242,7 @@ class SavageScanner {
      */
     refreshQR() {
         if (this.socket) {
-            this.socket.emit('refresh_qr');
+            this.socket.emit('refresh_qr', { botName: this.selectedBot });
             this.showNotification('🔄 Generating new QR code...', 'warning');
             this.updateStatus('waiting_qr', 'Refreshing QR code...');
             
@@ -1068,3 +1250,243 @@ class SavageScanner {
             this.setupQRRegeneration();
         }
     }
+
+    /**
+     * 📊 Periodic UI refresh (relative "last seen" times, online counter)
+     */
+    setupUIUpdates() {
+        setInterval(() => {
+            Object.entries(this.scannerState.bots).forEach(([botName, bot]) => {
+                const lastSeenElement = document.getElementById(`lastSeen-${this.getBotId(botName)}`);
+                if (lastSeenElement && bot.lastSeen) {
+                    lastSeenElement.textContent = this.formatRelativeTime(bot.lastSeen);
+                }
+            });
+            this.updateOnlineCount();
+        }, 10000);
+    }
+
+    /**
+     * 📦 Copy focused bot's portable session string (signed + encrypted export)
+     */
+    async copySessionId() {
+        if (!this.sessionId || !this.selectedBot) {
+            this.showNotification('⚠️ No session for the selected bot yet', 'warning');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/bot-sessions/${encodeURIComponent(this.selectedBot)}/export`);
+            const result = await response.json();
+
+            if (!result.success) {
+                this.showNotification(`❌ Session export failed: ${result.error}`, 'error');
+                return;
+            }
+
+            await navigator.clipboard.writeText(result.sessionString);
+            this.showNotification(`📦 ${this.selectedBot} session export copied`, 'success');
+        } catch (error) {
+            this.showNotification('❌ Failed to copy session export', 'error');
+        }
+    }
+
+    /**
+     * 🛡️ NEW: Wire the two-factor panel and load its status
+     */
+    setupTwoFactor() {
+        const bind = (id, handler) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', handler);
+        };
+
+        bind('twoFactorEnrollBtn', () => this.startTwoFactorEnrolment());
+        bind('twoFactorConfirmBtn', () => this.submitTwoFactorCode());
+        bind('twoFactorRecoveryBtn', () => this.askTwoFactorCode('recovery'));
+        bind('twoFactorDisableBtn', () => this.askTwoFactorCode('disable'));
+
+        const codeInput = document.getElementById('twoFactorCodeInput');
+        if (codeInput) {
+            codeInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') this.submitTwoFactorCode();
+            });
+        }
+
+        this.refreshTwoFactorStatus();
+    }
+
+    /**
+     * 📡 NEW: JSON call to the /2fa endpoints (session cookie rides along)
+     */
+    async twoFactorRequest(url, body = null) {
+        const options = body
+            ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+            : {};
+        const response = await fetch(url, options);
+
+        return response.json();
+    }
+
+    /**
+     * 🔄 NEW: Load 2FA status - the panel is hidden for shared env-password sessions
+     */
+    async refreshTwoFactorStatus() {
+        const panel = document.getElementById('twoFactorPanel');
+        if (!panel) return;
+
+        try {
+            const status = await this.twoFactorRequest('/2fa/status');
+            if (!status.success) {
+                panel.style.display = 'none';
+                return;
+            }
+
+            this.renderTwoFactorStatus(status);
+        } catch (error) {
+            panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * 🎨 NEW: Show the buttons that fit the current 2FA state
+     */
+    renderTwoFactorStatus(status) {
+        const statusElement = document.getElementById('twoFactorStatus');
+        statusElement.textContent = status.enabled
+            ? `ENABLED - ${status.recoveryCodesLeft} recovery codes left`
+            : 'DISABLED';
+        statusElement.className = `session-value ${status.enabled ? 'status-connected' : 'status-waiting'}`;
+
+        this.twoFactorMode = null;
+        this.toggleTwoFactorElement('twoFactorEnrolment', false);
+        this.toggleTwoFactorElement('twoFactorCodeInput', false);
+        this.toggleTwoFactorElement('twoFactorConfirmBtn', false);
+        this.toggleTwoFactorElement('twoFactorEnrollBtn', !status.enabled);
+        this.toggleTwoFactorElement('twoFactorRecoveryBtn', status.enabled);
+        this.toggleTwoFactorElement('twoFactorDisableBtn', status.enabled);
+    }
+
+    toggleTwoFactorElement(id, visible) {
+        const element = document.getElementById(id);
+        if (element) element.style.display = visible ? '' : 'none';
+    }
+
+    /**
+     * 📷 NEW: Start enrolment - show the QR and ask for the first code
+     */
+    async startTwoFactorEnrolment() {
+        try {
+            const result = await this.twoFactorRequest('/2fa/enroll', {});
+            if (!result.success) {
+                this.showNotification(`❌ ${result.error}`, 'error');
+                return;
+            }
+
+            document.getElementById('twoFactorQR').src = result.qrImage;
+            document.getElementById('twoFactorSecret').textContent = result.secret;
+            this.toggleTwoFactorElement('twoFactorEnrolment', true);
+            this.toggleTwoFactorElement('twoFactorRecoveryCodes', false);
+            this.askTwoFactorCode('enroll');
+            this.showNotification('📷 Scan the QR code with your authenticator app', 'info');
+        } catch (error) {
+            this.showNotification('❌ Failed to start 2FA enrolment', 'error');
+        }
+    }
+
+    /**
+     * 🔢 NEW: Show the code input for enrolment, new recovery codes or disabling
+     */
+    askTwoFactorCode(mode) {
+        this.twoFactorMode = mode;
+
+        const codeInput = document.getElementById('twoFactorCodeInput');
+        codeInput.value = '';
+        codeInput.maxLength = mode === 'enroll' ? 6 : 9; // recovery codes (xxxx-xxxx) also accepted
+        codeInput.placeholder = mode === 'enroll' ? '6-digit code' : 'Authenticator or recovery code';
+
+        this.toggleTwoFactorElement('twoFactorCodeInput', true);
+        this.toggleTwoFactorElement('twoFactorConfirmBtn', true);
+        codeInput.focus();
+    }
+
+    /**
+     * ✅ NEW: Send the code for whatever the panel is asking
+     */
+    async submitTwoFactorCode() {
+        const code = document.getElementById('twoFactorCodeInput').value.trim();
+        if (!this.twoFactorMode || !code) return;
+
+        const endpoints = {
+            enroll: '/2fa/confirm',
+            recovery: '/2fa/recovery-codes',
+            disable: '/2fa/disable'
+        };
+
+        try {
+            const result = await this.twoFactorRequest(endpoints[this.twoFactorMode], { code });
+            if (!result.success) {
+                this.showNotification(`❌ ${result.error}`, 'error');
+                return;
+            }
+
+            this.showNotification(`🛡️ ${result.message || 'Two-factor settings updated'}`, 'success');
+            await this.refreshTwoFactorStatus();
+
+            if (result.recoveryCodes) {
+                this.showRecoveryCodes(result.recoveryCodes);
+            } else {
+                this.toggleTwoFactorElement('twoFactorRecoveryCodes', false);
+            }
+        } catch (error) {
+            this.showNotification('❌ Two-factor request failed', 'error');
+        }
+    }
+
+    /**
+     * 🧾 NEW: Recovery codes are only ever shown here, once
+     */
+    showRecoveryCodes(codes) {
+        const element = document.getElementById('twoFactorRecoveryCodes');
+        element.textContent = `Save these recovery codes - each works once:\n\n${codes.join('\n')}`;
+        element.style.display = '';
+    }
+
+    /**
+     * 📋 Copy pairing code
+     */
+    copyPairingCode(pairingCode) {
+        navigator.clipboard.writeText(pairingCode)
+            .then(() => this.showNotification('📋 8-digit pairing code copied to clipboard!', 'success'))
+            .catch(() => this.showNotification('❌ Failed to copy pairing code', 'error'));
+    }
+
+    /**
+     * ⏱️ Format a date relative to now
+     */
+    formatRelativeTime(date) {
+        const seconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
+
+        if (seconds < 10) return 'Just now';
+        if (seconds < 60) return `${seconds}s ago`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+        return `${Math.floor(seconds / 86400)}d ago`;
+    }
+
+    /**
+     * ⌨️ Keyboard shortcuts - Alt+1/2/3 focuses a bot
+     */
+    handleKeyboardShortcuts(e) {
+        const bots = ['SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN-RIXIE'];
+        const index = parseInt(e.key, 10) - 1;
+
+        if (e.altKey && bots[index]) {
+            e.preventDefault();
+            this.selectBot(bots[index]);
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.savageScanner = new SavageScanner();
+});
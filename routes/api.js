@@ -2,14 +2,75 @@
  * 🦅 SAVAGE BOTS SCANNER - API Routes
  * RESTful API endpoints for scanner management, bot connections, and session handling
  * Secure API with authentication and rate limiting
+ * Backed by the live SavageBotsScanner instance (attached when mounted on /api)
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const savagePasswordAuth = require('../auth/passwordAuth');
 const savageSessionManager = require('../auth/sessionManager');
+const savageUserManager = require('../auth/userManager');
 const savageDatabase = require('../config/database');
-const { SECURITY_CONFIG, MESSAGES, DEPLOYMENT } = require('../config/constants');
+const savageOutboundQueue = require('../utils/outboundQueue');
+const savageMedia = require('../utils/media');
+const savageGroupManager = require('../utils/groupManager');
+const savageOutboundConsent = require('../utils/outboundConsent');
+const savageBroadcastManager = require('../utils/broadcastManager');
+const savageKeyRotation = require('../utils/keyRotation');
+const { requireOperator, requireOwner, requireBotAccess } = require('../middleware/passwordAuth');
+const { SCANNER_IDENTITY, SECURITY_CONFIG, DEPLOYMENT, WHATSAPP_CONFIG } = require('../config/constants');
+
+// Uploads stay in memory until savageMedia has sniffed and stored them
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: WHATSAPP_CONFIG.MEDIA.MAX_FILE_SIZE, files: 1 }
+}).single('file');
+
+const MEDIA_ERROR_STATUS = {
+    MEDIA_TOO_LARGE: 413,
+    MEDIA_QUOTA_EXCEEDED: 507,
+    INVALID_MEDIA: 400
+};
+
+const GROUP_ERROR_STATUS = {
+    INVALID_GROUP: 400,
+    INVALID_PARTICIPANTS: 400,
+    INVALID_ACTION: 400,
+    INVALID_SETTINGS: 400,
+    BOT_NOT_ADMIN: 403,
+    GROUP_NOT_FOUND: 404,
+    BOT_NOT_LINKED: 409,
+    QUEUE_FULL: 429
+};
+
+const CONSENT_ERROR_STATUS = {
+    CONSENT_OPTED_OUT: 409
+};
+
+const BROADCAST_ERROR_STATUS = {
+    INVALID_LIST: 400,
+    INVALID_CONTENT: 400,
+    LIST_NOT_FOUND: 404,
+    BROADCAST_NOT_FOUND: 404,
+    LIST_EXISTS: 409,
+    LIST_EMPTY: 409,
+    LIST_LIMIT: 409,
+    LIST_FULL: 409,
+    BROADCAST_STORE_UNAVAILABLE: 503
+};
+
+const ROTATION_ERROR_STATUS = {
+    ROTATION_IN_PROGRESS: 409,
+    TEMPORARY_KEY: 409
+};
+
+// Live scanner (set by savage-scanner.js before the router is mounted)
+let scanner = null;
+
+function attachScanner(instance) {
+    scanner = instance;
+}
 
 // Rate limiting middleware
 const rateLimit = require('express-rate-limit');
@@ -27,7 +88,7 @@ router.use(apiLimiter);
 
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
-    const token = req.headers['authorization']?.replace('Bearer ', '');
+    const token = req.headers.authorization?.replace('Bearer ', '');
     const clientIP = req.ip || req.connection.remoteAddress;
 
     if (!token) {
@@ -48,11 +109,39 @@ const authenticateToken = (req, res, next) => {
         });
     }
 
+    // req.auth is what the shared role and bot guards read
+    req.auth = { authenticated: true, session: validation.session, clientIP, sessionToken: token };
     req.session = validation.session;
     req.clientIP = clientIP;
     next();
 };
 
+// Account routes need MongoDB
+const requireUserStore = (req, res, next) => {
+    if (!savageUserManager.available) {
+        return res.status(503).json({
+            success: false,
+            error: 'User accounts require the database',
+            code: 'DATABASE_UNAVAILABLE'
+        });
+    }
+
+    next();
+};
+
+// Scanner-backed endpoints need the running scanner
+const requireScanner = (req, res, next) => {
+    if (!scanner) {
+        return res.status(503).json({
+            success: false,
+            error: 'Scanner is not running',
+            code: 'SCANNER_UNAVAILABLE'
+        });
+    }
+
+    next();
+};
+
 // =============================================================================
 // 🔐 AUTHENTICATION ENDPOINTS
 // =============================================================================
@@ -64,7 +153,7 @@ const authenticateToken = (req, res, next) => {
  */
 router.post('/auth/login', async (req, res) => {
     try {
-        const { password } = req.body;
+        const { password, username } = req.body;
         const clientIP = req.ip || req.connection.remoteAddress;
 
         if (!password) {
@@ -75,29 +164,54 @@ router.post('/auth/login', async (req, res) => {
             });
         }
 
-        const result = await savagePasswordAuth.validatePassword(password, clientIP);
+        const result = await savagePasswordAuth.validatePassword(password, clientIP, username || null);
 
-        if (result.success) {
-            res.json({
-                success: true,
+        if (result.twoFactorRequired) {
+            return res.json({
+                success: false,
+                twoFactorRequired: true,
+                challengeToken: result.challengeToken,
+                expiresIn: result.expiresIn,
                 message: result.message,
-                sessionToken: result.sessionToken,
-                redirect: result.redirect,
-                expiresIn: '24h'
+                code: 'TWO_FACTOR_REQUIRED'
             });
-        } else {
-            res.status(401).json({
+        }
+
+        sendLoginResponse(res, result);
+
+    } catch (error) {
+        console.error('❌ [API] Login error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Authentication system error',
+            code: 'SERVER_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/verify-2fa
+ * @desc    Finish a login with an authenticator or recovery code
+ * @access  Public (needs the challengeToken from /auth/login)
+ */
+router.post('/auth/verify-2fa', async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+        const clientIP = req.ip || req.connection.remoteAddress;
+
+        if (!challengeToken || !code) {
+            return res.status(400).json({
                 success: false,
-                error: result.error,
-                locked: result.locked,
-                remainingAttempts: result.remainingAttempts,
-                retryAfter: result.retryAfter,
-                code: 'AUTH_FAILED'
+                error: 'challengeToken and code are required',
+                code: 'MISSING_CODE'
             });
         }
 
+        const result = await savagePasswordAuth.verifyTwoFactor(String(challengeToken), String(code), clientIP);
+        sendLoginResponse(res, result);
+
     } catch (error) {
-        console.error('❌ [API] Login error:', error);
+        console.error('❌ [API] 2FA error:', error);
         res.status(500).json({
             success: false,
             error: 'Authentication system error',
@@ -106,268 +220,995 @@ router.post('/auth/login', async (req, res) => {
     }
 });
 
+function sendLoginResponse(res, result) {
+    if (result.success) {
+        return res.json({
+            success: true,
+            message: result.message,
+            sessionToken: result.sessionToken,
+            role: result.role,
+            user: result.user,
+            recoveryCodesLeft: result.recoveryCodesLeft,
+            redirect: result.redirect,
+            expiresIn: '24h'
+        });
+    }
+
+    if (result.unavailable) {
+        return res.status(503).json({
+            success: false,
+            error: result.error,
+            code: 'DATABASE_UNAVAILABLE'
+        });
+    }
+
+    res.status(result.locked ? 423 : 401).json({
+        success: false,
+        error: result.error,
+        locked: result.locked,
+        restart: result.restart,
+        remainingAttempts: result.remainingAttempts,
+        retryAfter: result.retryAfter,
+        code: 'AUTH_FAILED'
+    });
+}
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout user and invalidate session
+ * @access  Private
+ */
+router.post('/auth/logout', authenticateToken, (req, res) => {
+    try {
+        const token = req.headers.authorization?.replace('Bearer ', '');
+        const result = savagePasswordAuth.logout(token, req.clientIP);
+
+        res.json({
+            success: true,
+            message: result.message,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        console.error('❌ [API] Logout error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Logout failed',
+            code: 'LOGOUT_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/auth/status
+ * @desc    Check authentication status
+ * @access  Private
+ */
+router.get('/auth/status', authenticateToken, (req, res) => {
+    res.json({
+        success: true,
+        authenticated: true,
+        session: req.session,
+        timestamp: new Date()
+    });
+});
+
+// =============================================================================
+// 📱 SCANNER MANAGEMENT ENDPOINTS
+// =============================================================================
+
+/**
+ * @route   GET /api/scanner/status
+ * @desc    Get scanner status and connection info
+ * @access  Private
+ */
+router.get('/scanner/status', authenticateToken, requireScanner, (req, res) => {
+    try {
+        const scannerStatus = {
+            ...scanner.buildScannerStatusFor(req.session),
+            platform: DEPLOYMENT.getCurrentPlatform().NAME,
+            version: SCANNER_IDENTITY.VERSION,
+            uptime: process.uptime()
+        };
+
+        res.json({
+            success: true,
+            scanner: scannerStatus,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        console.error('❌ [API] Scanner status error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get scanner status',
+            code: 'STATUS_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/scanner/generate-qr
+ * @desc    Generate new QR code for WhatsApp linking
+ * @access  Private
+ */
+router.post('/scanner/generate-qr', authenticateToken, requireOperator, requireScanner, (req, res) => {
+    try {
+        const botName = req.body.botName || scanner.selectedBot;
+
+        if (!botName || !scanner.botConnections.has(botName)) {
+            return res.status(400).json({
+                success: false,
+                error: botName ? `${botName} has no WhatsApp link - connect it first` : 'botName is required',
+                code: 'BOT_NOT_CONNECTING'
+            });
+        }
+
+        // Refreshing logs the old socket out - never do that to a linked bot
+        if (scanner.botConnections.get(botName).isAuthenticated) {
+            return res.status(409).json({
+                success: false,
+                error: `${botName} is already linked to WhatsApp`,
+                code: 'BOT_ALREADY_LINKED'
+            });
+        }
+
+        scanner.refreshQRCodeForBot(botName, 1000);
+
+        res.json({
+            success: true,
+            message: `QR code generation requested for ${botName}`,
+            botName: botName,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        console.error('❌ [API] QR generation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate QR code',
+            code: 'QR_GENERATION_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/scanner/session-info
+ * @desc    Get current session information
+ * @access  Private
+ */
+router.get('/scanner/session-info', authenticateToken, requireOperator, requireScanner, async (req, res) => {
+    try {
+        const sessionStats = await savageSessionManager.getSessionStats();
+        const linkedBots = scanner.getAllBotStates().filter(bot => bot.sessionId);
+        
+        res.json({
+            success: true,
+            sessionInfo: {
+                platform: DEPLOYMENT.getCurrentPlatform().NAME,
+                sessions: linkedBots.map(bot => ({
+                    botName: bot.botName,
+                    sessionId: bot.sessionId,
+                    phoneNumber: bot.phoneNumber,
+                    connectionTime: bot.connectedAt,
+                    connector: bot.connector
+                })),
+                botConnections: scanner.connectedBots.size
+            },
+            stats: sessionStats,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        console.error('❌ [API] Session info error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get session information',
+            code: 'SESSION_INFO_ERROR'
+        });
+    }
+});
+
+// =============================================================================
+// 🤖 BOT MANAGEMENT ENDPOINTS
+// =============================================================================
+
+/**
+ * @route   GET /api/bots
+ * @desc    Get all bot status and information
+ * @access  Private
+ */
+router.get('/bots', authenticateToken, requireScanner, (req, res) => {
+    try {
+        const bots = {};
+
+        for (const state of scanner.getAllBotStates()) {
+            if (!savagePasswordAuth.canAccessBot(req.session, state.botName)) continue;
+
+            const identity = SCANNER_IDENTITY.BOTS[state.botName];
+
+            bots[state.botName] = {
+                name: identity.name,
+                online: state.authenticated, // WhatsApp link is open
+                ...state,
+                prefix: identity.prefix,
+                description: identity.description,
+                color: identity.color
+            };
+        }
+
+        res.json({
+            success: true,
+            bots: bots,
+            selectedBot: scanner.selectedBot,
+            totalBots: Object.keys(bots).length,
+            onlineBots: Object.values(bots).filter(bot => bot.online).length,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        console.error('❌ [API] Bots status error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get bot information',
+            code: 'BOTS_INFO_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/bots/:botName/connect
+ * @desc    Connect a specific bot to the scanner
+ * @access  Private
+ */
+router.post('/bots/:botName/connect', authenticateToken, requireOperator, requireBotAccess, requireScanner, async (req, res) => {
+    try {
+        const { botName } = req.params;
+
+        if (!scanner.validBots.includes(botName)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid bot name. Valid options: ${scanner.validBots.join(', ')}`,
+                code: 'INVALID_BOT'
+            });
+        }
+
+        const result = await scanner.startBotLink(botName);
+
+        if (!result.success) {
+            return res.status(502).json({
+                success: false,
+                error: result.error,
+                bot: result.botState,
+                code: 'BOT_CONNECT_ERROR'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: result.alreadyActive
+                ? `${botName} WhatsApp link already active`
+                : `${botName} WhatsApp link started - scan the QR or request a pairing code`,
+            botName: botName,
+            bot: result.botState,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        console.error('❌ [API] Bot connect error:', error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to connect ${req.params.botName}`,
+            code: 'BOT_CONNECT_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/bots/:botName/disconnect
+ * @desc    Disconnect a specific bot from the scanner
+ * @access  Private
+ */
+router.post('/bots/:botName/disconnect', authenticateToken, requireOperator, requireBotAccess, requireScanner, async (req, res) => {
+    try {
+        const { botName } = req.params;
+        const logout = req.body.logout === true;
+
+        if (!scanner.validBots.includes(botName)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid bot name. Valid options: ${scanner.validBots.join(', ')}`,
+                code: 'INVALID_BOT'
+            });
+        }
+
+        const result = await scanner.stopBotLink(botName, { logout });
+
+        res.json({
+            success: true,
+            message: logout ? `${botName} logged out of WhatsApp` : `${botName} disconnected`,
+            botName: botName,
+            loggedOut: result.loggedOut,
+            bot: result.botState,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        console.error('❌ [API] Bot disconnect error:', error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to disconnect ${req.params.botName}`,
+            code: 'BOT_DISCONNECT_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/bots/:botName/messages
+ * @desc    Queue a text message, or uploaded media ({ media: { mediaId, caption, fileName, type, ptt } }), on a bot's durable outbound queue
+ * @access  Private
+ */
+router.post('/bots/:botName/messages', authenticateToken, requireOperator, requireBotAccess, requireScanner, async (req, res) => {
+    const { botName } = req.params;
+    const { chatId, text, media } = req.body || {};
+
+    if (!scanner.validBots.includes(botName)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid bot name. Valid options: ${scanner.validBots.join(', ')}`,
+            code: 'INVALID_BOT'
+        });
+    }
+
+    if (!chatId || (!media && (typeof text !== 'string' || text.trim() === ''))) {
+        return res.status(400).json({
+            success: false,
+            error: 'chatId and text (or media) are required',
+            code: 'INVALID_MESSAGE'
+        });
+    }
+
+    let content = { text };
+    if (media) {
+        const stored = savageMedia.get(media.mediaId);
+        if (!stored || stored.botName !== botName) {
+            return res.status(404).json({
+                success: false,
+                error: 'Media not found - upload it to this bot first',
+                code: 'MEDIA_NOT_FOUND'
+            });
+        }
+
+        try {
+            content = {
+                media: {
+                    mediaId: stored.mediaId,
+                    type: savageMedia.resolveType(stored.mimetype, media.type || stored.type),
+                    caption: media.caption || (typeof text === 'string' ? text : null),
+                    fileName: media.fileName || stored.fileName || null,
+                    ptt: !!media.ptt
+                }
+            };
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
+    }
+
+    try {
+        const job = await scanner.sendBotMessage(botName, chatId, content, {
+            source: 'api',
+            requestId: req.body.requestId || null,
+            requestedBy: req.session.username || null
+        });
+
+        res.status(202).json({
+            success: true,
+            botName: botName,
+            job: job,
+            outbound: scanner.getBotState(botName).outbound,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        const status = CONSENT_ERROR_STATUS[error.code];
+        if (!status) console.error(`❌ [API] ${botName} send error:`, error.message);
+
+        res.status(status || 500).json({
+            success: false,
+            error: error.message,
+            code: status ? error.code : 'MESSAGE_QUEUE_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/bots/:botName/messages/:jobId
+ * @desc    Outbound job status (queued, sending, sent, delivered, read, failed)
+ * @access  Private
+ */
+router.get('/bots/:botName/messages/:jobId', authenticateToken, requireBotAccess, async (req, res) => {
+    try {
+        const job = await savageOutboundQueue.getJob(req.params.jobId);
+
+        if (!job || job.botName !== req.params.botName) {
+            return res.status(404).json({
+                success: false,
+                error: 'Message job not found',
+                code: 'JOB_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            job: job,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        console.error('❌ [API] Message job lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load message job',
+            code: 'JOB_LOOKUP_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/bots/:botName/media
+ * @desc    Upload a file (multipart field "file") for a bot to send - returns its mediaId and a signed link
+ * @access  Private
+ */
+router.post('/bots/:botName/media', authenticateToken, requireOperator, requireBotAccess, requireScanner, (req, res) => {
+    const { botName } = req.params;
+
+    if (!scanner.validBots.includes(botName)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid bot name. Valid options: ${scanner.validBots.join(', ')}`,
+            code: 'INVALID_BOT'
+        });
+    }
+
+    mediaUpload(req, res, async (uploadError) => {
+        if (uploadError) {
+            const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                success: false,
+                error: tooLarge
+                    ? `File exceeds the ${Math.round(WHATSAPP_CONFIG.MEDIA.MAX_FILE_SIZE / 1024 / 1024)}MB limit`
+                    : uploadError.message,
+                code: tooLarge ? 'MEDIA_TOO_LARGE' : 'UPLOAD_ERROR'
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'Multipart field "file" is required',
+                code: 'MISSING_FILE'
+            });
+        }
+
+        try {
+            const media = await savageMedia.store(botName, req.file.buffer, {
+                mimetype: req.file.mimetype,
+                fileName: req.file.originalname,
+                type: req.body.type || null
+            });
+
+            console.log(`📤 [API] ${req.session.username || 'operator'} uploaded ${media.type} ${media.mediaId} for ${botName}`);
+
+            res.status(201).json({
+                success: true,
+                media: media,
+                usage: savageMedia.getUsage(botName),
+                timestamp: new Date()
+            });
+
+        } catch (error) {
+            const status = MEDIA_ERROR_STATUS[error.code];
+            if (!status) console.error(`❌ [API] ${botName} media upload error:`, error.message);
+
+            res.status(status || 500).json({
+                success: false,
+                error: status ? error.message : 'Failed to store media',
+                code: error.code || 'MEDIA_STORE_ERROR'
+            });
+        }
+    });
+});
+
+/**
+ * @route   GET /api/bots/:botName/media/:mediaId
+ * @desc    Stored media descriptor with a fresh signed link
+ * @access  Private
+ */
+router.get('/bots/:botName/media/:mediaId', authenticateToken, requireBotAccess, (req, res) => {
+    const entry = savageMedia.get(req.params.mediaId);
+
+    if (!entry || entry.botName !== req.params.botName) {
+        return res.status(404).json({
+            success: false,
+            error: 'Media not found',
+            code: 'MEDIA_NOT_FOUND'
+        });
+    }
+
+    res.json({
+        success: true,
+        media: savageMedia.toPublic(entry),
+        usage: savageMedia.getUsage(req.params.botName),
+        timestamp: new Date()
+    });
+});
+
+/**
+ * @route   DELETE /api/bots/:botName/media/:mediaId
+ * @desc    Delete stored media (frees quota)
+ * @access  Private
+ */
+router.delete('/bots/:botName/media/:mediaId', authenticateToken, requireOperator, requireBotAccess, async (req, res) => {
+    const entry = savageMedia.get(req.params.mediaId);
+
+    if (!entry || entry.botName !== req.params.botName) {
+        return res.status(404).json({
+            success: false,
+            error: 'Media not found',
+            code: 'MEDIA_NOT_FOUND'
+        });
+    }
+
+    await savageMedia.remove(entry.mediaId);
+
+    res.json({
+        success: true,
+        mediaId: entry.mediaId,
+        usage: savageMedia.getUsage(req.params.botName),
+        timestamp: new Date()
+    });
+});
+
+// =============================================================================
+// 👥 GROUP MANAGEMENT ENDPOINTS
+// =============================================================================
+
+// Who asked - recorded with every group and consent change in the security audit log
+const auditActor = (req) => ({
+    user: req.session.username || req.session.role || null,
+    ip: req.clientIP,
+    source: 'api'
+});
+
+// Known group errors keep their message; anything else is a Baileys/WhatsApp failure
+const sendGroupError = (res, error, fallback) => {
+    const status = GROUP_ERROR_STATUS[error.code];
+    if (!status) console.error(`❌ [API] ${fallback}:`, error.message);
+
+    res.status(status || 502).json({
+        success: false,
+        error: status ? error.message : `${fallback}: ${error.message}`,
+        code: error.code || 'GROUP_ACTION_ERROR'
+    });
+};
+
+/**
+ * @route   GET /api/bots/:botName/groups
+ * @desc    Groups the bot is a member of
+ * @access  Private
+ */
+router.get('/bots/:botName/groups', authenticateToken, requireBotAccess, requireScanner, async (req, res) => {
+    try {
+        const groups = await savageGroupManager.listGroups(req.params.botName);
+
+        res.json({
+            success: true,
+            botName: req.params.botName,
+            groups: groups,
+            count: groups.length,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        sendGroupError(res, error, 'Failed to list groups');
+    }
+});
+
+/**
+ * @route   GET /api/bots/:botName/groups/:groupId
+ * @desc    Group metadata with participants and admins (?refresh=true skips the cache)
+ * @access  Private
+ */
+router.get('/bots/:botName/groups/:groupId', authenticateToken, requireBotAccess, requireScanner, async (req, res) => {
+    try {
+        const group = await savageGroupManager.getGroup(req.params.botName, req.params.groupId, {
+            refresh: req.query.refresh === 'true'
+        });
+
+        res.json({
+            success: true,
+            group: group,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        sendGroupError(res, error, 'Failed to load group');
+    }
+});
+
+/**
+ * @route   POST /api/bots/:botName/groups/:groupId/participants
+ * @desc    Add, remove, promote or demote participants ({ action, participants })
+ * @access  Private
+ */
+router.post('/bots/:botName/groups/:groupId/participants', authenticateToken, requireOperator, requireBotAccess, requireScanner, async (req, res) => {
+    const { action, participants } = req.body || {};
+
+    try {
+        const results = await savageGroupManager.updateParticipants(req.params.botName, req.params.groupId,
+            participants, action, auditActor(req));
+
+        res.json({
+            success: results.every(result => result.success),
+            action: action,
+            results: results,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        sendGroupError(res, error, `Failed to ${action || 'update'} participants`);
+    }
+});
+
+/**
+ * @route   GET /api/bots/:botName/groups/:groupId/invite
+ * @desc    Current invite link
+ * @access  Private
+ */
+router.get('/bots/:botName/groups/:groupId/invite', authenticateToken, requireOperator, requireBotAccess, requireScanner, async (req, res) => {
+    try {
+        const invite = await savageGroupManager.getInviteLink(req.params.botName, req.params.groupId, auditActor(req));
+
+        res.json({
+            success: true,
+            ...invite,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        sendGroupError(res, error, 'Failed to get invite link');
+    }
+});
+
+/**
+ * @route   POST /api/bots/:botName/groups/:groupId/invite/revoke
+ * @desc    Revoke the invite link and return the new one
+ * @access  Private
+ */
+router.post('/bots/:botName/groups/:groupId/invite/revoke', authenticateToken, requireOperator, requireBotAccess, requireScanner, async (req, res) => {
+    try {
+        const invite = await savageGroupManager.revokeInviteLink(req.params.botName, req.params.groupId, auditActor(req));
+
+        res.json({
+            success: true,
+            ...invite,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        sendGroupError(res, error, 'Failed to revoke invite link');
+    }
+});
+
+/**
+ * @route   PATCH /api/bots/:botName/groups/:groupId/settings
+ * @desc    Update subject, description, announce, locked, joinApproval, memberAddMode or ephemeralDuration
+ * @access  Private
+ */
+router.patch('/bots/:botName/groups/:groupId/settings', authenticateToken, requireOperator, requireBotAccess, requireScanner, async (req, res) => {
+    try {
+        const result = await savageGroupManager.updateSettings(req.params.botName, req.params.groupId,
+            req.body || {}, auditActor(req));
+
+        res.json({
+            success: true,
+            ...result,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        sendGroupError(res, error, 'Failed to update group settings');
+    }
+});
+
 /**
- * @route   POST /api/auth/logout
- * @desc    Logout user and invalidate session
+ * @route   GET /api/bots/:botName/groups/:groupId/requests
+ * @desc    Pending join requests
  * @access  Private
  */
-router.post('/auth/logout', authenticateToken, (req, res) => {
+router.get('/bots/:botName/groups/:groupId/requests', authenticateToken, requireOperator, requireBotAccess, requireScanner, async (req, res) => {
     try {
-        const token = req.headers['authorization']?.replace('Bearer ', '');
-        const result = savagePasswordAuth.logout(token, req.clientIP);
+        const requests = await savageGroupManager.listJoinRequests(req.params.botName, req.params.groupId);
 
         res.json({
             success: true,
-            message: result.message,
+            requests: requests,
+            count: requests.length,
             timestamp: new Date()
         });
 
     } catch (error) {
-        console.error('❌ [API] Logout error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Logout failed',
-            code: 'LOGOUT_ERROR'
-        });
+        sendGroupError(res, error, 'Failed to list join requests');
     }
 });
 
 /**
- * @route   GET /api/auth/status
- * @desc    Check authentication status
+ * @route   POST /api/bots/:botName/groups/:groupId/requests
+ * @desc    Approve or reject join requests ({ action: 'approve' | 'reject', participants })
  * @access  Private
  */
-router.get('/auth/status', authenticateToken, (req, res) => {
-    res.json({
-        success: true,
-        authenticated: true,
-        session: req.session,
-        timestamp: new Date()
-    });
+router.post('/bots/:botName/groups/:groupId/requests', authenticateToken, requireOperator, requireBotAccess, requireScanner, async (req, res) => {
+    const { action, participants } = req.body || {};
+
+    try {
+        const results = await savageGroupManager.updateJoinRequests(req.params.botName, req.params.groupId,
+            participants, action, auditActor(req));
+
+        res.json({
+            success: results.every(result => result.success),
+            action: action,
+            results: results,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        sendGroupError(res, error, `Failed to ${action || 'update'} join requests`);
+    }
 });
 
 // =============================================================================
-// 📱 SCANNER MANAGEMENT ENDPOINTS
+// ✋ OUTBOUND CONSENT ENDPOINTS
 // =============================================================================
 
+const sendConsentError = (res, error, fallback) => {
+    const status = CONSENT_ERROR_STATUS[error.code];
+    if (!status) console.error(`❌ [API] ${fallback}:`, error.message);
+
+    res.status(status || 400).json({
+        success: false,
+        error: status ? error.message : `${fallback}: ${error.message}`,
+        code: error.code || 'CONSENT_ERROR'
+    });
+};
+
 /**
- * @route   GET /api/scanner/status
- * @desc    Get scanner status and connection info
- * @access  Private
+ * @route   GET /api/bots/:botName/consent
+ * @desc    Chats the bot may message on a user's behalf from another chat, and chats that replied STOP
+ * @access  Owner
  */
-router.get('/scanner/status', authenticateToken, (req, res) => {
+router.get('/bots/:botName/consent', authenticateToken, requireOwner, requireBotAccess, requireScanner, async (req, res) => {
     try {
-        // This would typically come from the main scanner instance
-        const scannerStatus = {
-            status: 'ready', // connected, disconnected, scanning, etc.
-            platform: DEPLOYMENT.getCurrentPlatform().NAME,
-            version: '1.0.0',
-            uptime: process.uptime(),
-            whatsappStatus: 'disconnected', // Will be updated by scanner
-            lastHeartbeat: new Date(),
-            sessionCount: 0 // Will be updated by session manager
-        };
+        const consent = await savageOutboundConsent.list(req.params.botName);
 
         res.json({
             success: true,
-            scanner: scannerStatus,
+            botName: req.params.botName,
+            ...consent,
             timestamp: new Date()
         });
 
     } catch (error) {
-        console.error('❌ [API] Scanner status error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get scanner status',
-            code: 'STATUS_ERROR'
-        });
+        sendConsentError(res, error, 'Failed to load consent list');
     }
 });
 
 /**
- * @route   POST /api/scanner/generate-qr
- * @desc    Generate new QR code for WhatsApp linking
- * @access  Private
+ * @route   PUT /api/bots/:botName/consent/:chatId
+ * @desc    Add a chat to the bot's allowlist (chats that replied STOP cannot be added back)
+ * @access  Owner
  */
-router.post('/scanner/generate-qr', authenticateToken, (req, res) => {
+router.put('/bots/:botName/consent/:chatId', authenticateToken, requireOwner, requireBotAccess, requireScanner, async (req, res) => {
     try {
-        // This would trigger QR generation in the main scanner
-        // For now, return mock response
+        const consent = await savageOutboundConsent.allow(req.params.botName, req.params.chatId, auditActor(req));
+
         res.json({
             success: true,
-            message: 'QR code generation requested',
-            timestamp: new Date(),
-            qrId: `qr_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+            consent: consent,
+            timestamp: new Date()
         });
 
     } catch (error) {
-        console.error('❌ [API] QR generation error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to generate QR code',
-            code: 'QR_GENERATION_ERROR'
-        });
+        sendConsentError(res, error, 'Failed to allowlist chat');
     }
 });
 
 /**
- * @route   GET /api/scanner/session-info
- * @desc    Get current session information
- * @access  Private
+ * @route   DELETE /api/bots/:botName/consent/:chatId
+ * @desc    Remove a chat from the bot's allowlist
+ * @access  Owner
  */
-router.get('/scanner/session-info', authenticateToken, async (req, res) => {
+router.delete('/bots/:botName/consent/:chatId', authenticateToken, requireOwner, requireBotAccess, requireScanner, async (req, res) => {
     try {
-        const sessionStats = await savageSessionManager.getSessionStats();
-        
+        const consent = await savageOutboundConsent.revoke(req.params.botName, req.params.chatId, auditActor(req));
+
         res.json({
             success: true,
-            sessionInfo: {
-                sessionId: 'SAVAGE-XMD-BOT-SESSION-' + Math.random().toString(36).substr(2, 16).toUpperCase(),
-                platform: DEPLOYMENT.getCurrentPlatform().NAME,
-                phoneNumber: null, // Will be populated after WhatsApp connection
-                connectionTime: new Date(),
-                botConnections: sessionStats.memory?.activeSessions || 0
-            },
-            stats: sessionStats,
+            consent: consent,
             timestamp: new Date()
         });
 
     } catch (error) {
-        console.error('❌ [API] Session info error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get session information',
-            code: 'SESSION_INFO_ERROR'
-        });
+        sendConsentError(res, error, 'Failed to remove chat from allowlist');
     }
 });
 
 // =============================================================================
-// 🤖 BOT MANAGEMENT ENDPOINTS
+// 📣 BROADCAST LIST ENDPOINTS
 // =============================================================================
 
+// Subscribers opt in from WhatsApp only - these endpoints manage lists and send to them
+const sendBroadcastError = (res, error, fallback) => {
+    const status = BROADCAST_ERROR_STATUS[error.code];
+    if (!status) console.error(`❌ [API] ${fallback}:`, error.message);
+
+    res.status(status || 500).json({
+        success: false,
+        error: status ? error.message : `${fallback}: ${error.message}`,
+        code: error.code || 'BROADCAST_ERROR'
+    });
+};
+
 /**
- * @route   GET /api/bots
- * @desc    Get all bot status and information
+ * @route   GET /api/bots/:botName/broadcasts/lists
+ * @desc    The bot's broadcast lists with subscriber counts
  * @access  Private
  */
-router.get('/bots', authenticateToken, (req, res) => {
+router.get('/bots/:botName/broadcasts/lists', authenticateToken, requireOperator, requireBotAccess, requireScanner, async (req, res) => {
     try {
-        const bots = {
-            'SAVAGE-X': {
-                name: 'SAVAGE-X',
-                status: 'offline', // online, offline, connecting, error
-                lastSeen: null,
-                commands: ['!savage', '!hack', '!status'],
-                description: 'Primary attack bot with advanced features',
-                color: '#00FF00'
-            },
-            'DE-UKNOWN-BOT': {
-                name: 'DE-UKNOWN-BOT',
-                status: 'offline',
-                lastSeen: null,
-                commands: ['!deunknown', '!mystery', '!secret'],
-                description: 'Mystery bot with hidden capabilities',
-                color: '#0000FF'
-            },
-            'QUEEN-RIXIE': {
-                name: 'QUEEN RIXIE',
-                status: 'offline',
-                lastSeen: null,
-                commands: ['!queen', '!royal', '!command'],
-                description: 'Royal command bot with elite features',
-                color: '#FF00FF'
-            }
-        };
+        const lists = await savageBroadcastManager.listLists(req.params.botName);
 
         res.json({
             success: true,
-            bots: bots,
-            totalBots: Object.keys(bots).length,
-            onlineBots: Object.values(bots).filter(bot => bot.status === 'online').length,
+            botName: req.params.botName,
+            lists: lists,
+            count: lists.length,
             timestamp: new Date()
         });
 
     } catch (error) {
-        console.error('❌ [API] Bots status error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get bot information',
-            code: 'BOTS_INFO_ERROR'
+        sendBroadcastError(res, error, 'Failed to list broadcast lists');
+    }
+});
+
+/**
+ * @route   POST /api/bots/:botName/broadcasts/lists
+ * @desc    Create a broadcast list ({ name, description })
+ * @access  Owner
+ */
+router.post('/bots/:botName/broadcasts/lists', authenticateToken, requireOwner, requireBotAccess, requireScanner, async (req, res) => {
+    const { name, description } = req.body || {};
+
+    try {
+        const list = await savageBroadcastManager.createList(req.params.botName, name, { description }, auditActor(req));
+
+        res.status(201).json({
+            success: true,
+            list: list,
+            timestamp: new Date()
         });
+
+    } catch (error) {
+        sendBroadcastError(res, error, 'Failed to create broadcast list');
     }
 });
 
 /**
- * @route   POST /api/bots/:botName/connect
- * @desc    Connect a specific bot to the scanner
+ * @route   GET /api/bots/:botName/broadcasts/lists/:listName
+ * @desc    One broadcast list with its subscribers
  * @access  Private
  */
-router.post('/bots/:botName/connect', authenticateToken, async (req, res) => {
+router.get('/bots/:botName/broadcasts/lists/:listName', authenticateToken, requireOperator, requireBotAccess, requireScanner, async (req, res) => {
     try {
-        const { botName } = req.params;
-        const { sessionId } = req.body;
+        const list = await savageBroadcastManager.getList(req.params.botName, req.params.listName);
 
-        const validBots = ['SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN-RIXIE'];
-        
-        if (!validBots.includes(botName)) {
-            return res.status(400).json({
-                success: false,
-                error: `Invalid bot name. Valid options: ${validBots.join(', ')}`,
-                code: 'INVALID_BOT'
-            });
-        }
+        res.json({
+            success: true,
+            list: list,
+            timestamp: new Date()
+        });
 
-        if (!sessionId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Session ID is required for bot connection',
-                code: 'MISSING_SESSION_ID'
-            });
-        }
+    } catch (error) {
+        sendBroadcastError(res, error, 'Failed to load broadcast list');
+    }
+});
+
+/**
+ * @route   DELETE /api/bots/:botName/broadcasts/lists/:listName
+ * @desc    Delete a broadcast list and its subscriptions
+ * @access  Owner
+ */
+router.delete('/bots/:botName/broadcasts/lists/:listName', authenticateToken, requireOwner, requireBotAccess, requireScanner, async (req, res) => {
+    try {
+        const list = await savageBroadcastManager.deleteList(req.params.botName, req.params.listName, auditActor(req));
 
-        // In real implementation, this would initiate bot connection via WebSocket
         res.json({
             success: true,
-            message: `Connection request sent to ${botName}`,
-            botName: botName,
-            sessionId: sessionId,
+            list: list,
             timestamp: new Date()
         });
 
     } catch (error) {
-        console.error('❌ [API] Bot connect error:', error);
-        res.status(500).json({
-            success: false,
-            error: `Failed to connect ${req.params.botName}`,
-            code: 'BOT_CONNECT_ERROR'
+        sendBroadcastError(res, error, 'Failed to delete broadcast list');
+    }
+});
+
+/**
+ * @route   POST /api/bots/:botName/broadcasts
+ * @desc    Broadcast text to every subscriber of a list ({ list, text }) - the report arrives as a broadcast_report event
+ * @access  Owner
+ */
+router.post('/bots/:botName/broadcasts', authenticateToken, requireOwner, requireBotAccess, requireScanner, async (req, res) => {
+    const { list, text } = req.body || {};
+
+    try {
+        const broadcast = await savageBroadcastManager.send(req.params.botName, list, text, {
+            source: 'api',
+            requestedBy: req.session.username || null
+        }, auditActor(req));
+
+        res.status(202).json({
+            success: true,
+            broadcast: broadcast,
+            timestamp: new Date()
         });
+
+    } catch (error) {
+        sendBroadcastError(res, error, 'Failed to start broadcast');
     }
 });
 
 /**
- * @route   POST /api/bots/:botName/disconnect
- * @desc    Disconnect a specific bot from the scanner
+ * @route   GET /api/bots/:botName/broadcasts
+ * @desc    Recent broadcasts with per-status counts
  * @access  Private
  */
-router.post('/bots/:botName/disconnect', authenticateToken, (req, res) => {
+router.get('/bots/:botName/broadcasts', authenticateToken, requireOperator, requireBotAccess, requireScanner, async (req, res) => {
     try {
-        const { botName } = req.params;
+        const broadcasts = await savageBroadcastManager.listRuns(req.params.botName);
 
         res.json({
             success: true,
-            message: `Disconnection request sent to ${botName}`,
-            botName: botName,
+            botName: req.params.botName,
+            broadcasts: broadcasts,
             timestamp: new Date()
         });
 
     } catch (error) {
-        console.error('❌ [API] Bot disconnect error:', error);
-        res.status(500).json({
-            success: false,
-            error: `Failed to disconnect ${req.params.botName}`,
-            code: 'BOT_DISCONNECT_ERROR'
+        sendBroadcastError(res, error, 'Failed to list broadcasts');
+    }
+});
+
+/**
+ * @route   GET /api/bots/:botName/broadcasts/:broadcastId
+ * @desc    One broadcast with every recipient's delivery status
+ * @access  Private
+ */
+router.get('/bots/:botName/broadcasts/:broadcastId', authenticateToken, requireOperator, requireBotAccess, requireScanner, async (req, res) => {
+    try {
+        const broadcast = await savageBroadcastManager.getRun(req.params.botName, req.params.broadcastId);
+
+        res.json({
+            success: true,
+            broadcast: broadcast,
+            timestamp: new Date()
         });
+
+    } catch (error) {
+        sendBroadcastError(res, error, 'Failed to load broadcast');
     }
 });
 
@@ -380,13 +1221,20 @@ router.post('/bots/:botName/disconnect', authenticateToken, (req, res) => {
  * @desc    Get all active sessions
  * @access  Private
  */
-router.get('/sessions', authenticateToken, async (req, res) => {
+router.get('/sessions', authenticateToken, requireOperator, requireScanner, async (req, res) => {
     try {
         const sessionStats = await savageSessionManager.getSessionStats();
+        const botSessions = Array.from(scanner.botConnections.values())
+            .filter(connection => savagePasswordAuth.canAccessBot(req.session, connection.botName))
+            .map(connection => ({
+                ...scanner.getBotState(connection.botName),
+                authStateId: connection.authStateId
+            }));
         
         res.json({
             success: true,
             sessions: sessionStats,
+            botSessions: botSessions,
             timestamp: new Date()
         });
 
@@ -405,10 +1253,34 @@ router.get('/sessions', authenticateToken, async (req, res) => {
  * @desc    Delete a specific session
  * @access  Private
  */
-router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+router.delete('/sessions/:sessionId', authenticateToken, requireOperator, requireScanner, async (req, res) => {
     try {
         const { sessionId } = req.params;
 
+        // Sessions of bots outside the caller's permissions (live links and stored auth state) read as missing
+        const owner = scanner.getAllBotStates().find(bot => bot.sessionId === sessionId);
+        const ownerBot = owner?.botName || scanner.validBots.find(botName => savageSessionManager.getAuthStateId(botName) === sessionId);
+        if (ownerBot && !savagePasswordAuth.canAccessBot(req.session, ownerBot)) {
+            return res.status(404).json({
+                success: false,
+                error: `Session ${sessionId} not found`,
+                code: 'SESSION_NOT_FOUND'
+            });
+        }
+
+        // A live bot session is a WhatsApp link - log it out instead of orphaning the socket
+        if (owner) {
+            const result = await scanner.stopBotLink(owner.botName, { logout: true });
+
+            return res.json({
+                success: true,
+                message: `Session ${sessionId} deleted - ${owner.botName} logged out`,
+                botName: owner.botName,
+                bot: result.botState,
+                timestamp: new Date()
+            });
+        }
+
         const result = await savageSessionManager.deleteSession(sessionId);
 
         res.json({
@@ -572,12 +1444,12 @@ router.get('/system/health', authenticateToken, async (req, res) => {
  * @desc    Get security audit logs
  * @access  Private
  */
-router.get('/security/audit', authenticateToken, (req, res) => {
+router.get('/security/audit', authenticateToken, requireOwner, (req, res) => {
     try {
-        const { limit = 50, type, ip, startDate, endDate } = req.query;
+        const { limit = 50, type, ip, user, startDate, endDate } = req.query;
         
         const auditLog = savagePasswordAuth.getAuditLog(parseInt(limit), {
-            type, ip, startDate, endDate
+            type, ip, user, startDate, endDate
         });
 
         res.json({
@@ -602,7 +1474,7 @@ router.get('/security/audit', authenticateToken, (req, res) => {
  * @desc    Manually lock an IP address
  * @access  Private
  */
-router.post('/security/lock-ip', authenticateToken, (req, res) => {
+router.post('/security/lock-ip', authenticateToken, requireOwner, (req, res) => {
     try {
         const { ip, reason, duration } = req.body;
 
@@ -642,7 +1514,7 @@ router.post('/security/lock-ip', authenticateToken, (req, res) => {
  * @desc    Manually unlock an IP address
  * @access  Private
  */
-router.post('/security/unlock-ip', authenticateToken, (req, res) => {
+router.post('/security/unlock-ip', authenticateToken, requireOwner, (req, res) => {
     try {
         const { ip } = req.body;
 
@@ -673,6 +1545,156 @@ router.post('/security/unlock-ip', authenticateToken, (req, res) => {
     }
 });
 
+const sendRotationError = (res, error, fallback) => {
+    const status = ROTATION_ERROR_STATUS[error.code];
+    if (!status) console.error(`❌ [API] ${fallback}:`, error.message);
+
+    res.status(status || 500).json({
+        success: false,
+        error: status ? error.message : `${fallback}: ${error.message}`,
+        code: error.code || 'KEY_ROTATION_ERROR'
+    });
+};
+
+/**
+ * @route   POST /api/security/key-rotation
+ * @desc    Re-encrypt stored sessions, disk backups and 2FA secrets with the current key (SESSION_ENCRYPTION_KEY)
+ * @access  Owner
+ */
+router.post('/security/key-rotation', authenticateToken, requireOwner, (req, res) => {
+    try {
+        const rotation = savageKeyRotation.start(auditActor(req));
+
+        res.status(202).json({
+            success: true,
+            message: `Key rotation to ${rotation.keyId} started`,
+            rotation,
+            timestamp: new Date()
+        });
+    } catch (error) {
+        sendRotationError(res, error, 'Failed to start key rotation');
+    }
+});
+
+/**
+ * @route   GET /api/security/key-rotation
+ * @desc    Progress of the current (or last) key rotation and the keyring
+ * @access  Owner
+ */
+router.get('/security/key-rotation', authenticateToken, requireOwner, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            rotation: savageKeyRotation.getStatus(),
+            timestamp: new Date()
+        });
+    } catch (error) {
+        sendRotationError(res, error, 'Failed to get key rotation status');
+    }
+});
+
+// =============================================================================
+// 👥 USER ACCOUNT ENDPOINTS (Owner Only)
+// =============================================================================
+
+/**
+ * @route   GET /api/users
+ * @desc    List dashboard accounts
+ * @access  Owner
+ */
+router.get('/users', authenticateToken, requireOwner, requireUserStore, async (req, res) => {
+    try {
+        const users = await savageUserManager.listUsers();
+
+        res.json({
+            success: true,
+            users: users,
+            totalUsers: users.length,
+            timestamp: new Date()
+        });
+
+    } catch (error) {
+        console.error('❌ [API] List users error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list users',
+            code: 'USERS_ERROR'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/users
+ * @desc    Create an account { username, password, role, bots }
+ * @access  Owner
+ */
+router.post('/users', authenticateToken, requireOwner, requireUserStore, async (req, res) => {
+    const { username, password, role, bots } = req.body || {};
+    const result = await savageUserManager.createUser({ username, password, role, bots }, req.session.username);
+
+    if (!result.success) {
+        return res.status(400).json({ ...result, code: 'USER_CREATE_ERROR' });
+    }
+
+    savagePasswordAuth.logSecurityEvent('USER_CREATED', req.clientIP, `Created ${result.user.role} '${result.user.username}'`, {
+        user: req.session.username
+    });
+
+    res.status(201).json({ ...result, timestamp: new Date() });
+});
+
+/**
+ * @route   PATCH /api/users/:username
+ * @desc    Update role, bots, password, isActive or resetTwoFactor - the account's sessions are revoked
+ * @access  Owner
+ */
+router.patch('/users/:username', authenticateToken, requireOwner, requireUserStore, async (req, res) => {
+    const { role, bots, password, isActive, resetTwoFactor } = req.body || {};
+    const result = await savageUserManager.updateUser(req.params.username, { role, bots, password, isActive }, req.session.username);
+
+    if (!result.success) {
+        return res.status(result.error === 'User not found' ? 404 : 400).json({ ...result, code: 'USER_UPDATE_ERROR' });
+    }
+
+    // Lost authenticator - an owner can clear the second factor
+    if (resetTwoFactor === true) {
+        await savageUserManager.disableTwoFactor(result.user.username, null, { force: true });
+        result.user.twoFactorEnabled = false;
+        savagePasswordAuth.logSecurityEvent('2FA_DISABLED', req.clientIP, `Two-factor reset for '${result.user.username}'`, {
+            user: req.session.username
+        });
+    }
+
+    const revoked = savagePasswordAuth.revokeUserSessions(result.user.username, `Updated by ${req.session.username}`);
+    scanner?.disconnectUserSockets(result.user.username, `Updated by ${req.session.username}`);
+    savagePasswordAuth.logSecurityEvent('USER_UPDATED', req.clientIP, `Updated '${result.user.username}'`, {
+        user: req.session.username
+    });
+
+    res.json({ ...result, revokedSessions: revoked, timestamp: new Date() });
+});
+
+/**
+ * @route   DELETE /api/users/:username
+ * @desc    Delete an account and end its sessions
+ * @access  Owner
+ */
+router.delete('/users/:username', authenticateToken, requireOwner, requireUserStore, async (req, res) => {
+    const result = await savageUserManager.deleteUser(req.params.username, req.session.username);
+
+    if (!result.success) {
+        return res.status(result.error === 'User not found' ? 404 : 400).json({ ...result, code: 'USER_DELETE_ERROR' });
+    }
+
+    const revoked = savagePasswordAuth.revokeUserSessions(result.username, `Deleted by ${req.session.username}`);
+    scanner?.disconnectUserSockets(result.username, `Deleted by ${req.session.username}`);
+    savagePasswordAuth.logSecurityEvent('USER_DELETED', req.clientIP, `Deleted '${result.username}'`, {
+        user: req.session.username
+    });
+
+    res.json({ ...result, revokedSessions: revoked, timestamp: new Date() });
+});
+
 // =============================================================================
 // ❌ ERROR HANDLING MIDDLEWARE
 // =============================================================================
@@ -699,3 +1721,4 @@ router.use((error, req, res, next) => {
 });
 
 module.exports = router;
+module.exports.attachScanner = attachScanner;
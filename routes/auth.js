@@ -8,7 +8,10 @@ const express = require('express');
 const router = express.Router();
 const savagePasswordAuth = require('../auth/passwordAuth');
 const savageHelpers = require('../utils/helpers');
-const savageEncryption = require('../utils/encryption');
+const { requirePasswordAuth, requireOwner, setSessionCookie, clearSessionCookie } = require('../middleware/passwordAuth');
+
+// utils/encryption refuses to load without SESSION_ENCRYPTION_KEY - resolve it per request
+const getEncryption = () => require('../utils/encryption');
 
 // 🛡️ Middleware for request logging
 router.use((req, res, next) => {
@@ -21,10 +24,10 @@ router.use((req, res, next) => {
     next();
 });
 
-// 🛡️ Rate limiting middleware for authentication endpoints
+// 🛡️ Rate limiting middleware for authentication endpoints (lockouts after failed passwords stay in savagePasswordAuth)
 const authRateLimit = (req, res, next) => {
     const clientIP = req.ip || req.connection.remoteAddress;
-    const rateLimit = savagePasswordAuth.checkRateLimit(clientIP);
+    const rateLimit = savageHelpers.checkRateLimit(`auth_${clientIP}`);
     
     if (!rateLimit.allowed) {
         savageHelpers.log('warn', `Rate limit exceeded for IP: ${clientIP}`, {
@@ -56,9 +59,8 @@ const authRateLimit = (req, res, next) => {
  */
 router.post('/verify-password', authRateLimit, async (req, res) => {
     try {
-        const { password } = req.body;
+        const { password, username } = req.body;
         const clientIP = req.ip || req.connection.remoteAddress;
-        const userAgent = req.get('User-Agent');
 
         savageHelpers.log('info', `Password verification attempt from ${clientIP}`);
 
@@ -75,21 +77,41 @@ router.post('/verify-password', authRateLimit, async (req, res) => {
         const sanitizedPassword = savageHelpers.sanitizeInput(password);
 
         // Verify password
-        const authResult = await savagePasswordAuth.validatePassword(sanitizedPassword, clientIP);
+        const authResult = await savagePasswordAuth.validatePassword(
+            sanitizedPassword,
+            clientIP,
+            typeof username === 'string' && username.trim() ? savageHelpers.sanitizeInput(username) : null
+        );
+
+        if (authResult.twoFactorRequired) {
+            savageHelpers.log('info', `Second factor required for ${clientIP}`);
+
+            return res.json({
+                success: false,
+                twoFactorRequired: true,
+                challengeToken: authResult.challengeToken,
+                expiresIn: authResult.expiresIn,
+                message: authResult.message
+            });
+        }
 
         if (authResult.success) {
             // Password correct - create session
             savageHelpers.log('success', `Successful authentication from ${clientIP}`);
 
+            // Token lives only in the HttpOnly cookie
+            setSessionCookie(res, authResult.sessionToken);
+
             res.json({
                 success: true,
                 message: 'Authentication successful',
-                sessionToken: authResult.sessionToken,
+                role: authResult.role,
                 redirect: authResult.redirect,
                 user: {
+                    ...authResult.user,
                     ip: clientIP,
                     authenticatedAt: new Date().toISOString(),
-                    sessionId: savageEncryption.generateSessionId()
+                    sessionId: getEncryption().generateSessionId()
                 }
             });
 
@@ -100,7 +122,7 @@ router.post('/verify-password', authRateLimit, async (req, res) => {
                 locked: authResult.locked
             });
 
-            res.status(401).json({
+            res.status(authResult.unavailable ? 503 : 401).json({
                 success: false,
                 error: authResult.error,
                 remainingAttempts: authResult.remainingAttempts,
@@ -124,6 +146,67 @@ router.post('/verify-password', authRateLimit, async (req, res) => {
     }
 });
 
+/**
+ * 📲 POST /auth/verify-2fa
+ * Finish a login with an authenticator or recovery code
+ */
+router.post('/verify-2fa', authRateLimit, async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+        const clientIP = req.ip || req.connection.remoteAddress;
+
+        if (!challengeToken || !code) {
+            return res.status(400).json({
+                success: false,
+                error: 'challengeToken and code are required',
+                field: !challengeToken ? 'challengeToken' : 'code'
+            });
+        }
+
+        const authResult = await savagePasswordAuth.verifyTwoFactor(String(challengeToken), String(code), clientIP);
+
+        if (!authResult.success) {
+            savageHelpers.log('warn', `Failed second factor from ${clientIP}`, { restart: authResult.restart });
+
+            return res.status(authResult.locked ? 423 : 401).json({
+                success: false,
+                error: authResult.error,
+                restart: authResult.restart,
+                locked: authResult.locked,
+                retryAfter: authResult.retryAfter
+            });
+        }
+
+        savageHelpers.log('success', `Second factor accepted from ${clientIP}`);
+        setSessionCookie(res, authResult.sessionToken);
+
+        res.json({
+            success: true,
+            message: authResult.message,
+            role: authResult.role,
+            redirect: authResult.redirect,
+            recoveryCodesLeft: authResult.recoveryCodesLeft,
+            user: {
+                ...authResult.user,
+                ip: clientIP,
+                authenticatedAt: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        savageHelpers.log('error', 'Second factor verification error', {
+            error: error.message,
+            ip: req.ip
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Authentication system error',
+            message: 'Please try again later'
+        });
+    }
+});
+
 /**
  * 🔑 POST /auth/validate-session
  * Validate existing session token
@@ -189,25 +272,18 @@ router.post('/validate-session', (req, res) => {
  * 🚪 POST /auth/logout
  * Invalidate session token
  */
-router.post('/logout', (req, res) => {
+router.post('/logout', requirePasswordAuth, (req, res) => {
     try {
-        const { sessionToken } = req.body;
-        const clientIP = req.ip || req.connection.remoteAddress;
+        const { sessionToken, clientIP } = req.auth;
 
         savageHelpers.log('info', `Logout request from ${clientIP}`);
 
-        if (!sessionToken) {
-            return res.status(400).json({
-                success: false,
-                error: 'Session token is required'
-            });
-        }
-
         // Invalidate session
         const logoutResult = savagePasswordAuth.logout(sessionToken, clientIP);
 
         if (logoutResult.success) {
             savageHelpers.log('success', `User logged out from ${clientIP}`);
+            clearSessionCookie(res);
 
             res.json({
                 success: true,
@@ -243,29 +319,17 @@ router.post('/logout', (req, res) => {
 
 /**
  * 📊 GET /auth/stats
- * Get authentication statistics (Admin only)
+ * Get authentication statistics (owner only)
  */
-router.get('/stats', (req, res) => {
+router.get('/stats', requirePasswordAuth, requireOwner, (req, res) => {
     try {
         const clientIP = req.ip || req.connection.remoteAddress;
         
-        // Basic IP-based admin check (in production, use proper admin authentication)
-        const adminIPs = process.env.ADMIN_IPS ? process.env.ADMIN_IPS.split(',') : ['127.0.0.1', '::1'];
-        
-        if (!adminIPs.includes(clientIP) && process.env.NODE_ENV === 'production') {
-            savageHelpers.log('warn', `Unauthorized stats access attempt from ${clientIP}`);
-            return res.status(403).json({
-                success: false,
-                error: 'Access denied',
-                message: 'Admin access required'
-            });
-        }
-
         savageHelpers.log('info', `Auth stats accessed by ${clientIP}`);
 
         const stats = savagePasswordAuth.getAuthStats();
         const helpersStats = savageHelpers.getStats();
-        const encryptionStats = savageEncryption.getStats();
+        const encryptionStats = getEncryption().getStats();
 
         res.json({
             success: true,
@@ -295,30 +359,19 @@ router.get('/stats', (req, res) => {
 
 /**
  * 🔒 GET /auth/security-events
- * Get security audit log (Admin only)
+ * Get security audit log (owner only)
  */
-router.get('/security-events', (req, res) => {
+router.get('/security-events', requirePasswordAuth, requireOwner, (req, res) => {
     try {
         const clientIP = req.ip || req.connection.remoteAddress;
-        const { limit = 50, type, ip, startDate, endDate } = req.query;
-
-        // Admin check
-        const adminIPs = process.env.ADMIN_IPS ? process.env.ADMIN_IPS.split(',') : ['127.0.0.1', '::1'];
-        
-        if (!adminIPs.includes(clientIP) && process.env.NODE_ENV === 'production') {
-            savageHelpers.log('warn', `Unauthorized security events access from ${clientIP}`);
-            return res.status(403).json({
-                success: false,
-                error: 'Access denied',
-                message: 'Admin access required'
-            });
-        }
+        const { limit = 50, type, ip, user, startDate, endDate } = req.query;
 
         savageHelpers.log('info', `Security events accessed by ${clientIP}`);
 
         const filter = {
             type,
             ip,
+            user,
             startDate,
             endDate
         };
@@ -348,25 +401,13 @@ router.get('/security-events', (req, res) => {
 
 /**
  * 🚨 POST /auth/emergency/lock-ip
- * Manually lock an IP address (Admin only)
+ * Manually lock an IP address (owner only)
  */
-router.post('/emergency/lock-ip', (req, res) => {
+router.post('/emergency/lock-ip', requirePasswordAuth, requireOwner, (req, res) => {
     try {
         const clientIP = req.ip || req.connection.remoteAddress;
         const { ip, reason = 'Manual lock', duration = 900000 } = req.body; // 15 minutes default
 
-        // Admin check
-        const adminIPs = process.env.ADMIN_IPS ? process.env.ADMIN_IPS.split(',') : ['127.0.0.1', '::1'];
-        
-        if (!adminIPs.includes(clientIP) && process.env.NODE_ENV === 'production') {
-            savageHelpers.log('warn', `Unauthorized emergency lock attempt from ${clientIP}`);
-            return res.status(403).json({
-                success: false,
-                error: 'Access denied',
-                message: 'Admin access required'
-            });
-        }
-
         if (!ip) {
             return res.status(400).json({
                 success: false,
@@ -405,25 +446,13 @@ router.post('/emergency/lock-ip', (req, res) => {
 
 /**
  * 🔓 POST /auth/emergency/unlock-ip
- * Manually unlock an IP address (Admin only)
+ * Manually unlock an IP address (owner only)
  */
-router.post('/emergency/unlock-ip', (req, res) => {
+router.post('/emergency/unlock-ip', requirePasswordAuth, requireOwner, (req, res) => {
     try {
         const clientIP = req.ip || req.connection.remoteAddress;
         const { ip } = req.body;
 
-        // Admin check
-        const adminIPs = process.env.ADMIN_IPS ? process.env.ADMIN_IPS.split(',') : ['127.0.0.1', '::1'];
-        
-        if (!adminIPs.includes(clientIP) && process.env.NODE_ENV === 'production') {
-            savageHelpers.log('warn', `Unauthorized emergency unlock attempt from ${clientIP}`);
-            return res.status(403).json({
-                success: false,
-                error: 'Access denied',
-                message: 'Admin access required'
-            });
-        }
-
         if (!ip) {
             return res.status(400).json({
                 success: false,
@@ -466,7 +495,7 @@ router.get('/health', (req, res) => {
     try {
         const authHealth = savagePasswordAuth.healthCheck();
         const helpersHealth = savageHelpers.healthCheck();
-        const encryptionHealth = savageEncryption.healthCheck();
+        const encryptionHealth = getEncryption().healthCheck();
 
         const overallHealth = 
             authHealth.status === 'healthy' && 
@@ -501,24 +530,10 @@ router.get('/health', (req, res) => {
 
 /**
  * 🔧 GET /auth/config
- * Get authentication configuration (Admin only)
+ * Get authentication configuration (owner only)
  */
-router.get('/config', (req, res) => {
+router.get('/config', requirePasswordAuth, requireOwner, (req, res) => {
     try {
-        const clientIP = req.ip || req.connection.remoteAddress;
-
-        // Admin check
-        const adminIPs = process.env.ADMIN_IPS ? process.env.ADMIN_IPS.split(',') : ['127.0.0.1', '::1'];
-        
-        if (!adminIPs.includes(clientIP) && process.env.NODE_ENV === 'production') {
-            savageHelpers.log('warn', `Unauthorized config access from ${clientIP}`);
-            return res.status(403).json({
-                success: false,
-                error: 'Access denied',
-                message: 'Admin access required'
-            });
-        }
-
         res.json({
             success: true,
             config: {
@@ -543,8 +558,7 @@ router.get('/config', (req, res) => {
             environment: {
                 nodeEnv: process.env.NODE_ENV,
                 hasEncryptionKey: !!process.env.SESSION_ENCRYPTION_KEY,
-                hasScannerPassword: !!process.env.SCANNER_PASSWORD,
-                adminIPs: adminIPs
+                hasScannerPassword: !!process.env.SCANNER_PASSWORD
             },
             timestamp: new Date().toISOString()
         });
@@ -2,34 +2,31 @@
  * 🦅 SAVAGE BOTS SCANNER - Scanner Routes
  * WhatsApp QR codes, pairing codes, session management, and bot coordination
  * Core scanner functionality with real-time WebSocket support
+ * Backed by the live SavageBotsScanner instance (attached when mounted on /scanner)
  */
 
 const express = require('express');
 const router = express.Router();
 const savageHelpers = require('../utils/helpers');
 const savageGenerators = require('../utils/generators');
-const savageEncryption = require('../utils/encryption');
 const savageDatabase = require('../config/database');
-const savageSessionManager = require('../auth/sessionManager');
-
-// WebSocket connections map (in production, use Redis)
-const activeConnections = new Map();
-const botConnections = new Map();
-
-// Scanner state
-let scannerState = {
-    status: 'disconnected',
-    qrCode: null,
-    pairingCode: null,
-    sessionId: null,
-    phoneNumber: null,
-    lastActivity: null,
-    bots: {
-        'SAVAGE-X': { status: 'offline', lastSeen: null },
-        'DE-UKNOWN-BOT': { status: 'offline', lastSeen: null },
-        'QUEEN RIXIE': { status: 'offline', lastSeen: null }
-    }
-};
+const savagePasswordAuth = require('../auth/passwordAuth');
+const savageBotGateway = require('../bots/bot-gateway');
+const { BOT_CONFIG, SECURITY_CONFIG } = require('../config/constants');
+
+// Live scanner (set by savage-scanner.js before the router is mounted)
+let scanner = null;
+
+function attachScanner(instance) {
+    scanner = instance;
+}
+
+/**
+ * 📊 Live scanner snapshot (null until the scanner is attached)
+ */
+function getScannerState() {
+    return scanner ? scanner.buildScannerStatus() : null;
+}
 
 /**
  * 🛡️ Authentication middleware for scanner routes
@@ -50,18 +47,17 @@ const requireAuth = (req, res, next) => {
         });
     }
 
-    // In a real implementation, validate the session token
-    // For now, we'll use a simple check
-    const isValid = typeof sessionToken === 'string' && sessionToken.startsWith('savage_');
+    const validation = savagePasswordAuth.validateSessionToken(sessionToken, clientIP);
     
-    if (!isValid) {
+    if (!validation.valid) {
         savageHelpers.log('warn', 'Invalid session token', {
             ip: clientIP,
-            token: sessionToken.substring(0, 10) + '...'
+            token: String(sessionToken).substring(0, 10) + '...',
+            reason: validation.error
         });
         return res.status(401).json({
             success: false,
-            error: 'Invalid session token',
+            error: validation.error || 'Invalid session token',
             message: 'Please re-authenticate'
         });
     }
@@ -70,9 +66,87 @@ const requireAuth = (req, res, next) => {
         ip: clientIP,
         path: req.path
     });
+    req.session = validation.session;
+    next();
+};
+
+/**
+ * 🎭 Scanner controls and secrets need the operator role
+ */
+const requireOperator = (req, res, next) => {
+    if (!savagePasswordAuth.hasRole(req.session?.role, SECURITY_CONFIG.ROLES.OPERATOR)) {
+        savageHelpers.log('warn', 'Viewer denied operator scanner route', {
+            ip: req.ip,
+            user: req.session?.username,
+            path: req.path
+        });
+        return res.status(403).json({
+            success: false,
+            error: 'Operator role required',
+            message: 'Log in with the operator password to control the scanner'
+        });
+    }
+
+    next();
+};
+
+/**
+ * 🙈 Viewers get session IDs, phone numbers and pairing codes nulled out
+ */
+const viewFor = (req, body) => {
+    return savagePasswordAuth.hasRole(req.session?.role, SECURITY_CONFIG.ROLES.OPERATOR) ? body : scanner.redactForViewer(body);
+};
+
+/**
+ * 🤖 Resolve the target bot and check the account may use it (sets req.targetBot)
+ */
+const requireBotAccess = (req, res, next) => {
+    req.targetBot = resolveTargetBot(req);
+
+    if (req.targetBot && !savagePasswordAuth.canAccessBot(req.session, req.targetBot)) {
+        savageHelpers.log('warn', 'Bot permission denied', {
+            ip: req.ip,
+            user: req.session?.username,
+            botName: req.targetBot
+        });
+        return res.status(403).json({
+            success: false,
+            error: `No permission for ${req.targetBot}`,
+            message: 'Ask an owner to grant access to this bot'
+        });
+    }
+
     next();
 };
 
+/**
+ * 🛡️ Scanner-backed routes need the running scanner
+ */
+const requireScanner = (req, res, next) => {
+    if (!scanner) {
+        return res.status(503).json({
+            success: false,
+            error: 'Scanner is not running',
+            message: 'Please try again later'
+        });
+    }
+
+    next();
+};
+
+/**
+ * 🤖 Bot targeted by a request (accepts connector names like 'QUEEN RIXIE')
+ */
+function resolveTargetBot(req) {
+    const requested = (req.body && req.body.botName) || req.query.botName;
+
+    if (requested) {
+        return savageBotGateway.resolveBotName(requested);
+    }
+
+    return scanner.selectedBot;
+}
+
 /**
  * 🛡️ WebSocket authentication middleware
  */
@@ -85,13 +159,12 @@ const authenticateWebSocket = (socket, next) => {
         return next(new Error('Authentication required'));
     }
 
-    // Validate session token (simplified)
-    const isValid = typeof sessionToken === 'string' && sessionToken.startsWith('savage_');
+    const validation = savagePasswordAuth.validateSessionToken(sessionToken, clientIP);
     
-    if (!isValid) {
+    if (!validation.valid) {
         savageHelpers.log('warn', 'WebSocket connection invalid token', {
             ip: clientIP,
-            token: sessionToken.substring(0, 10) + '...'
+            token: String(sessionToken).substring(0, 10) + '...'
         });
         return next(new Error('Invalid session token'));
     }
@@ -147,26 +220,30 @@ const authenticateBot = (socket, next) => {
  * 🎯 GET /scanner/status
  * Get current scanner status and system information
  */
-router.get('/status', requireAuth, (req, res) => {
+router.get('/status', requireAuth, requireScanner, (req, res) => {
     try {
         const clientIP = req.ip || req.connection.remoteAddress;
 
         savageHelpers.log('info', `Scanner status requested by ${clientIP}`);
 
+        const scannerStatus = scanner.buildScannerStatusFor(req.session);
+        const webClients = scanner.io.engine.clientsCount;
+
         const status = {
             success: true,
             scanner: {
-                status: scannerState.status,
-                phoneNumber: scannerState.phoneNumber,
-                sessionId: scannerState.sessionId,
-                lastActivity: scannerState.lastActivity,
+                status: scannerStatus.scanner,
+                whatsapp: scannerStatus.whatsapp,
+                authenticated: scannerStatus.authenticated,
+                selectedBot: scannerStatus.selectedBot,
+                pairingCodesActive: scannerStatus.pairingCodesActive,
                 uptime: process.uptime()
             },
-            bots: scannerState.bots,
+            bots: scannerStatus.bots,
             connections: {
-                web: activeConnections.size,
-                bots: botConnections.size,
-                total: activeConnections.size + botConnections.size
+                web: webClients,
+                bots: scanner.connectedBots.size,
+                total: webClients + scanner.connectedBots.size
             },
             system: {
                 timestamp: new Date().toISOString(),
@@ -176,7 +253,7 @@ router.get('/status', requireAuth, (req, res) => {
             }
         };
 
-        res.json(status);
+        res.json(viewFor(req, status));
 
     } catch (error) {
         savageHelpers.log('error', 'Scanner status error', {
@@ -194,49 +271,42 @@ router.get('/status', requireAuth, (req, res) => {
 
 /**
  * 📱 GET /scanner/qr
- * Generate new QR code for WhatsApp linking
+ * Current WhatsApp QR code for a bot link
  */
-router.get('/qr', requireAuth, (req, res) => {
+router.get('/qr', requireAuth, requireOperator, requireScanner, requireBotAccess, (req, res) => {
     try {
         const clientIP = req.ip || req.connection.remoteAddress;
+        const botName = req.targetBot;
 
-        savageHelpers.log('info', `QR code generation requested by ${clientIP}`);
-
-        // Generate new pairing code
-        const pairingCode = savageGenerators.generatePairingCode();
-        
-        // In a real implementation, this would generate an actual QR code
-        // For now, we'll simulate it
-        const qrData = {
-            qrImage: `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=WHATSAPP:${pairingCode}`,
-            qrRaw: pairingCode,
-            pairingCode: pairingCode,
-            timestamp: new Date().toISOString(),
-            expiresIn: 300000 // 5 minutes
-        };
+        savageHelpers.log('info', `QR code requested by ${clientIP}`, { botName });
 
-        // Update scanner state
-        scannerState.qrCode = qrData.qrImage;
-        scannerState.pairingCode = pairingCode;
-        scannerState.lastActivity = new Date();
+        const connection = botName ? scanner.botConnections.get(botName) : null;
 
-        savageHelpers.log('success', `QR code generated: ${pairingCode}`, { ip: clientIP });
+        if (!connection || !connection.qr) {
+            return res.status(404).json({
+                success: false,
+                error: 'No QR code available',
+                message: connection && connection.isAuthenticated
+                    ? `${botName} is already linked to WhatsApp`
+                    : 'Connect the bot first'
+            });
+        }
 
         res.json({
             success: true,
-            ...qrData,
-            message: 'QR code generated successfully'
+            botName: botName,
+            ...scanner.buildQRPayload(botName)
         });
 
     } catch (error) {
-        savageHelpers.log('error', 'QR code generation error', {
+        savageHelpers.log('error', 'QR code retrieval error', {
             error: error.message,
             ip: req.ip
         });
 
         res.status(500).json({
             success: false,
-            error: 'QR code generation failed',
+            error: 'QR code retrieval failed',
             message: 'Please try again later'
         });
     }
@@ -244,39 +314,39 @@ router.get('/qr', requireAuth, (req, res) => {
 
 /**
  * 🔄 POST /scanner/refresh-qr
- * Refresh/regenerate QR code
+ * Restart a bot's unlinked WhatsApp socket for a fresh QR code
  */
-router.post('/refresh-qr', requireAuth, (req, res) => {
+router.post('/refresh-qr', requireAuth, requireOperator, requireScanner, requireBotAccess, (req, res) => {
     try {
         const clientIP = req.ip || req.connection.remoteAddress;
+        const botName = req.targetBot;
 
-        savageHelpers.log('info', `QR code refresh requested by ${clientIP}`);
+        savageHelpers.log('info', `QR code refresh requested by ${clientIP}`, { botName });
 
-        // Generate new pairing code
-        const pairingCode = savageGenerators.generatePairingCode();
-        
-        const qrData = {
-            qrImage: `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=WHATSAPP:${pairingCode}`,
-            qrRaw: pairingCode,
-            pairingCode: pairingCode,
-            timestamp: new Date().toISOString(),
-            expiresIn: 300000
-        };
+        if (!botName || !scanner.botConnections.has(botName)) {
+            return res.status(400).json({
+                success: false,
+                error: botName ? `${botName} has no WhatsApp link` : 'No bot selected or specified',
+                message: 'Connect the bot first'
+            });
+        }
 
-        // Update scanner state
-        scannerState.qrCode = qrData.qrImage;
-        scannerState.pairingCode = pairingCode;
-        scannerState.lastActivity = new Date();
+        // Refreshing logs the old socket out - never do that to a linked bot
+        if (scanner.botConnections.get(botName).isAuthenticated) {
+            return res.status(409).json({
+                success: false,
+                error: `${botName} is already linked to WhatsApp`
+            });
+        }
 
-        savageHelpers.log('success', `QR code refreshed: ${pairingCode}`, { ip: clientIP });
+        scanner.refreshQRCodeForBot(botName, 1000);
 
-        // Broadcast to all connected clients
-        broadcastToClients('qr_data', qrData);
+        savageHelpers.log('success', `QR code refresh initiated for ${botName}`, { ip: clientIP });
 
         res.json({
             success: true,
-            ...qrData,
-            message: 'QR code refreshed successfully'
+            botName: botName,
+            message: `QR refresh initiated for ${botName}`
         });
 
     } catch (error) {
@@ -295,37 +365,42 @@ router.post('/refresh-qr', requireAuth, (req, res) => {
 
 /**
  * 🔢 GET /scanner/pairing-code
- * Get current pairing code
+ * Get a bot's current WhatsApp pairing code
  */
-router.get('/pairing-code', requireAuth, (req, res) => {
+router.get('/pairing-code', requireAuth, requireOperator, requireScanner, requireBotAccess, (req, res) => {
     try {
         const clientIP = req.ip || req.connection.remoteAddress;
+        const botName = req.targetBot;
+        const connection = botName ? scanner.botConnections.get(botName) : null;
+        const pairing = connection && connection.pairingCode
+            ? scanner.pairingCodes.get(connection.pairingCode)
+            : null;
 
-        if (!scannerState.pairingCode) {
+        if (!pairing) {
             return res.status(404).json({
                 success: false,
                 error: 'No active pairing code',
-                message: 'Generate a QR code first'
+                message: 'Request a pairing code first'
             });
         }
 
-        const isValid = savageGenerators.validatePairingCode(scannerState.pairingCode);
-        
-        if (!isValid) {
+        if (pairing.status !== 'pending' || pairing.expiresAt <= Date.now()) {
             return res.status(410).json({
                 success: false,
                 error: 'Pairing code expired',
-                message: 'Generate a new QR code'
+                message: 'Request a new pairing code'
             });
         }
 
-        savageHelpers.log('info', `Pairing code requested by ${clientIP}`);
+        savageHelpers.log('info', `Pairing code requested by ${clientIP}`, { botName });
 
         res.json({
             success: true,
-            pairingCode: scannerState.pairingCode,
-            timestamp: scannerState.lastActivity,
-            expiresIn: 300000 - (Date.now() - new Date(scannerState.lastActivity).getTime())
+            botName: botName,
+            pairingCode: connection.pairingCode,
+            phoneNumber: pairing.phoneNumber,
+            timestamp: new Date(pairing.generatedAt).toISOString(),
+            expiresIn: pairing.expiresAt - Date.now()
         });
 
     } catch (error) {
@@ -343,57 +418,55 @@ router.get('/pairing-code', requireAuth, (req, res) => {
 
 /**
  * 🤖 POST /scanner/bot/connect
- * Bot connection endpoint (for HTTP-based bots)
+ * Session check for HTTP-based bots (live traffic goes over the bot gateway)
  */
-router.post('/bot/connect', requireAuth, async (req, res) => {
+router.post('/bot/connect', requireAuth, requireScanner, (req, res) => {
     try {
-        const { botName, sessionId, capabilities } = req.body;
+        const { sessionId } = req.body;
         const clientIP = req.ip || req.connection.remoteAddress;
+        const botName = savageBotGateway.resolveBotName(req.body.botName);
 
-        savageHelpers.log('info', `Bot connection attempt: ${botName}`, { ip: clientIP });
+        savageHelpers.log('info', `Bot connection attempt: ${req.body.botName}`, { ip: clientIP });
 
         // Validate inputs
-        if (!savageHelpers.validateBotName(botName)) {
+        if (!botName) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid bot name',
-                validBots: ['SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN RIXIE']
+                validBots: scanner.validBots
             });
         }
 
-        if (!savageHelpers.validateSessionId(sessionId)) {
+        if (!savageGenerators.validateBotSessionId(sessionId)) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid session ID format'
             });
         }
 
-        // Update bot status
-        scannerState.bots[botName] = {
-            status: 'connecting',
-            lastSeen: new Date(),
-            capabilities: capabilities || {},
-            ip: clientIP
-        };
+        const botState = scanner.getBotState(botName);
+
+        if (!botState.sessionId || !savageBotGateway.safeCompare(sessionId, botState.sessionId)) {
+            savageHelpers.log('warn', `Bot session mismatch: ${botName}`, { ip: clientIP });
 
-        savageHelpers.log('success', `Bot connection initiated: ${botName}`, {
+            return res.status(401).json({
+                success: false,
+                error: `Session ID does not match the current ${botName} WhatsApp link`
+            });
+        }
+
+        savageHelpers.log('success', `Bot session verified: ${botName}`, {
             ip: clientIP,
             sessionId: sessionId.substring(0, 20) + '...'
         });
 
-        // Simulate connection process
-        await savageHelpers.sleep(1000);
-
-        scannerState.bots[botName].status = 'online';
-
         res.json({
             success: true,
-            message: `${botName} connected successfully`,
-            bot: scannerState.bots[botName],
-            session: {
-                id: sessionId,
-                scannerStatus: scannerState.status,
-                connectedAt: new Date().toISOString()
+            message: `${botName} session verified`,
+            bot: botState,
+            gateway: {
+                path: BOT_CONFIG.WEBSOCKET.PATH,
+                connected: botState.connector
             }
         });
 
@@ -416,7 +489,7 @@ router.post('/bot/connect', requireAuth, async (req, res) => {
  * 📊 GET /scanner/bots/status
  * Get status of all bots
  */
-router.get('/bots/status', requireAuth, (req, res) => {
+router.get('/bots/status', requireAuth, requireScanner, (req, res) => {
     try {
         const clientIP = req.ip || req.connection.remoteAddress;
 
@@ -425,27 +498,31 @@ router.get('/bots/status', requireAuth, (req, res) => {
         const botStatus = {};
         let onlineCount = 0;
 
-        for (const [botName, botData] of Object.entries(scannerState.bots)) {
-            botStatus[botName] = {
-                status: botData.status,
-                lastSeen: botData.lastSeen,
-                uptime: botData.lastSeen ? Date.now() - new Date(botData.lastSeen).getTime() : null,
-                capabilities: botData.capabilities || {}
+        for (const bot of scanner.getAllBotStates()) {
+            if (!savagePasswordAuth.canAccessBot(req.session, bot.botName)) continue;
+
+            botStatus[bot.botName] = {
+                status: bot.status,
+                whatsapp: bot.authenticated,
+                connector: bot.connector,
+                phoneNumber: bot.phoneNumber,
+                connectedAt: bot.connectedAt,
+                uptime: bot.connectedAt ? Date.now() - new Date(bot.connectedAt).getTime() : null
             };
 
-            if (botData.status === 'online') onlineCount++;
+            if (bot.authenticated) onlineCount++;
         }
 
-        res.json({
+        res.json(viewFor(req, {
             success: true,
             bots: botStatus,
             summary: {
-                total: Object.keys(scannerState.bots).length,
+                total: Object.keys(botStatus).length,
                 online: onlineCount,
-                offline: Object.keys(scannerState.bots).length - onlineCount
+                offline: Object.keys(botStatus).length - onlineCount
             },
             timestamp: new Date().toISOString()
-        });
+        }));
 
     } catch (error) {
         savageHelpers.log('error', 'Bot status retrieval error', {
@@ -462,15 +539,18 @@ router.get('/bots/status', requireAuth, (req, res) => {
 
 /**
  * 💾 GET /scanner/session
- * Get current session information
+ * Get a bot's current session information
  */
-router.get('/session', requireAuth, (req, res) => {
+router.get('/session', requireAuth, requireOperator, requireScanner, requireBotAccess, (req, res) => {
     try {
         const clientIP = req.ip || req.connection.remoteAddress;
+        const botName = req.targetBot;
+
+        savageHelpers.log('info', `Session info requested by ${clientIP}`, { botName });
 
-        savageHelpers.log('info', `Session info requested by ${clientIP}`);
+        const botState = botName ? scanner.getBotState(botName) : null;
 
-        if (!scannerState.sessionId) {
+        if (!botState || !botState.sessionId) {
             return res.status(404).json({
                 success: false,
                 error: 'No active session',
@@ -480,13 +560,12 @@ router.get('/session', requireAuth, (req, res) => {
 
         const sessionInfo = {
             success: true,
-            sessionId: scannerState.sessionId,
-            phoneNumber: scannerState.phoneNumber,
-            status: scannerState.status,
-            connectedAt: scannerState.lastActivity,
-            bots: Object.keys(scannerState.bots).filter(bot => 
-                scannerState.bots[bot].status === 'online'
-            ),
+            botName: botName,
+            sessionId: botState.sessionId,
+            phoneNumber: botState.phoneNumber,
+            status: botState.status,
+            connectedAt: botState.connectedAt,
+            connector: botState.connector,
             system: {
                 uptime: process.uptime(),
                 timestamp: new Date().toISOString()
@@ -510,63 +589,60 @@ router.get('/session', requireAuth, (req, res) => {
 
 /**
  * 🚀 POST /scanner/connect
- * Simulate WhatsApp connection (for testing)
+ * Start a bot's WhatsApp link (QR, or pairing code when phoneNumber is given)
  */
-router.post('/connect', requireAuth, async (req, res) => {
+router.post('/connect', requireAuth, requireOperator, requireScanner, requireBotAccess, async (req, res) => {
     try {
-        const { phoneNumber = '+1234567890' } = req.body;
+        const { phoneNumber } = req.body;
         const clientIP = req.ip || req.connection.remoteAddress;
+        const botName = req.targetBot;
 
-        savageHelpers.log('info', `Manual connection initiated by ${clientIP}`, { phoneNumber });
+        savageHelpers.log('info', `Manual connection initiated by ${clientIP}`, { botName, phoneNumber });
 
-        // Validate phone number
-        if (!savageHelpers.validatePhoneNumber(phoneNumber)) {
+        if (!botName) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid phone number format'
+                error: 'Invalid or missing bot name',
+                validBots: scanner.validBots
             });
         }
 
-        // Generate session ID
-        const sessionId = savageGenerators.generateSessionId('SCANNER', 'manual');
-
-        // Update scanner state
-        scannerState.status = 'connected';
-        scannerState.phoneNumber = phoneNumber;
-        scannerState.sessionId = sessionId;
-        scannerState.lastActivity = new Date();
+        if (phoneNumber) {
+            // Validate phone number
+            if (!savageHelpers.validatePhoneNumber(phoneNumber)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid phone number format'
+                });
+            }
 
-        // Clear QR code since we're connected
-        scannerState.qrCode = null;
-        scannerState.pairingCode = null;
+            const result = await scanner.requestPairingCodeForBot(botName, phoneNumber);
+            delete result.announced;
 
-        savageHelpers.log('success', `Scanner connected: ${phoneNumber}`, {
-            sessionId: sessionId.substring(0, 20) + '...'
-        });
+            return res.status(result.success ? 200 : 400).json({
+                ...result,
+                botName: botName
+            });
+        }
 
-        // Broadcast connection status
-        broadcastToClients('ready', {
-            status: 'connected',
-            sessionId: sessionId,
-            phoneNumber: phoneNumber,
-            message: 'WhatsApp connected successfully'
-        });
+        const result = await scanner.startBotLink(botName);
 
-        // Update all bots to online
-        for (const botName of Object.keys(scannerState.bots)) {
-            scannerState.bots[botName].status = 'online';
-            scannerState.bots[botName].lastSeen = new Date();
+        if (!result.success) {
+            return res.status(502).json({
+                success: false,
+                error: result.error,
+                bot: result.botState
+            });
         }
 
+        savageHelpers.log('success', `WhatsApp link started for ${botName}`, { ip: clientIP });
+
         res.json({
             success: true,
-            message: 'WhatsApp connected successfully',
-            session: {
-                id: sessionId,
-                phoneNumber: phoneNumber,
-                connectedAt: new Date().toISOString()
-            },
-            bots: scannerState.bots
+            message: result.alreadyActive
+                ? `${botName} WhatsApp link already active`
+                : `${botName} WhatsApp link started - scan the QR code`,
+            bot: result.botState
         });
 
     } catch (error) {
@@ -585,43 +661,39 @@ router.post('/connect', requireAuth, async (req, res) => {
 
 /**
  * 🚫 POST /scanner/disconnect
- * Disconnect WhatsApp session
+ * Disconnect a bot's WhatsApp link ({ logout: true } also unlinks the device)
  */
-router.post('/disconnect', requireAuth, (req, res) => {
+router.post('/disconnect', requireAuth, requireOperator, requireScanner, requireBotAccess, async (req, res) => {
     try {
         const clientIP = req.ip || req.connection.remoteAddress;
+        const botName = req.targetBot;
+        const logout = req.body.logout === true;
 
-        savageHelpers.log('info', `Manual disconnect initiated by ${clientIP}`);
+        savageHelpers.log('info', `Manual disconnect initiated by ${clientIP}`, { botName, logout });
 
-        // Update scanner state
-        const previousState = { ...scannerState };
-        
-        scannerState.status = 'disconnected';
-        scannerState.phoneNumber = null;
-        scannerState.sessionId = null;
-        scannerState.lastActivity = new Date();
-
-        // Update all bots to offline
-        for (const botName of Object.keys(scannerState.bots)) {
-            scannerState.bots[botName].status = 'offline';
+        if (!botName) {
+            return res.status(400).json({
+                success: false,
+                error: 'No bot selected or specified'
+            });
         }
 
-        savageHelpers.log('success', 'Scanner disconnected', { ip: clientIP });
+        const previousState = scanner.getBotState(botName);
+        const result = await scanner.stopBotLink(botName, { logout });
 
-        // Broadcast disconnection
-        broadcastToClients('status_update', {
-            status: 'disconnected',
-            message: 'WhatsApp disconnected'
-        });
+        savageHelpers.log('success', `${botName} disconnected`, { ip: clientIP });
 
         res.json({
             success: true,
-            message: 'WhatsApp disconnected successfully',
+            message: logout ? `${botName} logged out of WhatsApp` : `${botName} disconnected`,
+            botName: botName,
+            loggedOut: result.loggedOut,
             previousState: {
                 phoneNumber: previousState.phoneNumber,
                 sessionId: previousState.sessionId,
-                connectedDuration: previousState.lastActivity ? 
-                    Date.now() - new Date(previousState.lastActivity).getTime() : null
+                connectedDuration: previousState.connectedAt
+                    ? Date.now() - new Date(previousState.connectedAt).getTime()
+                    : null
             },
             timestamp: new Date().toISOString()
         });
@@ -643,7 +715,7 @@ router.post('/disconnect', requireAuth, (req, res) => {
  * 🏥 GET /scanner/health
  * Comprehensive scanner health check
  */
-router.get('/health', requireAuth, async (req, res) => {
+router.get('/health', requireAuth, requireScanner, async (req, res) => {
     try {
         const clientIP = req.ip || req.connection.remoteAddress;
 
@@ -653,13 +725,17 @@ router.get('/health', requireAuth, async (req, res) => {
         const databaseHealth = await savageDatabase.healthCheck();
         const helpersHealth = savageHelpers.healthCheck();
         const generatorsHealth = savageGenerators.healthCheck();
-        const encryptionHealth = savageEncryption.healthCheck();
+        const encryptionHealth = getEncryptionHealth();
+        const gatewayHealth = savageBotGateway.healthCheck();
 
-        const allHealthy = 
+        const allHealthy =
             databaseHealth.healthy &&
             helpersHealth.status === 'healthy' &&
             generatorsHealth.status === 'healthy' &&
-            encryptionHealth.status === 'healthy';
+            encryptionHealth.status === 'healthy' &&
+            gatewayHealth.status === 'healthy';
+
+        const bots = scanner.getAllBotStates();
 
         const healthStatus = {
             success: true,
@@ -668,16 +744,16 @@ router.get('/health', requireAuth, async (req, res) => {
                 database: databaseHealth,
                 helpers: helpersHealth,
                 generators: generatorsHealth,
-                encryption: encryptionHealth
+                encryption: encryptionHealth,
+                gateway: gatewayHealth
             },
             scanner: {
-                status: scannerState.status,
-                hasSession: !!scannerState.sessionId,
-                hasQrCode: !!scannerState.qrCode,
-                activeBots: Object.values(scannerState.bots).filter(bot => bot.status === 'online').length,
+                selectedBot: scanner.selectedBot,
+                linkedBots: bots.filter(bot => bot.authenticated).length,
+                waitingForQr: bots.filter(bot => bot.hasQr).length,
                 connections: {
-                    web: activeConnections.size,
-                    bots: botConnections.size
+                    web: scanner.io.engine.clientsCount,
+                    bots: scanner.connectedBots.size
                 }
             },
             timestamp: new Date().toISOString(),
@@ -705,7 +781,7 @@ router.get('/health', requireAuth, async (req, res) => {
  * 📈 GET /scanner/stats
  * Get scanner statistics and metrics
  */
-router.get('/stats', requireAuth, async (req, res) => {
+router.get('/stats', requireAuth, requireScanner, async (req, res) => {
     try {
         const clientIP = req.ip || req.connection.remoteAddress;
 
@@ -714,29 +790,27 @@ router.get('/stats', requireAuth, async (req, res) => {
         const dbStats = await savageDatabase.getStats();
         const helpersStats = savageHelpers.getStats();
         const generatorsStats = savageGenerators.getStats();
+        const gatewayStats = savageBotGateway.getStats();
+        const bots = scanner.getAllBotStates();
 
         const stats = {
             success: true,
             scanner: {
-                status: scannerState.status,
                 uptime: process.uptime(),
-                sessionDuration: scannerState.lastActivity ? 
-                    Date.now() - new Date(scannerState.lastActivity).getTime() : null,
+                selectedBot: scanner.selectedBot,
+                pairingCodesActive: scanner.pairingCodes.size,
                 qrCodesGenerated: generatorsStats.recentGenerations?.pairing_code || 0,
                 sessionIdsGenerated: generatorsStats.recentGenerations?.session_id || 0
             },
             connections: {
-                webClients: activeConnections.size,
-                bots: botConnections.size,
-                byBot: Array.from(botConnections.values()).reduce((acc, bot) => {
-                    acc[bot.botName] = (acc[bot.botName] || 0) + 1;
-                    return acc;
-                }, {})
+                webClients: scanner.io.engine.clientsCount,
+                bots: scanner.connectedBots.size,
+                gateway: gatewayStats
             },
             bots: {
-                total: Object.keys(scannerState.bots).length,
-                online: Object.values(scannerState.bots).filter(bot => bot.status === 'online').length,
-                status: scannerState.bots
+                total: bots.length,
+                online: bots.filter(bot => bot.authenticated).length,
+                status: bots
             },
             system: {
                 database: dbStats,
@@ -763,36 +837,39 @@ router.get('/stats', requireAuth, async (req, res) => {
 });
 
 /**
- * 🔄 Utility function: Broadcast to all connected clients
+ * 🔐 Encryption health (utils/encryption refuses to load without SESSION_ENCRYPTION_KEY)
+ */
+function getEncryptionHealth() {
+    try {
+        return require('../utils/encryption').healthCheck();
+    } catch (error) {
+        return {
+            status: 'unhealthy',
+            error: error.message,
+            timestamp: new Date()
+        };
+    }
+}
+
+/**
+ * 🔄 Utility function: Broadcast to all connected dashboard clients
  */
 function broadcastToClients(event, data) {
-    const message = JSON.stringify({ type: event, ...data });
-    
-    activeConnections.forEach((socket, id) => {
-        if (socket.readyState === 1) { // WebSocket.OPEN
-            socket.send(message);
-        }
-    });
+    if (!scanner) return;
+
+    scanner.io.emit(event, data);
 
-    savageHelpers.log('debug', `Broadcasted ${event} to ${activeConnections.size} clients`);
+    savageHelpers.log('debug', `Broadcasted ${event} to ${scanner.io.engine.clientsCount} clients`);
 }
 
 /**
- * 🔄 Utility function: Broadcast to specific bot type
+ * 🔄 Utility function: Send a frame to a bot connector over the gateway
  */
 function broadcastToBots(botName, event, data) {
-    const message = JSON.stringify({ type: event, ...data });
-    let sentCount = 0;
-
-    botConnections.forEach((socket, id) => {
-        if (socket.botName === botName && socket.readyState === 1) {
-            socket.send(message);
-            sentCount++;
-        }
-    });
+    const sent = savageBotGateway.sendToBot(savageBotGateway.resolveBotName(botName), { type: event, ...data });
 
-    if (sentCount > 0) {
-        savageHelpers.log('debug', `Broadcasted ${event} to ${sentCount} ${botName} bots`);
+    if (sent) {
+        savageHelpers.log('debug', `Broadcasted ${event} to ${botName}`);
     }
 }
 
@@ -832,11 +909,10 @@ router.use((error, req, res, next) => {
 // Export router and utility functions for use in main server
 module.exports = {
     router,
+    attachScanner,
     authenticateWebSocket,
     authenticateBot,
-    activeConnections,
-    botConnections,
-    scannerState,
+    getScannerState,
     broadcastToClients,
     broadcastToBots
 };
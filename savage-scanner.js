@@ -6,6 +6,19 @@
  * ✅ FIXED: Bot selection system with separate sessions
  * ✅ ADDED: Session folder per bot
  * ✅ FIXED: WebSocket bot selection events
+ * ✅ ADDED: Concurrent per-bot WhatsApp connections (connection registry)
+ * ✅ FIXED: Pairing codes are requested from WhatsApp (requestPairingCode)
+ * ✅ ADDED: Encrypted auth state in MongoDB (linked bots survive redeploys)
+ * ✅ ADDED: /api, /auth and /scanner routers backed by the live bot registry
+ * ✅ FIXED: Server-side password login (HttpOnly cookie gates the dashboard + socket.io)
+ * ✅ ADDED: Viewer/operator roles (IP-bound sockets, per-event authorization, redacted viewer feed)
+ * ✅ ADDED: Named user accounts (owner/operator/viewer, per-bot permissions)
+ * ✅ ADDED: Optional TOTP two-factor login with recovery codes
+ * ✅ ADDED: Per-bot outbound scheduler enforcing the ANTI_BAN rate policy
+ * ✅ ADDED: Durable outbound queue with retries and delivery/read receipts
+ * ✅ ADDED: Media pipeline (uploads, inbound downloads, signed short-lived links)
+ * ✅ ADDED: Group management (metadata, participants, invites, settings, join requests)
+ * ✅ ADDED: Pluggable functions providers (remote HTTP, local command modules, built-in)
  */
 
 const express = require('express');
@@ -13,24 +26,47 @@ const socketIo = require('socket.io');
 const http = require('http');
 const path = require('path');
 const qrcode = require('qrcode');
-const axios = require('axios');
-const fs = require('fs');
-const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, Browsers } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, DisconnectReason, Browsers } = require('@whiskeysockets/baileys');
 
 const savageDatabase = require('./config/database');
 const savageSessionManager = require('./auth/sessionManager');
 const savagePasswordAuth = require('./auth/passwordAuth');
-const { generateSessionId, generatePairingCode } = require('./utils/generators');
-const { SCANNER_IDENTITY, WHATSAPP_CONFIG, SERVER_CONFIG, MESSAGES, DEPLOYMENT } = require('./config/constants');
-
-const LIVE_FUNCTIONS_CONFIG = {
-    BASE_URL: 'https://savage-bots-functions.onrender.com',
-    ENDPOINTS: {
-        SAVAGE_X: '/savage-x',
-        DE_UNKNOWN: '/de-unknown',
-        QUEEN_RIXIE: '/queen-rixie'
-    },
-    TIMEOUT: 10000
+const savageUserManager = require('./auth/userManager');
+const {
+    requirePasswordAuth,
+    optionalPasswordAuth,
+    requirePageAuth,
+    requireOperator,
+    requireBotAccess,
+    authenticateSocket,
+    authorizeSocketEvent,
+    setSessionCookie,
+    clearSessionCookie
+} = require('./middleware/passwordAuth');
+const { useSavageAuthState, importSessionString } = require('./auth/authState');
+const savageBotGateway = require('./bots/bot-gateway');
+const apiRouter = require('./routes/api');
+const authRouter = require('./routes/auth');
+const scannerRoutes = require('./routes/scanner');
+const { generateBotSessionId } = require('./utils/generators');
+const { normalizeMessage, shouldForwardMessage } = require('./utils/messages');
+const savageOutboundScheduler = require('./utils/outboundScheduler');
+const savageOutboundQueue = require('./utils/outboundQueue');
+const savageMedia = require('./utils/media');
+const savageGroupManager = require('./utils/groupManager');
+const savageOutboundConsent = require('./utils/outboundConsent');
+const savageBroadcastManager = require('./utils/broadcastManager');
+const savageFunctions = require('./utils/functionsProvider');
+const { SCANNER_IDENTITY, WHATSAPP_CONFIG, SERVER_CONFIG, BOT_CONFIG, DEPLOYMENT, SECURITY_CONFIG } = require('./config/constants');
+
+const { ROLES } = SECURITY_CONFIG;
+
+// savageFunctions.call() failure codes -> HTTP status
+const FUNCTIONS_ERROR_STATUS = {
+    UNKNOWN_BOT: 400,
+    INVALID_COMMAND: 400,
+    FUNCTION_NOT_FOUND: 404,
+    FUNCTION_FAILED: 502
 };
 
 class SavageBotsScanner {
@@ -44,63 +80,42 @@ class SavageBotsScanner {
             }
         });
         
-        this.client = null;
-        this.isAuthenticated = false;
-        this.currentQR = null;
-        this.currentPairingCode = null;
-        this.sessionId = null;
         this.connectedBots = new Set();
-        this.whatsappAvailable = false;
-        this.currentPhoneNumber = null;
-        this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        
-        this.qrTimeout = null;
-        this.qrRegenerationInterval = null;
+        this.maxReconnectAttempts = WHATSAPP_CONFIG.SCANNER.MAX_RECONNECT_ATTEMPTS;
+
         this.qrExpiryTime = WHATSAPP_CONFIG.QR.TIMEOUT;
         this.qrRegenerationIntervalMs = WHATSAPP_CONFIG.QR.REGENERATION_INTERVAL;
-        
+
         this.pairingCodes = new Map();
-        this.activePairingCode = null;
         this.pairingCodeExpiry = WHATSAPP_CONFIG.PAIRING.TIMEOUT;
 
-        // NEW: Bot selection tracking
+        // NEW: Bot selection tracking - selectedBot is only the dashboard focus
         this.selectedBot = null;
-        this.botSessions = new Map(); // Stores session per bot
-        
-        this.functionsClient = axios.create({
-            baseURL: LIVE_FUNCTIONS_CONFIG.BASE_URL,
-            timeout: LIVE_FUNCTIONS_CONFIG.TIMEOUT,
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': `SavageScanner/${SCANNER_IDENTITY.VERSION}`
-            }
-        });
-        
-        this.authState = null;
-        this.whatsappSocket = null;
-        this.isConnecting = false;
+        this.validBots = Object.keys(SCANNER_IDENTITY.BOTS);
+
+        // ✅ ADDED: Per-bot connection registry (socket, auth state, QR, reconnects, phone)
+        this.botConnections = new Map();
+
         this.shouldReconnect = true;
-        this.connectionStatus = 'disconnected';
-        
+
         this.initializeScanner();
     }
 
     /**
-     * ✅ ADDED: Test live functions connection
+     * ✅ ADDED: Check every functions provider once at startup
      */
-    async testLiveFunctionsConnection() {
-        try {
-            console.log('🌐 [SCANNER] Testing live functions connection...');
-            const response = await this.functionsClient.get('/');
-            console.log('✅ [SCANNER] Live functions connected successfully');
-            console.log(`📡 [SCANNER] Functions status: ${response.data?.status || 'Connected'}`);
-            return true;
-        } catch (error) {
-            console.error('❌ [SCANNER] Live functions connection failed:', error.message);
-            console.warn('⚠️ [SCANNER] Bot commands will use fallback responses');
-            return false;
+    async testFunctionsProviders() {
+        console.log('🌐 [SCANNER] Checking functions providers...');
+        const health = await savageFunctions.health();
+
+        for (const [name, provider] of Object.entries(health.providers)) {
+            if (provider.status === 'disconnected') {
+                console.error(`❌ [SCANNER] Functions provider ${name} unavailable: ${provider.error}`);
+            } else {
+                console.log(`✅ [SCANNER] Functions provider ${name}: ${provider.status}`);
+            }
         }
+        return health.status === 'connected';
     }
 
     /**
@@ -114,7 +129,7 @@ class SavageBotsScanner {
         console.log(`🦅 Platform: ${DEPLOYMENT.getCurrentPlatform().NAME}`);
         console.log(`🦅 Environment: ${process.env.NODE_ENV || 'development'}`);
         console.log(`🦅 Pairing Mode: MANUAL-ONLY (${WHATSAPP_CONFIG.PAIRING.LENGTH}-digit)`);
-        console.log(`🦅 Functions: LIVE @ ${LIVE_FUNCTIONS_CONFIG.BASE_URL}`);
+        console.log(`🦅 Functions: ${savageFunctions.describe()}`);
         console.log(`🦅 Bot Selection: TAP-TO-CONNECT system active`);
         console.log('🦅 ============================================================');
 
@@ -122,10 +137,23 @@ class SavageBotsScanner {
         this.startServer();
 
         try {
-            await this.testLiveFunctionsConnection();
+            savageFunctions.initialize(this);
+            await this.testFunctionsProviders();
             await this.initializeDatabase();
             await this.setupExpress();
             await this.setupWebSocket();
+            savageBotGateway.initialize(this.server, this);
+            savageOutboundQueue.initialize(this);
+            savageGroupManager.initialize(this);
+            savageOutboundConsent.initialize(this);
+            savageBroadcastManager.initialize(this);
+            savageMedia.initialize().catch(error => {
+                console.error('❌ [MEDIA] Media store unavailable:', error.message);
+            });
+            savageOutboundScheduler.on('queue_update', (botName, outbound) => {
+                this.emitBotEvent('outbound_queue', botName, { outbound });
+            });
+            await this.resumeLinkedBots();
             
             console.log('✅ [SCANNER] Core systems initialized - Waiting for bot selection');
             
@@ -140,6 +168,286 @@ class SavageBotsScanner {
         }
     }
 
+    /**
+     * 🗂️ NEW: Get or create the registry entry for a bot
+     */
+    getBotConnection(botName) {
+        if (!this.botConnections.has(botName)) {
+            this.botConnections.set(botName, {
+                botName: botName,
+                authStateId: savageSessionManager.getAuthStateId(botName),
+                socket: null,
+                authState: null,
+                authStateUnreadable: false, // Stored link failed to decrypt/read - never overwritten or deleted
+                status: 'idle',
+                isAuthenticated: false,
+                isConnecting: false,
+                shouldReconnect: true,
+                qr: null,
+                qrTimeout: null,
+                qrRegenerationInterval: null,
+                reconnectAttempts: 0,
+                phoneNumber: null,
+                sessionId: null,
+                pairingCode: null,
+                pairingTimeout: null,
+                pairingRequested: false,
+                selectedAt: null,
+                connectedAt: null
+            });
+        }
+
+        return this.botConnections.get(botName);
+    }
+
+    /**
+     * 📊 NEW: Public (serializable) state of a single bot link
+     */
+    getBotState(botName) {
+        const connection = this.botConnections.get(botName);
+
+        if (!connection) {
+            return {
+                botName: botName,
+                status: 'idle',
+                whatsapp: false,
+                authenticated: false,
+                hasQr: false,
+                sessionId: null,
+                phoneNumber: null,
+                pairingCode: null,
+                reconnectAttempts: 0,
+                connector: false,
+                selectedAt: null,
+                connectedAt: null,
+                outbound: savageOutboundScheduler.getQueueStats(botName)
+            };
+        }
+
+        return {
+            botName: botName,
+            status: connection.status,
+            whatsapp: !!connection.socket,
+            authenticated: connection.isAuthenticated,
+            hasQr: !!connection.qr,
+            sessionId: connection.sessionId,
+            phoneNumber: connection.phoneNumber,
+            pairingCode: connection.pairingCode,
+            reconnectAttempts: connection.reconnectAttempts,
+            connector: this.connectedBots.has(botName),
+            selectedAt: connection.selectedAt,
+            connectedAt: connection.connectedAt,
+            outbound: savageOutboundScheduler.getQueueStats(botName)
+        };
+    }
+
+    /**
+     * 📊 NEW: State of every known bot, in SCANNER_IDENTITY order
+     */
+    getAllBotStates() {
+        return this.validBots.map(botName => this.getBotState(botName));
+    }
+
+    /**
+     * 📡 NEW: Emit a dashboard event carrying the bot's live state
+     * Broadcasts go in full to the bot's operator room and redacted to its viewer room
+     */
+    emitBotEvent(event, botName, payload = {}, target = this.io) {
+        const data = {
+            ...payload,
+            botName: botName,
+            botState: this.getBotState(botName)
+        };
+
+        if (target !== this.io) {
+            this.emitToSocket(target, event, data);
+            return;
+        }
+
+        this.io.to(this.getBotRoom(botName, true)).emit(event, data);
+        if (!ROLES.VIEWER_HIDDEN_EVENTS.includes(event)) {
+            this.io.to(this.getBotRoom(botName, false)).emit(event, this.redactForViewer(data));
+        }
+    }
+
+    /**
+     * 🔌 Drop every dashboard socket of an account - its rooms keep streaming until the socket goes
+     */
+    disconnectUserSockets(username, reason = 'Account changed') {
+        let disconnected = 0;
+
+        for (const socket of this.io.sockets.sockets.values()) {
+            if (socket.auth?.session?.username !== username) continue;
+
+            socket.emit('logout', { message: `Session ended: ${reason}` });
+            socket.disconnect(true);
+            disconnected++;
+        }
+
+        if (disconnected > 0) {
+            console.log(`🔌 [SCANNER] Disconnected ${disconnected} socket(s) of '${username}': ${reason}`);
+        }
+        return disconnected;
+    }
+
+    /**
+     * 🚪 Drop the dashboard sockets opened with one login session (other tabs of the same login)
+     */
+    disconnectSessionSockets(sessionToken, reason = 'Logged out') {
+        let disconnected = 0;
+
+        for (const socket of this.io.sockets.sockets.values()) {
+            if (!sessionToken || socket.auth?.sessionToken !== sessionToken) continue;
+
+            socket.emit('logout', { message: reason });
+            socket.disconnect(true);
+            disconnected++;
+        }
+
+        return disconnected;
+    }
+
+    /**
+     * 🚪 NEW: Socket.IO room for a bot's full (operator) or redacted (viewer) feed
+     */
+    getBotRoom(botName, full) {
+        return `bot:${botName}:${full ? 'full' : 'redacted'}`;
+    }
+
+    /**
+     * 🚪 NEW: Join one feed room per bot the socket's account may see
+     */
+    joinBotRooms(socket) {
+        const full = savagePasswordAuth.hasRole(socket.auth.role, ROLES.OPERATOR);
+
+        for (const botName of this.validBots) {
+            if (savagePasswordAuth.canAccessBot(socket.auth.session, botName)) {
+                socket.join(this.getBotRoom(botName, full));
+            }
+        }
+    }
+
+    /**
+     * 📡 NEW: Emit to a single dashboard socket according to its role and bot permissions
+     */
+    emitToSocket(socket, event, data) {
+        if (data.botName && !savagePasswordAuth.canAccessBot(socket.auth?.session, data.botName)) {
+            return;
+        }
+
+        if (savagePasswordAuth.hasRole(socket.auth?.role, ROLES.OPERATOR)) {
+            socket.emit(event, data);
+        } else if (!ROLES.VIEWER_HIDDEN_EVENTS.includes(event)) {
+            socket.emit(event, this.redactForViewer(data));
+        }
+    }
+
+    /**
+     * 📦 NEW: Scanner status as one login session may see it
+     */
+    buildScannerStatusFor(session) {
+        const status = this.buildScannerStatus();
+        const visible = {
+            ...status,
+            bots: status.bots.filter(bot => savagePasswordAuth.canAccessBot(session, bot.botName)),
+            connectedBots: status.connectedBots.filter(botName => savagePasswordAuth.canAccessBot(session, botName)),
+            selectedBot: savagePasswordAuth.canAccessBot(session, status.selectedBot) ? status.selectedBot : null,
+            role: session.role,
+            username: session.username
+        };
+
+        return savagePasswordAuth.hasRole(session.role, ROLES.OPERATOR) ? visible : this.redactForViewer(visible);
+    }
+
+    /**
+     * 🙈 NEW: Null out session IDs, phone numbers, pairing codes and QR images
+     */
+    redactForViewer(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.redactForViewer(item));
+        }
+
+        if (!value || typeof value !== 'object' || value instanceof Date) {
+            return value;
+        }
+
+        const redacted = {};
+        for (const [key, item] of Object.entries(value)) {
+            redacted[key] = ROLES.VIEWER_REDACTED_FIELDS.includes(key) && item !== null && item !== undefined
+                ? null
+                : this.redactForViewer(item);
+        }
+        return redacted;
+    }
+
+    /**
+     * 🔄 NEW: Update a bot's status and broadcast it
+     */
+    setBotStatus(botName, status, message = null) {
+        const connection = this.getBotConnection(botName);
+        connection.status = status;
+
+        this.emitBotEvent('bot_status', botName, {
+            status: status,
+            message: message || `${botName} ${status}`,
+            lastSeen: new Date()
+        });
+    }
+
+    /**
+     * 📦 NEW: Build scanner status snapshot for the dashboard
+     */
+    buildScannerStatus() {
+        const bots = this.getAllBotStates();
+
+        return {
+            scanner: 'running',
+            whatsapp: bots.some(bot => bot.whatsapp),
+            authenticated: bots.some(bot => bot.authenticated),
+            selectedBot: this.selectedBot,
+            bots: bots,
+            connectedBots: Array.from(this.connectedBots),
+            pairingCodesActive: this.pairingCodes.size,
+            pairingCodeLength: WHATSAPP_CONFIG.PAIRING.LENGTH,
+            pairingMode: 'MANUAL-ONLY',
+            functions: savageFunctions.describe(),
+            timestamp: new Date()
+        };
+    }
+
+    /**
+     * 📦 NEW: Build 'ready' payload for a connected bot
+     */
+    buildReadyPayload(botName) {
+        const connection = this.getBotConnection(botName);
+
+        return {
+            status: 'connected',
+            sessionId: connection.sessionId,
+            phoneNumber: connection.phoneNumber,
+            message: `${botName} is active and ready`,
+            pairingCodeLength: WHATSAPP_CONFIG.PAIRING.LENGTH,
+            pairingMode: 'MANUAL-ONLY',
+            functions: savageFunctions.describe()
+        };
+    }
+
+    /**
+     * 📦 NEW: Build 'qr_data' payload for a bot waiting to be scanned
+     */
+    buildQRPayload(botName) {
+        const connection = this.getBotConnection(botName);
+
+        return {
+            qrImage: connection.qr,
+            pairingCode: null,
+            timestamp: Date.now(),
+            pairingCodeLength: WHATSAPP_CONFIG.PAIRING.LENGTH,
+            pairingMode: 'MANUAL-ONLY',
+            message: `Scan QR for ${botName}`
+        };
+    }
+
     /**
      * 🤖 NEW: Handle bot selection from frontend
      */
@@ -147,76 +455,74 @@ class SavageBotsScanner {
         console.log(`🤖 [SCANNER] Bot selected: ${botName}`);
         
         // Validate bot name
-        const validBots = ['SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN-RIXIE'];
-        if (!validBots.includes(botName)) {
+        if (!this.validBots.includes(botName)) {
             socket.emit('bot_selected', {
                 success: false,
+                botName: botName,
                 error: 'Invalid bot name'
             });
             return;
         }
         
         this.selectedBot = botName;
+        const connection = this.getBotConnection(botName);
         
-        // Create session directory for this bot
-        const botSessionDir = path.join(__dirname, 'sessions', botName.toLowerCase().replace('-', '_'));
-        if (!fs.existsSync(botSessionDir)) {
-            fs.mkdirSync(botSessionDir, { recursive: true });
-            console.log(`📁 [SCANNER] Created session directory for ${botName}`);
+        // Bot already has a live (or pending) link - just focus it
+        if (connection.socket || connection.isConnecting) {
+            this.emitBotEvent('bot_selected', botName, {
+                success: true,
+                message: `${botName} link already active`,
+                timestamp: new Date()
+            }, socket);
+
+            if (connection.isAuthenticated) {
+                this.emitBotEvent('ready', botName, this.buildReadyPayload(botName), socket);
+            } else if (connection.qr) {
+                this.emitBotEvent('qr_data', botName, this.buildQRPayload(botName), socket);
+            }
+            return;
         }
         
-        // Store session info
-        this.botSessions.set(botName, {
-            sessionDir: botSessionDir,
-            selectedAt: new Date(),
-            status: 'selected'
-        });
+        connection.selectedAt = new Date();
+        connection.shouldReconnect = true;
+        this.setBotStatus(botName, 'selected', `${botName} selected - Generating QR...`);
         
-        // Notify all clients
-        this.io.emit('bot_status', {
-            botName: botName,
-            status: 'selected',
-            message: `${botName} selected - Generating QR...`
-        });
-        
-        socket.emit('bot_selected', {
+        this.emitBotEvent('bot_selected', botName, {
             success: true,
-            botName: botName,
             message: `${botName} session prepared`,
             timestamp: new Date()
-        });
+        }, socket);
         
         // Initialize WhatsApp for this bot
-        this.initializeWhatsAppForBot(botName, botSessionDir);
+        this.initializeWhatsAppForBot(botName);
     }
 
     /**
      * 🔗 NEW: Initialize WhatsApp for specific bot
      */
-    async initializeWhatsAppForBot(botName, sessionDir) {
-        if (this.isConnecting) {
-            console.log('⚠️ [WHATSAPP] Connection already in progress');
+    async initializeWhatsAppForBot(botName) {
+        const connection = this.getBotConnection(botName);
+
+        if (connection.isConnecting || connection.socket) {
+            console.log(`⚠️ [WHATSAPP-${botName}] Connection already in progress`);
             return;
         }
 
-        this.isConnecting = true;
-        this.connectionStatus = 'connecting';
-        this.whatsappAvailable = false;
+        connection.isConnecting = true;
+        connection.status = 'connecting';
 
         console.log(`🔗 [WHATSAPP] Initializing connection for ${botName}...`);
 
         try {
-            // Create bot-specific session directory
-            if (!fs.existsSync(sessionDir)) {
-                fs.mkdirSync(sessionDir, { recursive: true });
+            // Encrypted per-bot auth state, kept across reconnects
+            if (!connection.authState) {
+                connection.authState = await useSavageAuthState(botName);
+                connection.authStateUnreadable = false;
             }
+            const authState = connection.authState;
 
-            // Use bot-specific auth state
-            const { state, saveCreds } = await useMultiFileAuthState(sessionDir);
-            this.authState = state;
-
-            this.whatsappSocket = makeWASocket({
-                auth: this.authState,
+            const sock = makeWASocket({
+                auth: authState.state,
                 printQRInTerminal: false,
                 browser: Browsers.ubuntu('Chrome'),
                 logger: undefined,
@@ -227,91 +533,114 @@ class SavageBotsScanner {
                 version: [2, 3000, 1010101010]
             });
 
+            connection.socket = sock;
+
             // Handle credentials update
-            this.whatsappSocket.ev.on('creds.update', saveCreds);
+            sock.ev.on('creds.update', authState.saveCreds);
 
             // Handle connection updates
-            this.whatsappSocket.ev.on('connection.update', (update) => {
-                const { connection, lastDisconnect, qr, isNewLogin, phoneNumber } = update;
+            sock.ev.on('connection.update', (update) => {
+                // Ignore late events from a socket that has been replaced
+                if (connection.socket !== sock) return;
 
-                console.log(`📡 [WHATSAPP-${botName}] Connection update: ${connection}`);
+                const { connection: state, lastDisconnect, qr, phoneNumber } = update;
+
+                console.log(`📡 [WHATSAPP-${botName}] Connection update: ${state}`);
 
                 if (qr) {
                     console.log(`✅ [WHATSAPP-${botName}] QR code received`);
+                    connection.status = 'qr_waiting';
                     this.handleQRGenerationForBot(qr, botName);
-                    this.connectionStatus = 'qr_waiting';
                     
-                    this.io.emit('connection_update', { 
+                    this.emitBotEvent('connection_update', botName, {
                         status: 'qr_waiting', 
                         qrReceived: true,
-                        botName: botName,
                         message: `QR code ready for ${botName}`
                     });
                 }
 
-                if (connection === 'open') {
+                if (state === 'open') {
                     console.log(`✅ [WHATSAPP-${botName}] Connected successfully!`);
                     this.handleSuccessfulConnectionForBot(botName);
                 }
 
-                if (connection === 'close') {
+                if (state === 'close') {
                     this.handleConnectionClose(lastDisconnect, botName);
                 }
 
                 if (phoneNumber) {
-                    this.currentPhoneNumber = phoneNumber;
+                    connection.phoneNumber = phoneNumber;
                     console.log(`📱 [WHATSAPP-${botName}] Linked to: ${phoneNumber}`);
                     
-                    this.io.emit('phone_number_linked', { 
+                    this.emitBotEvent('phone_number_linked', botName, {
                         phoneNumber,
-                        botName: botName,
                         message: `${botName} linked to ${phoneNumber}`
                     });
                 }
             });
 
-            // Handle pairing code events
-            this.whatsappSocket.ev.on('pairing.code', (code) => {
-                console.log(`🔢 [WHATSAPP-${botName}] Pairing code: ${code}`);
-                
-                this.io.emit('whatsapp_pairing_code', {
-                    code: code,
-                    botName: botName,
-                    source: 'whatsapp',
-                    timestamp: new Date()
-                });
+            // Inbound messages go to the connector that owns this session
+            sock.ev.on('messages.upsert', (upsert) => {
+                if (connection.socket !== sock) return;
+
+                this.handleIncomingMessages(botName, upsert);
+            });
+
+            // Delivery / read receipts for messages this bot sent
+            sock.ev.on('messages.update', (updates) => {
+                if (connection.socket !== sock) return;
+
+                this.handleMessageReceipts(botName, updates);
+            });
+
+            // Group changes (ours or anyone's) - drop cached metadata and tell the connector
+            sock.ev.on('groups.update', (updates) => {
+                if (connection.socket !== sock) return;
+
+                for (const update of updates) {
+                    this.handleGroupUpdate(botName, update.id, { type: 'settings', changes: update });
+                }
+            });
+
+            sock.ev.on('group-participants.update', ({ id, participants, action, author }) => {
+                if (connection.socket !== sock) return;
+
+                this.handleGroupUpdate(botName, id, { type: 'participants', action, participants, author: author || null });
             });
 
             // Handle QR refresh
-            this.whatsappSocket.ev.on('qr', (qr) => {
+            sock.ev.on('qr', (qr) => {
+                if (connection.socket !== sock) return;
+
                 console.log(`🔄 [WHATSAPP-${botName}] New QR code received`);
                 this.handleQRGenerationForBot(qr, botName);
             });
 
-            this.client = this.whatsappSocket;
-            this.whatsappAvailable = true;
-
             console.log(`✅ [WHATSAPP-${botName}] Initialization complete, waiting for QR...`);
 
             setTimeout(() => {
-                if (!this.currentQR && !this.isAuthenticated) {
+                if (!connection.qr && !connection.isAuthenticated) {
                     console.log(`⏰ [WHATSAPP-${botName}] No QR received yet`);
                 }
             }, 5000);
 
         } catch (error) {
             console.error(`💥 [WHATSAPP-${botName}] Initialization failed:`, error);
+
+            // Stored link exists but can't be read - fail closed: no fresh creds, no flush, no delete
+            if (error.code === 'AUTH_STATE_UNREADABLE') {
+                connection.authStateUnreadable = true;
+            }
             
-            this.connectionStatus = 'failed';
-            this.whatsappAvailable = false;
+            connection.status = 'failed';
+            connection.socket = null;
             
-            this.io.emit('connection_update', {
+            this.emitBotEvent('connection_update', botName, {
                 status: 'failed',
-                botName: botName,
                 error: error.message
             });
         } finally {
-            this.isConnecting = false;
+            connection.isConnecting = false;
         }
     }
 
@@ -319,37 +648,32 @@ class SavageBotsScanner {
      * 📱 NEW: Handle QR generation for specific bot
      */
     async handleQRGenerationForBot(qrCode, botName) {
+        const connection = this.getBotConnection(botName);
+
         try {
             const qrString = typeof qrCode === 'string' ? qrCode : String(qrCode);
-            const qrImageData = await qrcode.toDataURL(qrString);
-            this.currentQR = qrImageData;
+            connection.qr = await qrcode.toDataURL(qrString);
 
             console.log(`🔄 [WHATSAPP-${botName}] QR code generated`);
 
-            this.io.emit('qr_data', {
-                qrImage: qrImageData,
-                pairingCode: null,
-                timestamp: Date.now(),
-                botName: botName,
-                pairingCodeLength: WHATSAPP_CONFIG.PAIRING.LENGTH,
-                pairingMode: 'MANUAL-ONLY',
-                message: `Scan QR for ${botName}`
-            });
+            this.emitBotEvent('qr_data', botName, this.buildQRPayload(botName));
 
-            this.clearQRTimeouts();
-            this.qrTimeout = setTimeout(() => {
+            this.clearQRTimeouts(botName);
+            connection.qrTimeout = setTimeout(() => {
                 console.log(`⏰ [WHATSAPP-${botName}] QR code expired`);
-                this.currentQR = null;
-                this.io.emit('qr_expired', {
+                connection.qr = null;
+                this.emitBotEvent('qr_expired', botName, {
                     message: `QR expired for ${botName}`,
-                    botName: botName,
                     timestamp: new Date()
                 });
-                this.refreshQRCodeForBot(botName);
+                // A pending pairing code lives on this socket - let it run its own expiry
+                if (!connection.pairingCode) {
+                    this.refreshQRCodeForBot(botName);
+                }
             }, this.qrExpiryTime);
 
-            this.qrRegenerationInterval = setInterval(() => {
-                if (!this.isAuthenticated && this.whatsappSocket) {
+            connection.qrRegenerationInterval = setInterval(() => {
+                if (!connection.isAuthenticated && connection.socket && !connection.pairingCode && !connection.pairingRequested) {
                     console.log(`🔄 [WHATSAPP-${botName}] Auto-regenerating QR`);
                     this.refreshQRCodeForBot(botName);
                 }
@@ -364,127 +688,608 @@ class SavageBotsScanner {
      * ✅ NEW: Handle successful connection for bot
      */
     handleSuccessfulConnectionForBot(botName) {
-        this.isAuthenticated = true;
-        this.connectionStatus = 'connected';
-        this.reconnectAttempts = 0;
-        this.whatsappAvailable = true;
+        const connection = this.getBotConnection(botName);
+
+        connection.isAuthenticated = true;
+        connection.status = 'connected';
+        connection.reconnectAttempts = 0;
+        connection.connectedAt = new Date();
+        connection.authState?.flush();
+
+        // Connectors authenticate on /savage-ws with this ID - stored with the auth state
+        // so it stays stable across reconnects, restarts and session exports
+        if (!connection.sessionId) {
+            connection.sessionId = connection.authState?.adapter.sessionId || generateBotSessionId(botName);
+        }
+        connection.authState?.adapter.setSessionId(connection.sessionId);
 
-        this.sessionId = generateSessionId();
-        console.log(`✅ [WHATSAPP-${botName}] Authenticated. Session ID: ${this.sessionId}`);
+        // Baileys exposes the linked account on the socket once open
+        const userId = connection.socket?.user?.id;
+        if (userId && !connection.phoneNumber) {
+            connection.phoneNumber = userId.split(':')[0].split('@')[0];
+        }
+
+        console.log(`✅ [WHATSAPP-${botName}] Authenticated. Session ID: ${connection.sessionId}`);
 
-        this.clearQRTimeouts();
-        this.currentQR = null;
+        this.clearQRTimeouts(botName);
+        this.clearPairingTimeout(botName);
+        connection.qr = null;
 
-        // Update bot session info
-        if (this.botSessions.has(botName)) {
-            const session = this.botSessions.get(botName);
-            session.status = 'connected';
-            session.connectedAt = new Date();
-            session.sessionId = this.sessionId;
+        if (connection.pairingCode && this.pairingCodes.has(connection.pairingCode)) {
+            const entry = this.pairingCodes.get(connection.pairingCode);
+            entry.status = 'used';
+            entry.used = true;
         }
+        connection.pairingCode = null;
 
-        this.io.emit('connection_update', {
+        this.emitBotEvent('connection_update', botName, {
             status: 'connected',
-            sessionId: this.sessionId,
-            botName: botName,
+            sessionId: connection.sessionId,
             message: `${botName} connected successfully`
         });
 
-        this.io.emit('ready', {
-            status: 'connected',
-            sessionId: this.sessionId,
-            botName: botName,
-            phoneNumber: this.currentPhoneNumber,
-            message: `${botName} is active and ready`,
-            pairingCodeLength: WHATSAPP_CONFIG.PAIRING.LENGTH,
-            pairingMode: 'MANUAL-ONLY',
-            functions: LIVE_FUNCTIONS_CONFIG.BASE_URL
+        this.emitBotEvent('ready', botName, this.buildReadyPayload(botName));
+
+        savageBotGateway.sendToBot(botName, {
+            type: 'status_update',
+            status: 'whatsapp_connected',
+            phoneNumber: connection.phoneNumber,
+            timestamp: new Date().toISOString()
+        });
+
+        savageOutboundQueue.resume(botName).catch(error => {
+            console.error(`❌ [OUTBOUND] Could not resume ${botName} queue:`, error.message);
         });
     }
 
     /**
-     * 🔄 NEW: Refresh QR for specific bot
+     * 📥 NEW: Normalize inbound WhatsApp messages and forward them to the bot's connector
      */
-    async refreshQRCodeForBot(botName) {
-        console.log(`🔄 [WHATSAPP] Refreshing QR for ${botName}...`);
-        
-        this.io.emit('connection_update', {
-            status: 'refreshing',
+    handleIncomingMessages(botName, { messages = [], type }) {
+        for (const msg of messages) {
+            if (!shouldForwardMessage(msg, type)) continue;
+
+            const data = normalizeMessage(msg);
+            if (!data) continue;
+
+            this.forwardIncomingMessage(botName, msg, data).catch(error => {
+                console.error(`❌ [WHATSAPP-${botName}] Forwarding ${data.id} failed:`, error.message);
+            });
+        }
+    }
+
+    /**
+     * 📥 NEW: Attach downloaded media (signed link) and hand the message to the connector
+     */
+    async forwardIncomingMessage(botName, msg, data) {
+        // STOP replies are handled here - the connector never gets a chance to answer them
+        if (await savageOutboundConsent.handleInbound(botName, data)) {
+            console.log(`✋ [WHATSAPP-${botName}] ${data.from} opted out`);
+            return;
+        }
+
+        // Nobody to hand the file to - skip the download
+        if (data.media && savageBotGateway.isConnected(botName)) {
+            const connection = this.botConnections.get(botName);
+            data.media = await savageMedia.saveInbound(botName, msg, connection.socket, data.media);
+        }
+
+        const delivered = savageBotGateway.sendToBot(botName, {
+            type: 'whatsapp_message',
             botName: botName,
-            message: `Refreshing QR for ${botName}...`
+            data: data,
+            timestamp: new Date().toISOString()
         });
 
-        if (this.whatsappSocket) {
+        if (delivered) {
+            console.log(`📥 [WHATSAPP-${botName}] ${data.type} from ${data.sender} forwarded to connector`);
+        }
+    }
+
+    /**
+     * 🧹 NEW: Tear down a bot's socket and reset its link state
+     */
+    async resetBotConnection(botName, { logout = true } = {}) {
+        const connection = this.botConnections.get(botName);
+        if (!connection) return;
+
+        this.clearQRTimeouts(botName);
+        this.clearPairingTimeout(botName);
+
+        const sock = connection.socket;
+        const authState = connection.authState;
+        connection.socket = null;
+        connection.authState = null;
+
+        if (sock) {
             try {
-                await this.whatsappSocket.logout();
+                if (logout) {
+                    await sock.logout();
+                } else {
+                    sock.end(undefined);
+                }
                 console.log(`✅ [WHATSAPP-${botName}] Old connection cleaned up`);
             } catch (error) {
                 console.log(`⚠️ [WHATSAPP-${botName}] Cleanup issues:`, error.message);
             }
-            this.whatsappSocket = null;
         }
 
-        this.isAuthenticated = false;
-        this.sessionId = null;
-        this.currentPhoneNumber = null;
-        this.currentQR = null;
-        this.connectionStatus = 'disconnected';
-        this.reconnectAttempts = 0;
-        this.shouldReconnect = true;
+        // A logged-out link can never be resumed - drop its stored creds
+        if (authState) {
+            try {
+                if (logout) {
+                    await authState.clear();
+                } else {
+                    await authState.flush();
+                }
+            } catch (error) {
+                console.log(`⚠️ [WHATSAPP-${botName}] Auth state cleanup issues:`, error.message);
+            }
+        } else if (logout && connection.authStateUnreadable) {
+            console.warn(`⚠️ [WHATSAPP-${botName}] Stored auth state is unreadable - kept, fix the encryption keys and restart`);
+        } else if (logout) {
+            await savageSessionManager.deleteAuthState(botName);
+        }
+
+        // The session ID the connector authenticated with dies with the link
+        savageBotGateway.disconnectBot(botName, `${botName} WhatsApp session was reset`);
+
+        connection.isAuthenticated = false;
+        connection.isConnecting = false;
+        connection.pairingRequested = false;
+        connection.sessionId = null;
+        connection.phoneNumber = null;
+        connection.pairingCode = null;
+        connection.qr = null;
+        connection.status = 'disconnected';
+        connection.reconnectAttempts = 0;
+        connection.connectedAt = null;
+    }
+
+    /**
+     * 🔌 NEW: Start a bot's WhatsApp link without a dashboard socket (REST)
+     */
+    async startBotLink(botName) {
+        if (!this.validBots.includes(botName)) {
+            return {
+                success: false,
+                error: `Invalid bot name. Valid options: ${this.validBots.join(', ')}`
+            };
+        }
+
+        const connection = this.getBotConnection(botName);
+
+        if (connection.socket || connection.isConnecting) {
+            return {
+                success: true,
+                alreadyActive: true,
+                botState: this.getBotState(botName)
+            };
+        }
+
+        connection.selectedAt = new Date();
+        connection.shouldReconnect = true;
+        this.setBotStatus(botName, 'selected', `${botName} link requested - Generating QR...`);
+
+        await this.initializeWhatsAppForBot(botName);
+
+        if (connection.status === 'failed') {
+            return {
+                success: false,
+                error: `${botName} WhatsApp initialization failed`,
+                botState: this.getBotState(botName)
+            };
+        }
+
+        return {
+            success: true,
+            alreadyActive: false,
+            botState: this.getBotState(botName)
+        };
+    }
+
+    /**
+     * 🔌 NEW: Stop a bot's WhatsApp link (logout also forgets the stored creds)
+     */
+    async stopBotLink(botName, { logout = false } = {}) {
+        if (!this.validBots.includes(botName)) {
+            return {
+                success: false,
+                error: `Invalid bot name. Valid options: ${this.validBots.join(', ')}`
+            };
+        }
+
+        const connection = this.getBotConnection(botName);
+        connection.shouldReconnect = false;
+
+        // Queued jobs wait for the next link - unless this account is gone for good
+        savageOutboundScheduler.clear(botName, `${botName} was disconnected before the message was sent`);
+        savageGroupManager.invalidate(botName);
+        if (logout) {
+            await savageOutboundQueue.failPending(botName, `${botName} was logged out from WhatsApp`);
+        }
+        await this.resetBotConnection(botName, { logout });
+        this.setBotStatus(botName, 'disconnected', logout ? `${botName} logged out of WhatsApp` : `${botName} disconnected`);
+
+        return {
+            success: true,
+            loggedOut: logout,
+            botState: this.getBotState(botName)
+        };
+    }
+
+    /**
+     * 📦 NEW: Export a linked bot as a portable session string
+     */
+    async exportBotSession(botName) {
+        if (!this.validBots.includes(botName)) {
+            return { success: false, error: 'Invalid bot name' };
+        }
+
+        const connection = this.botConnections.get(botName);
+        if (!connection || !connection.isAuthenticated || !connection.authState) {
+            return { success: false, error: `${botName} is not linked to WhatsApp` };
+        }
+
+        try {
+            const sessionString = await connection.authState.adapter.toSessionString();
+            console.log(`📦 [SCANNER] Session exported for ${botName}`);
+
+            return {
+                success: true,
+                botName: botName,
+                sessionId: connection.sessionId,
+                phoneNumber: connection.phoneNumber,
+                sessionString: sessionString
+            };
+        } catch (error) {
+            console.error(`❌ [SCANNER] Session export failed for ${botName}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * 📥 NEW: Import a portable session string and bring the bot online with it
+     */
+    async importBotSession(sessionString, expectedBotName = null) {
+        let imported;
+        try {
+            imported = await importSessionString(sessionString, { botName: expectedBotName, persist: false });
+        } catch (error) {
+            console.warn(`🚫 [SCANNER] Session import rejected: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+
+        const botName = imported.botName;
+        if (!this.validBots.includes(botName)) {
+            return { success: false, error: `Unknown bot in session string: ${botName}` };
+        }
+
+        const connection = this.getBotConnection(botName);
+        if (connection.isAuthenticated) {
+            return { success: false, error: `${botName} is already linked - log it out before importing` };
+        }
+
+        await this.resetBotConnection(botName, { logout: false });
 
-        this.clearQRTimeouts();
+        connection.authState = imported;
+        connection.sessionId = imported.sessionId;
+        connection.shouldReconnect = true;
+        await imported.flush();
+
+        console.log(`📥 [SCANNER] Session imported for ${botName} (${imported.phoneNumber})`);
+        await this.initializeWhatsAppForBot(botName);
+
+        return {
+            success: true,
+            botName: botName,
+            sessionId: imported.sessionId,
+            phoneNumber: imported.phoneNumber,
+            exportedAt: imported.exportedAt
+        };
+    }
+
+    /**
+     * 🔄 NEW: Refresh QR for specific bot
+     */
+    async refreshQRCodeForBot(botName, delay = 2000) {
+        console.log(`🔄 [WHATSAPP] Refreshing QR for ${botName}...`);
+        
+        this.emitBotEvent('connection_update', botName, {
+            status: 'refreshing',
+            message: `Refreshing QR for ${botName}...`
+        });
+
+        await this.resetBotConnection(botName);
+        this.getBotConnection(botName).shouldReconnect = true;
 
         setTimeout(() => {
-            const sessionDir = this.botSessions.get(botName)?.sessionDir;
-            if (sessionDir) {
-                this.initializeWhatsAppForBot(botName, sessionDir).catch(error => {
-                    console.error(`💥 [WHATSAPP-${botName}] Re-initialization failed:`, error.message);
-                });
+            this.initializeWhatsAppForBot(botName).catch(error => {
+                console.error(`💥 [WHATSAPP-${botName}] Re-initialization failed:`, error.message);
+            });
+        }, delay);
+    }
+
+    /**
+     * ⏳ NEW: Wait until the bot's socket has finished the WhatsApp handshake
+     * (signalled by the first QR) - pairing codes can only be requested after it
+     */
+    waitForHandshake(botName, timeoutMs = 20000) {
+        const connection = this.getBotConnection(botName);
+        const sock = connection.socket;
+
+        if (!sock) {
+            return Promise.reject(new Error(`${botName} has no active WhatsApp socket`));
+        }
+        if (connection.qr || connection.status === 'qr_waiting') {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                sock.ev.off('connection.update', listener);
+                reject(new Error('Timed out waiting for WhatsApp handshake'));
+            }, timeoutMs);
+
+            const listener = (update) => {
+                if (update.qr || update.connection === 'close') {
+                    clearTimeout(timer);
+                    sock.ev.off('connection.update', listener);
+
+                    if (update.qr) {
+                        resolve();
+                    } else {
+                        reject(new Error('WhatsApp closed the connection'));
+                    }
+                }
+            };
+
+            sock.ev.on('connection.update', listener);
+        });
+    }
+
+    /**
+     * 🔢 NEW: Pairing attempts for a bot/number still inside the attempt window
+     */
+    getPairingAttempts(botName, phoneNumber) {
+        const windowStart = Date.now() - (this.pairingCodeExpiry * WHATSAPP_CONFIG.PAIRING.MAX_ATTEMPTS);
+
+        for (const [code, data] of this.pairingCodes) {
+            if (data.generatedAt < windowStart) {
+                this.pairingCodes.delete(code);
+            }
+        }
+
+        return Array.from(this.pairingCodes.values())
+            .filter(data => data.botName === botName && data.phoneNumber === phoneNumber)
+            .length;
+    }
+
+    /**
+     * 🔢 NEW: Request a real pairing code from WhatsApp for a bot
+     */
+    async requestPairingCodeForBot(botName, phoneNumber) {
+        const connection = this.getBotConnection(botName);
+        const digits = phoneNumber.replace(/\D/g, '');
+
+        if (connection.isAuthenticated) {
+            return { success: false, error: `${botName} is already linked to WhatsApp` };
+        }
+
+        if (connection.pairingRequested) {
+            return { success: false, error: `A pairing code request for ${botName} is already in progress` };
+        }
+
+        const attempts = this.getPairingAttempts(botName, digits);
+        if (attempts >= WHATSAPP_CONFIG.PAIRING.MAX_ATTEMPTS) {
+            return {
+                success: false,
+                error: `Too many pairing attempts for ${phoneNumber} - scan the QR code instead`,
+                fallback: 'qr'
+            };
+        }
+
+        connection.pairingRequested = true;
+
+        try {
+            if (!connection.socket) {
+                connection.shouldReconnect = true;
+                await this.initializeWhatsAppForBot(botName);
             }
-        }, 2000);
+
+            await this.waitForHandshake(botName);
+
+            const pairingCode = await connection.socket.requestPairingCode(digits);
+
+            this.clearPairingTimeout(botName);
+            connection.pairingCode = pairingCode;
+
+            this.pairingCodes.set(pairingCode, {
+                phoneNumber: digits,
+                botName: botName,
+                generatedAt: Date.now(),
+                expiresAt: Date.now() + this.pairingCodeExpiry,
+                attempt: attempts + 1,
+                status: 'pending',
+                used: false,
+                isManual: true
+            });
+
+            connection.pairingTimeout = setTimeout(() => {
+                this.handlePairingCodeExpired(botName, pairingCode);
+            }, this.pairingCodeExpiry);
+
+            console.log(`🔢 [WHATSAPP-${botName}] Pairing code issued for ${digits} (attempt ${attempts + 1}/${WHATSAPP_CONFIG.PAIRING.MAX_ATTEMPTS})`);
+
+            this.emitBotEvent('pairing_code_generated', botName, {
+                success: true,
+                pairingCode: pairingCode,
+                phoneNumber: phoneNumber,
+                source: 'whatsapp',
+                message: `Enter this code in WhatsApp to link ${botName}`,
+                expiresAt: new Date(Date.now() + this.pairingCodeExpiry),
+                attempt: attempts + 1,
+                maxAttempts: WHATSAPP_CONFIG.PAIRING.MAX_ATTEMPTS,
+                timestamp: new Date(),
+                isManual: true,
+                length: pairingCode.length
+            });
+
+            return {
+                success: true,
+                pairingCode: pairingCode,
+                phoneNumber: phoneNumber,
+                botName: botName,
+                message: `Pairing code issued by WhatsApp for ${botName}`,
+                attempt: attempts + 1,
+                length: pairingCode.length
+            };
+
+        } catch (error) {
+            console.error(`❌ [WHATSAPP-${botName}] Pairing code request rejected:`, error.message);
+
+            this.pairingCodes.set(`rejected-${botName}-${Date.now()}`, {
+                phoneNumber: digits,
+                botName: botName,
+                generatedAt: Date.now(),
+                expiresAt: Date.now(),
+                attempt: attempts + 1,
+                status: 'rejected',
+                used: false,
+                isManual: true
+            });
+
+            this.fallbackToQR(botName, `WhatsApp rejected ${phoneNumber}: ${error.message}`);
+
+            return {
+                success: false,
+                error: `WhatsApp rejected the pairing request: ${error.message}`,
+                fallback: 'qr',
+                announced: true
+            };
+        } finally {
+            connection.pairingRequested = false;
+        }
+    }
+
+    /**
+     * ⏰ NEW: Pairing code was not entered in time
+     */
+    handlePairingCodeExpired(botName, pairingCode) {
+        const connection = this.getBotConnection(botName);
+        const entry = this.pairingCodes.get(pairingCode);
+
+        connection.pairingTimeout = null;
+        if (!entry || entry.status !== 'pending') return;
+
+        entry.status = 'expired';
+        console.log(`⏰ [WHATSAPP-${botName}] Pairing code expired`);
+
+        this.fallbackToQR(botName, `Pairing code for ${botName} expired`);
+    }
+
+    /**
+     * 📱 NEW: Drop any pending pairing code and return the bot to QR linking
+     */
+    fallbackToQR(botName, reason, { restart = true } = {}) {
+        const connection = this.getBotConnection(botName);
+
+        this.clearPairingTimeout(botName);
+        connection.pairingCode = null;
+
+        for (const data of this.pairingCodes.values()) {
+            if (data.botName === botName && data.status === 'pending') {
+                data.status = 'rejected';
+            }
+        }
+
+        this.emitBotEvent('pairing_code_error', botName, {
+            error: reason,
+            fallback: 'qr',
+            timestamp: new Date()
+        });
+
+        // A socket that requested a code no longer rotates QR codes - start a fresh one
+        if (restart && !connection.isAuthenticated) {
+            this.refreshQRCodeForBot(botName);
+        }
+    }
+
+    /**
+     * 🧹 NEW: Clear a bot's pairing code expiry timer
+     */
+    clearPairingTimeout(botName) {
+        const connection = this.botConnections.get(botName);
+
+        if (connection && connection.pairingTimeout) {
+            clearTimeout(connection.pairingTimeout);
+            connection.pairingTimeout = null;
+        }
     }
 
     /**
      * 🔌 Handle connection close for bot
      */
     handleConnectionClose(lastDisconnect, botName) {
+        const connection = this.getBotConnection(botName);
         const statusCode = lastDisconnect?.error?.output?.statusCode;
         const logoutRequest = lastDisconnect?.error?.output?.payload?.logoutRequest;
 
         console.log(`🔌 [WHATSAPP-${botName}] Connection closed. Status: ${statusCode}`);
 
-        this.connectionStatus = 'disconnected';
-        this.isAuthenticated = false;
-        this.whatsappAvailable = false;
+        this.clearQRTimeouts(botName);
+        connection.socket = null;
+        connection.status = 'disconnected';
+        connection.isAuthenticated = false;
+        connection.qr = null;
 
-        this.io.emit('connection_update', {
+        this.emitBotEvent('connection_update', botName, {
             status: 'disconnected',
-            botName: botName,
             reason: statusCode ? `Error ${statusCode}` : 'Unknown'
         });
 
-        if (logoutRequest) {
+        savageBotGateway.sendToBot(botName, {
+            type: 'status_update',
+            status: 'whatsapp_disconnected',
+            reason: statusCode || null,
+            timestamp: new Date().toISOString()
+        });
+
+        // WhatsApp drops the socket when it refuses a number mid-pairing;
+        // a successful pairing closes with restartRequired instead
+        if (connection.pairingCode && statusCode !== DisconnectReason.restartRequired) {
+            this.fallbackToQR(botName, `WhatsApp rejected the pairing for ${botName} (${statusCode || 'closed'})`, { restart: false });
+        }
+
+        if (logoutRequest || statusCode === DisconnectReason.loggedOut) {
             console.log(`🚪 [WHATSAPP-${botName}] Logged out from phone`);
-            this.io.emit('logged_out', { 
-                message: `${botName} logged out`,
-                botName: botName
+            connection.shouldReconnect = false;
+            connection.sessionId = null;
+            connection.phoneNumber = null;
+            savageOutboundScheduler.clear(botName, `${botName} was logged out from WhatsApp`);
+            savageOutboundQueue.failPending(botName, `${botName} was logged out from WhatsApp`).catch(console.error);
+            savageGroupManager.invalidate(botName);
+            if (connection.authState) {
+                connection.authState.clear().catch(console.error);
+                connection.authState = null;
+            }
+            savageBotGateway.disconnectBot(botName, `${botName} was logged out from WhatsApp`);
+            this.emitBotEvent('logged_out', botName, {
+                message: `${botName} logged out`
             });
-            this.shouldReconnect = false;
             return;
         }
 
-        if (this.shouldReconnect && this.reconnectAttempts < this.maxReconnectAttempts) {
-            this.reconnectAttempts++;
-            const delay = Math.min(5000 * this.reconnectAttempts, 30000);
+        if (this.shouldReconnect && connection.shouldReconnect && connection.reconnectAttempts < this.maxReconnectAttempts) {
+            connection.reconnectAttempts++;
+            const delay = Math.min(WHATSAPP_CONFIG.SCANNER.RECONNECT_DELAY * connection.reconnectAttempts, 30000);
 
-            console.log(`🔄 [WHATSAPP-${botName}] Reconnecting in ${delay}ms`);
+            console.log(`🔄 [WHATSAPP-${botName}] Reconnecting in ${delay}ms (attempt ${connection.reconnectAttempts}/${this.maxReconnectAttempts})`);
+            connection.status = 'reconnecting';
 
             setTimeout(() => {
-                if (this.shouldReconnect) {
-                    const sessionDir = this.botSessions.get(botName)?.sessionDir;
-                    if (sessionDir) {
-                        this.initializeWhatsAppForBot(botName, sessionDir).catch(console.error);
-                    }
+                if (this.shouldReconnect && connection.shouldReconnect && !connection.socket) {
+                    this.initializeWhatsAppForBot(botName).catch(console.error);
                 }
             }, delay);
         }
@@ -498,24 +1303,52 @@ class SavageBotsScanner {
             console.log('🗄️ [SCANNER] Connecting to MongoDB Atlas...');
             await savageDatabase.connect();
             console.log('✅ [SCANNER] MongoDB connected successfully');
+
+            await savageUserManager.bootstrapOwner(process.env.SCANNER_PASSWORD);
         } catch (error) {
             console.error('❌ [SCANNER] Database connection failed:', error.message);
             console.warn('⚠️ [SCANNER] Running without database persistence');
         }
     }
 
+    /**
+     * ♻️ NEW: Reconnect every bot whose linked auth state survived the restart
+     */
+    async resumeLinkedBots() {
+        for (const botName of this.validBots) {
+            try {
+                if (await savageSessionManager.hasLinkedAuthState(botName)) {
+                    console.log(`♻️ [SCANNER] Resuming stored WhatsApp link for ${botName}`);
+                    await this.initializeWhatsAppForBot(botName);
+                }
+            } catch (error) {
+                console.error(`❌ [SCANNER] Could not resume ${botName}:`, error.message);
+            }
+        }
+    }
+
     /**
      * 🌐 Setup Express server
      */
     async setupExpress() {
         try {
+            // Render/Heroku terminate TLS at one proxy - lockouts must key on the real client IP
+            if (DEPLOYMENT.getCurrentPlatform() !== DEPLOYMENT.PLATFORMS.LOCAL) {
+                this.app.set('trust proxy', 1);
+            }
+
             this.app.use(express.json());
             this.app.use(express.urlencoded({ extended: true }));
+
+            // The dashboard is only served through the authenticated /scanner route
+            this.app.get('/scanner.html', (req, res) => res.redirect('/scanner'));
+
             this.app.use(express.static(path.join(__dirname, 'public'), {
                 maxAge: SERVER_CONFIG.STATIC.MAX_AGE
             }));
 
             this.setupBasicRoutes();
+            this.setupRouters();
             
             console.log('✅ [SCANNER] Express server setup completed');
         } catch (error) {
@@ -532,23 +1365,27 @@ class SavageBotsScanner {
             res.redirect('/password');
         });
 
-        this.app.get('/password', (req, res) => {
+        this.app.get('/password', optionalPasswordAuth, (req, res) => {
+            if (req.auth.authenticated) {
+                return res.redirect('/scanner');
+            }
+
             res.sendFile(path.join(__dirname, 'public', 'password.html'));
         });
 
-        this.app.get('/scanner', (req, res) => {
+        this.app.get('/scanner', requirePageAuth, (req, res) => {
             res.sendFile(path.join(__dirname, 'public', 'scanner.html'));
         });
 
-        this.app.post('/api/functions/:botType', async (req, res) => {
+        this.app.post('/api/functions/:botType', requirePasswordAuth, requireOperator, async (req, res) => {
             try {
                 const { botType } = req.params;
                 const { command, args, message } = req.body;
 
                 console.log(`🤖 [FUNCTIONS] ${botType} command: ${command}`);
 
-                const result = await this.callLiveFunction(botType, command, args, message);
-                res.json(result);
+                const result = await savageFunctions.call(botType, command, args, message);
+                res.status(result.success ? 200 : FUNCTIONS_ERROR_STATUS[result.code] || 500).json(result);
             } catch (error) {
                 console.error('❌ [FUNCTIONS] API call failed:', error);
                 res.json({
@@ -560,82 +1397,106 @@ class SavageBotsScanner {
         });
 
         this.app.get('/api/functions-health', async (req, res) => {
+            res.json({
+                ...await savageFunctions.health(),
+                timestamp: new Date()
+            });
+        });
+
+        // Ends the caller's own dashboard login - WhatsApp links are unlinked per bot via POST /api/bots/:botName/disconnect
+        this.app.post('/logout', requirePasswordAuth, async (req, res) => {
             try {
-                const response = await this.functionsClient.get('/');
-                res.json({
-                    status: 'connected',
-                    url: LIVE_FUNCTIONS_CONFIG.BASE_URL,
-                    response: response.data,
-                    timestamp: new Date()
-                });
+                savagePasswordAuth.logout(req.auth.sessionToken, req.auth.clientIP);
+                this.disconnectSessionSockets(req.auth.sessionToken, 'Logged out');
+                clearSessionCookie(res);
+                
+                res.json({ success: true, message: 'Logged out successfully' });
             } catch (error) {
-                res.json({
-                    status: 'disconnected',
-                    error: error.message,
-                    timestamp: new Date()
-                });
+                console.error('❌ [SCANNER] Logout failed:', error);
+                res.json({ success: false, error: 'Logout failed' });
             }
         });
 
-        this.app.post('/logout', (req, res) => {
+        this.app.post('/verify-password', async (req, res) => {
             try {
-                this.isAuthenticated = false;
-                this.sessionId = null;
-                this.currentPhoneNumber = null;
-                this.currentQR = null;
-                this.currentPairingCode = null;
-                this.activePairingCode = null;
-                this.selectedBot = null;
-                
-                this.pairingCodes.clear();
-                this.botSessions.clear();
-                
-                if (this.client) {
-                    this.client.logout();
-                    this.client = null;
+                const { password, username } = req.body;
+                const clientIP = req.ip || req.connection.remoteAddress;
+
+                if (!password || typeof password !== 'string') {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Password is required'
+                    });
                 }
                 
-                this.clearQRTimeouts();
-                this.reconnectAttempts = 0;
-                
-                this.io.emit('logout', { message: 'Logged out successfully' });
-                
-                res.json({ success: true, message: 'Logged out successfully' });
+                const result = await savagePasswordAuth.validatePassword(
+                    password,
+                    clientIP,
+                    typeof username === 'string' && username.trim() ? username : null
+                );
+
+                // Password fine, but the account wants its authenticator code first
+                if (result.twoFactorRequired) {
+                    return res.json({
+                        success: false,
+                        twoFactorRequired: true,
+                        challengeToken: result.challengeToken,
+                        expiresIn: result.expiresIn,
+                        message: result.message
+                    });
+                }
+
+                this.sendLoginResult(res, result);
             } catch (error) {
-                console.error('❌ [SCANNER] Logout failed:', error);
-                res.json({ success: false, error: 'Logout failed' });
+                res.status(500).json({ 
+                    success: false, 
+                    error: 'Authentication system error' 
+                });
             }
         });
 
-        this.app.post('/verify-password', async (req, res) => {
+        this.app.post('/verify-2fa', async (req, res) => {
             try {
-                const { password } = req.body;
+                const { challengeToken, code } = req.body || {};
                 const clientIP = req.ip || req.connection.remoteAddress;
-                
-                const result = await savagePasswordAuth.validatePassword(password, clientIP);
-                res.json(result);
+
+                if (!challengeToken || !code) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'challengeToken and code are required'
+                    });
+                }
+
+                const result = await savagePasswordAuth.verifyTwoFactor(String(challengeToken), String(code), clientIP);
+                this.sendLoginResult(res, result);
             } catch (error) {
-                res.json({ 
-                    success: false, 
-                    error: 'Authentication system error' 
+                res.status(500).json({
+                    success: false,
+                    error: 'Authentication system error'
                 });
             }
         });
 
+        this.setupTwoFactorRoutes();
+        this.setupMediaRoutes();
+
         this.app.get('/health', (req, res) => {
+            const bots = this.getAllBotStates();
+
             res.json({
                 status: 'operational',
                 version: SCANNER_IDENTITY.VERSION,
                 platform: DEPLOYMENT.getCurrentPlatform().NAME,
-                whatsapp: this.whatsappAvailable,
-                authenticated: this.isAuthenticated,
+                whatsapp: bots.some(bot => bot.whatsapp),
+                authenticated: bots.some(bot => bot.authenticated),
                 selectedBot: this.selectedBot,
-                botSessions: Array.from(this.botSessions.entries()).map(([name, data]) => ({
-                    name,
-                    status: data.status,
-                    selectedAt: data.selectedAt
+                bots: bots.map(bot => ({
+                    name: bot.botName,
+                    status: bot.status,
+                    authenticated: bot.authenticated,
+                    selectedAt: bot.selectedAt
                 })),
-                functions: LIVE_FUNCTIONS_CONFIG.BASE_URL,
+                functions: savageFunctions.describe(),
                 timestamp: new Date(),
                 pairingCodes: {
                     active: this.pairingCodes.size,
@@ -645,61 +1506,37 @@ class SavageBotsScanner {
             });
         });
 
-        this.app.get('/status', (req, res) => {
-            res.json({
-                scanner: 'running',
-                whatsapp: this.whatsappAvailable,
-                authenticated: this.isAuthenticated,
-                selectedBot: this.selectedBot,
-                sessionId: this.sessionId,
-                connectedBots: Array.from(this.connectedBots),
-                currentPhoneNumber: this.currentPhoneNumber,
-                hasQr: !!this.currentQR,
-                currentPairingCode: this.currentPairingCode,
-                pairingCodesActive: this.pairingCodes.size,
-                pairingMode: 'MANUAL-ONLY',
-                functions: LIVE_FUNCTIONS_CONFIG.BASE_URL,
-                timestamp: new Date()
-            });
+        this.app.get('/status', requirePasswordAuth, (req, res) => {
+            res.json(this.buildScannerStatusFor(req.auth.session));
         });
 
-        this.app.post('/refresh-qr', (req, res) => {
+        this.app.post('/refresh-qr', requirePasswordAuth, requireOperator, requireBotAccess, (req, res) => {
             try {
-                const { botName } = req.body;
+                const targetBot = req.body.botName || this.selectedBot;
                 
-                if (!botName && !this.selectedBot) {
+                if (!targetBot) {
                     return res.json({ 
                         success: false, 
                         error: 'No bot selected or specified' 
                     });
                 }
-                
-                const targetBot = botName || this.selectedBot;
-                
-                if (this.client) {
-                    this.client.logout();
-                    this.client = null;
+
+                if (!savagePasswordAuth.canAccessBot(req.auth.session, targetBot)) {
+                    return res.status(403).json({ success: false, error: `No permission for ${targetBot}` });
+                }
+
+                if (!this.botConnections.has(targetBot)) {
+                    return res.json({
+                        success: false,
+                        error: `${targetBot} has not been selected yet`
+                    });
                 }
                 
-                this.isAuthenticated = false;
-                this.sessionId = null;
-                this.currentPhoneNumber = null;
-                this.currentQR = null;
-                this.currentPairingCode = null;
-                this.activePairingCode = null;
-                this.reconnectAttempts = 0;
-                
-                this.clearQRTimeouts();
-                
-                setTimeout(() => {
-                    const sessionDir = this.botSessions.get(targetBot)?.sessionDir;
-                    if (sessionDir) {
-                        this.initializeWhatsAppForBot(targetBot, sessionDir).catch(console.error);
-                    }
-                }, 1000);
+                this.refreshQRCodeForBot(targetBot, 1000);
                 
                 res.json({ 
                     success: true, 
+                    botName: targetBot,
                     message: `QR refresh initiated for ${targetBot}` 
                 });
             } catch (error) {
@@ -707,7 +1544,7 @@ class SavageBotsScanner {
             }
         });
 
-        this.app.post('/generate-pairing-code', (req, res) => {
+        this.app.post('/generate-pairing-code', requirePasswordAuth, requireOperator, requireBotAccess, async (req, res) => {
             try {
                 const { phoneNumber, botName } = req.body;
                 
@@ -726,47 +1563,19 @@ class SavageBotsScanner {
                 }
 
                 const targetBot = botName || this.selectedBot;
-                if (!targetBot) {
+                if (!targetBot || !this.validBots.includes(targetBot) || !savagePasswordAuth.canAccessBot(req.auth.session, targetBot)) {
                     return res.json({ 
                         success: false, 
                         error: 'Select a bot first' 
                     });
                 }
 
-                const pairingCode = this.generateEightDigitPairingCode();
-                
-                this.pairingCodes.set(pairingCode, {
-                    phoneNumber: phoneNumber,
-                    botName: targetBot,
-                    generatedAt: Date.now(),
-                    expiresAt: Date.now() + WHATSAPP_CONFIG.PAIRING.TIMEOUT,
-                    used: false,
-                    isManual: true
-                });
-
-                this.currentPairingCode = pairingCode;
-                this.activePairingCode = pairingCode;
-
-                console.log(`🔢 [SCANNER] Pairing code for ${targetBot}: ${pairingCode}`);
-
-                this.io.emit('pairing_code_generated', {
-                    success: true,
-                    pairingCode: pairingCode,
-                    phoneNumber: phoneNumber,
-                    botName: targetBot,
-                    message: `Pairing code for ${targetBot}`,
-                    timestamp: new Date(),
-                    isManual: true,
-                    length: WHATSAPP_CONFIG.PAIRING.LENGTH
-                });
+                const result = await this.requestPairingCodeForBot(targetBot, phoneNumber);
+                delete result.announced;
 
                 res.json({
-                    success: true,
-                    pairingCode: pairingCode,
-                    phoneNumber: phoneNumber,
-                    botName: targetBot,
-                    message: `Pairing code generated for ${targetBot}`,
-                    length: WHATSAPP_CONFIG.PAIRING.LENGTH
+                    ...result,
+                    botName: targetBot
                 });
 
             } catch (error) {
@@ -775,156 +1584,255 @@ class SavageBotsScanner {
             }
         });
 
-        this.app.get('/pairing-status', (req, res) => {
-            const activeCodes = Array.from(this.pairingCodes.entries()).map(([code, data]) => ({
+        this.app.get('/pairing-status', requirePasswordAuth, requireOperator, (req, res) => {
+            const visible = (botName) => savagePasswordAuth.canAccessBot(req.auth.session, botName);
+            const activeCodes = Array.from(this.pairingCodes.entries()).filter(([, data]) => visible(data.botName)).map(([code, data]) => ({
                 code,
                 phoneNumber: data.phoneNumber,
                 botName: data.botName,
                 generatedAt: new Date(data.generatedAt).toISOString(),
                 expiresAt: new Date(data.expiresAt).toISOString(),
+                attempt: data.attempt,
+                status: data.status,
                 used: data.used,
                 isManual: data.isManual
             }));
 
             res.json({
                 activeCodes: activeCodes,
-                totalActive: this.pairingCodes.size,
-                currentPairingCode: this.currentPairingCode,
+                totalActive: activeCodes.length,
+                currentPairingCodes: this.getAllBotStates().filter(bot => visible(bot.botName)).reduce((codes, bot) => {
+                    codes[bot.botName] = bot.pairingCode;
+                    return codes;
+                }, {}),
                 selectedBot: this.selectedBot,
                 config: {
                     length: WHATSAPP_CONFIG.PAIRING.LENGTH,
                     timeout: WHATSAPP_CONFIG.PAIRING.TIMEOUT,
+                    maxAttempts: WHATSAPP_CONFIG.PAIRING.MAX_ATTEMPTS,
                     mode: 'MANUAL-ONLY'
                 }
             });
         });
 
-        this.app.get('/bot-sessions', (req, res) => {
-            const sessions = Array.from(this.botSessions.entries()).map(([name, data]) => ({
-                botName: name,
-                status: data.status,
-                sessionDir: data.sessionDir,
-                selectedAt: data.selectedAt,
-                connectedAt: data.connectedAt,
-                sessionId: data.sessionId
-            }));
+        this.app.get('/bot-sessions', requirePasswordAuth, requireOperator, (req, res) => {
+            const sessions = Array.from(this.botConnections.values())
+                .filter(connection => savagePasswordAuth.canAccessBot(req.auth.session, connection.botName))
+                .map(connection => ({
+                    ...this.getBotState(connection.botName),
+                    authStateId: connection.authStateId
+                }));
 
             res.json({
                 selectedBot: this.selectedBot,
                 sessions: sessions,
-                totalSessions: this.botSessions.size
+                totalSessions: sessions.length
             });
         });
+
+        this.app.get('/bot-sessions/:botName/export', requirePasswordAuth, requireOperator, requireBotAccess, async (req, res) => {
+            const result = await this.exportBotSession(req.params.botName);
+            res.status(result.success ? 200 : 400).json(result);
+        });
+
+        this.app.post('/bot-sessions/import', requirePasswordAuth, requireOperator, requireBotAccess, async (req, res) => {
+            const { sessionString, botName } = req.body || {};
+
+            if (!sessionString) {
+                return res.status(400).json({ success: false, error: 'sessionString is required' });
+            }
+
+            // Without botName the string picks the bot - only all-bot accounts may allow that
+            if (!botName && !savagePasswordAuth.canAccessBot(req.auth.session, ROLES.ALL_BOTS)) {
+                return res.status(403).json({ success: false, error: 'botName is required for bot-scoped accounts' });
+            }
+
+            const result = await this.importBotSession(sessionString, botName || null);
+            res.status(result.success ? 200 : 400).json(result);
+        });
     }
 
     /**
-     * ✅ Call live functions
+     * 🔑 NEW: Answer a finished login attempt (password or second factor)
      */
-    async callLiveFunction(botType, command, args, message) {
-        try {
-            const endpoint = LIVE_FUNCTIONS_CONFIG.ENDPOINTS[botType.toUpperCase()];
-            if (!endpoint) {
-                throw new Error(`Unknown bot type: ${botType}`);
+    sendLoginResult(res, result) {
+        if (!result.success) {
+            if (result.retryAfter) {
+                res.set('Retry-After', String(result.retryAfter));
             }
 
-            const response = await this.functionsClient.post(endpoint, {
-                command,
-                args,
-                message,
-                timestamp: new Date().toISOString()
+            return res.status(result.unavailable ? 503 : result.locked ? 423 : 401).json({
+                success: false,
+                error: result.error,
+                usernameRequired: !!result.usernameRequired,
+                restart: !!result.restart,
+                locked: !!result.locked,
+                remainingAttempts: result.remainingAttempts,
+                retryAfter: result.retryAfter
             });
-
-            return response.data;
-        } catch (error) {
-            console.error(`❌ [FUNCTIONS] ${botType} command failed:`, error.message);
-            return this.getFallbackResponse(botType, command, args);
         }
+
+        // Token lives only in the HttpOnly cookie - page scripts never see it
+        setSessionCookie(res, result.sessionToken);
+
+        res.json({
+            success: true,
+            message: result.message,
+            role: result.role,
+            user: result.user,
+            recoveryCodesLeft: result.recoveryCodesLeft,
+            redirect: result.redirect
+        });
     }
 
     /**
-     * ✅ Fallback responses when functions are down
+     * 🖼️ NEW: Signed, short-lived media downloads for bot connectors (no login - the signature is the credential)
      */
-    getFallbackResponse(botType, command, args) {
-        const fallbacks = {
-            'savage-x': {
-                'menu': `🦅 SAVAGE-X BOT (Fallback Mode)\n\n📱 GENERAL: weather, currency, calc\n🤖 AI: chatgpt, imageai\n🎮 FUN: truth, dare, joke\n⚙️ BOT: stats, autoreply\n\n🔧 Functions service temporarily unavailable`,
-                'ping': `🏓 Pong! Savage-X Active (Fallback)\n⏰ ${new Date().toLocaleString()}`,
-                'stats': `📊 BOT STATS (Fallback):\n• Status: Online (Limited)\n• Functions: Unavailable\n• Mode: Fallback Responses`
-            },
-            'de-unknown': {
-                'menu': `🔮 DE-UNKNOWN (Fallback Mode)\n\n🕵️ MYSTERY: mystery, discover\n🧩 PUZZLES: puzzle, riddle\n🔮 FORTUNE: predict, fortune\n\n🔧 Functions service temporarily unavailable`,
-                'mystery': `🔍 Exploring mysteries... (Fallback Mode)`
-            },
-            'queen-rixie': {
-                'menu': `👑 QUEEN RIXIE (Fallback Mode)\n\n🎭 ROYALTY: royal, bow, rank\n🏛️ COURT: court, favor\n🎪 EVENTS: banquet, ball\n\n🔧 Functions service temporarily unavailable`,
-                'royal': `📜 Royal decree processing... (Fallback Mode)`
+    setupMediaRoutes() {
+        this.app.get('/media/:mediaId', (req, res) => {
+            const { mediaId } = req.params;
+            const entry = savageMedia.verifyUrl(mediaId, req.query.expires, req.query.sig);
+
+            if (!entry) {
+                return res.status(403).json({ success: false, error: 'Invalid or expired media link' });
             }
-        };
 
-        const botFallback = fallbacks[botType] || {};
-        const response = botFallback[command] || `❌ Command not available in fallback mode: ${command}`;
+            res.set({
+                'Content-Type': entry.mimetype,
+                'Content-Length': String(entry.size),
+                'Content-Disposition': `attachment; filename="${encodeURIComponent(entry.fileName || `${mediaId}`)}"`,
+                'X-Content-Type-Options': 'nosniff',
+                'Cache-Control': 'private, no-store'
+            });
+
+            res.sendFile(savageMedia.filePath(mediaId), (error) => {
+                if (error && !res.headersSent) {
+                    res.status(404).json({ success: false, error: 'Media file not found' });
+                }
+            });
+        });
+    }
 
-        return {
-            success: true,
-            response: response,
-            fallback: true,
-            timestamp: new Date().toISOString()
+    /**
+     * 🛡️ NEW: Self-service TOTP enrolment for named accounts
+     */
+    setupTwoFactorRoutes() {
+        const requireAccount = (req, res, next) => {
+            if (!req.auth.session.userId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Two-factor authentication needs a named user account'
+                });
+            }
+            if (!savageUserManager.available) {
+                return res.status(503).json({ success: false, error: 'User accounts require the database' });
+            }
+            next();
         };
+
+        this.app.get('/2fa/status', requirePasswordAuth, requireAccount, async (req, res) => {
+            res.json(await savageUserManager.getTwoFactorStatus(req.auth.session.username));
+        });
+
+        this.app.post('/2fa/enroll', requirePasswordAuth, requireAccount, async (req, res) => {
+            const result = await savageUserManager.startTwoFactorEnrolment(req.auth.session.username);
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            res.json({
+                success: true,
+                secret: result.secret,
+                otpauthUrl: result.otpauthUrl,
+                qrImage: await qrcode.toDataURL(result.otpauthUrl),
+                message: 'Scan the QR code, then confirm with a code from your authenticator app'
+            });
+        });
+
+        this.app.post('/2fa/confirm', requirePasswordAuth, requireAccount, async (req, res) => {
+            const { username } = req.auth.session;
+            const result = await savageUserManager.confirmTwoFactorEnrolment(username, req.body?.code);
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            savagePasswordAuth.logSecurityEvent('2FA_ENROLLED', req.auth.clientIP, 'Two-factor authentication enabled', { user: username });
+            res.json({
+                success: true,
+                recoveryCodes: result.recoveryCodes,
+                message: 'Two-factor enabled - store the recovery codes somewhere safe, they are shown only once'
+            });
+        });
+
+        this.app.post('/2fa/recovery-codes', requirePasswordAuth, requireAccount, async (req, res) => {
+            const { username } = req.auth.session;
+            const result = await savageUserManager.regenerateRecoveryCodes(username, req.body?.code);
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            savagePasswordAuth.logSecurityEvent('2FA_ENROLLED', req.auth.clientIP, 'Recovery codes regenerated', { user: username });
+            res.json(result);
+        });
+
+        this.app.post('/2fa/disable', requirePasswordAuth, requireAccount, async (req, res) => {
+            const { username } = req.auth.session;
+            const result = await savageUserManager.disableTwoFactor(username, req.body?.code);
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            savagePasswordAuth.logSecurityEvent('2FA_DISABLED', req.auth.clientIP, 'Two-factor authentication disabled', { user: username });
+            res.json({ success: true, message: 'Two-factor authentication disabled' });
+        });
+    }
+
+    /**
+     * 🧭 NEW: Mount the REST routers (after basic routes so /scanner and /api/functions win)
+     */
+    setupRouters() {
+        apiRouter.attachScanner(this);
+        scannerRoutes.attachScanner(this);
+
+        this.app.use('/api', apiRouter);
+        this.app.use('/auth', authRouter);
+        this.app.use('/scanner', scannerRoutes.router);
     }
 
     /**
-     * 🔌 Setup WebSocket communication - UPDATED with bot selection
+     * 🔌 Setup WebSocket communication - UPDATED with per-bot state
      */
     setupWebSocket() {
+        // Dashboard sockets must carry a valid login session
+        this.io.use(authenticateSocket);
+
         this.io.on('connection', (socket) => {
-            console.log(`🤖 [SCANNER] New client connected: ${socket.id}`);
-            
-            const status = {
-                scanner: 'running',
-                whatsapp: this.whatsappAvailable,
-                authenticated: this.isAuthenticated,
-                selectedBot: this.selectedBot,
-                hasQr: !!this.currentQR,
-                sessionId: this.sessionId,
-                currentPhoneNumber: this.currentPhoneNumber,
-                currentPairingCode: this.currentPairingCode,
-                pairingCodesActive: this.pairingCodes.size,
-                pairingCodeLength: WHATSAPP_CONFIG.PAIRING.LENGTH,
-                pairingMode: 'MANUAL-ONLY',
-                functions: LIVE_FUNCTIONS_CONFIG.BASE_URL,
-                botSessions: Array.from(this.botSessions.entries()).map(([name, data]) => ({
-                    name,
-                    status: data.status
-                }))
-            };
-            
-            socket.emit('scanner_status', status);
-
-            if (this.isAuthenticated && this.sessionId && this.selectedBot) {
-                socket.emit('ready', {
-                    status: 'connected',
-                    sessionId: this.sessionId,
-                    botName: this.selectedBot,
-                    phoneNumber: this.currentPhoneNumber,
-                    message: `${this.selectedBot} is active and ready`,
-                    pairingCodeLength: WHATSAPP_CONFIG.PAIRING.LENGTH,
-                    pairingMode: 'MANUAL-ONLY',
-                    functions: LIVE_FUNCTIONS_CONFIG.BASE_URL
-                });
-            } else if (this.currentQR && this.selectedBot) {
-                socket.emit('qr_data', {
-                    qrImage: this.currentQR,
-                    pairingCode: null,
-                    timestamp: Date.now(),
-                    botName: this.selectedBot,
-                    pairingCodeLength: WHATSAPP_CONFIG.PAIRING.LENGTH,
-                    pairingMode: 'MANUAL-ONLY'
+            console.log(`🤖 [SCANNER] New client connected: ${socket.id} (${socket.auth.session.username}, ${socket.auth.role})`);
+
+            // Per-bot rooms drive emitBotEvent; operator-only events are refused per packet
+            this.joinBotRooms(socket);
+            socket.use(authorizeSocketEvent(socket));
+            socket.on('error', (error) => {
+                socket.emit('permission_denied', {
+                    error: error.message,
+                    code: error.data?.code || 'FORBIDDEN'
                 });
+            });
+
+            socket.emit('scanner_status', this.buildScannerStatusFor(socket.auth.session));
+
+            // Replay every live link so the dashboard can render all bots
+            for (const [botName, connection] of this.botConnections) {
+                if (connection.isAuthenticated && connection.sessionId) {
+                    this.emitBotEvent('ready', botName, this.buildReadyPayload(botName), socket);
+                } else if (connection.qr) {
+                    this.emitBotEvent('qr_data', botName, this.buildQRPayload(botName), socket);
+                }
             }
 
             // NEW: Bot selection event
             socket.on('select_bot', (data) => {
-                const { botName } = data;
+                const { botName } = data || {};
                 this.handleBotSelection(botName, socket);
             });
 
@@ -933,7 +1841,7 @@ class SavageBotsScanner {
                     const { botType, command, args, message } = data;
                     console.log(`🤖 [WS-FUNCTIONS] ${botType} command: ${command}`);
 
-                    const result = await this.callLiveFunction(botType, command, args, message);
+                    const result = await savageFunctions.call(botType, command, args, message);
                     socket.emit('command_result', result);
                 } catch (error) {
                     console.error('❌ [WS-FUNCTIONS] Command execution failed:', error);
@@ -945,52 +1853,36 @@ class SavageBotsScanner {
                 }
             });
 
-            socket.on('refresh_qr', () => {
-                if (!this.selectedBot) {
+            socket.on('refresh_qr', (data) => {
+                const targetBot = data?.botName || this.selectedBot;
+
+                if (!targetBot || !this.botConnections.has(targetBot) || !savagePasswordAuth.canAccessBot(socket.auth.session, targetBot)) {
                     socket.emit('qr_refreshed', {
                         success: false,
+                        botName: targetBot,
                         error: 'No bot selected'
                     });
                     return;
                 }
 
-                console.log(`🔄 [SCANNER] QR refresh requested for ${this.selectedBot}`);
-                
-                if (this.client) {
-                    this.client.logout();
-                    this.client = null;
-                }
-                
-                this.isAuthenticated = false;
-                this.sessionId = null;
-                this.currentPhoneNumber = null;
-                this.currentQR = null;
-                this.currentPairingCode = null;
-                this.activePairingCode = null;
-                this.reconnectAttempts = 0;
+                console.log(`🔄 [SCANNER] QR refresh requested for ${targetBot}`);
                 
-                this.clearQRTimeouts();
-                
-                setTimeout(() => {
-                    const sessionDir = this.botSessions.get(this.selectedBot)?.sessionDir;
-                    if (sessionDir) {
-                        this.initializeWhatsAppForBot(this.selectedBot, sessionDir).catch(console.error);
-                    }
-                }, 1000);
+                this.refreshQRCodeForBot(targetBot, 1000);
                 
-                socket.emit('qr_refreshed', {
+                this.emitBotEvent('qr_refreshed', targetBot, {
                     success: true,
-                    message: `QR refresh initiated for ${this.selectedBot}`
-                });
+                    message: `QR refresh initiated for ${targetBot}`
+                }, socket);
             });
 
-            socket.on('generate_pairing_code', (data) => {
+            socket.on('generate_pairing_code', async (data) => {
                 try {
                     const { phoneNumber, botName } = data;
                     const targetBot = botName || this.selectedBot;
                     
-                    if (!targetBot) {
+                    if (!targetBot || !this.validBots.includes(targetBot) || !savagePasswordAuth.canAccessBot(socket.auth.session, targetBot)) {
                         socket.emit('pairing_code_error', {
+                            botName: targetBot,
                             error: 'Select a bot first'
                         });
                         return;
@@ -998,6 +1890,7 @@ class SavageBotsScanner {
 
                     if (!phoneNumber || phoneNumber.trim() === '') {
                         socket.emit('pairing_code_error', {
+                            botName: targetBot,
                             error: 'Phone number is required'
                         });
                         return;
@@ -1005,45 +1898,22 @@ class SavageBotsScanner {
 
                     if (!this.isValidPhoneNumber(phoneNumber)) {
                         socket.emit('pairing_code_error', {
+                            botName: targetBot,
                             error: 'Invalid phone number format'
                         });
                         return;
                     }
 
-                    const pairingCode = this.generateEightDigitPairingCode();
-                    
-                    this.pairingCodes.set(pairingCode, {
-                        phoneNumber: phoneNumber,
-                        botName: targetBot,
-                        generatedAt: Date.now(),
-                        expiresAt: Date.now() + WHATSAPP_CONFIG.PAIRING.TIMEOUT,
-                        used: false,
-                        isManual: true
-                    });
-
-                    this.currentPairingCode = pairingCode;
-                    this.activePairingCode = pairingCode;
-
-                    console.log(`🔢 [SCANNER] Pairing code for ${targetBot}: ${pairingCode}`);
-
-                    this.io.emit('pairing_code_generated', {
-                        success: true,
-                        pairingCode: pairingCode,
-                        phoneNumber: phoneNumber,
-                        botName: targetBot,
-                        message: `Pairing code for ${targetBot}`,
-                        timestamp: new Date(),
-                        isManual: true,
-                        length: WHATSAPP_CONFIG.PAIRING.LENGTH
-                    });
+                    const result = await this.requestPairingCodeForBot(targetBot, phoneNumber);
 
-                    socket.emit('pairing_code_generated', {
-                        success: true,
-                        pairingCode: pairingCode,
-                        phoneNumber: phoneNumber,
-                        botName: targetBot,
-                        message: `Pairing code generated for ${targetBot}`
-                    });
+                    // Rejections are already broadcast together with the QR fallback
+                    if (!result.success && !result.announced) {
+                        socket.emit('pairing_code_error', {
+                            botName: targetBot,
+                            error: result.error,
+                            fallback: result.fallback
+                        });
+                    }
 
                 } catch (error) {
                     console.error('❌ [SCANNER] Pairing code generation failed:', error);
@@ -1053,41 +1923,18 @@ class SavageBotsScanner {
                 }
             });
 
-            socket.on('logout_request', async () => {
+            socket.on('logout_request', () => {
                 try {
                     console.log(`🚪 [SCANNER] Logout requested by: ${socket.id}`);
                     
-                    this.isAuthenticated = false;
-                    this.sessionId = null;
-                    this.currentPhoneNumber = null;
-                    this.currentQR = null;
-                    this.currentPairingCode = null;
-                    this.activePairingCode = null;
-                    this.selectedBot = null;
-                    this.connectedBots.clear();
-                    this.reconnectAttempts = 0;
-                    
-                    this.clearQRTimeouts();
-                    this.pairingCodes.clear();
-                    this.botSessions.clear();
-                    
-                    if (this.client) {
-                        await this.client.logout();
-                        this.client = null;
-                    }
-                    
-                    this.whatsappAvailable = false;
+                    savagePasswordAuth.logout(socket.auth.sessionToken, socket.auth.clientIP);
                     
                     socket.emit('logout_success', {
                         success: true,
                         message: 'Successfully logged out'
                     });
                     
-                    this.io.emit('logout', {
-                        message: 'Scanner has been logged out'
-                    });
-                    
-                    console.log('✅ [SCANNER] Logout completed successfully');
+                    this.disconnectSessionSockets(socket.auth.sessionToken, 'Logged out');
                     
                 } catch (error) {
                     console.error('❌ [SCANNER] Logout failed:', error);
@@ -1100,24 +1947,23 @@ class SavageBotsScanner {
 
             socket.on('bot_register', (data) => {
                 const { botName, sessionId } = data;
+                const connection = this.botConnections.get(botName);
                 
-                if (sessionId === this.sessionId) {
+                if (connection && connection.sessionId && sessionId === connection.sessionId) {
                     this.connectedBots.add(botName);
                     console.log(`✅ [SCANNER] Bot connected: ${botName}`);
                     
-                    this.io.emit('bot_status', {
-                        botName: botName,
-                        status: 'online',
-                        lastSeen: new Date()
-                    });
+                    this.setBotStatus(botName, 'online', `${botName} registered`);
                     
                     socket.emit('bot_registered', {
                         success: true,
+                        botName: botName,
                         message: `Bot ${botName} registered successfully`
                     });
                 } else {
                     socket.emit('bot_registered', {
                         success: false,
+                        botName: botName,
                         error: 'Invalid session ID'
                     });
                 }
@@ -1125,57 +1971,36 @@ class SavageBotsScanner {
 
             socket.on('send_message', async (data) => {
                 try {
-                    const { chatId, message, botName } = data;
-                    
-                    if (this.client && this.isAuthenticated) {
-                        await this.client.sendMessage(chatId, { text: message });
-                        console.log(`📤 [SCANNER] Message sent by ${botName} to ${chatId}`);
-                        
-                        socket.emit('message_sent', {
-                            success: true,
-                            messageId: Date.now().toString()
-                        });
-                    } else {
-                        socket.emit('message_sent', {
-                            success: false,
-                            error: 'WhatsApp not connected'
-                        });
+                    const { chatId, message, botName, requestId } = data;
+                    if (!chatId || typeof message !== 'string' || message.trim() === '') {
+                        throw new Error('chatId and message are required');
                     }
+
+                    const job = await this.sendBotMessage(botName, chatId, { text: message }, {
+                        source: 'socket',
+                        requestId: requestId || null,
+                        requestedBy: socket.auth.session.username || null
+                    });
+
+                    socket.emit('message_queued', {
+                        success: true,
+                        botName: botName,
+                        job: job
+                    });
                 } catch (error) {
-                    console.error('❌ [SCANNER] Message send failed:', error);
-                    socket.emit('message_sent', {
+                    console.error('❌ [SCANNER] Message queue failed:', error.message);
+                    socket.emit('message_queued', {
                         success: false,
-                        error: 'Failed to send message'
+                        botName: data?.botName,
+                        requestId: data?.requestId || null,
+                        error: error.message,
+                        code: error.code || null
                     });
                 }
             });
 
-            socket.on('authenticate', async (data) => {
-                const result = await savagePasswordAuth.validatePassword(
-                    data.password, 
-                    socket.handshake.address
-                );
-                socket.emit('auth_result', result);
-            });
-
             socket.on('get_status', () => {
-                const status = {
-                    scanner: 'running',
-                    whatsapp: this.whatsappAvailable,
-                    authenticated: this.isAuthenticated,
-                    selectedBot: this.selectedBot,
-                    sessionId: this.sessionId,
-                    connectedBots: Array.from(this.connectedBots),
-                    currentPhoneNumber: this.currentPhoneNumber,
-                    hasQr: !!this.currentQR,
-                    currentPairingCode: this.currentPairingCode,
-                    pairingCodesActive: this.pairingCodes.size,
-                    pairingCodeLength: WHATSAPP_CONFIG.PAIRING.LENGTH,
-                    pairingMode: 'MANUAL-ONLY',
-                    functions: LIVE_FUNCTIONS_CONFIG.BASE_URL,
-                    timestamp: new Date()
-                };
-                socket.emit('scanner_status', status);
+                socket.emit('scanner_status', this.buildScannerStatusFor(socket.auth.session));
             });
 
             socket.on('disconnect', (reason) => {
@@ -1186,19 +2011,169 @@ class SavageBotsScanner {
         console.log('✅ [SCANNER] WebSocket server setup completed');
     }
 
+    /**
+     * 📤 NEW: Queue a message on a bot's durable outbound queue
+     * Resolves with the job receipt (jobId + status) - status changes follow as message_status events
+     */
+    async sendBotMessage(botName, chatId, content, options = {}) {
+        if (!this.validBots.includes(botName)) {
+            throw new Error(`Invalid bot name. Valid options: ${this.validBots.join(', ')}`);
+        }
+
+        const jid = this.toJid(chatId);
+        await savageOutboundConsent.assertNotOptedOut(botName, jid, options.source);
+
+        return savageOutboundQueue.enqueue(botName, jid, content, options);
+    }
+
+    /**
+     * 📤 NEW: Put a message on the wire (called by the outbound queue via the anti-ban scheduler)
+     */
+    async deliverBotMessage(botName, jid, content) {
+        const payload = await savageMedia.toMessageContent(content);
+
+        // The link may have dropped while the message waited its turn
+        const sent = await this.requireLinkedSocket(botName).sendMessage(jid, payload);
+        console.log(`📤 [WHATSAPP-${botName}] Message sent to ${jid}`);
+        return sent;
+    }
+
+    isBotLinked(botName) {
+        const connection = this.botConnections.get(botName);
+        return !!(connection && connection.socket && connection.isAuthenticated);
+    }
+
+    /**
+     * 📬 NEW: Outbound job changed status - tell the dashboard and, for its own sends, the bot
+     */
+    onOutboundStatus(job) {
+        this.emitBotEvent('message_status', job.botName, { job });
+
+        if (job.source === 'gateway') {
+            savageBotGateway.sendToBot(job.botName, {
+                type: 'message_status',
+                ...job,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (job.source === 'broadcast') {
+            savageBroadcastManager.handleJobStatus(job).catch(error => {
+                console.error(`❌ [BROADCAST] Status for ${job.jobId} not recorded:`, error.message);
+            });
+        }
+    }
+
+    /**
+     * 📣 NEW: A broadcast finished queueing - report to the dashboard and, for bot-issued ones, the bot
+     */
+    onBroadcastReport(report) {
+        this.emitBotEvent('broadcast_report', report.botName, { broadcast: report });
+
+        if (report.source === 'gateway') {
+            savageBotGateway.sendToBot(report.botName, {
+                type: 'broadcast_report',
+                broadcast: report,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * 📬 NEW: Map Baileys ack levels onto job receipts
+     * proto.WebMessageInfo.Status: 3 = DELIVERY_ACK, 4 = READ, 5 = PLAYED
+     */
+    handleMessageReceipts(botName, updates = []) {
+        for (const { key, update } of updates) {
+            if (!key?.fromMe || !key.id || typeof update?.status !== 'number') continue;
+
+            const status = update.status >= 4 ? 'read' : update.status === 3 ? 'delivered' : null;
+            if (!status) continue;
+
+            savageOutboundQueue.handleReceipt(botName, key.id, status).catch(error => {
+                console.error(`❌ [OUTBOUND] Receipt for ${key.id} failed:`, error.message);
+            });
+        }
+    }
+
+    /**
+     * 👥 NEW: A group the bot is in changed
+     */
+    handleGroupUpdate(botName, groupId, update) {
+        if (!groupId) return;
+
+        savageGroupManager.invalidate(botName, groupId);
+        savageBotGateway.sendToBot(botName, {
+            type: 'group_update',
+            botName: botName,
+            groupId: groupId,
+            ...update,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * 🔌 NEW: Live, authenticated WhatsApp socket for a bot (throws otherwise)
+     */
+    requireLinkedSocket(botName) {
+        if (!this.isBotLinked(botName)) {
+            throw new Error(`${botName || 'Bot'} is not connected to WhatsApp`);
+        }
+
+        return this.botConnections.get(botName).socket;
+    }
+
+    /**
+     * 📇 NEW: Normalize phone numbers / chat IDs to WhatsApp JIDs
+     */
+    toJid(chatId) {
+        const value = String(chatId || '').trim();
+
+        if (value.includes('@')) {
+            if (value === 'status@broadcast') {
+                throw new Error('Status broadcasts are not supported');
+            }
+            return value;
+        }
+
+        const digits = value.replace(/\D/g, '');
+        if (!digits) {
+            throw new Error(`Invalid chat ID: ${chatId}`);
+        }
+
+        return `${digits}@s.whatsapp.net`;
+    }
+
+    /**
+     * 🔗 NEW: Bot connector authenticated on /savage-ws
+     */
+    onConnectorConnected(botName) {
+        this.connectedBots.add(botName);
+        this.emitBotEvent('bot_status', botName, {
+            status: 'online',
+            message: `${botName} connector online`,
+            lastSeen: new Date()
+        });
+    }
+
+    /**
+     * 🔌 NEW: Bot connector left /savage-ws
+     */
+    onConnectorDisconnected(botName) {
+        this.connectedBots.delete(botName);
+        this.emitBotEvent('bot_status', botName, {
+            status: 'offline',
+            message: `${botName} connector offline`,
+            lastSeen: new Date()
+        });
+    }
+
     /**
      * 🚀 Start the server
      */
     startServer() {
         const port = process.env.PORT || SERVER_CONFIG.PORT;
         
-        // Ensure sessions directory exists
-        const sessionsDir = path.join(__dirname, 'sessions');
-        if (!fs.existsSync(sessionsDir)) {
-            fs.mkdirSync(sessionsDir, { recursive: true });
-            console.log('📁 [SCANNER] Created sessions directory');
-        }
-        
         this.server.listen(port, '0.0.0.0', () => {
             console.log('🦅 ============================================================');
             console.log('🦅 SAVAGE BOTS SCANNER - OPERATIONAL');
@@ -1207,9 +2182,10 @@ class SavageBotsScanner {
             console.log(`🔐 Password protected: http://0.0.0.0:${port}/password`);
             console.log(`📱 Scanner interface: http://0.0.0.0:${port}/scanner`);
             console.log(`🤖 Bots supported: SAVAGE-X, DE-UKNOWN-BOT, QUEEN-RIXIE`);
+            console.log(`🔌 Bot gateway: ws://0.0.0.0:${port}${BOT_CONFIG.WEBSOCKET.PATH}`);
             console.log(`🎯 Bot Selection: TAP-TO-CONNECT system active`);
-            console.log(`📁 Sessions: Separate folder per bot`);
-            console.log(`🌐 Live functions: ${LIVE_FUNCTIONS_CONFIG.BASE_URL}`);
+            console.log(`🔐 Sessions: Encrypted auth state per bot (MongoDB + disk backup)`);
+            console.log(`🌐 Functions: ${savageFunctions.describe()}`);
             console.log(`🔢 Pairing codes: ${WHATSAPP_CONFIG.PAIRING.LENGTH}-digit MANUAL-ONLY`);
             console.log(`🦅 ${SCANNER_IDENTITY.MOTTO}`);
             console.log('🦅 ============================================================');
@@ -1226,34 +2202,46 @@ class SavageBotsScanner {
         return phoneRegex.test(phone.replace(/\s/g, ''));
     }
 
-    generateEightDigitPairingCode() {
-        const crypto = require('crypto');
-        const randomBytes = crypto.randomBytes(4);
-        const randomNum = randomBytes.readUInt32BE(0);
-        return (randomNum % 90000000 + 10000000).toString();
-    }
+    clearQRTimeouts(botName) {
+        const connection = this.botConnections.get(botName);
+        if (!connection) return;
 
-    clearQRTimeouts() {
-        if (this.qrTimeout) {
-            clearTimeout(this.qrTimeout);
-            this.qrTimeout = null;
+        if (connection.qrTimeout) {
+            clearTimeout(connection.qrTimeout);
+            connection.qrTimeout = null;
         }
-        if (this.qrRegenerationInterval) {
-            clearInterval(this.qrRegenerationInterval);
-            this.qrRegenerationInterval = null;
+        if (connection.qrRegenerationInterval) {
+            clearInterval(connection.qrRegenerationInterval);
+            connection.qrRegenerationInterval = null;
         }
     }
 
-    shutdown() {
+    async shutdown() {
         console.log('🛑 [SCANNER] Shutting down...');
         this.shouldReconnect = false;
-        this.clearQRTimeouts();
 
-        if (this.whatsappSocket) {
-            this.whatsappSocket.logout();
-            this.whatsappSocket = null;
+        const flushes = [];
+        for (const [botName, connection] of this.botConnections) {
+            connection.shouldReconnect = false;
+            this.clearQRTimeouts(botName);
+            this.clearPairingTimeout(botName);
+
+            // Close without logging out so linked bots resume after a restart/redeploy
+            if (connection.socket) {
+                const sock = connection.socket;
+                connection.socket = null;
+                sock.end(undefined);
+            }
+
+            if (connection.authState) {
+                flushes.push(connection.authState.flush());
+            }
         }
 
+        await Promise.allSettled(flushes);
+
+        savageBotGateway.shutdown();
+
         if (this.server) {
             this.server.close();
         }
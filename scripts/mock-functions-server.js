@@ -0,0 +1,104 @@
+/**
+ * 🧪 SAVAGE BOTS SCANNER - Mock Functions Service
+ * Local stand-in for the remote functions service: verifies the scanner's signed requests and signs its
+ * responses exactly like the real service must (utils/functionsSigning), so the http provider can be
+ * exercised offline. Point the scanner at it with FUNCTIONS_URL=http://127.0.0.1:4000 and the same FUNCTIONS_SECRET.
+ *
+ *   FUNCTIONS_SECRET=dev-secret node scripts/mock-functions-server.js [port]
+ */
+
+const http = require('http');
+const { NonceGuard, verifyRequest, signResponse } = require('../utils/functionsSigning');
+const { BOT_CONFIG } = require('../config/constants');
+
+const BOT_SLUGS = Object.values(BOT_CONFIG.FUNCTIONS.BOT_SLUGS);
+
+// Canned answers - enough for menu/ping/echo round trips
+const COMMANDS = {
+    menu: (bot) => `📋 ${bot} (mock)\n\nping, echo, menu`,
+    ping: (bot) => `🏓 Pong from mock ${bot}`,
+    echo: (bot, args) => `🔁 ${[].concat(args || []).join(' ')}`
+};
+
+/**
+ * 🚀 Create (not start) the mock server - options: { secret, log }
+ * server.requests counts verified calls per path for assertions
+ */
+function createMockFunctionsServer(options = {}) {
+    const secret = options.secret || null;
+    const log = options.log || (() => {});
+    const nonces = new NonceGuard();
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            let requestNonce = '';
+
+            const reply = (status, payload) => {
+                const text = JSON.stringify(payload);
+                const headers = { 'Content-Type': 'application/json' };
+                if (secret && requestNonce) Object.assign(headers, signResponse(secret, requestNonce, status, text));
+
+                res.writeHead(status, headers);
+                res.end(text);
+            };
+
+            if (secret) {
+                try {
+                    requestNonce = verifyRequest(secret, nonces, { method: req.method, path: req.url, headers: req.headers, body }).nonce;
+                } catch (error) {
+                    log(`⛔ [MOCK-FUNCTIONS] ${req.method} ${req.url} rejected: ${error.code}`);
+                    reply(401, { success: false, error: error.message, code: error.code });
+                    return;
+                }
+            }
+
+            server.requests[req.url] = (server.requests[req.url] || 0) + 1;
+
+            if (req.method === 'GET' && req.url === '/') {
+                reply(200, { status: 'online', service: 'savage-functions-mock', signed: !!secret });
+                return;
+            }
+
+            const bot = req.url.slice(1);
+            if (req.method !== 'POST' || !BOT_SLUGS.includes(bot)) {
+                reply(404, { success: false, error: 'Not found' });
+                return;
+            }
+
+            let call;
+            try {
+                call = JSON.parse(body);
+            } catch (error) {
+                reply(400, { success: false, error: 'Invalid JSON' });
+                return;
+            }
+
+            const handler = COMMANDS[call.command];
+            log(`🤖 [MOCK-FUNCTIONS] ${bot} ${call.command}`);
+            reply(200, handler
+                ? { success: true, response: handler(bot, call.args) }
+                : { success: false, response: `❌ Unknown command: ${call.command}` });
+        });
+    });
+
+    server.requests = {};
+    return server;
+}
+
+module.exports = { createMockFunctionsServer };
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || 4000;
+    const secret = process.env.FUNCTIONS_SECRET || null;
+
+    if (!secret) {
+        console.warn('⚠️ [MOCK-FUNCTIONS] FUNCTIONS_SECRET not set - accepting unsigned requests');
+    }
+
+    createMockFunctionsServer({ secret, log: console.log }).listen(port, '127.0.0.1', () => {
+        console.log(`🧪 [MOCK-FUNCTIONS] Listening on http://127.0.0.1:${port}`);
+    });
+}
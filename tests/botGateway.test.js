@@ -0,0 +1,169 @@
+/**
+ * 🧪 Bot gateway - connector authentication and the address it is logged under
+ */
+
+jest.mock('../utils/media', () => ({}));
+jest.mock('../utils/groupManager', () => ({}));
+jest.mock('../utils/outboundConsent', () => ({}));
+jest.mock('../utils/broadcastManager', () => ({}));
+jest.mock('../config/database', () => ({
+    getChatSettings: jest.fn().mockResolvedValue({})
+}));
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const savageBotGateway = require('../bots/bot-gateway');
+const { generateBotSessionId } = require('../utils/generators');
+
+const BOT = 'SAVAGE-X';
+
+function savageHash(sessionId, stampedAt) {
+    return crypto.createHash('sha256').update(`SAVAGE:${BOT}:${sessionId}:${stampedAt}:COMBAT`).digest('hex');
+}
+
+function fakeSocket() {
+    // close() is a no-op, so frames queued behind a rejected bot_auth still arrive
+    return { readyState: WebSocket.OPEN, botName: null, send: jest.fn(), close: jest.fn(), on: jest.fn() };
+}
+
+describe('savageBotGateway', () => {
+    let scanner;
+    let sessionId;
+
+    const sentFrames = ws => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+    const authFrame = (overrides = {}) => {
+        const stampedAt = Date.now();
+        return {
+            type: 'bot_auth',
+            botName: BOT,
+            sessionId: sessionId,
+            timestamp: new Date(stampedAt).toISOString(),
+            authHash: savageHash(sessionId, stampedAt),
+            ...overrides
+        };
+    };
+    const deliver = (ws, frame) => savageBotGateway.handleFrame(ws, Buffer.from(JSON.stringify(frame)));
+
+    beforeEach(() => {
+        sessionId = generateBotSessionId(BOT);
+        scanner = {
+            botConnections: new Map([[BOT, { sessionId: sessionId, isAuthenticated: true, phoneNumber: '15550001111' }]]),
+            onConnectorConnected: jest.fn(),
+            onConnectorDisconnected: jest.fn()
+        };
+
+        savageBotGateway.scanner = scanner;
+        savageBotGateway.wss = { clients: { size: 1 } };
+        savageBotGateway.clients.clear();
+        savageBotGateway.usedAuthHashes.clear();
+    });
+
+    afterEach(() => {
+        savageBotGateway.wss = null;
+        jest.clearAllMocks();
+    });
+
+    describe('bot_auth', () => {
+        test('accepts a hash over the exact millisecond it was stamped with', async () => {
+            const ws = fakeSocket();
+
+            await deliver(ws, authFrame());
+
+            expect(ws.botName).toBe(BOT);
+            expect(sentFrames(ws)[0]).toMatchObject({ type: 'auth_result', success: true, botName: BOT });
+            expect(scanner.onConnectorConnected).toHaveBeenCalledWith(BOT);
+        });
+
+        test.each([-1, 1])('rejects a hash computed %i ms away from the stamp', async offset => {
+            const ws = fakeSocket();
+            const frame = authFrame();
+            frame.authHash = savageHash(sessionId, Date.parse(frame.timestamp) + offset);
+
+            await deliver(ws, frame);
+
+            expect(ws.botName).toBeNull();
+            expect(sentFrames(ws)[0]).toMatchObject({ type: 'auth_result', success: false, error: 'Invalid or expired auth hash' });
+            expect(ws.close).toHaveBeenCalledWith(4003, expect.any(String));
+        });
+
+        test('rejects stale stamps', async () => {
+            const ws = fakeSocket();
+            const stampedAt = Date.now() - 10 * 60 * 1000;
+
+            await deliver(ws, authFrame({ timestamp: new Date(stampedAt).toISOString(), authHash: savageHash(sessionId, stampedAt) }));
+
+            expect(ws.botName).toBeNull();
+        });
+
+        test('a captured auth frame cannot be replayed on another socket', async () => {
+            const frame = authFrame();
+            const first = fakeSocket();
+            const replay = fakeSocket();
+
+            await deliver(first, frame);
+            await deliver(replay, frame);
+
+            expect(first.botName).toBe(BOT);
+            expect(replay.botName).toBeNull();
+            expect(sentFrames(replay)[0]).toMatchObject({ success: false, error: 'Invalid or expired auth hash' });
+        });
+
+        test('gets one attempt per socket', async () => {
+            const ws = fakeSocket();
+            const { authSuccess } = savageBotGateway.stats;
+
+            await deliver(ws, authFrame({ authHash: 'f'.repeat(64) }));
+            await deliver(ws, authFrame());
+
+            expect(ws.botName).toBeNull();
+            expect(sentFrames(ws)).toHaveLength(1);
+            expect(savageBotGateway.stats.authSuccess).toBe(authSuccess);
+        });
+
+        test('a valid hash over another session ID is refused', async () => {
+            const ws = fakeSocket();
+            const otherSession = generateBotSessionId(BOT);
+            const stampedAt = Date.now();
+
+            await deliver(ws, authFrame({ sessionId: otherSession, authHash: savageHash(otherSession, stampedAt), timestamp: new Date(stampedAt).toISOString() }));
+
+            expect(ws.botName).toBeNull();
+            expect(sentFrames(ws)[0].error).toMatch(/does not match the active SAVAGE-X session/);
+        });
+
+        test('ignores other frames until the connector has authenticated', async () => {
+            const ws = fakeSocket();
+
+            await deliver(ws, { type: 'send_message', chatId: '111@s.whatsapp.net', text: 'hi' });
+
+            expect(ws.send).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('connector address', () => {
+        const RENDER = process.env.RENDER;
+        const connect = headers => {
+            const ws = fakeSocket();
+            savageBotGateway.handleConnection(ws, { headers: headers, socket: { remoteAddress: '10.1.1.1' } });
+            clearTimeout(ws.authTimer);
+            return ws.clientIP;
+        };
+
+        afterEach(() => {
+            if (RENDER === undefined) delete process.env.RENDER;
+            else process.env.RENDER = RENDER;
+        });
+
+        test('behind the platform proxy only the hop it appended is trusted', () => {
+            process.env.RENDER = 'true';
+
+            expect(connect({ 'x-forwarded-for': '6.6.6.6, 203.0.113.9' })).toBe('203.0.113.9');
+        });
+
+        test('locally X-Forwarded-For is ignored', () => {
+            delete process.env.RENDER;
+
+            expect(connect({ 'x-forwarded-for': '6.6.6.6' })).toBe('10.1.1.1');
+        });
+    });
+});
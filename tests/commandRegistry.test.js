@@ -0,0 +1,110 @@
+/**
+ * 🧪 Command registry - role resolution, DM/group scope and cooldowns
+ */
+
+const SavageCommandRegistry = require('../bots/commands/registry');
+
+const OWNER = '100@s.whatsapp.net';
+const ADMIN = '200@s.whatsapp.net';
+const STRANGER = '300@s.whatsapp.net';
+const GROUP = '123-456@g.us';
+
+describe('SavageCommandRegistry', () => {
+    let registry;
+    let replies;
+    let ran;
+
+    const run = (body, { from, sender = from }) => {
+        const message = { from, sender, body, isGroup: from.endsWith('@g.us') };
+        const invocation = registry.parse(body, message);
+        return invocation ? registry.execute(invocation, message) : false;
+    };
+
+    beforeEach(() => {
+        replies = [];
+        ran = [];
+
+        registry = new SavageCommandRegistry({
+            botName: 'TEST-BOT',
+            prefix: '!',
+            owners: [OWNER],
+            reply: (chatId, text) => replies.push(text),
+            fetchGroup: jest.fn(async () => ({ admins: [ADMIN] }))
+        });
+
+        registry.registerAll([
+            { name: 'assault', description: 'Admin toggle', role: 'admin', handler: () => ran.push('assault') },
+            { name: 'decree', description: 'Owner only', role: 'owner', handler: () => ran.push('decree') },
+            { name: 'subscribe', description: 'Opt in', scope: 'dm', handler: () => ran.push('subscribe') },
+            { name: 'burst', description: 'Cooled down', cooldown: 10000, handler: () => ran.push('burst') }
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('private chats', () => {
+        test('a stranger is not an admin in a DM', async () => {
+            expect(await run('!assault', { from: STRANGER })).toBe(false);
+
+            expect(ran).toEqual([]);
+            expect(replies.pop()).toMatch(/needs the admin role/);
+            expect(registry.fetchGroup).not.toHaveBeenCalled();
+        });
+
+        test('configured owners keep every role in a DM', async () => {
+            expect(await run('!assault', { from: OWNER })).toBe(true);
+            expect(await run('!decree', { from: OWNER })).toBe(true);
+
+            expect(ran).toEqual(['assault', 'decree']);
+        });
+
+        test('everyone can run DM-scoped commands in a DM, but not in a group', async () => {
+            expect(await run('!subscribe', { from: STRANGER })).toBe(true);
+            expect(await run('!subscribe', { from: GROUP, sender: STRANGER })).toBe(false);
+
+            expect(ran).toEqual(['subscribe']);
+            expect(replies.pop()).toMatch(/only works in private chat/);
+        });
+    });
+
+    describe('groups', () => {
+        test('group admins hold the admin role, other members do not', async () => {
+            expect(await run('!assault', { from: GROUP, sender: ADMIN })).toBe(true);
+            expect(await run('!assault', { from: GROUP, sender: STRANGER })).toBe(false);
+
+            expect(ran).toEqual(['assault']);
+            expect(registry.fetchGroup).toHaveBeenCalledWith(GROUP);
+        });
+
+        test('a group admin is still not an owner', async () => {
+            expect(await run('!decree', { from: GROUP, sender: ADMIN })).toBe(false);
+            expect(replies.pop()).toMatch(/needs the owner role/);
+        });
+
+        test('admin checks fail closed when group metadata cannot be read', async () => {
+            registry.fetchGroup.mockRejectedValueOnce(new Error('not in group'));
+
+            expect(await run('!assault', { from: GROUP, sender: ADMIN })).toBe(false);
+            expect(ran).toEqual([]);
+        });
+    });
+
+    test('cooldowns apply per sender and skip owners', async () => {
+        expect(await run('!burst', { from: STRANGER })).toBe(true);
+        expect(await run('!burst', { from: STRANGER })).toBe(false);
+        expect(replies.pop()).toMatch(/cooling down/);
+
+        expect(await run('!burst', { from: ADMIN })).toBe(true);
+        expect(await run('!burst', { from: OWNER })).toBe(true);
+        expect(await run('!burst', { from: OWNER })).toBe(true);
+    });
+
+    test('scanner-issued commands are trusted past role checks', async () => {
+        const message = { from: STRANGER, body: '!decree' };
+
+        expect(await registry.execute(registry.parse(message.body, message), message, { trusted: true })).toBe(true);
+        expect(ran).toEqual(['decree']);
+    });
+});
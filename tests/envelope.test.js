@@ -0,0 +1,174 @@
+/**
+ * 🧪 Encryption envelope - sealing, tamper detection, legacy formats and upgrades onto the current key
+ */
+
+const crypto = require('crypto');
+
+const K1 = '11'.repeat(32);
+const K2 = '22'.repeat(32);
+
+describe('savageEnvelope', () => {
+    let savageKeyring;
+    let savageEnvelope;
+
+    // Fresh keyring on k1 for every test - rotations below must not leak
+    beforeEach(() => {
+        process.env.SESSION_ENCRYPTION_KEY = K1;
+        process.env.SESSION_ENCRYPTION_KEY_ID = 'k1';
+        delete process.env.SESSION_ENCRYPTION_OLD_KEYS;
+
+        jest.isolateModules(() => {
+            savageKeyring = require('../utils/keyring');
+            savageEnvelope = require('../utils/envelope');
+        });
+    });
+
+    const rotateTo = (id, hex) => savageKeyring.add(id, hex, 'test', true);
+
+    test('seals into a self-describing envelope and opens it again', () => {
+        const sealed = savageEnvelope.seal({ creds: { me: 'x' } }, { purpose: 'session', aad: 'ctx' });
+
+        expect(sealed).toMatchObject({ format: 'savage-envelope', version: 2, keyId: 'k1', purpose: 'session', aad: 'ctx' });
+        expect(savageEnvelope.open(sealed, { purpose: 'session', aad: 'ctx' })).toEqual({ creds: { me: 'x' } });
+        expect(savageEnvelope.open(JSON.stringify(sealed))).toEqual({ creds: { me: 'x' } });
+    });
+
+    describe('tampering', () => {
+        let sealed;
+
+        beforeEach(() => {
+            sealed = savageEnvelope.seal({ secret: 42 }, { purpose: 'session', aad: 'bot-a' });
+        });
+
+        test('a changed ciphertext fails authentication', () => {
+            const data = Buffer.from(sealed.data, 'base64');
+            data[0] ^= 1;
+
+            expect(() => savageEnvelope.open({ ...sealed, data: data.toString('base64') }))
+                .toThrow(expect.objectContaining({ code: 'DECRYPT_FAILED' }));
+        });
+
+        test.each([
+            ['purpose', { purpose: 'auth-key' }],
+            ['aad', { aad: 'bot-b' }],
+            ['keyId', { keyId: 'k2' }]
+        ])('a rewritten %s header fails authentication', (field, change) => {
+            rotateTo('k2', K2); // So a rewritten keyId names a key that exists
+
+            expect(() => savageEnvelope.open({ ...sealed, ...change }))
+                .toThrow(expect.objectContaining({ code: 'DECRYPT_FAILED' }));
+        });
+
+        test('an envelope sealed for another purpose or context is refused before decrypting', () => {
+            expect(() => savageEnvelope.open(sealed, { purpose: 'auth-key' }))
+                .toThrow(expect.objectContaining({ code: 'ENVELOPE_MISMATCH' }));
+            expect(() => savageEnvelope.open(sealed, { aad: 'bot-b' }))
+                .toThrow(expect.objectContaining({ code: 'ENVELOPE_MISMATCH' }));
+        });
+
+        test('unknown versions and non-envelopes are refused', () => {
+            expect(() => savageEnvelope.open({ ...sealed, version: 3 }))
+                .toThrow(expect.objectContaining({ code: 'UNSUPPORTED_ENVELOPE' }));
+            expect(() => savageEnvelope.open({ hello: 'world' }))
+                .toThrow(expect.objectContaining({ code: 'INVALID_ENVELOPE' }));
+            expect(() => savageEnvelope.open('{not json'))
+                .toThrow(expect.objectContaining({ code: 'INVALID_ENVELOPE' }));
+        });
+    });
+
+    describe('key rotation', () => {
+        test('blobs on a retired key still open and upgrade onto the current key', () => {
+            const old = savageEnvelope.seal({ n: 1 }, { purpose: 'auth-key', aad: 'savage-x:session:abc' });
+            rotateTo('k2', K2);
+
+            expect(savageEnvelope.needsUpgrade(old)).toBe(true);
+            const { value, upgraded } = savageEnvelope.openAndUpgrade(old, { purpose: 'auth-key' });
+
+            expect(value).toEqual({ n: 1 });
+            expect(upgraded).toMatchObject({ keyId: 'k2', purpose: 'auth-key', aad: 'savage-x:session:abc' });
+            expect(savageEnvelope.open(upgraded, { purpose: 'auth-key', aad: 'savage-x:session:abc' })).toEqual({ n: 1 });
+        });
+
+        test('blobs already on the current key are left alone', () => {
+            const sealed = savageEnvelope.seal({ n: 1 });
+
+            expect(savageEnvelope.needsUpgrade(sealed)).toBe(false);
+            expect(savageEnvelope.upgrade(sealed)).toBeNull();
+        });
+
+        test('a blob whose key was dropped from the keyring cannot be opened', () => {
+            const sealed = savageEnvelope.seal({ n: 1 });
+            savageKeyring.keys.delete('k1');
+            rotateTo('k2', K2);
+
+            expect(() => savageEnvelope.open(sealed)).toThrow(expect.objectContaining({ code: 'KEY_NOT_FOUND' }));
+        });
+    });
+
+    describe('legacy formats', () => {
+        // What the session manager wrote before the envelope: raw key, fixed AAD, hex fields, optional keyId
+        function legacySession(value, hex, keyId) {
+            const iv = crypto.randomBytes(16);
+            const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(hex, 'hex'), iv);
+            cipher.setAAD(Buffer.from('SAVAGE-BOTS-SESSION'));
+            const data = cipher.update(JSON.stringify(value), 'utf8', 'hex') + cipher.final('hex');
+
+            return { algorithm: 'aes-256-gcm', iv: iv.toString('hex'), data, authTag: cipher.getAuthTag().toString('hex'), ...(keyId ? { keyId } : {}) };
+        }
+
+        // What utils/encryption wrote: PBKDF2 key per salt, caller AAD and a detached integrity hash
+        function legacyEncryption(value, hex, additionalData) {
+            const iv = crypto.randomBytes(16);
+            const salt = crypto.randomBytes(16);
+            const key = crypto.pbkdf2Sync(Buffer.from(hex, 'hex'), salt, 100000, 32, 'sha256');
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            cipher.setAAD(Buffer.from(additionalData));
+            const data = cipher.update(JSON.stringify(value), 'utf8', 'hex') + cipher.final('hex');
+
+            const blob = {
+                version: '1.0',
+                algorithm: 'aes-256-gcm',
+                iv: iv.toString('hex'),
+                salt: salt.toString('hex'),
+                data,
+                authTag: cipher.getAuthTag().toString('hex'),
+                timestamp: Date.now(),
+                purpose: 'export',
+                additionalData
+            };
+            blob.integrityHash = crypto.createHash('sha256')
+                .update([blob.version, blob.algorithm, blob.iv, blob.salt, blob.data, blob.authTag, blob.timestamp].join('|'))
+                .digest('hex');
+            return blob;
+        }
+
+        test('pre-envelope session blobs open under any key and upgrade to the session purpose', () => {
+            const blob = legacySession({ creds: 'old' }, K1);
+            rotateTo('k2', K2);
+
+            expect(savageEnvelope.open(blob)).toEqual({ creds: 'old' });
+            expect(savageEnvelope.upgrade(blob)).toMatchObject({ format: 'savage-envelope', keyId: 'k2', purpose: 'session', aad: 'SAVAGE-BOTS-SESSION' });
+        });
+
+        test('pre-envelope session blobs are tried against every key', () => {
+            rotateTo('k2', K2);
+            const blob = legacySession({ creds: 'retired' }, K1);
+
+            expect(savageEnvelope.open(blob)).toEqual({ creds: 'retired' });
+        });
+
+        test('utils/encryption blobs open, keep their context and upgrade', () => {
+            const blob = legacyEncryption({ file: 'export' }, K1, 'export-ctx');
+
+            expect(savageEnvelope.open(blob)).toEqual({ file: 'export' });
+            expect(savageEnvelope.upgrade(blob)).toMatchObject({ keyId: 'k1', purpose: 'export', aad: 'export-ctx' });
+        });
+
+        test('utils/encryption blobs with a broken integrity hash are refused', () => {
+            const blob = legacyEncryption({ file: 'export' }, K1, 'export-ctx');
+
+            expect(() => savageEnvelope.open({ ...blob, timestamp: blob.timestamp + 1 }))
+                .toThrow(expect.objectContaining({ code: 'DECRYPT_FAILED' }));
+        });
+    });
+});
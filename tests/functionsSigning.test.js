@@ -0,0 +1,210 @@
+/**
+ * 🧪 Functions request signing - scanner-side signing against the mock functions service
+ */
+
+const http = require('http');
+const { createMockFunctionsServer } = require('../scripts/mock-functions-server');
+const { NonceGuard, signRequest, verifyResponse, signResponse } = require('../utils/functionsSigning');
+const { BOT_CONFIG } = require('../config/constants');
+
+const { SIGNING } = BOT_CONFIG.FUNCTIONS;
+const SECRET = 'test-functions-secret';
+
+describe('functions request signing', () => {
+    let server;
+    let port;
+
+    // Raw round trip - the body sent is exactly the string given, so it can differ from what was signed
+    const send = (method, path, body, headers = {}) => new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            method,
+            path,
+            headers: { 'Content-Type': 'application/json', ...headers }
+        }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+
+    const signedPost = (path, body, secret = SECRET) => {
+        const signed = signRequest(secret, 'POST', path, body);
+        return { signed, response: send('POST', path, body, signed.headers) };
+    };
+
+    beforeAll(done => {
+        server = createMockFunctionsServer({ secret: SECRET });
+        server.listen(0, '127.0.0.1', () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        server.requests = {};
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('accepts a signed request and signs the response for that request', async () => {
+        const body = JSON.stringify({ command: 'ping' });
+        const { signed, response } = signedPost('/savage-x', body);
+        const res = await response;
+
+        expect(res.status).toBe(200);
+        expect(JSON.parse(res.body).response).toContain('Pong');
+        expect(server.requests['/savage-x']).toBe(1);
+
+        expect(() => verifyResponse(SECRET, new NonceGuard(), signed.nonce, res)).not.toThrow();
+    });
+
+    test('rejects a body changed after signing', async () => {
+        const signed = signRequest(SECRET, 'POST', '/savage-x', JSON.stringify({ command: 'ping' }));
+        const res = await send('POST', '/savage-x', JSON.stringify({ command: 'echo', args: ['tampered'] }), signed.headers);
+
+        expect(res.status).toBe(401);
+        expect(JSON.parse(res.body).code).toBe('SIGNATURE_INVALID');
+        expect(server.requests['/savage-x']).toBeUndefined();
+    });
+
+    test('rejects a request signed for another path', async () => {
+        const body = JSON.stringify({ command: 'ping' });
+        const signed = signRequest(SECRET, 'POST', '/de-unknown', body);
+        const res = await send('POST', '/savage-x', body, signed.headers);
+
+        expect(res.status).toBe(401);
+        expect(JSON.parse(res.body).code).toBe('SIGNATURE_INVALID');
+    });
+
+    test('rejects a request signed with another secret', async () => {
+        const res = await signedPost('/savage-x', JSON.stringify({ command: 'ping' }), 'wrong-secret').response;
+
+        expect(res.status).toBe(401);
+        expect(JSON.parse(res.body).code).toBe('SIGNATURE_INVALID');
+    });
+
+    test('rejects a request without signature headers', async () => {
+        const res = await send('POST', '/savage-x', JSON.stringify({ command: 'ping' }));
+
+        expect(res.status).toBe(401);
+        expect(JSON.parse(res.body).code).toBe('SIGNATURE_MISSING');
+    });
+
+    test.each([
+        ['behind', -1],
+        ['ahead', 1]
+    ])('rejects a timestamp more than MAX_SKEW %s', async (label, direction) => {
+        const body = JSON.stringify({ command: 'ping' });
+        const skewed = Date.now() + direction * (SIGNING.MAX_SKEW + 1000);
+
+        jest.spyOn(Date, 'now').mockReturnValue(skewed);
+        const signed = signRequest(SECRET, 'POST', '/savage-x', body);
+        jest.restoreAllMocks();
+
+        const res = await send('POST', '/savage-x', body, signed.headers);
+        expect(res.status).toBe(401);
+        expect(JSON.parse(res.body).code).toBe('SIGNATURE_EXPIRED');
+    });
+
+    test('accepts clock skew inside MAX_SKEW', async () => {
+        const body = JSON.stringify({ command: 'ping' });
+
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() - SIGNING.MAX_SKEW / 2);
+        const signed = signRequest(SECRET, 'POST', '/savage-x', body);
+        jest.restoreAllMocks();
+
+        const res = await send('POST', '/savage-x', body, signed.headers);
+        expect(res.status).toBe(200);
+    });
+
+    test('rejects a replayed nonce', async () => {
+        const body = JSON.stringify({ command: 'ping' });
+        const { signed, response } = signedPost('/savage-x', body);
+
+        expect((await response).status).toBe(200);
+
+        const replay = await send('POST', '/savage-x', body, signed.headers);
+        expect(replay.status).toBe(401);
+        expect(JSON.parse(replay.body).code).toBe('SIGNATURE_REPLAYED');
+        expect(server.requests['/savage-x']).toBe(1);
+    });
+
+    describe('response verification (scanner side)', () => {
+        const body = JSON.stringify({ success: true, response: 'ok' });
+
+        test('rejects a tampered response body', () => {
+            const headers = signResponse(SECRET, 'request-nonce', 200, body);
+
+            expect(() => verifyResponse(SECRET, new NonceGuard(), 'request-nonce', { status: 200, headers, body: body.replace('ok', 'pwned') }))
+                .toThrow(expect.objectContaining({ code: 'SIGNATURE_INVALID' }));
+        });
+
+        test('rejects a response that answers another request', () => {
+            const headers = signResponse(SECRET, 'other-request', 200, body);
+
+            expect(() => verifyResponse(SECRET, new NonceGuard(), 'request-nonce', { status: 200, headers, body }))
+                .toThrow(expect.objectContaining({ code: 'SIGNATURE_INVALID' }));
+        });
+
+        test('rejects a replayed response', () => {
+            const guard = new NonceGuard();
+            const headers = signResponse(SECRET, 'request-nonce', 200, body);
+
+            verifyResponse(SECRET, guard, 'request-nonce', { status: 200, headers, body });
+            expect(() => verifyResponse(SECRET, guard, 'request-nonce', { status: 200, headers, body }))
+                .toThrow(expect.objectContaining({ code: 'SIGNATURE_REPLAYED' }));
+        });
+    });
+});
+
+describe('http functions provider startup', () => {
+    // Fresh constants and provider chain against the given environment
+    function loadFunctions(env) {
+        const saved = { ...process.env };
+        let functions;
+
+        delete process.env.FUNCTIONS_SECRET;
+        delete process.env.FUNCTIONS_PROVIDERS;
+        Object.assign(process.env, env);
+
+        try {
+            jest.isolateModules(() => {
+                functions = require('../utils/functionsProvider');
+            });
+            return functions;
+        } finally {
+            process.env = saved;
+        }
+    }
+
+    test('refuses to start unsigned in production', () => {
+        expect(() => loadFunctions({ NODE_ENV: 'production' }))
+            .toThrow(expect.objectContaining({ code: 'MISSING_SECRET' }));
+    });
+
+    test('signs in production once the secret is set', () => {
+        const functions = loadFunctions({ NODE_ENV: 'production', FUNCTIONS_SECRET: SECRET });
+
+        expect(functions.providers[0]).toMatchObject({ name: 'http', secret: SECRET });
+    });
+
+    test('allows unsigned requests outside production', () => {
+        const functions = loadFunctions({ NODE_ENV: 'development' });
+
+        expect(functions.providers[0]).toMatchObject({ name: 'http', secret: null });
+    });
+
+    test('production without the http provider needs no secret', () => {
+        expect(() => loadFunctions({ NODE_ENV: 'production', FUNCTIONS_PROVIDERS: 'local' })).not.toThrow();
+    });
+});
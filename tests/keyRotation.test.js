@@ -0,0 +1,173 @@
+/**
+ * 🧪 Key rotation and upgrade-on-read - re-sealing under the current key without overwriting live saves
+ * MongoDB is never connected here: its calls are stubbed, disk backups and the auth key buffer use a temp folder
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const K1 = '11'.repeat(32);
+const K2 = '22'.repeat(32);
+
+process.env.SESSION_ENCRYPTION_KEY = K1;
+process.env.SESSION_ENCRYPTION_KEY_ID = 'k1';
+
+const savageDatabase = require('../config/database');
+const savageSessionManager = require('../auth/sessionManager');
+const savageKeyRotation = require('../utils/keyRotation');
+const savageKeyring = require('../utils/keyring');
+const savageEnvelope = require('../utils/envelope');
+
+describe('key rotation', () => {
+    let tempDir;
+
+    const sealOld = value => JSON.stringify(savageSessionManager.encryptSessionData(value));
+    const keyIdOf = blob => JSON.parse(blob).keyId;
+    const writeBackup = (directory, sessionId, encryptedData) => {
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(path.join(directory, `${sessionId}.json`), JSON.stringify({ sessionId, encryptedData, metadata: {} }));
+    };
+    const readBackup = (directory, sessionId) => JSON.parse(fs.readFileSync(path.join(directory, `${sessionId}.json`), 'utf8'));
+
+    const rotate = async () => {
+        savageKeyRotation.start({ user: 'tester', ip: '127.0.0.1' });
+        await savageKeyRotation.running;
+        return savageKeyRotation.getStatus();
+    };
+
+    beforeAll(async () => {
+        await savageSessionManager.initializeBackupDirectory(); // Settle its own folder before pointing it elsewhere
+    });
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'savage-rotation-'));
+        savageDatabase.backupDir = path.join(tempDir, 'db');
+        savageDatabase.authKeysDir = path.join(tempDir, 'db', 'auth-keys');
+        savageSessionManager.backupDir = path.join(tempDir, 'sessions');
+
+        savageKeyring.keys.delete('k2');
+        savageKeyring.currentId = 'k1';
+
+        jest.spyOn(savageDatabase, 'getAllSessions').mockResolvedValue([]);
+        jest.spyOn(savageDatabase, 'updateSessionEncryption').mockResolvedValue(false);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('re-seals MongoDB sessions, disk backups and buffered signal keys under the new key', async () => {
+        const sessionBlob = sealOld({ creds: 'mongo' });
+        const backupBlob = sealOld({ creds: 'disk' });
+
+        savageDatabase.getAllSessions.mockResolvedValue([{ sessionId: 'S1', encryptedData: sessionBlob }]);
+        savageDatabase.updateSessionEncryption.mockResolvedValue(true);
+        writeBackup(savageDatabase.backupDir, 'S2', backupBlob);
+        await savageSessionManager.saveAuthKeys('savage-x', [{ type: 'session', id: 'abc', value: { record: 1 } }]);
+
+        savageKeyring.add('k2', K2, 'test', true);
+        const status = await rotate();
+
+        expect(status).toMatchObject({ status: 'completed', keyId: 'k2', total: 3, reencrypted: 3, failed: 0 });
+
+        const [sessionId, written, previous] = savageDatabase.updateSessionEncryption.mock.calls[0];
+        expect(sessionId).toBe('S1');
+        expect(previous).toBe(sessionBlob);
+        expect(keyIdOf(written)).toBe('k2');
+        expect(savageSessionManager.decryptSessionData(JSON.parse(written))).toEqual({ creds: 'mongo' });
+
+        const backup = readBackup(savageDatabase.backupDir, 'S2');
+        expect(keyIdOf(backup.encryptedData)).toBe('k2');
+        expect(savageSessionManager.decryptSessionData(JSON.parse(backup.encryptedData))).toEqual({ creds: 'disk' });
+
+        expect(await savageSessionManager.loadAuthKeys('savage-x')).toEqual({ session: { abc: { record: 1 } } });
+        const [buffered] = await savageDatabase.getAuthKeys('savage-x');
+        expect(keyIdOf(buffered.encryptedData)).toBe('k2');
+    });
+
+    test('records already on the current key are skipped', async () => {
+        savageKeyring.add('k2', K2, 'test', true);
+        savageDatabase.getAllSessions.mockResolvedValue([{ sessionId: 'S1', encryptedData: sealOld({ creds: 'new' }) }]);
+
+        expect(await rotate()).toMatchObject({ status: 'completed', total: 1, skipped: 1, reencrypted: 0 });
+        expect(savageDatabase.updateSessionEncryption).not.toHaveBeenCalled();
+    });
+
+    test('a session saved again mid-run is counted as changed, not overwritten', async () => {
+        savageDatabase.getAllSessions.mockResolvedValue([{ sessionId: 'S1', encryptedData: sealOld({ creds: 'read' }) }]);
+        savageDatabase.updateSessionEncryption.mockResolvedValue(false); // The compare-and-swap lost to a live save
+
+        savageKeyring.add('k2', K2, 'test', true);
+        expect(await rotate()).toMatchObject({ status: 'completed', reencrypted: 0, changed: 1, failed: 0 });
+    });
+
+    test('a disk backup rewritten since it was read is left as it is', async () => {
+        const read = sealOld({ creds: 'read' });
+        const live = sealOld({ creds: 'live save' });
+        writeBackup(savageDatabase.backupDir, 'S1', live);
+
+        expect(await savageDatabase.updateBackupEncryption(path.join(savageDatabase.backupDir, 'S1.json'), sealOld({ creds: 'rotated' }), read)).toBe(false);
+        expect(readBackup(savageDatabase.backupDir, 'S1').encryptedData).toBe(live);
+    });
+
+    test('unreadable records fail the run without stopping it', async () => {
+        savageDatabase.getAllSessions.mockResolvedValue([
+            { sessionId: 'BROKEN', encryptedData: '{"format":"savage-envelope","version":2}' },
+            { sessionId: 'S1', encryptedData: sealOld({ creds: 'ok' }) }
+        ]);
+        savageDatabase.updateSessionEncryption.mockResolvedValue(true);
+
+        savageKeyring.add('k2', K2, 'test', true);
+        const status = await rotate();
+
+        expect(status).toMatchObject({ status: 'completed_with_errors', failed: 1, reencrypted: 1 });
+        expect(status.errors).toEqual([expect.objectContaining({ source: 'mongo', id: 'BROKEN' })]);
+    });
+
+    test('refuses a second run while one is in progress', async () => {
+        savageKeyring.add('k2', K2, 'test', true);
+        savageKeyRotation.start({ user: 'tester' });
+
+        expect(() => savageKeyRotation.start({ user: 'tester' })).toThrow(expect.objectContaining({ code: 'ROTATION_IN_PROGRESS' }));
+        await savageKeyRotation.running;
+    });
+
+    test('refuses to rotate onto a temporary key', () => {
+        savageKeyring.temporary = true;
+        try {
+            expect(() => savageKeyRotation.start({ user: 'tester' })).toThrow(expect.objectContaining({ code: 'TEMPORARY_KEY' }));
+        } finally {
+            savageKeyring.temporary = false;
+        }
+    });
+
+    describe('upgrade on read', () => {
+        test('writes the upgraded blob back to MongoDB and the backups that still hold the old one', async () => {
+            const old = sealOld({ creds: 'stored' });
+            writeBackup(savageDatabase.backupDir, 'S1', old);
+            writeBackup(savageSessionManager.backupDir, 'S1', sealOld({ creds: 'saved since' }));
+            savageDatabase.updateSessionEncryption.mockResolvedValue(true);
+
+            savageKeyring.add('k2', K2, 'test', true);
+            const doc = { sessionId: 'S1', encryptedData: old };
+
+            expect(await savageSessionManager.openStoredSession(doc)).toEqual({ creds: 'stored' });
+            expect(keyIdOf(doc.encryptedData)).toBe('k2');
+            expect(savageDatabase.updateSessionEncryption).toHaveBeenCalledWith('S1', doc.encryptedData, old);
+
+            expect(readBackup(savageDatabase.backupDir, 'S1').encryptedData).toBe(doc.encryptedData);
+            expect(savageEnvelope.open(readBackup(savageSessionManager.backupDir, 'S1').encryptedData)).toEqual({ creds: 'saved since' });
+        });
+
+        test('keeps the document as read when a live save won the race', async () => {
+            const old = sealOld({ creds: 'stored' });
+            savageKeyring.add('k2', K2, 'test', true);
+            const doc = { sessionId: 'S1', encryptedData: old };
+
+            expect(await savageSessionManager.openStoredSession(doc)).toEqual({ creds: 'stored' });
+            expect(doc.encryptedData).toBe(old);
+        });
+    });
+});
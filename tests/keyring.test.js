@@ -0,0 +1,90 @@
+/**
+ * 🧪 Keyring - loading keys from the environment
+ */
+
+const K1 = '11'.repeat(32);
+const K2 = '22'.repeat(32);
+
+// Fresh keyring singleton against the given environment
+function loadKeyring(env) {
+    const saved = { ...process.env };
+    let keyring;
+
+    delete process.env.SESSION_ENCRYPTION_KEY;
+    delete process.env.SESSION_ENCRYPTION_KEY_ID;
+    delete process.env.SESSION_ENCRYPTION_OLD_KEYS;
+    Object.assign(process.env, env);
+
+    try {
+        jest.isolateModules(() => {
+            keyring = require('../utils/keyring');
+        });
+        return keyring;
+    } finally {
+        process.env = saved;
+    }
+}
+
+describe('savageKeyring', () => {
+    test('loads the current key and retired keys from the environment', () => {
+        const keyring = loadKeyring({
+            SESSION_ENCRYPTION_KEY: K2,
+            SESSION_ENCRYPTION_KEY_ID: 'k2',
+            SESSION_ENCRYPTION_OLD_KEYS: `k1:${K1}`
+        });
+
+        expect(keyring.temporary).toBe(false);
+        expect(keyring.current().id).toBe('k2');
+        expect(keyring.get('k1').key.equals(Buffer.from(K1, 'hex'))).toBe(true);
+        expect(keyring.list()).toEqual([
+            expect.objectContaining({ id: 'k1', current: false }),
+            expect.objectContaining({ id: 'k2', current: true })
+        ]);
+        expect(JSON.stringify(keyring.list())).not.toContain(K1);
+    });
+
+    test('defaults the current key id to k1', () => {
+        expect(loadKeyring({ SESSION_ENCRYPTION_KEY: K1 }).currentId).toBe('k1');
+    });
+
+    test('refuses a malformed current key instead of falling back', () => {
+        expect(() => loadKeyring({ SESSION_ENCRYPTION_KEY: 'not-hex' }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_KEY' }));
+        expect(() => loadKeyring({ SESSION_ENCRYPTION_KEY: K1.slice(2) }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_KEY' }));
+    });
+
+    test('refuses a malformed retired key', () => {
+        expect(() => loadKeyring({ SESSION_ENCRYPTION_KEY: K2, SESSION_ENCRYPTION_KEY_ID: 'k2', SESSION_ENCRYPTION_OLD_KEYS: 'k1:zz' }))
+            .toThrow(/SESSION_ENCRYPTION_OLD_KEYS entry 'k1'/);
+    });
+
+    test('refuses one key id for two different keys', () => {
+        expect(() => loadKeyring({ SESSION_ENCRYPTION_KEY: K2, SESSION_ENCRYPTION_OLD_KEYS: `k1:${K1}` }))
+            .toThrow(expect.objectContaining({ code: 'KEY_ID_EXISTS' }));
+    });
+
+    test('requires a key in production', () => {
+        expect(() => loadKeyring({ NODE_ENV: 'production' }))
+            .toThrow(expect.objectContaining({ code: 'MISSING_KEY' }));
+    });
+
+    test('uses a temporary key only when none is set outside production', () => {
+        const keyring = loadKeyring({ NODE_ENV: 'test' });
+
+        expect(keyring.temporary).toBe(true);
+        expect(keyring.current().source).toBe('temporary');
+
+        keyring.add('k9', K2, 'runtime', true);
+        expect(keyring.temporary).toBe(false);
+        expect(keyring.currentId).toBe('k9');
+    });
+
+    test('candidates() names the key for versioned blobs and tries every key, current first, otherwise', () => {
+        const keyring = loadKeyring({ SESSION_ENCRYPTION_KEY: K2, SESSION_ENCRYPTION_KEY_ID: 'k2', SESSION_ENCRYPTION_OLD_KEYS: `k1:${K1}` });
+
+        expect(keyring.candidates('k1').map(entry => entry.id)).toEqual(['k1']);
+        expect(keyring.candidates().map(entry => entry.id)).toEqual(['k2', 'k1']);
+        expect(() => keyring.candidates('k7')).toThrow(expect.objectContaining({ code: 'KEY_NOT_FOUND' }));
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * 🧪 Outbound consent - STOP opt-outs, the relay allowlist and per-user relay quota
+ */
+
+jest.mock('../config/database', () => ({
+    getConsentRecords: jest.fn().mockResolvedValue([]),
+    saveConsent: jest.fn().mockResolvedValue(true),
+    countRelayedJobs: jest.fn().mockResolvedValue(0)
+}));
+jest.mock('../auth/passwordAuth', () => ({
+    logSecurityEvent: jest.fn()
+}));
+jest.mock('../utils/groupManager', () => ({
+    getMetadata: jest.fn()
+}));
+
+const savageDatabase = require('../config/database');
+const savagePasswordAuth = require('../auth/passwordAuth');
+const savageGroupManager = require('../utils/groupManager');
+const savageOutboundConsent = require('../utils/outboundConsent');
+const { WHATSAPP_CONFIG } = require('../config/constants');
+
+const { CONSENT } = WHATSAPP_CONFIG;
+const BOT = 'savage-x';
+const USER = '111@s.whatsapp.net';
+const OTHER = '222@s.whatsapp.net';
+const GROUP = '123-456@g.us';
+const OWNER = { user: 'owner', ip: '127.0.0.1', source: 'api' };
+
+describe('savageOutboundConsent', () => {
+    let scanner;
+
+    beforeEach(() => {
+        scanner = {
+            toJid: jest.fn(chatId => (String(chatId).includes('@') ? chatId : `${chatId}@s.whatsapp.net`)),
+            sendBotMessage: jest.fn().mockResolvedValue({ status: 'queued' })
+        };
+        savageOutboundConsent.initialize(scanner);
+        savageOutboundConsent.records.clear();
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('STOP', () => {
+        test('opts a direct chat out and confirms once, as a system notice', async () => {
+            for (const body of ['stop', ' STOP ']) {
+                expect(await savageOutboundConsent.handleInbound(BOT, { from: USER, sender: USER, body, isGroup: false })).toBe(true);
+            }
+
+            expect(await savageOutboundConsent.isOptedOut(BOT, USER)).toBe(true);
+            expect(scanner.sendBotMessage).toHaveBeenCalledTimes(1);
+            expect(scanner.sendBotMessage).toHaveBeenCalledWith(BOT, USER, { text: CONSENT.OPT_OUT_REPLY }, { source: 'system' });
+            expect(savageDatabase.saveConsent).toHaveBeenCalledWith(expect.objectContaining({ chatId: USER, optedOut: true, optedOutBy: USER }));
+        });
+
+        test('ignores ordinary messages', async () => {
+            expect(await savageOutboundConsent.handleInbound(BOT, { from: USER, sender: USER, body: 'please stop spamming', isGroup: false })).toBe(false);
+            expect(await savageOutboundConsent.isOptedOut(BOT, USER)).toBe(false);
+        });
+
+        test('in a group only an admin can opt the group out', async () => {
+            savageGroupManager.getMetadata.mockResolvedValue({ participants: [{ id: USER, admin: 'admin' }, { id: OTHER, admin: null }] });
+
+            expect(await savageOutboundConsent.handleInbound(BOT, { from: GROUP, sender: OTHER, body: 'STOP', isGroup: true })).toBe(false);
+            expect(await savageOutboundConsent.isOptedOut(BOT, GROUP)).toBe(false);
+
+            expect(await savageOutboundConsent.handleInbound(BOT, { from: GROUP, sender: USER, body: 'STOP', isGroup: true })).toBe(true);
+            expect(await savageOutboundConsent.isOptedOut(BOT, GROUP)).toBe(true);
+        });
+
+        test('opt-outs are per bot', async () => {
+            await savageOutboundConsent.optOut(BOT, USER, USER);
+
+            expect(await savageOutboundConsent.isOptedOut('de-unknown', USER)).toBe(false);
+        });
+    });
+
+    describe('assertNotOptedOut', () => {
+        beforeEach(async () => {
+            await savageOutboundConsent.optOut(BOT, USER, USER);
+        });
+
+        test.each(['api', 'socket', 'gateway', 'broadcast'])('refuses %s sends to an opted-out chat', async source => {
+            await expect(savageOutboundConsent.assertNotOptedOut(BOT, USER, source))
+                .rejects.toMatchObject({ code: 'CONSENT_OPTED_OUT' });
+        });
+
+        test('lets system notices through', async () => {
+            await expect(savageOutboundConsent.assertNotOptedOut(BOT, USER, 'system')).resolves.toBeUndefined();
+        });
+
+        test('lets sends to other chats through', async () => {
+            await expect(savageOutboundConsent.assertNotOptedOut(BOT, OTHER, 'api')).resolves.toBeUndefined();
+        });
+
+        test('owners cannot allowlist an opted-out chat, but the chat can opt back in', async () => {
+            await expect(savageOutboundConsent.allow(BOT, USER, OWNER)).rejects.toMatchObject({ code: 'CONSENT_OPTED_OUT' });
+
+            expect(await savageOutboundConsent.optIn(BOT, USER, USER)).toBe(true);
+            await expect(savageOutboundConsent.assertNotOptedOut(BOT, USER, 'api')).resolves.toBeUndefined();
+        });
+    });
+
+    describe('authorizeRelay', () => {
+        const relay = { chatId: OTHER, originChatId: USER, requestedBy: USER };
+
+        test('plain replies to the originating chat need no consent', async () => {
+            await expect(savageOutboundConsent.authorizeRelay(BOT, { chatId: USER, originChatId: USER, requestedBy: USER }, OWNER)).resolves.toBeNull();
+            await expect(savageOutboundConsent.authorizeRelay(BOT, { chatId: OTHER }, OWNER)).resolves.toBeNull();
+        });
+
+        test('sends to another chat need the allowlist and a named requester', async () => {
+            await expect(savageOutboundConsent.authorizeRelay(BOT, relay, OWNER)).rejects.toMatchObject({ code: 'CONSENT_REQUIRED' });
+            await expect(savageOutboundConsent.authorizeRelay(BOT, { ...relay, requestedBy: null }, OWNER)).rejects.toMatchObject({ code: 'INVALID_REQUESTER' });
+
+            await savageOutboundConsent.allow(BOT, OTHER, OWNER);
+            await expect(savageOutboundConsent.authorizeRelay(BOT, relay, OWNER)).resolves.toBe(USER);
+        });
+
+        test('strikes without an origin or a commander are refused, not treated as replies', async () => {
+            await savageOutboundConsent.allow(BOT, OTHER, OWNER);
+
+            await expect(savageOutboundConsent.authorizeRelay(BOT, { chatId: OTHER, attackType: 'rapid', requestedBy: USER }, OWNER))
+                .rejects.toMatchObject({ code: 'INVALID_ORIGIN' });
+            await expect(savageOutboundConsent.authorizeRelay(BOT, { chatId: OTHER, attackType: 'rapid', originChatId: OTHER }, OWNER))
+                .rejects.toMatchObject({ code: 'INVALID_REQUESTER' });
+            expect(savagePasswordAuth.logSecurityEvent).toHaveBeenCalledWith('OUTBOUND_RELAY_BLOCKED', OWNER.ip, expect.any(String),
+                expect.objectContaining({ chatId: OTHER, code: 'INVALID_ORIGIN' }));
+        });
+
+        test('a strike on the chat that ordered it needs no allowlist', async () => {
+            await expect(savageOutboundConsent.authorizeRelay(BOT, { chatId: USER, originChatId: USER, requestedBy: USER, attackType: 'stealth' }, OWNER))
+                .resolves.toBeNull();
+            await expect(savageOutboundConsent.authorizeRelay(BOT, { ...relay, attackType: 'rapid' }, OWNER))
+                .rejects.toMatchObject({ code: 'CONSENT_REQUIRED' });
+        });
+
+        test('a STOP from the target wins over the allowlist', async () => {
+            await savageOutboundConsent.allow(BOT, OTHER, OWNER);
+            await savageOutboundConsent.optOut(BOT, OTHER, OTHER);
+
+            await expect(savageOutboundConsent.authorizeRelay(BOT, relay, OWNER)).rejects.toMatchObject({ code: 'CONSENT_OPTED_OUT' });
+        });
+
+        test('enforces the daily quota per triggering user', async () => {
+            await savageOutboundConsent.allow(BOT, OTHER, OWNER);
+            savageDatabase.countRelayedJobs.mockResolvedValueOnce(CONSENT.RELAY_DAILY_QUOTA);
+
+            await expect(savageOutboundConsent.authorizeRelay(BOT, relay, OWNER)).rejects.toMatchObject({ code: 'RELAY_QUOTA_EXCEEDED' });
+            expect(savageDatabase.countRelayedJobs).toHaveBeenCalledWith(BOT, USER, expect.any(Date));
+        });
+
+        test('every attempt is audited', async () => {
+            await savageOutboundConsent.authorizeRelay(BOT, relay, OWNER).catch(() => {});
+
+            expect(savagePasswordAuth.logSecurityEvent).toHaveBeenCalledWith('OUTBOUND_RELAY_BLOCKED', OWNER.ip, expect.any(String),
+                expect.objectContaining({ botName: BOT, chatId: OTHER, code: 'CONSENT_REQUIRED', user: USER }));
+        });
+    });
+});
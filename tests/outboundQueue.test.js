@@ -0,0 +1,135 @@
+/**
+ * 🧪 Durable outbound queue - job lifecycle, retries with backoff and delivery receipts
+ */
+
+jest.mock('../config/database', () => ({
+    saveOutboundJob: jest.fn().mockResolvedValue(true),
+    getPendingOutboundJobs: jest.fn().mockResolvedValue([]),
+    findOutboundJob: jest.fn().mockResolvedValue(null)
+}));
+
+const savageDatabase = require('../config/database');
+const savageOutboundQueue = require('../utils/outboundQueue');
+const savageOutboundScheduler = require('../utils/outboundScheduler');
+const { WHATSAPP_CONFIG } = require('../config/constants');
+
+const { OUTBOUND } = WHATSAPP_CONFIG;
+const BOT = 'savage-x';
+const CHAT = '111@s.whatsapp.net';
+
+describe('savageOutboundQueue', () => {
+    let scanner;
+    let messageCount = 0;
+
+    const statuses = () => scanner.onOutboundStatus.mock.calls.map(([job]) => job.status);
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+
+        scanner = {
+            isBotLinked: jest.fn(() => true),
+            deliverBotMessage: jest.fn(async () => ({ key: { id: `WA-${++messageCount}`, remoteJid: CHAT, fromMe: true } })),
+            onOutboundStatus: jest.fn()
+        };
+        savageOutboundQueue.initialize(scanner);
+    });
+
+    afterEach(() => {
+        savageOutboundScheduler.clear(BOT);
+        savageOutboundScheduler.queues.delete(BOT); // Fresh pacing per test
+        for (const timer of savageOutboundQueue.retryTimers.values()) clearTimeout(timer);
+        savageOutboundQueue.retryTimers.clear();
+        savageOutboundQueue.jobs.clear();
+        savageOutboundQueue.sent.clear();
+
+        jest.clearAllMocks();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('persists the job and walks it through queued → sending → sent with the WhatsApp key', async () => {
+        const job = await savageOutboundQueue.enqueue(BOT, CHAT, { text: 'hi' }, { source: 'api', requestId: 'req-1' });
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(job).toMatchObject({ botName: BOT, chatId: CHAT, requestId: 'req-1' });
+        expect(job).not.toHaveProperty('content');
+        expect(statuses()).toEqual(['queued', 'sending', 'sent']);
+
+        const sent = await savageOutboundQueue.getJob(job.jobId);
+        expect(sent).toBeNull(); // Left the in-flight map; storage (mocked) answers from here on
+        expect(savageDatabase.saveOutboundJob).toHaveBeenLastCalledWith(expect.objectContaining({
+            jobId: job.jobId,
+            status: 'sent',
+            messageKey: { id: 'WA-1', remoteJid: CHAT, fromMe: true }
+        }));
+    });
+
+    test('waits for the link and sends on resume()', async () => {
+        scanner.isBotLinked.mockReturnValue(false);
+        const job = await savageOutboundQueue.enqueue(BOT, CHAT, { text: 'later' });
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(scanner.deliverBotMessage).not.toHaveBeenCalled();
+        expect(statuses()).toEqual(['queued']);
+
+        scanner.isBotLinked.mockReturnValue(true);
+        savageDatabase.getPendingOutboundJobs.mockResolvedValueOnce([{ jobId: job.jobId, status: 'queued' }]);
+
+        expect(await savageOutboundQueue.resume(BOT)).toBe(1);
+        await jest.advanceTimersByTimeAsync(0);
+        expect(scanner.deliverBotMessage).toHaveBeenCalledWith(BOT, CHAT, { text: 'later' });
+        expect(statuses().pop()).toBe('sent');
+    });
+
+    test('retries with doubling backoff and fails after MAX_ATTEMPTS', async () => {
+        scanner.deliverBotMessage.mockRejectedValue(new Error('socket closed'));
+        const job = await savageOutboundQueue.enqueue(BOT, CHAT, { text: 'flaky' });
+        await jest.advanceTimersByTimeAsync(0);
+
+        // Every backoff is longer than MIN_MESSAGE_INTERVAL, so the scheduler sends each retry the moment it is due
+        for (let attempt = 1; attempt < OUTBOUND.MAX_ATTEMPTS; attempt++) {
+            const delay = Math.min(OUTBOUND.RETRY_BASE_DELAY * 2 ** (attempt - 1), OUTBOUND.RETRY_MAX_DELAY);
+
+            expect(scanner.deliverBotMessage).toHaveBeenCalledTimes(attempt);
+            await jest.advanceTimersByTimeAsync(delay - 1);
+            expect(scanner.deliverBotMessage).toHaveBeenCalledTimes(attempt);
+            await jest.advanceTimersByTimeAsync(1);
+        }
+
+        expect(scanner.deliverBotMessage).toHaveBeenCalledTimes(OUTBOUND.MAX_ATTEMPTS);
+        const last = scanner.onOutboundStatus.mock.calls.pop()[0];
+        expect(last).toMatchObject({ jobId: job.jobId, status: 'failed', attempts: OUTBOUND.MAX_ATTEMPTS, lastError: 'socket closed' });
+        expect(savageOutboundQueue.retryTimers.size).toBe(0);
+    });
+
+    test('fails at once on a refusal no retry can fix', async () => {
+        const job = await savageOutboundQueue.enqueue(BOT, 'status@broadcast', { text: 'to everyone' });
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(scanner.deliverBotMessage).not.toHaveBeenCalled();
+        expect(scanner.onOutboundStatus.mock.calls.pop()[0]).toMatchObject({ jobId: job.jobId, status: 'failed', attempts: 1 });
+    });
+
+    test('receipts only move a job forward', async () => {
+        const job = await savageOutboundQueue.enqueue(BOT, CHAT, { text: 'tracked' });
+        await jest.advanceTimersByTimeAsync(0);
+        const messageId = `WA-${messageCount}`;
+
+        await savageOutboundQueue.handleReceipt(BOT, messageId, 'read');
+        await savageOutboundQueue.handleReceipt(BOT, messageId, 'delivered'); // Late - must not undo 'read'
+        await savageOutboundQueue.handleReceipt('de-unknown', messageId, 'delivered'); // Someone else's id
+
+        expect(statuses()).toEqual(['queued', 'sending', 'sent', 'read']);
+        expect(scanner.onOutboundStatus.mock.calls.pop()[0]).toMatchObject({ jobId: job.jobId, messageId, readAt: expect.any(Date) });
+    });
+
+    test('failPending() fails everything the bot still owes', async () => {
+        scanner.isBotLinked.mockReturnValue(false);
+        const job = await savageOutboundQueue.enqueue(BOT, CHAT, { text: 'stranded' });
+        savageDatabase.getPendingOutboundJobs.mockResolvedValueOnce([{ jobId: job.jobId, status: 'queued' }]);
+
+        expect(await savageOutboundQueue.failPending(BOT, 'WhatsApp logged out')).toBe(1);
+        expect(scanner.onOutboundStatus.mock.calls.pop()[0]).toMatchObject({ jobId: job.jobId, status: 'failed', lastError: 'WhatsApp logged out' });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * 🧪 Outbound scheduler - anti-ban pacing, group throttling and queue limits
+ */
+
+const savageOutboundScheduler = require('../utils/outboundScheduler');
+const { WHATSAPP_CONFIG } = require('../config/constants');
+
+const { ANTI_BAN } = WHATSAPP_CONFIG.BAILEYS;
+
+describe('savageOutboundScheduler', () => {
+    let botName;
+    let botCount = 0;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(Math, 'random').mockReturnValue(0); // No jitter - gaps are exactly MIN_MESSAGE_INTERVAL
+        botName = `test-bot-${++botCount}`; // Fresh queue per test
+    });
+
+    afterEach(() => {
+        savageOutboundScheduler.clear(botName);
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('sends one message at a time, MIN_MESSAGE_INTERVAL apart', async () => {
+        const sent = [];
+        const send = name => () => {
+            sent.push(name);
+            return Promise.resolve(name);
+        };
+
+        const first = savageOutboundScheduler.schedule(botName, '111@s.whatsapp.net', send('first'));
+        const second = savageOutboundScheduler.schedule(botName, '222@s.whatsapp.net', send('second'));
+
+        await expect(first).resolves.toBe('first');
+        expect(sent).toEqual(['first']);
+
+        await jest.advanceTimersByTimeAsync(ANTI_BAN.MIN_MESSAGE_INTERVAL - 1);
+        expect(sent).toEqual(['first']);
+
+        await jest.advanceTimersByTimeAsync(1);
+        await expect(second).resolves.toBe('second');
+        expect(savageOutboundScheduler.getQueueStats(botName)).toMatchObject({ depth: 0, sent: 2, failed: 0 });
+    });
+
+    test('a failed send rejects its caller and the queue moves on', async () => {
+        const failing = savageOutboundScheduler.schedule(botName, '111@s.whatsapp.net', () => Promise.reject(new Error('socket closed')));
+        const next = savageOutboundScheduler.schedule(botName, '222@s.whatsapp.net', () => Promise.resolve('ok'));
+
+        await expect(failing).rejects.toThrow('socket closed');
+        await jest.advanceTimersByTimeAsync(ANTI_BAN.MIN_MESSAGE_INTERVAL);
+        await expect(next).resolves.toBe('ok');
+        expect(savageOutboundScheduler.getQueueStats(botName)).toMatchObject({ sent: 1, failed: 1 });
+    });
+
+    test('refuses broadcast lists', async () => {
+        await expect(savageOutboundScheduler.schedule(botName, 'status@broadcast', jest.fn()))
+            .rejects.toMatchObject({ code: 'BROADCAST_BLOCKED' });
+    });
+
+    test('a throttled group send does not hold up private chats', async () => {
+        savageOutboundScheduler.getQueue(botName).groupBucket.tokens = 0;
+        const order = [];
+
+        const group = savageOutboundScheduler.schedule(botName, '123-456@g.us', () => order.push('group'));
+        const direct = savageOutboundScheduler.schedule(botName, '111@s.whatsapp.net', () => order.push('direct'));
+
+        await direct;
+        expect(order).toEqual(['direct']);
+        expect(savageOutboundScheduler.getQueueStats(botName).groupDepth).toBe(1);
+
+        // One group token refills in 60000 / GROUP_MESSAGES_PER_MINUTE ms (plus a rounding millisecond)
+        await jest.advanceTimersByTimeAsync(60000 / ANTI_BAN.GROUP_MESSAGES_PER_MINUTE + 1);
+        await group;
+        expect(order).toEqual(['direct', 'group']);
+    });
+
+    test('refuses sends once MAX_QUEUE_SIZE messages are waiting', async () => {
+        // The first job goes out and never finishes, so everything after it waits
+        savageOutboundScheduler.schedule(botName, '000@s.whatsapp.net', () => new Promise(() => {}));
+        const waiting = Array.from({ length: ANTI_BAN.MAX_QUEUE_SIZE }, (_, index) =>
+            savageOutboundScheduler.schedule(botName, `${index}@s.whatsapp.net`, jest.fn()).catch(error => error));
+
+        await expect(savageOutboundScheduler.schedule(botName, 'late@s.whatsapp.net', jest.fn()))
+            .rejects.toMatchObject({ code: 'QUEUE_FULL' });
+
+        expect(savageOutboundScheduler.clear(botName)).toBe(ANTI_BAN.MAX_QUEUE_SIZE);
+        const errors = await Promise.all(waiting);
+        expect(errors.every(error => error.code === 'QUEUE_CLEARED')).toBe(true);
+    });
+
+    test('clear() rejects waiting sends with QUEUE_CLEARED and counts them as dropped', async () => {
+        savageOutboundScheduler.schedule(botName, '111@s.whatsapp.net', () => Promise.resolve('sent'));
+        const waiting = savageOutboundScheduler.schedule(botName, '222@s.whatsapp.net', jest.fn());
+
+        expect(savageOutboundScheduler.clear(botName, 'link stopped')).toBe(1);
+        await expect(waiting).rejects.toMatchObject({ code: 'QUEUE_CLEARED', message: 'link stopped' });
+        expect(savageOutboundScheduler.getQueueStats(botName).dropped).toBe(1);
+    });
+});
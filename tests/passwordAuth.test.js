@@ -0,0 +1,71 @@
+/**
+ * 🧪 Password login with a second factor - the audit log only records logins that completed
+ */
+
+jest.mock('../auth/userManager', () => ({
+    available: true,
+    accountsEnabled: jest.fn().mockResolvedValue(true),
+    authenticate: jest.fn(),
+    verifySecondFactor: jest.fn()
+}));
+
+const savageUserManager = require('../auth/userManager');
+const savagePasswordAuth = require('../auth/passwordAuth');
+
+const IP = '10.0.0.7';
+const ALICE = { id: 'u1', username: 'alice', role: 'operator', bots: ['*'], twoFactorEnabled: true };
+
+describe('savagePasswordAuth two-factor login', () => {
+    const auditTypes = () => savagePasswordAuth.auditLog.map(event => event.type);
+
+    beforeEach(() => {
+        savagePasswordAuth.auditLog = [];
+        savagePasswordAuth.attempts.clear();
+        savagePasswordAuth.twoFactorChallenges.clear();
+        savagePasswordAuth.twoFactorFailures.clear();
+        savageUserManager.authenticate.mockResolvedValue(ALICE);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('a correct password alone is logged as pending, not as a login', async () => {
+        const result = await savagePasswordAuth.validatePassword('right password', IP, 'alice');
+
+        expect(result).toMatchObject({ success: false, twoFactorRequired: true });
+        expect(auditTypes()).toEqual(['2FA_REQUIRED']);
+    });
+
+    test('the login is recorded once the second factor checks out', async () => {
+        const { challengeToken } = await savagePasswordAuth.validatePassword('right password', IP, 'alice');
+        savageUserManager.verifySecondFactor.mockResolvedValue({ success: true, method: 'totp' });
+
+        const result = await savagePasswordAuth.verifyTwoFactor(challengeToken, '123456', IP);
+
+        expect(result).toMatchObject({ success: true, role: 'operator' });
+        expect(auditTypes()).toEqual(['2FA_REQUIRED', '2FA_SUCCESS', 'LOGIN']);
+    });
+
+    test('a wrong code never reaches LOGIN and the password does not reset the failure count', async () => {
+        savagePasswordAuth.attempts.set(IP, { count: 2, firstAttempt: Date.now(), lastAttempt: Date.now() });
+
+        const { challengeToken } = await savagePasswordAuth.validatePassword('right password', IP, 'alice');
+        expect(savagePasswordAuth.attempts.get(IP).count).toBe(2);
+
+        savageUserManager.verifySecondFactor.mockResolvedValue({ success: false, error: 'Invalid code' });
+        await savagePasswordAuth.verifyTwoFactor(challengeToken, '000000', IP);
+
+        expect(auditTypes()).toEqual(['2FA_REQUIRED', '2FA_FAILED']);
+        expect(savagePasswordAuth.attempts.get(IP).count).toBe(3);
+    });
+
+    test('accounts without 2FA log the login straight away', async () => {
+        savageUserManager.authenticate.mockResolvedValue({ ...ALICE, twoFactorEnabled: false });
+
+        const result = await savagePasswordAuth.validatePassword('right password', IP, 'alice');
+
+        expect(result).toMatchObject({ success: true });
+        expect(auditTypes()).toEqual(['LOGIN', 'SUCCESS']);
+    });
+});
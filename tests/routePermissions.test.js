@@ -0,0 +1,157 @@
+/**
+ * 🧪 Route permissions - roles, per-bot access and the owner-only auth endpoints
+ */
+
+jest.mock('../config/database', () => ({}));
+jest.mock('../auth/userManager', () => ({ available: true }));
+jest.mock('../auth/sessionManager', () => ({
+    getAuthStateId: jest.fn(() => null),
+    deleteSession: jest.fn().mockResolvedValue({ deleted: true })
+}));
+jest.mock('../utils/outboundQueue', () => ({}));
+jest.mock('../utils/media', () => ({}));
+jest.mock('../utils/groupManager', () => ({}));
+jest.mock('../utils/outboundConsent', () => ({}));
+jest.mock('../utils/broadcastManager', () => ({}));
+jest.mock('../utils/keyRotation', () => ({}));
+jest.mock('../utils/encryption', () => ({
+    generateSessionId: jest.fn(() => 'dashboard-session')
+}));
+
+const express = require('express');
+const request = require('supertest');
+const savagePasswordAuth = require('../auth/passwordAuth');
+const savageSessionManager = require('../auth/sessionManager');
+const apiRouter = require('../routes/api');
+const authRouter = require('../routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api', apiRouter);
+app.use('/auth', authRouter);
+
+const LIVE_SESSION = 'SAVAGE-XMD-BOT-SESSION-LIVE';
+const STORED_SESSION = 'SAVAGE-XMD-BOT-SESSION-STORED';
+
+function login(role, bots = ['*']) {
+    return savagePasswordAuth.createSession({ username: `${role}-user`, role: role, bots: bots }, '127.0.0.1').sessionToken;
+}
+
+describe('route permissions', () => {
+    let scanner;
+    let tokens;
+
+    beforeEach(() => {
+        scanner = {
+            validBots: ['SAVAGE-X', 'DE-UKNOWN-BOT', 'QUEEN-RIXIE'],
+            getAllBotStates: jest.fn(() => [{ botName: 'SAVAGE-X', sessionId: LIVE_SESSION }]),
+            stopBotLink: jest.fn().mockResolvedValue({ botState: { botName: 'SAVAGE-X' } })
+        };
+        apiRouter.attachScanner(scanner);
+
+        savagePasswordAuth.sessionTokens.clear();
+        tokens = {
+            viewer: login('viewer'),
+            operator: login('operator'),
+            rixieOperator: login('operator', ['QUEEN-RIXIE']),
+            owner: login('owner')
+        };
+    });
+
+    afterEach(() => {
+        apiRouter.attachScanner(null);
+        jest.clearAllMocks();
+    });
+
+    describe('/api', () => {
+        test('requires a session token', async () => {
+            const response = await request(app).get('/api/bots');
+
+            expect(response.status).toBe(401);
+            expect(response.body.code).toBe('MISSING_TOKEN');
+        });
+
+        test('viewers cannot drive a bot', async () => {
+            const response = await request(app).post('/api/bots/SAVAGE-X/connect').set('Authorization', `Bearer ${tokens.viewer}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('OPERATOR_REQUIRED');
+        });
+
+        test.each(['/api/security/audit', '/api/users', '/api/bots/SAVAGE-X/consent'])('operators get 403 on owner route %s', async path => {
+            const response = await request(app).get(path).set('Authorization', `Bearer ${tokens.operator}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('OWNER_REQUIRED');
+        });
+
+        test('operators are limited to the bots they were granted', async () => {
+            const response = await request(app).post('/api/bots/SAVAGE-X/disconnect').set('Authorization', `Bearer ${tokens.rixieOperator}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('BOT_FORBIDDEN');
+            expect(scanner.stopBotLink).not.toHaveBeenCalled();
+        });
+
+        test("another bot's live session reads as missing and stays linked", async () => {
+            const response = await request(app).delete(`/api/sessions/${LIVE_SESSION}`).set('Authorization', `Bearer ${tokens.rixieOperator}`);
+
+            expect(response.status).toBe(404);
+            expect(response.body.code).toBe('SESSION_NOT_FOUND');
+            expect(scanner.stopBotLink).not.toHaveBeenCalled();
+        });
+
+        test("another bot's stored auth state reads as missing and is kept", async () => {
+            savageSessionManager.getAuthStateId.mockImplementation(botName => (botName === 'DE-UKNOWN-BOT' ? STORED_SESSION : null));
+
+            const response = await request(app).delete(`/api/sessions/${STORED_SESSION}`).set('Authorization', `Bearer ${tokens.rixieOperator}`);
+
+            expect(response.status).toBe(404);
+            expect(savageSessionManager.deleteSession).not.toHaveBeenCalled();
+        });
+
+        test('operators with access can delete the session, which logs the bot out', async () => {
+            const response = await request(app).delete(`/api/sessions/${LIVE_SESSION}`).set('Authorization', `Bearer ${tokens.operator}`);
+
+            expect(response.status).toBe(200);
+            expect(scanner.stopBotLink).toHaveBeenCalledWith('SAVAGE-X', { logout: true });
+        });
+    });
+
+    describe('/auth', () => {
+        test.each(['/auth/security-events', '/auth/stats'])('%s needs a login', async path => {
+            const response = await request(app).get(path);
+
+            expect(response.status).toBe(401);
+        });
+
+        test('security events are owner only', async () => {
+            const denied = await request(app).get('/auth/security-events').set('Authorization', `Bearer ${tokens.operator}`);
+            const allowed = await request(app).get('/auth/security-events').set('Authorization', `Bearer ${tokens.owner}`);
+
+            expect(denied.status).toBe(403);
+            expect(denied.body.code).toBe('OWNER_REQUIRED');
+            expect(allowed.status).toBe(200);
+        });
+
+        test('operators cannot lock out IPs', async () => {
+            const response = await request(app).post('/auth/emergency/lock-ip').set('Authorization', `Bearer ${tokens.operator}`).send({ ip: '10.9.9.9' });
+
+            expect(response.status).toBe(403);
+            expect(savagePasswordAuth.checkIPLock('10.9.9.9').allowed).toBe(true);
+        });
+
+        test('verify-password sets the session cookie and keeps the token out of the body', async () => {
+            const session = savagePasswordAuth.createSession({ username: 'alice', role: 'operator', bots: ['*'] }, '127.0.0.1');
+            jest.spyOn(savagePasswordAuth, 'validatePassword').mockResolvedValueOnce(session);
+
+            const response = await request(app).post('/auth/verify-password').send({ username: 'alice', password: 'right password' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.success).toBe(true);
+            expect(JSON.stringify(response.body)).not.toContain(session.sessionToken);
+            expect(response.headers['set-cookie'].join(';')).toContain(session.sessionToken);
+            expect(response.headers['set-cookie'].join(';')).toMatch(/HttpOnly/i);
+        });
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * 🧪 TOTP (RFC 6238) - reference vectors, drift window and replay refusal
+ */
+
+const savageTOTP = require('../auth/totp');
+
+// RFC 6238 appendix B, SHA1: the ASCII secret "12345678901234567890" (base32 below), codes cut to 6 digits
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+];
+
+describe('savageTOTP', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('base32 round-trips the RFC secret', () => {
+        expect(savageTOTP.base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+        expect(savageTOTP.base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    });
+
+    test('rejects characters outside the base32 alphabet', () => {
+        expect(() => savageTOTP.base32Decode('NOT-BASE32!')).toThrow('Invalid base32 secret');
+    });
+
+    test.each(RFC_VECTORS)('matches the RFC 6238 vector at T=%i', (seconds, code) => {
+        expect(savageTOTP.generateCode(RFC_SECRET, savageTOTP.getTimeStep(seconds * 1000))).toBe(code);
+    });
+
+    describe('verifyCode', () => {
+        const now = 1111111111 * 1000;
+        const step = Math.floor(1111111111 / 30);
+
+        beforeEach(() => {
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+        });
+
+        test('accepts the current code and returns its step', () => {
+            expect(savageTOTP.verifyCode(RFC_SECRET, '050471')).toBe(step);
+        });
+
+        test('accepts one step of drift either way, not two', () => {
+            expect(savageTOTP.verifyCode(RFC_SECRET, savageTOTP.generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+            expect(savageTOTP.verifyCode(RFC_SECRET, savageTOTP.generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+            expect(savageTOTP.verifyCode(RFC_SECRET, savageTOTP.generateCode(RFC_SECRET, step - 2))).toBeNull();
+            expect(savageTOTP.verifyCode(RFC_SECRET, savageTOTP.generateCode(RFC_SECRET, step + 2))).toBeNull();
+        });
+
+        test('refuses a code from a step already used', () => {
+            expect(savageTOTP.verifyCode(RFC_SECRET, '050471', step)).toBeNull();
+            expect(savageTOTP.verifyCode(RFC_SECRET, savageTOTP.generateCode(RFC_SECRET, step - 1), step - 1)).toBeNull();
+        });
+
+        test('ignores whitespace and refuses malformed codes', () => {
+            expect(savageTOTP.verifyCode(RFC_SECRET, '050 471')).toBe(step);
+            expect(savageTOTP.verifyCode(RFC_SECRET, '50471')).toBeNull();
+            expect(savageTOTP.verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+            expect(savageTOTP.verifyCode(RFC_SECRET, null)).toBeNull();
+        });
+    });
+
+    test('generated secrets decode to SECRET_BYTES of key material', () => {
+        expect(savageTOTP.base32Decode(savageTOTP.generateSecret())).toHaveLength(20);
+    });
+
+    test('recovery codes hash the same however they are typed', () => {
+        const [code] = savageTOTP.generateRecoveryCodes(1);
+
+        expect(code).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/);
+        expect(savageTOTP.hashRecoveryCode(` ${code.toUpperCase().replace('-', '')} `)).toBe(savageTOTP.hashRecoveryCode(code));
+    });
+});
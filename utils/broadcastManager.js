@@ -0,0 +1,432 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Broadcast Lists
+ * Named opt-in lists per bot (MongoDB). A broadcast becomes one outbound job per subscriber,
+ * queued in paced batches so the anti-ban scheduler is never flooded; chats that replied STOP are skipped.
+ * Per-recipient status follows the jobs (sent → delivered → read) and a report goes back to whoever issued it.
+ */
+
+const savageDatabase = require('../config/database');
+const savageGenerators = require('./generators');
+const savagePasswordAuth = require('../auth/passwordAuth');
+const savageOutboundConsent = require('./outboundConsent');
+const savageOutboundQueue = require('./outboundQueue');
+const { WHATSAPP_CONFIG } = require('../config/constants');
+
+const { BROADCAST, OUTBOUND } = WHATSAPP_CONFIG;
+
+// Recipient statuses that still occupy the outbound queue
+const IN_FLIGHT = ['queued', 'sending'];
+const REPORT_STATUSES = ['pending', ...OUTBOUND.STATUSES, 'skipped'];
+
+function broadcastError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class SavageBroadcastManager {
+    constructor() {
+        this.scanner = null;
+        this.runs = new Map(); // broadcastId -> run still sending (or recently finished)
+        this.persistTimers = new Map(); // broadcastId -> debounced save
+    }
+
+    /**
+     * 🎯 Bind to the scanner and pick up broadcasts a restart interrupted
+     */
+    initialize(scanner) {
+        this.scanner = scanner;
+
+        if (savageDatabase.isConnected) {
+            this.resumeRuns().catch(error => {
+                console.error('❌ [BROADCAST] Could not resume broadcasts:', error.message);
+            });
+        }
+        return this;
+    }
+
+    requireStore() {
+        if (!savageDatabase.isConnected) {
+            throw broadcastError('Broadcast lists need MongoDB, which is not connected', 'BROADCAST_STORE_UNAVAILABLE');
+        }
+    }
+
+    toListName(name) {
+        const value = String(name || '').trim().toLowerCase();
+        if (!BROADCAST.LIST_NAME_PATTERN.test(value)) {
+            throw broadcastError('List names are 2-32 lowercase letters, digits, - or _', 'INVALID_LIST');
+        }
+        return value;
+    }
+
+    async requireList(botName, name) {
+        this.requireStore();
+
+        const listName = this.toListName(name);
+        const list = await savageDatabase.findBroadcastList(botName, listName);
+        if (!list) {
+            throw broadcastError(`No broadcast list called ${listName}`, 'LIST_NOT_FOUND');
+        }
+        return list;
+    }
+
+    // =========================================================================
+    // 📋 LISTS
+    // =========================================================================
+
+    async listLists(botName) {
+        this.requireStore();
+        return (await savageDatabase.getBroadcastLists(botName)).map(list => this.summarizeList(list));
+    }
+
+    async getList(botName, name) {
+        const list = await this.requireList(botName, name);
+        return { ...this.summarizeList(list), subscribers: list.subscribers };
+    }
+
+    async createList(botName, name, { description = null } = {}, actor) {
+        this.requireStore();
+
+        const listName = this.toListName(name);
+        const existing = await savageDatabase.getBroadcastLists(botName);
+
+        if (existing.some(list => list.name === listName)) {
+            throw broadcastError(`Broadcast list ${listName} already exists`, 'LIST_EXISTS');
+        }
+        if (existing.length >= BROADCAST.MAX_LISTS_PER_BOT) {
+            throw broadcastError(`${botName} already has ${BROADCAST.MAX_LISTS_PER_BOT} broadcast lists`, 'LIST_LIMIT');
+        }
+
+        const list = await savageDatabase.saveBroadcastList({
+            botName: botName,
+            name: listName,
+            description: description ? String(description).slice(0, 200) : null,
+            createdBy: actor?.user || null,
+            subscribers: [],
+            createdAt: new Date()
+        });
+
+        this.audit(actor, `${botName} created broadcast list ${listName}`, { botName, listName, action: 'create_list' });
+        return this.summarizeList(list);
+    }
+
+    async deleteList(botName, name, actor) {
+        const list = await this.requireList(botName, name);
+        await savageDatabase.deleteBroadcastList(botName, list.name);
+
+        this.audit(actor, `${botName} deleted broadcast list ${list.name} (${list.subscribers.length} subscriber(s))`,
+            { botName, listName: list.name, action: 'delete_list' });
+        return this.summarizeList(list);
+    }
+
+    /**
+     * 🙋 The chat opts in - subscribing also lifts an earlier STOP, since the chat asked for it
+     */
+    async subscribe(botName, name, chatId, by) {
+        const list = await this.requireList(botName, name);
+        const jid = this.scanner.toJid(chatId);
+
+        if (list.subscribers.some(subscriber => subscriber.chatId === jid)) {
+            return { list: list.name, chatId: jid, subscribed: true, changed: false };
+        }
+        if (list.subscribers.length >= BROADCAST.MAX_SUBSCRIBERS_PER_LIST) {
+            throw broadcastError(`${list.name} is full (${BROADCAST.MAX_SUBSCRIBERS_PER_LIST} subscribers)`, 'LIST_FULL');
+        }
+
+        await savageOutboundConsent.optIn(botName, jid, by);
+
+        list.subscribers.push({ chatId: jid, subscribedBy: by || null, subscribedAt: new Date() });
+        await savageDatabase.saveBroadcastList(list);
+
+        console.log(`🙋 [BROADCAST] ${jid} subscribed to ${botName}/${list.name}`);
+        return { list: list.name, chatId: jid, subscribed: true, changed: true };
+    }
+
+    async unsubscribe(botName, name, chatId) {
+        const list = await this.requireList(botName, name);
+        const jid = this.scanner.toJid(chatId);
+
+        const remaining = list.subscribers.filter(subscriber => subscriber.chatId !== jid);
+        const changed = remaining.length !== list.subscribers.length;
+
+        if (changed) {
+            list.subscribers = remaining;
+            await savageDatabase.saveBroadcastList(list);
+            console.log(`👋 [BROADCAST] ${jid} unsubscribed from ${botName}/${list.name}`);
+        }
+
+        return { list: list.name, chatId: jid, subscribed: false, changed };
+    }
+
+    // =========================================================================
+    // 📣 BROADCASTS
+    // =========================================================================
+
+    /**
+     * 📣 Queue a broadcast to every subscriber - returns straight away, the report follows when the last batch is out
+     * options: { source, requestedBy, originChatId (where a bot-issued report goes) }
+     */
+    async send(botName, name, text, { source = 'api', requestedBy = null, originChatId = null } = {}, actor) {
+        const list = await this.requireList(botName, name);
+
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw broadcastError('Broadcast text is required', 'INVALID_CONTENT');
+        }
+        if (text.length > BROADCAST.MAX_TEXT_LENGTH) {
+            throw broadcastError(`Broadcast text is limited to ${BROADCAST.MAX_TEXT_LENGTH} characters`, 'INVALID_CONTENT');
+        }
+        if (list.subscribers.length === 0) {
+            throw broadcastError(`${list.name} has no subscribers`, 'LIST_EMPTY');
+        }
+
+        const run = {
+            broadcastId: savageGenerators.generateMessageId('BCAST'),
+            botName: botName,
+            listName: list.name,
+            content: { text },
+            status: 'sending',
+            source: source,
+            requestedBy: requestedBy,
+            originChatId: originChatId,
+            recipients: list.subscribers.map(subscriber => ({
+                chatId: subscriber.chatId,
+                jobId: null,
+                status: 'pending',
+                error: null
+            })),
+            createdAt: new Date(),
+            completedAt: null
+        };
+
+        await savageDatabase.saveBroadcastRun(run);
+        this.runs.set(run.broadcastId, run);
+
+        this.audit(actor, `${botName} broadcast ${run.broadcastId} to ${list.name} (${run.recipients.length} subscriber(s))`,
+            { botName, listName: list.name, broadcastId: run.broadcastId, action: 'broadcast' });
+
+        this.processRun(run);
+        return this.toReport(run);
+    }
+
+    /**
+     * 🚚 Queue pending recipients a batch at a time, pausing once each batch has left the outbound queue
+     */
+    async processRun(run) {
+        try {
+            let first = true;
+
+            for (;;) {
+                await this.waitForBatch(run);
+
+                const batch = run.recipients.filter(recipient => recipient.status === 'pending').slice(0, BROADCAST.BATCH_SIZE);
+                if (batch.length === 0) break;
+
+                if (!first) await new Promise(resolve => setTimeout(resolve, BROADCAST.BATCH_PAUSE));
+                first = false;
+
+                for (const recipient of batch) {
+                    await this.dispatchRecipient(run, recipient);
+                }
+                await this.persist(run);
+            }
+
+            await this.complete(run);
+        } catch (error) {
+            console.error(`❌ [BROADCAST] ${run.broadcastId} stopped:`, error.message);
+        }
+    }
+
+    async dispatchRecipient(run, recipient) {
+        if (await savageOutboundConsent.isOptedOut(run.botName, recipient.chatId)) {
+            recipient.status = 'skipped';
+            recipient.error = 'Opted out (STOP)';
+            await this.unsubscribe(run.botName, run.listName, recipient.chatId).catch(() => {});
+            return;
+        }
+
+        try {
+            const job = await this.scanner.sendBotMessage(run.botName, recipient.chatId, run.content, {
+                source: 'broadcast',
+                requestId: run.broadcastId,
+                requestedBy: run.requestedBy
+            });
+
+            recipient.jobId = job.jobId;
+            recipient.status = job.status;
+        } catch (error) {
+            recipient.status = 'failed';
+            recipient.error = error.message;
+        }
+    }
+
+    /**
+     * ⏳ Resolves once none of the run's recipients are still queued or sending
+     */
+    waitForBatch(run) {
+        if (!run.recipients.some(recipient => IN_FLIGHT.includes(recipient.status))) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            run.batchDone = resolve;
+        });
+    }
+
+    /**
+     * 📬 Outbound job status for a broadcast recipient (called by the scanner for source 'broadcast')
+     */
+    async handleJobStatus(job) {
+        if (job.source !== 'broadcast' || !job.requestId) return;
+
+        let run = this.runs.get(job.requestId);
+        if (!run) {
+            // Late receipt for a broadcast that already finished and left memory
+            if (!savageDatabase.isConnected) return;
+            run = await savageDatabase.findBroadcastRun(job.requestId);
+            if (!run) return;
+        }
+
+        const recipient = run.recipients.find(entry => entry.jobId === job.jobId);
+        if (!recipient) return;
+
+        recipient.status = job.status;
+        recipient.error = job.status === 'failed' ? job.lastError : null;
+
+        if (run.batchDone && !run.recipients.some(entry => IN_FLIGHT.includes(entry.status))) {
+            const done = run.batchDone;
+            run.batchDone = null;
+            done();
+        }
+
+        if (this.runs.has(run.broadcastId)) {
+            this.schedulePersist(run);
+        } else {
+            await this.persist(run);
+        }
+    }
+
+    async complete(run) {
+        run.status = 'completed';
+        run.completedAt = new Date();
+        await this.persist(run);
+
+        const report = this.toReport(run);
+        console.log(`📣 [BROADCAST] ${run.broadcastId} finished: ${report.counts.sent + report.counts.delivered + report.counts.read} sent, ${report.counts.failed} failed, ${report.counts.skipped} skipped`);
+
+        this.scanner.onBroadcastReport(report);
+
+        // Receipts keep arriving for a while - keep the run handy, then let storage answer
+        const timer = setTimeout(() => this.runs.delete(run.broadcastId), OUTBOUND.RECEIPT_CACHE_TTL);
+        if (timer.unref) timer.unref();
+    }
+
+    /**
+     * ♻️ Broadcasts still 'sending' when the process stopped carry on where they left off
+     */
+    async resumeRuns() {
+        for (const botName of this.scanner.validBots) {
+            const runs = await savageDatabase.getBroadcastRuns(botName, { status: 'sending', limit: BROADCAST.RECENT_RUNS });
+
+            for (const run of runs) {
+                // Refresh in-flight recipients from their jobs before waiting on them
+                for (const recipient of run.recipients.filter(entry => entry.jobId && IN_FLIGHT.includes(entry.status))) {
+                    const job = await savageOutboundQueue.getJob(recipient.jobId);
+                    recipient.status = job ? job.status : 'failed';
+                    if (!job) recipient.error = 'Job lost';
+                }
+
+                console.log(`♻️ [BROADCAST] Resuming ${run.broadcastId} for ${botName}`);
+                this.runs.set(run.broadcastId, run);
+                this.processRun(run);
+            }
+        }
+    }
+
+    async getRun(botName, broadcastId) {
+        let run = this.runs.get(broadcastId);
+        if (!run) {
+            this.requireStore();
+            run = await savageDatabase.findBroadcastRun(broadcastId);
+        }
+
+        if (!run || run.botName !== botName) {
+            throw broadcastError(`Unknown broadcast: ${broadcastId}`, 'BROADCAST_NOT_FOUND');
+        }
+        return { ...this.toReport(run), recipients: run.recipients };
+    }
+
+    async listRuns(botName) {
+        this.requireStore();
+        return (await savageDatabase.getBroadcastRuns(botName, { limit: BROADCAST.RECENT_RUNS })).map(run => this.toReport(run));
+    }
+
+    // =========================================================================
+    // 🔧 HELPERS
+    // =========================================================================
+
+    schedulePersist(run) {
+        if (this.persistTimers.has(run.broadcastId)) return;
+
+        this.persistTimers.set(run.broadcastId, setTimeout(() => {
+            this.persistTimers.delete(run.broadcastId);
+            this.persist(run);
+        }, 2000));
+    }
+
+    async persist(run) {
+        const { batchDone, ...stored } = run;
+
+        try {
+            await savageDatabase.saveBroadcastRun(stored);
+        } catch (error) {
+            console.error(`❌ [BROADCAST] Could not save ${run.broadcastId}:`, error.message);
+        }
+    }
+
+    summarizeList(list) {
+        return {
+            name: list.name,
+            description: list.description || null,
+            subscribers: list.subscribers.length,
+            createdBy: list.createdBy || null,
+            createdAt: list.createdAt
+        };
+    }
+
+    /**
+     * 📊 Report shape for bots, the dashboard and REST callers (per-recipient detail only via getRun)
+     */
+    toReport(run) {
+        const counts = Object.fromEntries(REPORT_STATUSES.map(status => [status, 0]));
+        for (const recipient of run.recipients) {
+            counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+        }
+
+        return {
+            broadcastId: run.broadcastId,
+            botName: run.botName,
+            listName: run.listName,
+            status: run.status,
+            source: run.source,
+            requestedBy: run.requestedBy || null,
+            originChatId: run.originChatId || null,
+            total: run.recipients.length,
+            counts: counts,
+            createdAt: run.createdAt,
+            completedAt: run.completedAt || null
+        };
+    }
+
+    audit(actor, message, details) {
+        savagePasswordAuth.logSecurityEvent('BROADCAST', actor?.ip || 'system', message, {
+            user: actor?.user || null,
+            source: actor?.source || 'api',
+            ...details
+        });
+    }
+}
+
+// Create singleton instance
+const savageBroadcastManager = new SavageBroadcastManager();
+
+module.exports = savageBroadcastManager;
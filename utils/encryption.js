@@ -2,11 +2,24 @@
  * 🦅 SAVAGE BOTS SCANNER - Advanced Encryption System
  * AES-256-GCM encryption with key derivation and secure session management
  * Military-grade encryption for WhatsApp session protection
+ * ✅ ADDED: Blobs name the keyring key that sealed them (keyId); retired keys still decrypt
+ * ✅ CHANGED: encrypt/decrypt, file exports and session strings use the shared envelope (utils/envelope)
  */
 
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const savageKeyring = require('./keyring');
+const savageEnvelope = require('./envelope');
+
+// Portable session strings: SAVAGE-SESSION:<version>:<base64url envelope>:<base64url HMAC>
+// v2 carries a savage envelope; v1 strings (pre-envelope payload) still import
+const SESSION_EXPORT = {
+    PREFIX: 'SAVAGE-SESSION',
+    VERSION: 'v2',
+    SUPPORTED_VERSIONS: ['v1', 'v2'],
+    SIGNING_SALT: Buffer.from('SAVAGE-SESSION-EXPORT-SIGNING')
+};
 
 class SavageEncryption {
     constructor() {
@@ -53,15 +66,15 @@ class SavageEncryption {
             throw new Error(`Encryption key must be ${this.keyLength * 2} characters (${this.keyLength} bytes)`);
         }
 
-        this.masterKey = Buffer.from(envKey, 'hex');
-        console.log('🔑 [ENCRYPTION] Master key loaded from environment');
+        this.masterKey = savageKeyring.current().key;
+        console.log(`🔑 [ENCRYPTION] Master key loaded from environment (key ${savageKeyring.currentId})`);
     }
 
     /**
-     * 🔄 Derive key for specific purpose
+     * 🔄 Derive key for specific purpose (from the current keyring key unless another entry is given)
      */
-    deriveKey(purpose, salt = null) {
-        const cacheKey = `${purpose}:${salt}`;
+    deriveKey(purpose, salt = null, keyEntry = savageKeyring.current()) {
+        const cacheKey = `${keyEntry.id}:${purpose}:${salt}`;
         
         if (this.derivedKeys.has(cacheKey)) {
             return this.derivedKeys.get(cacheKey);
@@ -69,7 +82,7 @@ class SavageEncryption {
 
         const derivedSalt = salt || crypto.randomBytes(this.saltLength);
         const key = crypto.pbkdf2Sync(
-            this.masterKey,
+            keyEntry.key,
             derivedSalt,
             this.iterations,
             this.keyLength,
@@ -88,7 +101,7 @@ class SavageEncryption {
     }
 
     /**
-     * 🔒 Encrypt data with AES-256-GCM
+     * 🔒 Encrypt data with AES-256-GCM into a savage envelope (utils/envelope)
      */
     encrypt(data, purpose = 'session', additionalData = 'SAVAGE-BOTS') {
         try {
@@ -96,39 +109,10 @@ class SavageEncryption {
                 throw new Error('No data provided for encryption');
             }
 
-            const { key, salt } = this.deriveKey(purpose);
-            const iv = crypto.randomBytes(this.ivLength);
-            
-            const cipher = crypto.createCipheriv(this.algorithm, key, iv);
-            
-            // Add additional authenticated data
-            if (additionalData) {
-                cipher.setAAD(Buffer.from(additionalData));
-            }
-
-            let encrypted = cipher.update(typeof data === 'string' ? data : JSON.stringify(data), 'utf8', 'hex');
-            encrypted += cipher.final('hex');
-            
-            const authTag = cipher.getAuthTag();
+            const envelope = savageEnvelope.seal(data, { purpose, aad: additionalData || '' });
 
-            const result = {
-                version: this.keyVersion,
-                algorithm: this.algorithm,
-                purpose: purpose,
-                iv: iv.toString('hex'),
-                salt: salt.toString('hex'),
-                data: encrypted,
-                authTag: authTag.toString('hex'),
-                additionalData: additionalData,
-                timestamp: new Date().toISOString(),
-                size: Buffer.byteLength(encrypted, 'hex')
-            };
-
-            // Generate integrity hash
-            result.integrityHash = this.generateIntegrityHash(result);
-
-            console.log(`🔒 [ENCRYPTION] Data encrypted (${purpose}): ${result.size} bytes`);
-            return result;
+            console.log(`🔒 [ENCRYPTION] Data encrypted (${purpose}): ${Buffer.byteLength(envelope.data, 'base64')} bytes`);
+            return envelope;
 
         } catch (error) {
             console.error('❌ [ENCRYPTION] Encryption failed:', error);
@@ -137,7 +121,7 @@ class SavageEncryption {
     }
 
     /**
-     * 🔓 Decrypt data with AES-256-GCM
+     * 🔓 Decrypt an envelope - or a blob from before envelopes, still readable
      */
     decrypt(encryptedData, purpose = 'session') {
         try {
@@ -145,84 +129,14 @@ class SavageEncryption {
                 throw new Error('Invalid encrypted data format');
             }
 
-            // Validate required fields
-            const requiredFields = ['version', 'algorithm', 'iv', 'salt', 'data', 'authTag'];
-            for (const field of requiredFields) {
-                if (!encryptedData[field]) {
-                    throw new Error(`Missing required field: ${field}`);
-                }
-            }
-
-            // Verify integrity hash
-            if (!this.verifyIntegrityHash(encryptedData)) {
-                throw new Error('Data integrity check failed - possible tampering detected');
-            }
-
-            const { key } = this.deriveKey(purpose, Buffer.from(encryptedData.salt, 'hex'));
-            const iv = Buffer.from(encryptedData.iv, 'hex');
-            const authTag = Buffer.from(encryptedData.authTag, 'hex');
-
-            const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
-            
-            // Set additional authenticated data
-            if (encryptedData.additionalData) {
-                decipher.setAAD(Buffer.from(encryptedData.additionalData));
-            }
-            
-            decipher.setAuthTag(authTag);
-
-            let decrypted = decipher.update(encryptedData.data, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-
-            // Try to parse as JSON, otherwise return as string
-            try {
-                return JSON.parse(decrypted);
-            } catch {
-                return decrypted;
-            }
+            return savageEnvelope.open(encryptedData, { purpose });
 
         } catch (error) {
             console.error('❌ [ENCRYPTION] Decryption failed:', error);
-            
-            // Security: Don't reveal specific decryption errors
-            if (error.message.includes('bad decrypt') || error.message.includes('auth tag')) {
-                throw new Error('Decryption failed - invalid key or corrupted data');
-            }
-            
             throw new Error(`Decryption failed: ${error.message}`);
         }
     }
 
-    /**
-     * 🔍 Generate integrity hash for encrypted data
-     */
-    generateIntegrityHash(encryptedData) {
-        const dataToHash = [
-            encryptedData.version,
-            encryptedData.algorithm,
-            encryptedData.iv,
-            encryptedData.salt,
-            encryptedData.data,
-            encryptedData.authTag,
-            encryptedData.timestamp
-        ].join('|');
-
-        return crypto.createHash('sha256').update(dataToHash).digest('hex');
-    }
-
-    /**
-     * 🔍 Verify integrity hash
-     */
-    verifyIntegrityHash(encryptedData) {
-        if (!encryptedData.integrityHash) {
-            console.warn('⚠️ [ENCRYPTION] No integrity hash found');
-            return false;
-        }
-
-        const calculatedHash = this.generateIntegrityHash(encryptedData);
-        return calculatedHash === encryptedData.integrityHash;
-    }
-
     /**
      * 🎫 Encrypt session data (specialized for WhatsApp sessions)
      */
@@ -277,6 +191,82 @@ class SavageEncryption {
         }
     }
 
+    /**
+     * 📦 Export a bot session as a signed, encrypted, versioned string
+     */
+    exportSessionString(sessionPayload, botName) {
+        const encrypted = this.encrypt(sessionPayload, 'session_export', `SESSION-EXPORT:${botName}`);
+
+        const envelope = {
+            botName,
+            exportedAt: new Date().toISOString(),
+            encrypted
+        };
+
+        const header = `${SESSION_EXPORT.PREFIX}:${SESSION_EXPORT.VERSION}`;
+        const body = Buffer.from(JSON.stringify(envelope)).toString('base64url');
+        const signature = this.signSessionString(`${header}:${body}`);
+
+        console.log(`📦 [ENCRYPTION] Session exported for: ${botName}`);
+        return `${header}:${body}:${signature}`;
+    }
+
+    /**
+     * 📥 Verify and decrypt a portable session string
+     */
+    importSessionString(sessionString, expectedBotName = null) {
+        const parts = String(sessionString || '').trim().split(':');
+        if (parts.length !== 4 || parts[0] !== SESSION_EXPORT.PREFIX) {
+            throw new Error('Not a SAVAGE session string');
+        }
+
+        const [prefix, version, body, signature] = parts;
+        if (!SESSION_EXPORT.SUPPORTED_VERSIONS.includes(version)) {
+            throw new Error(`Unsupported session string version: ${version}`);
+        }
+
+        // Strings exported before a rotation were signed with a retired key
+        const received = Buffer.from(signature);
+        const signed = savageKeyring.candidates(null).some(keyEntry => {
+            const expected = Buffer.from(this.signSessionString(`${prefix}:${version}:${body}`, keyEntry));
+            return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+        });
+        if (!signed) {
+            throw new Error('Session string signature invalid - tampered or exported with a different key');
+        }
+
+        let envelope;
+        try {
+            envelope = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Session string envelope is corrupted');
+        }
+
+        if (!envelope.encrypted) {
+            throw new Error('Session string envelope is corrupted');
+        }
+
+        if (expectedBotName && envelope.botName !== expectedBotName) {
+            throw new Error(`Session string belongs to ${envelope.botName}, not ${expectedBotName}`);
+        }
+
+        const payload = this.decrypt(envelope.encrypted, 'session_export');
+        if (!payload || payload.botName !== envelope.botName) {
+            throw new Error('Session string payload does not match its envelope');
+        }
+
+        console.log(`📥 [ENCRYPTION] Session imported for: ${envelope.botName}`);
+        return payload;
+    }
+
+    /**
+     * ✍️ HMAC signature for session strings
+     */
+    signSessionString(content, keyEntry = savageKeyring.current()) {
+        const { key } = this.deriveKey('session_export_signing', SESSION_EXPORT.SIGNING_SALT, keyEntry);
+        return crypto.createHmac('sha256', key).update(content).digest('base64url');
+    }
+
     /**
      * 🆔 Generate unique session ID
      */
@@ -314,10 +304,18 @@ class SavageEncryption {
             const fileData = await fs.readFile(filePath, 'utf8');
             const encrypted = JSON.parse(fileData);
             
-            const decrypted = this.decrypt(encrypted, purpose);
+            const { value, upgraded } = savageEnvelope.openAndUpgrade(encrypted, { purpose });
+
+            // Upgrade-on-read: legacy files and files on a retired key are rewritten as current envelopes
+            if (upgraded) {
+                const tempPath = `${filePath}.tmp`;
+                await fs.writeFile(tempPath, JSON.stringify(upgraded, null, 2), 'utf8');
+                await fs.rename(tempPath, filePath);
+                console.log(`⬆️ [ENCRYPTION] ${filePath} upgraded to envelope v${upgraded.version} (key ${upgraded.keyId})`);
+            }
             
             console.log(`📁 [ENCRYPTION] Data decrypted from: ${filePath}`);
-            return decrypted;
+            return value;
 
         } catch (error) {
             console.error('❌ [ENCRYPTION] File decryption failed:', error);
@@ -327,46 +325,41 @@ class SavageEncryption {
 
     /**
      * 🔄 Rotate encryption keys
+     * ✅ FIXED: The old key stays in the keyring (decrypt-only) and stored sessions are re-encrypted by
+     * utils/keyRotation - a random in-memory key would be lost on restart, so the new key must be given
+     * (and then set as SESSION_ENCRYPTION_KEY / _KEY_ID, with the old one moved to SESSION_ENCRYPTION_OLD_KEYS)
      */
-    async rotateKeys(newMasterKey = null) {
+    async rotateKeys(newMasterKey, keyId = `k${Date.now().toString(36)}`) {
         try {
             console.log('🔄 [ENCRYPTION] Starting key rotation...');
-            
-            const oldKey = this.masterKey;
-            
-            if (newMasterKey) {
-                if (newMasterKey.length !== this.keyLength * 2) {
-                    throw new Error(`New key must be ${this.keyLength * 2} characters`);
-                }
-                this.masterKey = Buffer.from(newMasterKey, 'hex');
-            } else {
-                // Generate new random key
-                this.masterKey = crypto.randomBytes(this.keyLength);
+
+            if (!newMasterKey) {
+                throw new Error(`New key (${this.keyLength * 2} hex characters) is required`);
             }
-            
-            // Clear derived keys cache
-            this.derivedKeys.clear();
-            
+
+            const previousKeyId = savageKeyring.currentId;
+            savageKeyring.add(keyId, newMasterKey, 'runtime', true);
+            this.masterKey = savageKeyring.current().key;
+
             // Update key version
             this.keyVersion = `v1.0.${Date.now()}`;
-            
-            console.log('✅ [ENCRYPTION] Key rotation completed');
-            console.log(`🔑 [ENCRYPTION] New key version: ${this.keyVersion}`);
-            
+
+            const job = require('./keyRotation').start({ source: 'system' });
+
+            console.log('✅ [ENCRYPTION] Key rotation started');
+            console.log(`🔑 [ENCRYPTION] New key: ${keyId} (previous ${previousKeyId} kept for decryption)`);
+
             return {
                 success: true,
+                keyId,
+                previousKeyId,
                 keyVersion: this.keyVersion,
+                job,
                 timestamp: new Date()
             };
 
         } catch (error) {
-            console.error('❌ [ENCRYPTION] Key rotation failed:', error);
-            
-            // Revert to old key on failure
-            if (oldKey) {
-                this.masterKey = oldKey;
-            }
-            
+            console.error('❌ [ENCRYPTION] Key rotation failed:', error.message);
             throw error;
         }
     }
@@ -378,6 +371,8 @@ class SavageEncryption {
         return {
             algorithm: this.algorithm,
             keyVersion: this.keyVersion,
+            keyId: savageKeyring.currentId,
+            keyring: savageKeyring.list(),
             keyLength: this.keyLength,
             ivLength: this.ivLength,
             derivedKeysCount: this.derivedKeys.size,
@@ -496,6 +491,7 @@ class SavageEncryption {
 
             const backupData = {
                 masterKey: this.masterKey.toString('hex'),
+                keyId: savageKeyring.currentId,
                 keyVersion: this.keyVersion,
                 algorithm: this.algorithm,
                 backedUpAt: new Date().toISOString(),
@@ -546,8 +542,8 @@ module.exports = savageEncryption;
 // 🚀 Quick utility functions
 module.exports.encryptData = (data, purpose) => savageEncryption.encrypt(data, purpose);
 module.exports.decryptData = (encryptedData, purpose) => savageEncryption.decrypt(encryptedData, purpose);
-module.exports.generateSessionId = () => savageEncryption.generateSessionId();
-module.exports.healthCheck = () => savageEncryption.healthCheck();
+module.exports.generateSessionId = savageEncryption.generateSessionId.bind(savageEncryption);
+module.exports.healthCheck = savageEncryption.healthCheck.bind(savageEncryption);
 
 // 📝 Example usage
 if (require.main === module) {
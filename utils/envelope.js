@@ -0,0 +1,265 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Encryption Envelope
+ * The one format for everything sealed with the keyring: sessions, disk backups and file exports.
+ *
+ *   { format: 'savage-envelope', version: 2, algorithm, kdf, keyId, purpose, aad, iv, authTag, data, createdAt }
+ *
+ * The header (format ... aad) is bound into the GCM additional data, so a blob can't be replayed under
+ * another key id, purpose or context. Blobs written before the envelope (session manager and utils/encryption
+ * shapes) are still read, and upgrade() re-seals them - or anything on a retired key - into the current format.
+ */
+
+const crypto = require('crypto');
+const savageKeyring = require('./keyring');
+const { SECURITY_CONFIG } = require('../config/constants');
+
+const { ENCRYPTION } = SECURITY_CONFIG;
+const { ENVELOPE } = ENCRYPTION;
+
+// Legacy shapes - what the session manager and utils/encryption wrote before the envelope
+const LEGACY = {
+    SESSION_AAD: 'SAVAGE-BOTS-SESSION',
+    PBKDF2_ITERATIONS: 100000
+};
+
+function envelopeError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class SavageEnvelope {
+    constructor() {
+        this.purposeKeys = new Map(); // `${keyId}:${purpose}` -> derived key
+    }
+
+    /**
+     * 🔒 Seal a value (anything JSON-serialisable) under the current keyring key
+     */
+    seal(value, { purpose = 'session', aad = '' } = {}) {
+        const keyEntry = savageKeyring.current();
+        const header = {
+            format: ENVELOPE.FORMAT,
+            version: ENVELOPE.VERSION,
+            algorithm: ENCRYPTION.ALGORITHM,
+            kdf: ENVELOPE.KDF,
+            keyId: keyEntry.id,
+            purpose,
+            aad: String(aad)
+        };
+
+        const iv = crypto.randomBytes(ENVELOPE.IV_LENGTH);
+        const cipher = crypto.createCipheriv(header.algorithm, this.purposeKey(keyEntry, purpose), iv);
+        cipher.setAAD(this.headerAAD(header));
+
+        const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+        return {
+            ...header,
+            iv: iv.toString('base64'),
+            authTag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64'),
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 🔓 Open an envelope (or a legacy blob) - expected.purpose / expected.aad reject blobs sealed for something else
+     */
+    open(blob, expected = {}) {
+        const envelope = this.parse(blob);
+
+        switch (this.detect(envelope)) {
+            case 'envelope':
+                return this.openEnvelope(envelope, expected);
+            case 'legacy-session':
+                return this.openLegacySession(envelope);
+            case 'legacy-encryption':
+                return this.openLegacyEncryption(envelope, expected);
+            default:
+                throw envelopeError('Not an encrypted envelope', 'INVALID_ENVELOPE');
+        }
+    }
+
+    /**
+     * 🔍 Legacy shape or retired key - worth re-sealing
+     */
+    needsUpgrade(blob) {
+        const envelope = this.parse(blob);
+        return this.detect(envelope) !== 'envelope' || !savageKeyring.isCurrent(envelope.keyId);
+    }
+
+    /**
+     * ⬆️ Re-seal into the current format and key, keeping purpose and context - null when already there
+     */
+    upgrade(blob) {
+        return this.openAndUpgrade(blob).upgraded;
+    }
+
+    /**
+     * 📖 Upgrade-on-read: the plaintext plus the re-sealed envelope the caller should write back (or null)
+     */
+    openAndUpgrade(blob, expected = {}) {
+        const envelope = this.parse(blob);
+        const value = this.open(envelope, expected);
+
+        if (!this.needsUpgrade(envelope)) {
+            return { value, upgraded: null };
+        }
+
+        return { value, upgraded: this.seal(value, this.context(envelope)) };
+    }
+
+    isEnvelope(blob) {
+        return this.detect(this.parse(blob)) === 'envelope';
+    }
+
+    // Stored blobs arrive both as objects and as JSON strings (SavageSession.encryptedData)
+    parse(blob) {
+        if (typeof blob !== 'string') return blob;
+
+        try {
+            return JSON.parse(blob);
+        } catch (error) {
+            throw envelopeError('Encrypted data is not valid JSON', 'INVALID_ENVELOPE');
+        }
+    }
+
+    detect(blob) {
+        if (!blob || typeof blob !== 'object') return null;
+        if (blob.format === ENVELOPE.FORMAT) return 'envelope';
+        if (!blob.iv || !blob.data || !blob.authTag) return null;
+        return blob.salt ? 'legacy-encryption' : 'legacy-session';
+    }
+
+    // Purpose and context a blob was sealed for - legacy blobs map onto their envelope equivalents
+    context(blob) {
+        switch (this.detect(blob)) {
+            case 'envelope':
+                return { purpose: blob.purpose, aad: blob.aad };
+            case 'legacy-session':
+                return { purpose: 'session', aad: LEGACY.SESSION_AAD };
+            default:
+                return { purpose: blob.purpose || 'session', aad: blob.additionalData || '' };
+        }
+    }
+
+    openEnvelope(envelope, expected) {
+        if (envelope.version !== ENVELOPE.VERSION || envelope.algorithm !== ENCRYPTION.ALGORITHM || envelope.kdf !== ENVELOPE.KDF) {
+            throw envelopeError(`Unsupported envelope (v${envelope.version}, ${envelope.algorithm}, ${envelope.kdf})`, 'UNSUPPORTED_ENVELOPE');
+        }
+        this.assertExpected(envelope, expected);
+
+        const keyEntry = savageKeyring.candidates(envelope.keyId)[0];
+        try {
+            const decipher = crypto.createDecipheriv(envelope.algorithm, this.purposeKey(keyEntry, envelope.purpose), Buffer.from(envelope.iv, 'base64'));
+            decipher.setAAD(this.headerAAD(envelope));
+            decipher.setAuthTag(Buffer.from(envelope.authTag, 'base64'));
+
+            const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+            return JSON.parse(plaintext.toString('utf8'));
+        } catch (error) {
+            throw envelopeError('Envelope failed authentication - tampered or sealed with a different key', 'DECRYPT_FAILED');
+        }
+    }
+
+    // Session manager blobs: raw keyring key, fixed AAD, hex - keyId only on blobs sealed since key versioning
+    openLegacySession(blob) {
+        for (const { key } of savageKeyring.candidates(blob.keyId)) {
+            try {
+                const decipher = crypto.createDecipheriv(blob.algorithm || ENCRYPTION.ALGORITHM, key, Buffer.from(blob.iv, 'hex'));
+                decipher.setAAD(Buffer.from(LEGACY.SESSION_AAD));
+                decipher.setAuthTag(Buffer.from(blob.authTag, 'hex'));
+
+                let decrypted = decipher.update(blob.data, 'hex', 'utf8');
+                decrypted += decipher.final('utf8');
+                return JSON.parse(decrypted);
+            } catch (keyError) {
+                // GCM auth failure - not this key
+            }
+        }
+
+        throw envelopeError('No key in the keyring opens this session', 'DECRYPT_FAILED');
+    }
+
+    // utils/encryption blobs: PBKDF2 key per purpose and salt, caller AAD, detached integrity hash
+    openLegacyEncryption(blob, expected) {
+        if (blob.integrityHash !== this.legacyIntegrityHash(blob)) {
+            throw envelopeError('Data integrity check failed - possible tampering detected', 'DECRYPT_FAILED');
+        }
+
+        const purpose = expected.purpose || blob.purpose;
+        const salt = Buffer.from(blob.salt, 'hex');
+
+        for (const keyEntry of savageKeyring.candidates(blob.keyId)) {
+            try {
+                const decipher = crypto.createDecipheriv(blob.algorithm, this.legacyKey(keyEntry, purpose, salt), Buffer.from(blob.iv, 'hex'));
+                if (blob.additionalData) {
+                    decipher.setAAD(Buffer.from(blob.additionalData));
+                }
+                decipher.setAuthTag(Buffer.from(blob.authTag, 'hex'));
+
+                let decrypted = decipher.update(blob.data, 'hex', 'utf8');
+                decrypted += decipher.final('utf8');
+
+                // These blobs held raw strings as well as JSON
+                try {
+                    return JSON.parse(decrypted);
+                } catch {
+                    return decrypted;
+                }
+            } catch (keyError) {
+                // GCM auth failure - not this key
+            }
+        }
+
+        throw envelopeError('Decryption failed - invalid key or corrupted data', 'DECRYPT_FAILED');
+    }
+
+    assertExpected(envelope, expected) {
+        if (expected.purpose && envelope.purpose !== expected.purpose) {
+            throw envelopeError(`Envelope was sealed for ${envelope.purpose}, not ${expected.purpose}`, 'ENVELOPE_MISMATCH');
+        }
+        if (expected.aad !== undefined && envelope.aad !== String(expected.aad)) {
+            throw envelopeError('Envelope was sealed for a different context', 'ENVELOPE_MISMATCH');
+        }
+    }
+
+    headerAAD(header) {
+        return Buffer.from(JSON.stringify([header.format, header.version, header.algorithm, header.kdf, header.keyId, header.purpose, header.aad]));
+    }
+
+    purposeKey(keyEntry, purpose) {
+        const cacheKey = `${keyEntry.id}:${purpose}`;
+        if (!this.purposeKeys.has(cacheKey)) {
+            const key = crypto.hkdfSync('sha256', keyEntry.key, Buffer.alloc(0), `${ENVELOPE.FORMAT}:${purpose}`, ENCRYPTION.KEY_LENGTH);
+            this.purposeKeys.set(cacheKey, Buffer.from(key));
+        }
+        return this.purposeKeys.get(cacheKey);
+    }
+
+    // Every legacy blob has its own salt - nothing worth caching
+    legacyKey(keyEntry, purpose, salt) {
+        return crypto.pbkdf2Sync(keyEntry.key, salt, LEGACY.PBKDF2_ITERATIONS, ENCRYPTION.KEY_LENGTH, 'sha256');
+    }
+
+    legacyIntegrityHash(blob) {
+        const dataToHash = [
+            blob.version,
+            blob.algorithm,
+            blob.iv,
+            blob.salt,
+            blob.data,
+            blob.authTag,
+            blob.timestamp,
+            ...(blob.keyId ? [blob.keyId] : []) // Blobs from before key ids hash without it
+        ].join('|');
+
+        return crypto.createHash('sha256').update(dataToHash).digest('hex');
+    }
+}
+
+// Create singleton instance
+const savageEnvelope = new SavageEnvelope();
+
+module.exports = savageEnvelope;
@@ -0,0 +1,535 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Functions Providers
+ * Answers /api/functions/:botType and the dashboard's execute_command through a chain of providers:
+ * 'http' (remote functions service at FUNCTIONS_URL), 'local' (command modules loaded from FUNCTIONS_DIR)
+ * and 'builtin' (in-process, always last). The first provider that handles a command answers it;
+ * one that throws hands the command to the next. The http provider keeps a circuit breaker per bot endpoint,
+ * signs its requests and checks the signed responses with FUNCTIONS_SECRET (required in production; unsigned only in development),
+ * and argument-free idempotent commands (menu, ping) are cached.
+ *
+ * Provider interface: { name, describe(), handles(bot, command), execute(bot, command, { args, message }),
+ * commands(bot) (optional, listed by !menu), health() }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const savageHelpers = require('./helpers');
+const { NonceGuard, signRequest, verifyResponse } = require('./functionsSigning');
+const { SCANNER_IDENTITY, BOT_CONFIG } = require('../config/constants');
+
+const { FUNCTIONS } = BOT_CONFIG;
+
+const BOT_LABELS = {
+    'savage-x': '🦅 SAVAGE-X',
+    'de-unknown': '🔮 DE-UNKNOWN',
+    'queen-rixie': '👑 QUEEN RIXIE'
+};
+
+function functionsError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Handler results may be plain text or { response, ...extra }
+function toResult(output) {
+    return output && typeof output === 'object' ? output : { response: String(output ?? '') };
+}
+
+// Network errors, timeouts, 5xx and bad responses say the service is unwell - a 4xx is the caller's problem
+function isServiceFailure(error) {
+    const status = error.response?.status;
+    return !status || status >= 500;
+}
+
+// closed: calls go through | open: calls fail fast until a probe succeeds | half-open: one trial call decides
+class CircuitBreaker {
+    constructor(name) {
+        this.name = name;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.retryAt = null;
+        this.lastError = null;
+        this.trialInFlight = false;
+    }
+
+    open(error) {
+        if (this.state !== 'open') {
+            console.warn(`🔌 [FUNCTIONS] Circuit ${this.name} OPEN: ${error}`);
+        }
+        this.state = 'open';
+        this.openedAt = this.openedAt || new Date();
+        this.retryAt = Date.now() + FUNCTIONS.BREAKER.OPEN_DURATION;
+        this.trialInFlight = false;
+    }
+
+    halfOpen() {
+        if (this.state !== 'open') return;
+        this.state = 'half-open';
+        this.trialInFlight = false;
+        console.log(`🔌 [FUNCTIONS] Circuit ${this.name} HALF-OPEN (probe succeeded)`);
+    }
+
+    // A probe is due once an open breaker has waited OPEN_DURATION
+    probeDue() {
+        return this.state === 'open' && Date.now() >= this.retryAt;
+    }
+
+    // Claims the call slot - false means fail fast
+    tryAcquire() {
+        if (this.state === 'closed') return true;
+        if (this.state === 'half-open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            console.log(`🔌 [FUNCTIONS] Circuit ${this.name} CLOSED`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.retryAt = null;
+        this.trialInFlight = false;
+    }
+
+    // Gives back a half-open trial slot without deciding anything
+    release() {
+        this.trialInFlight = false;
+    }
+
+    recordFailure(error) {
+        this.failures++;
+        this.lastError = error;
+
+        if (this.state === 'half-open' || this.failures >= FUNCTIONS.BREAKER.FAILURE_THRESHOLD) {
+            this.open(error);
+        }
+    }
+
+    toJSON() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt,
+            retryAt: this.retryAt ? new Date(this.retryAt) : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+class HttpFunctionsProvider {
+    constructor(baseURL, timeout) {
+        this.name = 'http';
+        this.baseURL = baseURL;
+        this.client = axios.create({
+            baseURL: baseURL,
+            timeout: timeout,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': `SavageScanner/${SCANNER_IDENTITY.VERSION}`
+            }
+        });
+        this.basePath = new URL(baseURL).pathname.replace(/\/+$/, ''); // Signed paths are what the service sees
+        this.secret = FUNCTIONS.SIGNING.SECRET;
+        this.nonces = new NonceGuard(); // Response nonces already accepted
+        this.breakers = new Map(Object.values(FUNCTIONS.BOT_SLUGS).map(bot => [bot, new CircuitBreaker(`http/${bot}`)]));
+        this.probing = null; // In-flight health probe shared by every breaker
+
+        // Unsigned mode is for local development against the mock server only
+        if (!this.secret) {
+            if (process.env.NODE_ENV === 'production') {
+                throw functionsError('FUNCTIONS_SECRET environment variable is required in production for the http functions provider', 'MISSING_SECRET');
+            }
+            console.warn('⚠️ [FUNCTIONS] FUNCTIONS_SECRET not set - functions requests are unsigned (NOT FOR PRODUCTION)');
+        }
+    }
+
+    /**
+     * 🔏 Signed round trip - the body is serialized once so the bytes signed are the bytes sent,
+     * and the raw response body is kept for its signature check before it is parsed
+     */
+    async request(method, path, payload, timeout) {
+        const body = payload === undefined ? '' : JSON.stringify(payload);
+        const signed = this.secret ? signRequest(this.secret, method, this.basePath + path, body) : null;
+
+        const response = await this.client.request({
+            method,
+            url: path,
+            data: body || undefined,
+            timeout,
+            headers: signed?.headers,
+            responseType: 'text',
+            transformResponse: [data => data]
+        });
+
+        const raw = typeof response.data === 'string' ? response.data : '';
+        if (signed) {
+            verifyResponse(this.secret, this.nonces, signed.nonce, { status: response.status, headers: response.headers, body: raw });
+        }
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    describe() {
+        return `http(${this.baseURL})`;
+    }
+
+    // The remote service owns its command list - every command is forwarded
+    handles() {
+        return true;
+    }
+
+    async execute(bot, command, { args, message }) {
+        const breaker = this.breakers.get(bot);
+        if (breaker.probeDue()) await this.probe().catch(() => {});
+
+        if (!breaker.tryAcquire()) {
+            const error = new Error(`Circuit ${breaker.name} is ${breaker.state}`);
+            error.code = 'CIRCUIT_OPEN';
+            throw error;
+        }
+
+        try {
+            const data = await this.request('post', `/${bot}`, {
+                command,
+                args,
+                message,
+                timestamp: new Date().toISOString()
+            });
+
+            breaker.recordSuccess();
+            return toResult(data);
+        } catch (error) {
+            if (isServiceFailure(error)) {
+                breaker.recordFailure(error.message);
+            } else {
+                breaker.release();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 🩺 Quick GET / against the service - success half-opens every open breaker, failure keeps them open
+     */
+    async probe() {
+        if (!this.probing) {
+            this.probing = this.request('get', '/', undefined, FUNCTIONS.BREAKER.PROBE_TIMEOUT)
+                .then(data => {
+                    for (const breaker of this.breakers.values()) breaker.halfOpen();
+                    return data;
+                })
+                .catch(error => {
+                    for (const breaker of this.breakers.values()) {
+                        if (breaker.state !== 'closed') breaker.open(error.message);
+                    }
+                    throw error;
+                })
+                .finally(() => {
+                    this.probing = null;
+                });
+        }
+        return this.probing;
+    }
+
+    breakerStates() {
+        return Object.fromEntries(Array.from(this.breakers, ([bot, breaker]) => [bot, breaker.toJSON()]));
+    }
+
+    async health() {
+        try {
+            const response = await this.probe();
+            return { status: 'connected', url: this.baseURL, signed: !!this.secret, response, breakers: this.breakerStates() };
+        } catch (error) {
+            return { status: 'disconnected', url: this.baseURL, signed: !!this.secret, error: error.message, breakers: this.breakerStates() };
+        }
+    }
+}
+
+class LocalFunctionsProvider {
+    constructor(directory) {
+        this.name = 'local';
+        this.directory = directory;
+        this.modules = new Map(); // bot slug -> Map(command name or alias -> definition)
+        this.files = [];
+    }
+
+    describe() {
+        return `local(${this.directory})`;
+    }
+
+    /**
+     * 📂 (Re)load <dir>/common/*.js and <dir>/<bot>/*.js - each file exports a definition, an array of them
+     * or a function returning either: { name, aliases, description, execute({ bot, command, args, message }) }
+     */
+    load() {
+        for (const file of this.files) delete require.cache[file];
+        this.files = [];
+        this.modules.clear();
+
+        const loaded = new Set(); // common definitions count once, not once per bot
+        for (const bot of Object.values(FUNCTIONS.BOT_SLUGS)) {
+            const commands = new Map();
+
+            for (const folder of ['common', bot]) {
+                const directory = path.join(this.directory, folder);
+                if (!fs.existsSync(directory)) continue;
+
+                for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.js')).sort()) {
+                    const fullPath = path.join(directory, file);
+                    try {
+                        let exported = require(fullPath);
+                        if (typeof exported === 'function') exported = exported(bot);
+                        this.files.push(require.resolve(fullPath));
+
+                        for (const definition of [].concat(exported || [])) {
+                            if (!definition.name || typeof definition.execute !== 'function') {
+                                throw new Error('a command needs a name and an execute() function');
+                            }
+
+                            // Bot folders override common commands of the same name
+                            for (const key of [definition.name, ...(definition.aliases || [])]) {
+                                commands.set(String(key).toLowerCase(), definition);
+                            }
+                            loaded.add(definition);
+                        }
+                    } catch (error) {
+                        console.warn(`⚠️ [FUNCTIONS] Local function ${folder}/${file} skipped: ${error.message}`);
+                    }
+                }
+            }
+
+            this.modules.set(bot, commands);
+        }
+
+        console.log(`📂 [FUNCTIONS] Loaded ${loaded.size} local function(s) from ${this.directory}`);
+        return loaded.size;
+    }
+
+    handles(bot, command) {
+        return !!this.modules.get(bot)?.has(command);
+    }
+
+    async execute(bot, command, { args, message }) {
+        const definition = this.modules.get(bot).get(command);
+        return toResult(await definition.execute({ bot, command, args, message }));
+    }
+
+    commands(bot) {
+        return Array.from(new Set(this.modules.get(bot)?.values() || [])).map(definition => definition.name);
+    }
+
+    async health() {
+        const commands = {};
+        for (const [bot, definitions] of this.modules) {
+            commands[bot] = new Set(definitions.values()).size;
+        }
+        return { status: 'loaded', directory: this.directory, commands };
+    }
+}
+
+class BuiltinFunctionsProvider {
+    constructor(manager) {
+        this.name = 'builtin';
+        this.manager = manager;
+        this.handlers = {
+            common: {
+                menu: (bot) => this.menu(bot),
+                ping: (bot) => `🏓 Pong! ${BOT_LABELS[bot]} Active\n⏰ ${new Date().toLocaleString()}`,
+                stats: (bot) => this.stats(bot)
+            },
+            'de-unknown': {
+                mystery: () => '🔍 Exploring mysteries...'
+            },
+            'queen-rixie': {
+                royal: () => '📜 Royal decree processing...'
+            }
+        };
+    }
+
+    describe() {
+        return 'builtin';
+    }
+
+    handler(bot, command) {
+        return this.handlers[bot]?.[command] || this.handlers.common[command] || null;
+    }
+
+    handles(bot, command) {
+        return !!this.handler(bot, command);
+    }
+
+    async execute(bot, command, { args }) {
+        return toResult(this.handler(bot, command)(bot, args));
+    }
+
+    commands(bot) {
+        return [...Object.keys(this.handlers.common), ...Object.keys(this.handlers[bot] || {})];
+    }
+
+    menu(bot) {
+        const sections = this.manager.providers
+            .filter(provider => provider.commands)
+            .map(provider => `• ${provider.name}: ${provider.commands(bot).join(', ') || 'none'}`);
+
+        return `${BOT_LABELS[bot]} COMMANDS\n\n${sections.join('\n')}`;
+    }
+
+    stats(bot) {
+        const botName = this.manager.toBotName(bot);
+        const state = this.manager.scanner?.getBotState(botName);
+
+        return `📊 BOT STATS:\n• Bot: ${botName}\n• Status: ${state?.status || 'unknown'}\n• WhatsApp: ${state?.authenticated ? 'Linked' : 'Not linked'}\n• Functions: ${this.manager.describe()}`;
+    }
+
+    async health() {
+        return { status: 'ready' };
+    }
+}
+
+class SavageFunctions {
+    constructor() {
+        this.scanner = null;
+        this.providers = FUNCTIONS.PROVIDERS
+            .filter(name => name !== 'builtin')
+            .map(name => this.createProvider(name))
+            .filter(Boolean);
+        this.providers.push(new BuiltinFunctionsProvider(this));
+    }
+
+    createProvider(name) {
+        switch (name) {
+            case 'http':
+                return new HttpFunctionsProvider(FUNCTIONS.HTTP_URL, FUNCTIONS.HTTP_TIMEOUT);
+            case 'local':
+                return new LocalFunctionsProvider(FUNCTIONS.LOCAL_DIR);
+            default:
+                console.warn(`⚠️ [FUNCTIONS] Unknown functions provider '${name}' ignored`);
+                return null;
+        }
+    }
+
+    /**
+     * 🎯 Bind to the scanner (stats) and load local command modules
+     */
+    initialize(scanner) {
+        this.scanner = scanner;
+        for (const provider of this.providers) {
+            if (provider.load) provider.load();
+        }
+        console.log(`🧩 [FUNCTIONS] Providers: ${this.describe()}`);
+        return this;
+    }
+
+    describe() {
+        return this.providers.map(provider => provider.describe()).join(' → ');
+    }
+
+    /**
+     * 🔤 'savage-x', 'SAVAGE-X', 'savage_x', 'DE-UKNOWN-BOT', 'QUEEN RIXIE' ... -> bot slug (null when unknown)
+     */
+    toBotSlug(botType) {
+        const key = String(botType || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+
+        for (const [botName, slug] of Object.entries(FUNCTIONS.BOT_SLUGS)) {
+            if (key === slug || key === botName.toLowerCase()) return slug;
+        }
+        return null;
+    }
+
+    toBotName(slug) {
+        return Object.keys(FUNCTIONS.BOT_SLUGS).find(botName => FUNCTIONS.BOT_SLUGS[botName] === slug) || null;
+    }
+
+    /**
+     * ⚡ Run a command through the provider chain
+     */
+    async call(botType, command, args, message) {
+        const bot = this.toBotSlug(botType);
+        if (!bot) {
+            return { success: false, error: `Unknown bot type: ${botType}`, code: 'UNKNOWN_BOT' };
+        }
+
+        const name = String(command || '').trim().toLowerCase();
+        if (!name) {
+            return { success: false, error: 'Command is required', code: 'INVALID_COMMAND' };
+        }
+
+        const cacheKey = this.cacheKey(bot, name, args);
+        const cached = cacheKey && savageHelpers.getCache(cacheKey);
+        if (cached) {
+            return { ...cached, cached: true };
+        }
+
+        const failed = [];
+        for (const provider of this.providers) {
+            if (!provider.handles(bot, name)) continue;
+
+            try {
+                const result = {
+                    success: true,
+                    ...await provider.execute(bot, name, { args, message }),
+                    provider: provider.name,
+                    fallback: failed.length > 0,
+                    timestamp: new Date().toISOString()
+                };
+
+                // Fallback answers are not cached so the real one shows as soon as the service is back
+                if (cacheKey && !result.fallback) {
+                    savageHelpers.setCache(cacheKey, result, FUNCTIONS.CACHE.TTL);
+                }
+                return result;
+            } catch (error) {
+                if (error.code !== 'CIRCUIT_OPEN') {
+                    console.error(`❌ [FUNCTIONS] ${provider.name} ${bot} ${name} failed:`, error.message);
+                }
+                failed.push(provider.name);
+            }
+        }
+
+        return {
+            success: false,
+            error: failed.length > 0 ? `Command failed on ${failed.join(', ')}: ${name}` : `Command not available: ${name}`,
+            code: failed.length > 0 ? 'FUNCTION_FAILED' : 'FUNCTION_NOT_FOUND',
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Only argument-free calls to idempotent commands are cacheable
+    cacheKey(bot, command, args) {
+        const hasArgs = Array.isArray(args) ? args.length > 0 : args !== undefined && args !== null && args !== '';
+        if (hasArgs || !FUNCTIONS.CACHE.COMMANDS.includes(command)) return null;
+
+        return `functions:${bot}:${command}`;
+    }
+
+    /**
+     * 🏥 Health of every provider (one unhealthy provider does not hide the rest)
+     */
+    async health() {
+        const providers = {};
+        for (const provider of this.providers) {
+            try {
+                providers[provider.name] = await provider.health();
+            } catch (error) {
+                providers[provider.name] = { status: 'disconnected', error: error.message };
+            }
+        }
+
+        return {
+            status: Object.values(providers).every(provider => provider.status !== 'disconnected') ? 'connected' : 'degraded',
+            chain: this.describe(),
+            providers
+        };
+    }
+}
+
+// Create singleton instance
+const savageFunctions = new SavageFunctions();
+
+module.exports = savageFunctions;
@@ -0,0 +1,136 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Functions Request Signing
+ * HMAC-SHA256 (generators.generateSignature) over timestamp, nonce and the exact bytes sent, with a shared
+ * FUNCTIONS_SECRET. Both directions are signed: the scanner signs requests, the functions service signs its
+ * responses and binds them to the request nonce, so neither side accepts forged, stale or replayed messages.
+ * Used by the http functions provider and by scripts/mock-functions-server.js.
+ *
+ * request:  `${timestamp}\n${nonce}\n${METHOD}\n${path}\n${body}`
+ * response: `${timestamp}\n${nonce}\n${requestNonce}\n${status}\n${body}`
+ */
+
+const crypto = require('crypto');
+const { generateSignature, verifySignature } = require('./generators');
+const { BOT_CONFIG } = require('../config/constants');
+
+const { SIGNING } = BOT_CONFIG.FUNCTIONS;
+const { HEADERS } = SIGNING;
+
+const SIGNATURE_LENGTH = 64; // Full hex SHA-256
+
+function signingError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Remembers nonces for twice MAX_SKEW (timestamps may be that far apart) - older messages fail the timestamp check
+class NonceGuard {
+    constructor(ttl = 2 * SIGNING.MAX_SKEW) {
+        this.ttl = ttl;
+        this.seen = new Map(); // nonce -> expires at
+    }
+
+    // false when the nonce was already used
+    remember(nonce) {
+        const now = Date.now();
+        for (const [seenNonce, expires] of this.seen) {
+            if (expires > now) break; // Insertion order = expiry order
+            this.seen.delete(seenNonce);
+        }
+
+        if (this.seen.has(nonce)) return false;
+        this.seen.set(nonce, now + this.ttl);
+        return true;
+    }
+}
+
+function requestPayload(timestamp, nonce, method, path, body) {
+    return `${timestamp}\n${nonce}\n${method.toUpperCase()}\n${path}\n${body}`;
+}
+
+function responsePayload(timestamp, nonce, requestNonce, status, body) {
+    return `${timestamp}\n${nonce}\n${requestNonce}\n${status}\n${body}`;
+}
+
+function stamp() {
+    return { timestamp: String(Date.now()), nonce: crypto.randomBytes(16).toString('hex') };
+}
+
+function header(headers, name) {
+    const value = headers?.[name];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+// Shared checks: headers present, timestamp fresh, signature valid, nonce unused
+function verify(headers, payloadFor, secret, guard) {
+    const timestamp = header(headers, HEADERS.TIMESTAMP);
+    const nonce = header(headers, HEADERS.NONCE);
+    const signature = header(headers, HEADERS.SIGNATURE);
+
+    if (!timestamp || !nonce || !signature) {
+        throw signingError('Missing signature headers', 'SIGNATURE_MISSING');
+    }
+    if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() - Number(timestamp)) > SIGNING.MAX_SKEW) {
+        throw signingError('Signature timestamp outside the allowed window', 'SIGNATURE_EXPIRED');
+    }
+    if (!verifySignature(payloadFor(timestamp, nonce), signature, secret, SIGNATURE_LENGTH)) {
+        throw signingError('Invalid signature', 'SIGNATURE_INVALID');
+    }
+    if (!guard.remember(nonce)) {
+        throw signingError('Replayed nonce', 'SIGNATURE_REPLAYED');
+    }
+
+    return { timestamp, nonce };
+}
+
+/**
+ * ✍️ Headers for an outgoing request - body must be the exact string sent
+ */
+function signRequest(secret, method, path, body = '') {
+    const { timestamp, nonce } = stamp();
+
+    return {
+        nonce,
+        headers: {
+            [HEADERS.TIMESTAMP]: timestamp,
+            [HEADERS.NONCE]: nonce,
+            [HEADERS.SIGNATURE]: generateSignature(requestPayload(timestamp, nonce, method, path, body), secret, SIGNATURE_LENGTH)
+        }
+    };
+}
+
+/**
+ * 🔍 Check an incoming request (functions service side) - returns { timestamp, nonce } or throws
+ */
+function verifyRequest(secret, guard, { method, path, headers, body = '' }) {
+    return verify(headers, (timestamp, nonce) => requestPayload(timestamp, nonce, method, path, body), secret, guard);
+}
+
+/**
+ * ✍️ Headers for a response to the request carrying requestNonce
+ */
+function signResponse(secret, requestNonce, status, body = '') {
+    const { timestamp, nonce } = stamp();
+
+    return {
+        [HEADERS.TIMESTAMP]: timestamp,
+        [HEADERS.NONCE]: nonce,
+        [HEADERS.SIGNATURE]: generateSignature(responsePayload(timestamp, nonce, requestNonce, status, body), secret, SIGNATURE_LENGTH)
+    };
+}
+
+/**
+ * 🔍 Check a response (scanner side) against the nonce of the request it answers
+ */
+function verifyResponse(secret, guard, requestNonce, { status, headers, body = '' }) {
+    return verify(headers, (timestamp, nonce) => responsePayload(timestamp, nonce, requestNonce, status, body), secret, guard);
+}
+
+module.exports = {
+    NonceGuard,
+    signRequest,
+    verifyRequest,
+    signResponse,
+    verifyResponse
+};
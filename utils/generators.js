@@ -18,6 +18,11 @@ class SavageGenerators {
                 separator: '-',
                 charset: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
             },
+            botSessionId: {
+                prefix: 'SAVAGE-XMD-BOT-SESSION',
+                partLength: 12,
+                pattern: /^SAVAGE-XMD-BOT-SESSION-[A-Z0-9]{12}-\d{10}-[A-Z0-9]{12}$/
+            },
             pairingCode: {
                 length: 8, // ✅ CHANGED: 8 digits (was 6)
                 charset: '0123456789',
@@ -246,22 +251,34 @@ class SavageGenerators {
 
     /**
      * ✍️ Generate cryptographic signature
+     * ✅ ADDED: Optional shared secret and length (functions requests sign with FUNCTIONS_SECRET, full 64 hex chars)
      */
-    generateSignature(data) {
+    generateSignature(data, secret = null, length = 16) {
         try {
             const dataString = typeof data === 'string' ? data : JSON.stringify(data);
-            const secret = process.env.SESSION_ENCRYPTION_KEY || 'savage-default-secret-key-2024';
+            const key = secret || process.env.SESSION_ENCRYPTION_KEY || 'savage-default-secret-key-2024';
             
-            return crypto.createHmac('sha256', secret)
+            return crypto.createHmac('sha256', key)
                 .update(dataString)
                 .digest('hex')
-                .substring(0, 16); // ✅ SHORTER: 16-character signature
+                .substring(0, length); // ✅ SHORTER: 16-character signature by default
         } catch (error) {
             console.error('❌ [GENERATORS] Signature generation failed:', error);
             return 'fallback-signature';
         }
     }
 
+    /**
+     * 🔏 Constant-time check of a signature made by generateSignature
+     */
+    verifySignature(data, signature, secret = null, length = 16) {
+        if (typeof signature !== 'string' || signature.length !== length) return false;
+
+        const expected = Buffer.from(this.generateSignature(data, secret, length));
+        const given = Buffer.from(signature);
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+
     /**
      * 🔍 Validate session ID format
      */
@@ -273,6 +290,41 @@ class SavageGenerators {
         return pattern.test(sessionId) && sessionId.length >= 20;
     }
 
+    /**
+     * 🆔 NEW: Generate bot connector session ID
+     * Format: SAVAGE-XMD-BOT-SESSION-[12char]-[10 digit unix time]-[12char]
+     */
+    generateBotSessionId(botName = 'SCANNER') {
+        const { prefix, partLength } = this.config.botSessionId;
+        const seconds = Math.floor(Date.now() / 1000).toString().padStart(10, '0').slice(-10);
+
+        const sessionId = [
+            prefix,
+            this.generateRandomString(partLength),
+            seconds,
+            this.generateRandomString(partLength)
+        ].join('-');
+
+        if (this.usedIdentifiers.has(sessionId)) {
+            return this.generateBotSessionId(botName);
+        }
+
+        this.recordGeneration('bot_session_id', sessionId, {
+            botName,
+            timestamp: Date.now()
+        });
+
+        console.log(`🆔 [GENERATORS] Bot session ID generated for ${botName}`);
+        return sessionId;
+    }
+
+    /**
+     * ✅ NEW: Validate bot connector session ID format
+     */
+    validateBotSessionId(sessionId) {
+        return typeof sessionId === 'string' && this.config.botSessionId.pattern.test(sessionId);
+    }
+
     /**
      * ✅ Validate pairing code - UPDATED for 8 digits and manual-only
      */
@@ -533,9 +585,10 @@ class SavageGenerators {
     startCleanupInterval() {
         try {
             // Cleanup every 5 minutes
-            setInterval(() => {
+            const interval = setInterval(() => {
                 this.cleanupExpiredEntries();
             }, 300000);
+            if (interval.unref) interval.unref();
 
             console.log('⏰ [GENERATORS] Cleanup interval started (every 5 minutes)');
         } catch (error) {
@@ -549,9 +602,10 @@ class SavageGenerators {
     startQRRegenerationMonitor() {
         try {
             // Monitor QR regeneration every minute
-            setInterval(() => {
+            const interval = setInterval(() => {
                 this.monitorQRRegeneration();
             }, 60000);
+            if (interval.unref) interval.unref();
 
             console.log('🔄 [GENERATORS] QR regeneration monitor started');
         } catch (error) {
@@ -835,16 +889,20 @@ const savageGenerators = new SavageGenerators();
 module.exports = savageGenerators;
 
 // 🚀 Quick utility functions
-module.exports.generateSessionId = (botName, platform) => savageGenerators.generateSessionId(botName, platform);
-module.exports.generatePairingCode = (phoneNumber) => savageGenerators.generatePairingCode(phoneNumber); // ✅ UPDATED: Phone number parameter (REQUIRED)
-module.exports.generateAuthToken = (botName, sessionId, purpose) => savageGenerators.generateAuthToken(botName, sessionId, purpose);
-module.exports.validateSessionId = (sessionId) => savageGenerators.validateSessionId(sessionId);
-module.exports.validatePairingCode = (code) => savageGenerators.validatePairingCode(code);
-module.exports.generateBotConfig = (botName) => savageGenerators.generateBotConfig(botName);
-module.exports.generateQRData = (phoneNumber) => savageGenerators.generateQRData(phoneNumber); // ✅ UPDATED: Phone number parameter
-module.exports.trackQRRegeneration = (qrId) => savageGenerators.trackQRRegeneration(qrId); // ✅ ADDED: QR regeneration tracking
-module.exports.getQRRegenerationStatus = (qrId) => savageGenerators.getQRRegenerationStatus(qrId); // ✅ ADDED: QR status
-module.exports.isValidPhoneNumber = (phone) => savageGenerators.isValidPhoneNumber(phone); // ✅ ADDED: Phone validation
+module.exports.generateSessionId = savageGenerators.generateSessionId.bind(savageGenerators);
+module.exports.generatePairingCode = savageGenerators.generatePairingCode.bind(savageGenerators); // ✅ UPDATED: Phone number parameter (REQUIRED)
+module.exports.generateAuthToken = savageGenerators.generateAuthToken.bind(savageGenerators);
+module.exports.validateSessionId = savageGenerators.validateSessionId.bind(savageGenerators);
+module.exports.generateBotSessionId = savageGenerators.generateBotSessionId.bind(savageGenerators); // ✅ ADDED: Connector session IDs
+module.exports.validateBotSessionId = savageGenerators.validateBotSessionId.bind(savageGenerators);
+module.exports.validatePairingCode = savageGenerators.validatePairingCode.bind(savageGenerators);
+module.exports.generateBotConfig = savageGenerators.generateBotConfig.bind(savageGenerators);
+module.exports.generateQRData = savageGenerators.generateQRData.bind(savageGenerators); // ✅ UPDATED: Phone number parameter
+module.exports.trackQRRegeneration = savageGenerators.trackQRRegeneration.bind(savageGenerators); // ✅ ADDED: QR regeneration tracking
+module.exports.getQRRegenerationStatus = savageGenerators.getQRRegenerationStatus.bind(savageGenerators); // ✅ ADDED: QR status
+module.exports.isValidPhoneNumber = savageGenerators.isValidPhoneNumber.bind(savageGenerators); // ✅ ADDED: Phone validation
+module.exports.generateSignature = savageGenerators.generateSignature.bind(savageGenerators); // ✅ ADDED: Signed functions requests
+module.exports.verifySignature = savageGenerators.verifySignature.bind(savageGenerators);
 
 // 📝 Example usage
 if (require.main === module) {
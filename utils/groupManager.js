@@ -0,0 +1,373 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Group Management
+ * Baileys group APIs for linked bots: metadata, participants, invite links, settings and join requests
+ * Every change runs through the anti-ban scheduler, needs the bot to be a group admin and lands in the security audit log
+ */
+
+const { jidNormalizedUser, areJidsSameUser } = require('@whiskeysockets/baileys');
+const savageOutboundScheduler = require('./outboundScheduler');
+const savagePasswordAuth = require('../auth/passwordAuth');
+const { WHATSAPP_CONFIG } = require('../config/constants');
+
+const { GROUPS } = WHATSAPP_CONFIG;
+
+// Disappearing-message timers WhatsApp accepts (seconds)
+const EPHEMERAL_DURATIONS = [0, 24 * 60 * 60, 7 * 24 * 60 * 60, 90 * 24 * 60 * 60];
+
+function groupError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class SavageGroupManager {
+    constructor() {
+        this.scanner = null;
+        this.metadataCache = new Map(); // `${botName}:${groupJid}` -> { metadata, fetchedAt }
+    }
+
+    /**
+     * 🎯 Bind to the scanner that owns the WhatsApp sockets
+     */
+    initialize(scanner) {
+        this.scanner = scanner;
+        return this;
+    }
+
+    socketFor(botName) {
+        try {
+            return this.scanner.requireLinkedSocket(botName);
+        } catch (error) {
+            throw groupError(error.message, 'BOT_NOT_LINKED');
+        }
+    }
+
+    /**
+     * 📇 Group IDs may be given with or without the @g.us suffix
+     */
+    toGroupJid(groupId) {
+        const value = String(groupId || '').trim();
+
+        if (value.endsWith('@g.us')) return value;
+        if (/^\d+(-\d+)?$/.test(value)) return `${value}@g.us`;
+
+        throw groupError(`Invalid group ID: ${groupId}`, 'INVALID_GROUP');
+    }
+
+    toParticipantJids(participants) {
+        const list = Array.isArray(participants) ? participants : [participants];
+        if (list.length === 0 || list.some(participant => !participant)) {
+            throw groupError('participants must be a non-empty list of phone numbers or JIDs', 'INVALID_PARTICIPANTS');
+        }
+        if (list.length > GROUPS.MAX_PARTICIPANTS_PER_REQUEST) {
+            throw groupError(`At most ${GROUPS.MAX_PARTICIPANTS_PER_REQUEST} participants per request`, 'INVALID_PARTICIPANTS');
+        }
+
+        const jids = list.map(participant => {
+            const jid = this.scanner.toJid(participant);
+            if (jid.endsWith('@g.us')) {
+                throw groupError(`${participant} is a group, not a participant`, 'INVALID_PARTICIPANTS');
+            }
+            return jid;
+        });
+
+        return Array.from(new Set(jids));
+    }
+
+    /**
+     * 📋 Every group the bot is in
+     */
+    async listGroups(botName) {
+        const sock = this.socketFor(botName);
+        const groups = Object.values(await sock.groupFetchAllParticipating());
+
+        for (const metadata of groups) {
+            this.cacheMetadata(botName, metadata);
+        }
+
+        return groups
+            .map(metadata => this.summarize(metadata, sock))
+            .sort((a, b) => (a.subject || '').localeCompare(b.subject || ''));
+    }
+
+    /**
+     * 👥 One group with participants and admins
+     */
+    async getGroup(botName, groupId, { refresh = false } = {}) {
+        const sock = this.socketFor(botName);
+        const metadata = await this.getMetadata(botName, this.toGroupJid(groupId), { refresh });
+
+        const participants = metadata.participants.map(participant => ({
+            id: participant.id,
+            admin: participant.admin || null
+        }));
+
+        return {
+            ...this.summarize(metadata, sock),
+            participants: participants,
+            admins: participants.filter(participant => participant.admin).map(participant => participant.id)
+        };
+    }
+
+    async getMetadata(botName, groupJid, { refresh = false } = {}) {
+        const key = `${botName}:${groupJid}`;
+        const cached = this.metadataCache.get(key);
+
+        if (!refresh && cached && Date.now() - cached.fetchedAt < GROUPS.METADATA_CACHE_TTL) {
+            return cached.metadata;
+        }
+
+        let metadata;
+        try {
+            metadata = await this.socketFor(botName).groupMetadata(groupJid);
+        } catch (error) {
+            if (error.code === 'BOT_NOT_LINKED') throw error;
+            throw groupError(`${botName} is not a member of ${groupJid} (${error.message})`, 'GROUP_NOT_FOUND');
+        }
+
+        this.cacheMetadata(botName, metadata);
+        return metadata;
+    }
+
+    cacheMetadata(botName, metadata) {
+        this.metadataCache.set(`${botName}:${metadata.id}`, { metadata, fetchedAt: Date.now() });
+    }
+
+    /**
+     * 🧹 Drop cached metadata (group changed, or the bot's link went away)
+     */
+    invalidate(botName, groupJid = null) {
+        if (groupJid) {
+            this.metadataCache.delete(`${botName}:${groupJid}`);
+            return;
+        }
+
+        for (const key of this.metadataCache.keys()) {
+            if (key.startsWith(`${botName}:`)) this.metadataCache.delete(key);
+        }
+    }
+
+    summarize(metadata, sock) {
+        const self = metadata.participants?.find(participant => this.isSelf(sock, participant.id));
+
+        return {
+            id: metadata.id,
+            subject: metadata.subject,
+            description: metadata.desc || null,
+            owner: metadata.owner || null,
+            createdAt: metadata.creation ? new Date(metadata.creation * 1000) : null,
+            size: metadata.size || metadata.participants?.length || 0,
+            announce: !!metadata.announce,
+            locked: !!metadata.restrict,
+            joinApproval: !!metadata.joinApprovalMode,
+            memberAddMode: metadata.memberAddMode ? 'all_member_add' : 'admin_add',
+            ephemeralDuration: metadata.ephemeralDuration || 0,
+            botIsAdmin: !!self?.admin
+        };
+    }
+
+    isSelf(sock, jid) {
+        return !!sock.user?.id && areJidsSameUser(jidNormalizedUser(sock.user.id), jid);
+    }
+
+    /**
+     * 🛡️ Group changes need the bot to be an admin there
+     */
+    async requireAdmin(botName, groupJid) {
+        const sock = this.socketFor(botName);
+        const metadata = await this.getMetadata(botName, groupJid, { refresh: true });
+        const self = metadata.participants.find(participant => this.isSelf(sock, participant.id));
+
+        if (!self?.admin) {
+            throw groupError(`${botName} is not an admin of ${metadata.subject || groupJid}`, 'BOT_NOT_ADMIN');
+        }
+
+        return sock;
+    }
+
+    /**
+     * 🚦 Run a group change through the bot's anti-ban queue, then audit it
+     * actor: { user, ip, source } of whoever asked (dashboard account or bot connector)
+     */
+    async runAction(botName, groupJid, action, actor, change, details = {}) {
+        const result = await savageOutboundScheduler.schedule(botName, groupJid, change);
+
+        this.invalidate(botName, groupJid);
+
+        const targets = details.participants ? ` [${details.participants.join(', ')}]` : '';
+        savagePasswordAuth.logSecurityEvent('GROUP_ACTION', actor?.ip || 'system',
+            `${botName} ${action} in ${groupJid}${targets}`, {
+                user: actor?.user || null,
+                source: actor?.source || 'api',
+                botName: botName,
+                groupId: groupJid,
+                action: action,
+                ...details
+            });
+
+        return result;
+    }
+
+    /**
+     * ➕ add / remove / promote / demote participants
+     */
+    async updateParticipants(botName, groupId, participants, action, actor) {
+        if (!GROUPS.PARTICIPANT_ACTIONS.includes(action)) {
+            throw groupError(`Unknown participant action: ${action}`, 'INVALID_ACTION');
+        }
+
+        const groupJid = this.toGroupJid(groupId);
+        const jids = this.toParticipantJids(participants);
+        const sock = await this.requireAdmin(botName, groupJid);
+
+        const results = await this.runAction(botName, groupJid, `participants.${action}`, actor,
+            () => sock.groupParticipantsUpdate(groupJid, jids, action), { participants: jids });
+
+        // Baileys reports per-participant HTTP-style codes (200 ok, 403 privacy / invite needed, 409 already there...)
+        return (results || []).map(result => ({
+            jid: result.jid,
+            status: String(result.status),
+            success: String(result.status) === '200'
+        }));
+    }
+
+    /**
+     * 🔗 Current invite link
+     */
+    async getInviteLink(botName, groupId, actor) {
+        const groupJid = this.toGroupJid(groupId);
+        const sock = await this.requireAdmin(botName, groupJid);
+
+        const code = await this.runAction(botName, groupJid, 'invite.read', actor, () => sock.groupInviteCode(groupJid));
+        return { code, link: `${GROUPS.INVITE_BASE_URL}${code}` };
+    }
+
+    /**
+     * ♻️ Revoke the invite link (old links stop working) and return the new one
+     */
+    async revokeInviteLink(botName, groupId, actor) {
+        const groupJid = this.toGroupJid(groupId);
+        const sock = await this.requireAdmin(botName, groupJid);
+
+        const code = await this.runAction(botName, groupJid, 'invite.revoke', actor, () => sock.groupRevokeInvite(groupJid));
+        return { code, link: `${GROUPS.INVITE_BASE_URL}${code}` };
+    }
+
+    /**
+     * ⚙️ Subject, description, announce-only, locked info, join approval, member add mode, disappearing messages
+     */
+    async updateSettings(botName, groupId, settings = {}, actor) {
+        const groupJid = this.toGroupJid(groupId);
+        const changes = this.buildSettingChanges(groupJid, settings);
+
+        if (changes.length === 0) {
+            throw groupError('No supported settings given', 'INVALID_SETTINGS');
+        }
+
+        const sock = await this.requireAdmin(botName, groupJid);
+        const applied = [];
+
+        for (const { name, value, apply } of changes) {
+            await this.runAction(botName, groupJid, `settings.${name}`, actor, () => apply(sock), { value });
+            applied.push(name);
+        }
+
+        return { applied, group: await this.getGroup(botName, groupJid, { refresh: true }) };
+    }
+
+    buildSettingChanges(groupJid, settings) {
+        const changes = [];
+        const add = (name, value, apply) => changes.push({ name, value, apply });
+
+        if (settings.subject !== undefined) {
+            const subject = String(settings.subject).trim();
+            if (!subject || subject.length > 100) {
+                throw groupError('subject must be 1-100 characters', 'INVALID_SETTINGS');
+            }
+            add('subject', subject, (sock) => sock.groupUpdateSubject(groupJid, subject));
+        }
+
+        if (settings.description !== undefined) {
+            const description = String(settings.description || '');
+            if (description.length > 2048) {
+                throw groupError('description must be at most 2048 characters', 'INVALID_SETTINGS');
+            }
+            // An empty description clears it
+            add('description', description, (sock) => sock.groupUpdateDescription(groupJid, description || undefined));
+        }
+
+        if (settings.announce !== undefined) {
+            add('announce', !!settings.announce,
+                (sock) => sock.groupSettingUpdate(groupJid, settings.announce ? 'announcement' : 'not_announcement'));
+        }
+
+        if (settings.locked !== undefined) {
+            add('locked', !!settings.locked,
+                (sock) => sock.groupSettingUpdate(groupJid, settings.locked ? 'locked' : 'unlocked'));
+        }
+
+        if (settings.joinApproval !== undefined) {
+            add('joinApproval', !!settings.joinApproval,
+                (sock) => sock.groupJoinApprovalMode(groupJid, settings.joinApproval ? 'on' : 'off'));
+        }
+
+        if (settings.memberAddMode !== undefined) {
+            if (!['admin_add', 'all_member_add'].includes(settings.memberAddMode)) {
+                throw groupError('memberAddMode must be admin_add or all_member_add', 'INVALID_SETTINGS');
+            }
+            add('memberAddMode', settings.memberAddMode, (sock) => sock.groupMemberAddMode(groupJid, settings.memberAddMode));
+        }
+
+        if (settings.ephemeralDuration !== undefined) {
+            const duration = Number(settings.ephemeralDuration);
+            if (!EPHEMERAL_DURATIONS.includes(duration)) {
+                throw groupError(`ephemeralDuration must be one of ${EPHEMERAL_DURATIONS.join(', ')} seconds`, 'INVALID_SETTINGS');
+            }
+            add('ephemeralDuration', duration, (sock) => sock.groupToggleEphemeral(groupJid, duration));
+        }
+
+        return changes;
+    }
+
+    /**
+     * 📨 Pending join requests (groups with join approval on)
+     */
+    async listJoinRequests(botName, groupId) {
+        const groupJid = this.toGroupJid(groupId);
+        const sock = await this.requireAdmin(botName, groupJid);
+        const requests = await sock.groupRequestParticipantsList(groupJid);
+
+        return (requests || []).map(request => ({
+            jid: request.jid,
+            method: request.request_method || null,
+            requestedAt: request.request_time ? new Date(Number(request.request_time) * 1000) : null
+        }));
+    }
+
+    /**
+     * ✅ Approve or reject join requests
+     */
+    async updateJoinRequests(botName, groupId, participants, action, actor) {
+        if (!GROUPS.JOIN_REQUEST_ACTIONS.includes(action)) {
+            throw groupError(`Unknown join request action: ${action}`, 'INVALID_ACTION');
+        }
+
+        const groupJid = this.toGroupJid(groupId);
+        const jids = this.toParticipantJids(participants);
+        const sock = await this.requireAdmin(botName, groupJid);
+
+        const results = await this.runAction(botName, groupJid, `join_requests.${action}`, actor,
+            () => sock.groupRequestParticipantsUpdate(groupJid, jids, action), { participants: jids });
+
+        return (results || []).map(result => ({
+            jid: result.jid,
+            status: String(result.status),
+            success: String(result.status) === '200'
+        }));
+    }
+}
+
+// Create singleton instance
+const savageGroupManager = new SavageGroupManager();
+
+module.exports = savageGroupManager;
@@ -5,8 +5,6 @@
  */
 
 const crypto = require('crypto');
-const path = require('path');
-const fs = require('fs').promises;
 
 class SavageHelpers {
     constructor() {
@@ -117,7 +115,7 @@ class SavageHelpers {
         if (requirements.requireUppercase && !/(?=.*[A-Z])/.test(password)) return false;
         if (requirements.requireLowercase && !/(?=.*[a-z])/.test(password)) return false;
         if (requirements.requireNumbers && !/(?=.*[0-9])/.test(password)) return false;
-        if (requirements.requireSymbols && !/(?=.*[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?])/.test(password)) return false;
+        if (requirements.requireSymbols && !/(?=.*[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?])/.test(password)) return false;
 
         return true;
     }
@@ -290,7 +288,7 @@ class SavageHelpers {
         if (obj instanceof Object) {
             const clonedObj = {};
             for (const key in obj) {
-                if (obj.hasOwnProperty(key)) {
+                if (Object.prototype.hasOwnProperty.call(obj, key)) {
                     clonedObj[key] = this.deepClone(obj[key]);
                 }
             }
@@ -570,10 +568,11 @@ class SavageHelpers {
      */
     startCleanupInterval() {
         // Clean cache every minute
-        setInterval(() => {
+        const interval = setInterval(() => {
             this.cleanExpiredCache();
             this.cleanExpiredRateLimits();
         }, 60000);
+        if (interval.unref) interval.unref();
 
         console.log('⏰ [HELPERS] Cleanup interval started (every minute)');
     }
@@ -665,16 +664,16 @@ const savageHelpers = new SavageHelpers();
 
 module.exports = savageHelpers;
 
-// 🚀 Quick utility functions
-module.exports.validatePhoneNumber = (phone) => savageHelpers.validatePhoneNumber(phone);
-module.exports.validateSessionId = (sessionId) => savageHelpers.validateSessionId(sessionId);
-module.exports.formatTimestamp = (date, format) => savageHelpers.formatTimestamp(date, format);
-module.exports.formatDuration = (ms) => savageHelpers.formatDuration(ms);
-module.exports.deepClone = (obj) => savageHelpers.deepClone(obj);
-module.exports.get = (obj, path, defaultValue) => savageHelpers.get(obj, path, defaultValue);
-module.exports.sleep = (ms) => savageHelpers.sleep(ms);
-module.exports.retry = (fn, maxAttempts, delay) => savageHelpers.retry(fn, maxAttempts, delay);
-module.exports.log = (level, message, data) => savageHelpers.log(level, message, data);
+// 🚀 Quick utility functions (bound - module.exports is the instance, so plain wrappers would call themselves)
+module.exports.validatePhoneNumber = savageHelpers.validatePhoneNumber.bind(savageHelpers);
+module.exports.validateSessionId = savageHelpers.validateSessionId.bind(savageHelpers);
+module.exports.formatTimestamp = savageHelpers.formatTimestamp.bind(savageHelpers);
+module.exports.formatDuration = savageHelpers.formatDuration.bind(savageHelpers);
+module.exports.deepClone = savageHelpers.deepClone.bind(savageHelpers);
+module.exports.get = savageHelpers.get.bind(savageHelpers);
+module.exports.sleep = savageHelpers.sleep.bind(savageHelpers);
+module.exports.retry = savageHelpers.retry.bind(savageHelpers);
+module.exports.log = savageHelpers.log.bind(savageHelpers);
 
 // 📝 Example usage
 if (require.main === module) {
@@ -0,0 +1,245 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Encryption Key Rotation
+ * Re-seals everything encrypted with a retired keyring key - or in a pre-envelope format - under the current one:
+ * SavageSession documents, the session backups on disk (database + session manager folders),
+ * Baileys signal keys and dashboard users' 2FA secrets. Runs in the background; getStatus() reports progress.
+ * Once a run finishes with no failures the retired key can be dropped from SESSION_ENCRYPTION_OLD_KEYS.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const savageDatabase = require('../config/database');
+const savageSessionManager = require('../auth/sessionManager');
+const savagePasswordAuth = require('../auth/passwordAuth');
+const savageKeyring = require('./keyring');
+const { SECURITY_CONFIG } = require('../config/constants');
+
+const { ROTATION_ERROR_LIMIT } = SECURITY_CONFIG.ENCRYPTION;
+
+const PROGRESS_EVERY = 10; // Log a progress line every N records
+
+function rotationError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class SavageKeyRotation {
+    constructor() {
+        this.status = { status: 'idle' };
+        this.running = null;
+    }
+
+    /**
+     * 🚀 Start a re-encryption run in the background - throws ROTATION_IN_PROGRESS while one is running
+     * and TEMPORARY_KEY while the keyring has no configured key
+     */
+    start(actor) {
+        if (this.running) {
+            throw rotationError('A key rotation is already running', 'ROTATION_IN_PROGRESS');
+        }
+        if (savageKeyring.temporary) {
+            // Everything re-sealed now would be unreadable after the next restart
+            throw rotationError('The current key is temporary - set SESSION_ENCRYPTION_KEY before rotating', 'TEMPORARY_KEY');
+        }
+
+        this.status = {
+            status: 'running',
+            keyId: savageKeyring.currentId,
+            startedAt: new Date(),
+            finishedAt: null,
+            startedBy: actor?.user || null,
+            total: 0,
+            processed: 0,
+            reencrypted: 0,
+            skipped: 0, // Already on the current key
+            changed: 0, // Saved again mid-run, left alone
+            failed: 0,
+            errors: []
+        };
+
+        this.audit(actor, `Key rotation to ${this.status.keyId} started`);
+        this.running = this.run()
+            .catch(error => {
+                this.status.status = 'failed';
+                this.status.error = error.message;
+                console.error('❌ [KEY-ROTATION] Run failed:', error.message);
+            })
+            .finally(() => {
+                this.status.finishedAt = new Date();
+                this.running = null;
+                this.audit(actor, `Key rotation to ${this.status.keyId} ${this.status.status}: ${this.status.reencrypted} re-encrypted, ${this.status.failed} failed`);
+            });
+
+        return this.getStatus();
+    }
+
+    async run() {
+        const targets = [
+            ...await this.sessionTargets(),
+            ...await this.diskTargets(),
+            ...await this.authKeyTargets(),
+            ...await this.userTargets()
+        ];
+        this.status.total = targets.length;
+        console.log(`🔄 [KEY-ROTATION] Re-encrypting ${targets.length} record(s) with key ${this.status.keyId}`);
+
+        for (const target of targets) {
+            try {
+                const sealed = savageSessionManager.reencryptSessionData(JSON.parse(target.encryptedData));
+                if (!sealed) {
+                    this.status.skipped++;
+                } else if (await target.write(JSON.stringify(sealed), target.encryptedData)) {
+                    this.status.reencrypted++;
+                } else {
+                    // Rewritten by a live save since it was read - that write already used the current key
+                    this.status.changed++;
+                }
+            } catch (error) {
+                this.status.failed++;
+                if (this.status.errors.length < ROTATION_ERROR_LIMIT) {
+                    this.status.errors.push({ source: target.source, id: target.id, error: error.message });
+                }
+            }
+
+            this.status.processed++;
+            if (this.status.processed % PROGRESS_EVERY === 0 || this.status.processed === this.status.total) {
+                console.log(`🔄 [KEY-ROTATION] ${this.status.processed}/${this.status.total} (${this.status.reencrypted} re-encrypted, ${this.status.failed} failed)`);
+            }
+        }
+
+        this.status.status = this.status.failed > 0 ? 'completed_with_errors' : 'completed';
+    }
+
+    // SavageSession documents in MongoDB
+    async sessionTargets() {
+        const sessions = await savageDatabase.getAllSessions();
+
+        return sessions.filter(session => session.encryptedData).map(session => ({
+            source: 'mongo',
+            id: session.sessionId,
+            encryptedData: session.encryptedData,
+            write: (encryptedData, previous) => savageDatabase.updateSessionEncryption(session.sessionId, encryptedData, previous)
+        }));
+    }
+
+    // Session backups on disk - both folders hold one JSON session document per file
+    async diskTargets() {
+        const directories = Array.from(new Set([savageDatabase.backupDir, savageSessionManager.backupDir]));
+        const targets = [];
+
+        for (const directory of directories) {
+            let files;
+            try {
+                files = (await fs.readdir(directory)).filter(file => file.endsWith('.json'));
+            } catch (error) {
+                continue; // Folder not created on this platform
+            }
+
+            for (const file of files) {
+                const filePath = path.join(directory, file);
+                try {
+                    const doc = JSON.parse(await fs.readFile(filePath, 'utf8'));
+                    if (typeof doc.encryptedData !== 'string') continue;
+
+                    targets.push({
+                        source: 'disk',
+                        id: filePath,
+                        encryptedData: doc.encryptedData,
+                        write: (encryptedData, previous) => savageDatabase.updateBackupEncryption(filePath, encryptedData, previous)
+                    });
+                } catch (error) {
+                    console.warn(`⚠️ [KEY-ROTATION] Skipping unreadable backup ${filePath}: ${error.message}`);
+                }
+            }
+        }
+
+        return targets;
+    }
+
+    // Baileys signal keys - one document per key in MongoDB, plus whatever is still buffered on disk
+    async authKeyTargets() {
+        const targets = [];
+
+        if (savageDatabase.isConnected) {
+            const keys = await savageDatabase.AuthKey.find({}).lean();
+            for (const { botName, type, keyId, encryptedData } of keys) {
+                targets.push({
+                    source: 'auth-key',
+                    id: `${botName}/${type}/${keyId}`,
+                    encryptedData,
+                    write: (sealed, previous) => savageDatabase.updateAuthKeyEncryption(botName, type, keyId, sealed, previous)
+                });
+            }
+        }
+
+        const bufferFiles = await fs.readdir(savageDatabase.authKeysDir).catch(() => []);
+        for (const botName of bufferFiles.filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json'))) {
+            const buffered = Object.values(await savageDatabase.loadAuthKeysFromDisk(botName));
+            for (const { type, keyId, encryptedData } of buffered.filter(entry => entry.encryptedData)) {
+                targets.push({
+                    source: 'auth-key-disk',
+                    id: `${botName}/${type}/${keyId}`,
+                    encryptedData,
+                    write: (sealed, previous) => savageDatabase.updateBufferedAuthKeyEncryption(botName, type, keyId, sealed, previous)
+                });
+            }
+        }
+
+        return targets;
+    }
+
+    // 2FA secrets are sealed with the same keys - left behind, they would lock users out once the old key goes
+    async userTargets() {
+        if (!savageDatabase.isConnected) return [];
+
+        const users = await savageDatabase.User.find({
+            $or: [{ 'twoFactor.secret': { $exists: true } }, { 'twoFactor.pendingSecret': { $exists: true } }]
+        }).lean();
+
+        const targets = [];
+        for (const user of users) {
+            for (const field of ['secret', 'pendingSecret']) {
+                if (!user.twoFactor?.[field]) continue;
+
+                targets.push({
+                    source: 'user',
+                    id: `${user.username}.${field}`,
+                    encryptedData: user.twoFactor[field],
+                    write: async (encryptedData, previous) => {
+                        const result = await savageDatabase.User.updateOne(
+                            { _id: user._id, [`twoFactor.${field}`]: previous },
+                            { $set: { [`twoFactor.${field}`]: encryptedData } }
+                        );
+                        return result.matchedCount > 0;
+                    }
+                });
+            }
+        }
+        return targets;
+    }
+
+    /**
+     * 📊 Current (or last) run with the keyring it works against
+     */
+    getStatus() {
+        return {
+            ...this.status,
+            errors: [...(this.status.errors || [])],
+            keyring: savageKeyring.list()
+        };
+    }
+
+    audit(actor, message) {
+        savagePasswordAuth.logSecurityEvent('KEY_ROTATION', actor?.ip || 'system', message, {
+            user: actor?.user || null,
+            source: actor?.source || 'api',
+            keyId: this.status.keyId
+        });
+    }
+}
+
+// Create singleton instance
+const savageKeyRotation = new SavageKeyRotation();
+
+module.exports = savageKeyRotation;
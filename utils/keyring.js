@@ -0,0 +1,131 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Encryption Keyring
+ * One current key (SESSION_ENCRYPTION_KEY, named by SESSION_ENCRYPTION_KEY_ID) that seals everything new,
+ * plus retired keys (SESSION_ENCRYPTION_OLD_KEYS="id:hex,id:hex") that only ever decrypt.
+ * Encrypted blobs carry the keyId that sealed them; blobs from before key versioning carry none
+ * and are tried against every key, current first.
+ */
+
+const crypto = require('crypto');
+const { SECURITY_CONFIG } = require('../config/constants');
+
+const { ENCRYPTION } = SECURITY_CONFIG;
+
+function keyringError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class SavageKeyring {
+    constructor() {
+        this.keys = new Map(); // keyId -> { id, key, source, addedAt }
+        this.currentId = null;
+        this.temporary = false;
+
+        this.load();
+    }
+
+    /**
+     * 🔑 Load the current and retired keys from the environment
+     * A key that is set but malformed stops startup - guessing would seal data under a key nobody has.
+     * Only a missing key outside production falls back to a temporary one.
+     */
+    load() {
+        const envKey = process.env.SESSION_ENCRYPTION_KEY;
+        const currentId = process.env.SESSION_ENCRYPTION_KEY_ID || ENCRYPTION.DEFAULT_KEY_ID;
+
+        for (const entry of String(process.env.SESSION_ENCRYPTION_OLD_KEYS || '').split(',').filter(Boolean)) {
+            const [id, hex] = entry.trim().split(':');
+            try {
+                this.add(id, hex, 'env');
+            } catch (error) {
+                throw keyringError(`SESSION_ENCRYPTION_OLD_KEYS entry '${id}' is invalid: ${error.message}`, error.code);
+            }
+        }
+
+        if (envKey) {
+            try {
+                this.add(currentId, envKey, 'env');
+            } catch (error) {
+                throw keyringError(`SESSION_ENCRYPTION_KEY is invalid: ${error.message}`, error.code);
+            }
+        } else if (process.env.NODE_ENV === 'production') {
+            throw keyringError('SESSION_ENCRYPTION_KEY environment variable is required in production', 'MISSING_KEY');
+        } else {
+            console.warn('⚠️ [KEYRING] No SESSION_ENCRYPTION_KEY - Using temporary key (NOT FOR PRODUCTION)');
+            this.add(currentId, crypto.randomBytes(ENCRYPTION.KEY_LENGTH).toString('hex'), 'temporary');
+            this.temporary = true;
+        }
+
+        this.currentId = currentId;
+        console.log(`🔑 [KEYRING] Current key: ${currentId} (${this.keys.size - 1} retired)`);
+    }
+
+    /**
+     * ➕ Add a key (hex) - retired unless makeCurrent
+     */
+    add(id, hex, source = 'runtime', makeCurrent = false) {
+        if (!ENCRYPTION.KEY_ID_PATTERN.test(String(id || ''))) {
+            throw keyringError(`Invalid key id: ${id}`, 'INVALID_KEY_ID');
+        }
+        if (!/^[0-9a-fA-F]+$/.test(String(hex || '')) || hex.length !== ENCRYPTION.KEY_LENGTH * 2) {
+            throw keyringError(`Key must be ${ENCRYPTION.KEY_LENGTH * 2} hex characters (${ENCRYPTION.KEY_LENGTH} bytes)`, 'INVALID_KEY');
+        }
+
+        const key = Buffer.from(hex, 'hex');
+        const existing = this.keys.get(id);
+        if (existing && !existing.key.equals(key)) {
+            throw keyringError(`Key id ${id} is already used by a different key`, 'KEY_ID_EXISTS');
+        }
+
+        this.keys.set(id, { id, key, source, addedAt: new Date() });
+        if (makeCurrent) {
+            this.currentId = id;
+            this.temporary = false;
+        }
+        return id;
+    }
+
+    current() {
+        return this.keys.get(this.currentId);
+    }
+
+    get(id) {
+        return this.keys.get(id) || null;
+    }
+
+    /**
+     * 🗝️ Keys worth trying for a blob - the named one, or every key (current first) for unversioned blobs
+     */
+    candidates(keyId) {
+        if (keyId) {
+            const entry = this.get(keyId);
+            if (!entry) throw keyringError(`Key ${keyId} is not in the keyring`, 'KEY_NOT_FOUND');
+            return [entry];
+        }
+
+        return [this.current(), ...Array.from(this.keys.values()).filter(entry => entry.id !== this.currentId)];
+    }
+
+    isCurrent(keyId) {
+        return keyId === this.currentId;
+    }
+
+    /**
+     * 📋 Key ids and roles (never key material)
+     */
+    list() {
+        return Array.from(this.keys.values()).map(entry => ({
+            id: entry.id,
+            current: entry.id === this.currentId,
+            source: entry.source,
+            addedAt: entry.addedAt
+        }));
+    }
+}
+
+// Create singleton instance
+const savageKeyring = new SavageKeyring();
+
+module.exports = savageKeyring;
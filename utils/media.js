@@ -0,0 +1,357 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Media Pipeline
+ * Stores uploaded and inbound WhatsApp media on disk (per-bot quota), sniffs the real MIME type
+ * and hands bots short-lived signed download links instead of inlining file contents
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+const { WHATSAPP_CONFIG } = require('../config/constants');
+
+const { MEDIA } = WHATSAPP_CONFIG;
+
+// Magic numbers for the formats WhatsApp carries - the declared MIME type is never trusted
+const SIGNATURES = [
+    { mime: 'image/jpeg', test: (b) => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+    { mime: 'image/png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { mime: 'image/gif', test: (b) => b.toString('ascii', 0, 4) === 'GIF8' },
+    { mime: 'image/webp', test: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+    { mime: 'application/pdf', test: (b) => b.toString('ascii', 0, 5) === '%PDF-' },
+    { mime: 'audio/ogg', test: (b) => b.toString('ascii', 0, 4) === 'OggS' },
+    { mime: 'audio/mpeg', test: (b) => b.toString('ascii', 0, 3) === 'ID3' || (b[0] === 0xFF && (b[1] & 0xE0) === 0xE0) },
+    { mime: 'audio/mp4', test: (b) => b.toString('ascii', 4, 8) === 'ftyp' && b.toString('ascii', 8, 11) === 'M4A' },
+    { mime: 'video/3gpp', test: (b) => b.toString('ascii', 4, 8) === 'ftyp' && b.toString('ascii', 8, 11) === '3gp' },
+    { mime: 'video/mp4', test: (b) => b.toString('ascii', 4, 8) === 'ftyp' },
+    { mime: 'application/zip', test: (b) => b[0] === 0x50 && b[1] === 0x4B && b[2] === 0x03 && b[3] === 0x04 }
+];
+
+// Office files are zip containers - keep the declared type when it is one of these
+const ZIP_BASED_TYPES = [
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/epub+zip'
+];
+
+// Refuse types that would run in a browser when the signed link is opened
+const BLOCKED_TYPES = ['text/html', 'application/xhtml+xml', 'image/svg+xml', 'application/javascript', 'text/javascript'];
+
+function mediaError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class SavageMedia {
+    constructor() {
+        this.index = new Map(); // mediaId -> descriptor
+        this.urlSecret = process.env.MEDIA_URL_SECRET || crypto.randomBytes(32).toString('hex');
+        this.cleanupInterval = null;
+        this.ready = null;
+    }
+
+    /**
+     * 📁 Load stored media (sidecar JSON per file) and start the retention sweep
+     */
+    initialize() {
+        if (!this.ready) {
+            this.ready = this.loadIndex();
+
+            this.cleanupInterval = setInterval(() => {
+                this.cleanupExpired().catch(error => {
+                    console.warn('⚠️ [MEDIA] Cleanup failed:', error.message);
+                });
+            }, 60 * 60 * 1000);
+            if (this.cleanupInterval.unref) this.cleanupInterval.unref();
+        }
+
+        return this.ready;
+    }
+
+    async loadIndex() {
+        await fs.mkdir(MEDIA.STORAGE_DIR, { recursive: true });
+
+        for (const file of await fs.readdir(MEDIA.STORAGE_DIR)) {
+            if (!file.endsWith('.json')) continue;
+
+            try {
+                const entry = JSON.parse(await fs.readFile(path.join(MEDIA.STORAGE_DIR, file), 'utf8'));
+                this.index.set(entry.mediaId, entry);
+            } catch (error) {
+                console.warn(`⚠️ [MEDIA] Unreadable media record ${file}:`, error.message);
+            }
+        }
+
+        const removed = await this.cleanupExpired();
+        console.log(`✅ [MEDIA] Media store ready: ${this.index.size} file(s) (${removed} expired removed)`);
+    }
+
+    /**
+     * 🔍 Real MIME type from the file's first bytes (null when unknown)
+     */
+    sniffMime(buffer) {
+        if (!buffer || buffer.length < 12) return null;
+
+        const match = SIGNATURES.find(signature => signature.test(buffer));
+        return match ? match.mime : null;
+    }
+
+    /**
+     * 🏷️ Trusted MIME type - sniffed bytes win over what the sender claimed
+     */
+    resolveMime(buffer, declared) {
+        const sniffed = this.sniffMime(buffer);
+        const claimed = String(declared || '').split(';')[0].trim().toLowerCase();
+
+        if (sniffed === 'application/zip' && ZIP_BASED_TYPES.includes(claimed)) return claimed;
+        if (sniffed) return sniffed;
+
+        // Unrecognised bytes are only ever served as an opaque document
+        return claimed.startsWith('text/plain') || claimed === 'text/csv' ? claimed : 'application/octet-stream';
+    }
+
+    /**
+     * 🖼️ WhatsApp message type for a MIME type (stickers must be webp)
+     */
+    resolveType(mimetype, requested = null) {
+        if (requested === 'sticker') {
+            if (mimetype !== 'image/webp') throw mediaError('Stickers must be WebP images', 'INVALID_MEDIA');
+            return 'sticker';
+        }
+        if (requested === 'document') return 'document';
+        if (requested && !MEDIA.TYPES.includes(requested)) {
+            throw mediaError(`Unknown media type: ${requested}`, 'INVALID_MEDIA');
+        }
+
+        if (mimetype.startsWith('image/') && mimetype !== 'image/webp') return 'image';
+        if (mimetype === 'image/webp') return requested === 'image' ? 'image' : 'sticker';
+        if (mimetype.startsWith('video/')) return 'video';
+        if (mimetype.startsWith('audio/')) return 'audio';
+        return 'document';
+    }
+
+    /**
+     * 📊 Bytes a bot currently holds
+     */
+    getUsage(botName) {
+        let bytes = 0;
+        let files = 0;
+
+        for (const entry of this.index.values()) {
+            if (entry.botName !== botName) continue;
+            bytes += entry.size;
+            files++;
+        }
+
+        return { bytes, files, quota: MEDIA.BOT_QUOTA };
+    }
+
+    /**
+     * 💾 Store a file for a bot (size limit, MIME sniffing, quota)
+     */
+    async store(botName, buffer, { mimetype = null, fileName = null, direction = 'outbound', type = null } = {}) {
+        await this.initialize();
+
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw mediaError('Media file is empty', 'INVALID_MEDIA');
+        }
+        if (buffer.length > MEDIA.MAX_FILE_SIZE) {
+            throw mediaError(`Media exceeds the ${Math.round(MEDIA.MAX_FILE_SIZE / 1024 / 1024)}MB limit`, 'MEDIA_TOO_LARGE');
+        }
+
+        const resolvedMime = this.resolveMime(buffer, mimetype);
+        if (BLOCKED_TYPES.includes(resolvedMime)) {
+            throw mediaError(`${resolvedMime} files are not allowed`, 'INVALID_MEDIA');
+        }
+
+        const usage = this.getUsage(botName);
+        if (usage.bytes + buffer.length > MEDIA.BOT_QUOTA) {
+            await this.cleanupExpired();
+            if (this.getUsage(botName).bytes + buffer.length > MEDIA.BOT_QUOTA) {
+                throw mediaError(`${botName} media quota (${Math.round(MEDIA.BOT_QUOTA / 1024 / 1024)}MB) is full`, 'MEDIA_QUOTA_EXCEEDED');
+            }
+        }
+
+        const mediaId = crypto.randomBytes(12).toString('hex');
+        const entry = {
+            mediaId: mediaId,
+            botName: botName,
+            direction: direction,
+            type: this.resolveType(resolvedMime, type),
+            mimetype: resolvedMime,
+            declaredMimetype: mimetype || null,
+            fileName: fileName ? path.basename(String(fileName)).slice(0, 200) : null,
+            size: buffer.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + MEDIA.RETENTION).toISOString()
+        };
+
+        await fs.writeFile(this.filePath(mediaId), buffer);
+        await fs.writeFile(this.recordPath(mediaId), JSON.stringify(entry));
+        this.index.set(mediaId, entry);
+
+        console.log(`💾 [MEDIA] Stored ${entry.type} ${mediaId} for ${botName} (${entry.mimetype}, ${entry.size} bytes)`);
+        return this.toPublic(entry);
+    }
+
+    /**
+     * 📥 Download an inbound WhatsApp attachment and attach a signed link to its descriptor
+     */
+    async saveInbound(botName, msg, sock, descriptor) {
+        // View-once media stays view-once - bots only see that it arrived
+        if (descriptor.viewOnce) {
+            return { ...descriptor, url: null, error: 'View-once media is not downloaded' };
+        }
+        if (descriptor.fileLength && descriptor.fileLength > MEDIA.MAX_FILE_SIZE) {
+            return { ...descriptor, url: null, error: 'Media exceeds the size limit' };
+        }
+
+        try {
+            const download = downloadMediaMessage(msg, 'buffer', {}, {
+                reuploadRequest: sock.updateMediaMessage
+            });
+            const timeout = new Promise((resolve, reject) => {
+                setTimeout(() => reject(new Error('Media download timed out')), MEDIA.DOWNLOAD_TIMEOUT).unref();
+            });
+
+            const buffer = await Promise.race([download, timeout]);
+            const stored = await this.store(botName, buffer, {
+                mimetype: descriptor.mimetype,
+                fileName: descriptor.fileName,
+                direction: 'inbound',
+                type: ['sticker', 'document'].includes(descriptor.type) ? descriptor.type : null
+            });
+
+            return { ...descriptor, ...stored };
+        } catch (error) {
+            console.warn(`⚠️ [MEDIA] ${botName} inbound ${descriptor.type} not stored:`, error.message);
+            return { ...descriptor, url: null, error: error.message };
+        }
+    }
+
+    /**
+     * 📦 Baileys content for a queued message ({ text } passes through, { media } is loaded from disk)
+     */
+    async toMessageContent(content) {
+        if (!content?.media) return content;
+
+        const { mediaId, caption, fileName, ptt } = content.media;
+        const entry = this.index.get(mediaId);
+        if (!entry) {
+            throw mediaError(`Media ${mediaId} is no longer stored`, 'MEDIA_MISSING');
+        }
+
+        const buffer = await fs.readFile(this.filePath(mediaId));
+        const type = content.media.type || entry.type;
+
+        switch (type) {
+            case 'image':
+                return { image: buffer, mimetype: entry.mimetype, caption: caption || undefined };
+            case 'video':
+                return { video: buffer, mimetype: entry.mimetype, caption: caption || undefined };
+            case 'audio':
+                return { audio: buffer, mimetype: entry.mimetype, ptt: !!ptt };
+            case 'sticker':
+                return { sticker: buffer };
+            default:
+                return {
+                    document: buffer,
+                    mimetype: entry.mimetype,
+                    fileName: fileName || entry.fileName || `${mediaId}`,
+                    caption: caption || undefined
+                };
+        }
+    }
+
+    get(mediaId) {
+        return this.index.get(mediaId) || null;
+    }
+
+    /**
+     * 🔗 Short-lived signed link (path is relative when no public URL is configured)
+     */
+    signUrl(mediaId) {
+        const expires = Date.now() + MEDIA.URL_TTL;
+        const signature = this.sign(mediaId, expires);
+        const baseUrl = (process.env.SCANNER_PUBLIC_URL || process.env.RENDER_EXTERNAL_URL || '').replace(/\/+$/, '');
+
+        return {
+            url: `${baseUrl}/media/${mediaId}?expires=${expires}&sig=${signature}`,
+            urlExpiresAt: new Date(expires).toISOString()
+        };
+    }
+
+    sign(mediaId, expires) {
+        return crypto.createHmac('sha256', this.urlSecret).update(`${mediaId}:${expires}`).digest('hex');
+    }
+
+    /**
+     * ✅ Check a signed link - returns the stored entry or null
+     */
+    verifyUrl(mediaId, expires, signature) {
+        const expiresAt = Number(expires);
+        if (!expiresAt || expiresAt < Date.now() || typeof signature !== 'string') return null;
+
+        const expected = Buffer.from(this.sign(mediaId, expiresAt));
+        const given = Buffer.from(signature);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+        return this.index.get(mediaId) || null;
+    }
+
+    filePath(mediaId) {
+        return path.join(MEDIA.STORAGE_DIR, `${mediaId}.bin`);
+    }
+
+    recordPath(mediaId) {
+        return path.join(MEDIA.STORAGE_DIR, `${mediaId}.json`);
+    }
+
+    /**
+     * 🗑️ Delete a stored file
+     */
+    async remove(mediaId) {
+        this.index.delete(mediaId);
+        await fs.unlink(this.filePath(mediaId)).catch(() => {});
+        await fs.unlink(this.recordPath(mediaId)).catch(() => {});
+    }
+
+    async cleanupExpired() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const entry of Array.from(this.index.values())) {
+            if (new Date(entry.expiresAt).getTime() <= now) {
+                await this.remove(entry.mediaId);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * 📋 Descriptor handed to bots and API callers (with a fresh signed link)
+     */
+    toPublic(entry) {
+        return {
+            mediaId: entry.mediaId,
+            botName: entry.botName,
+            type: entry.type,
+            mimetype: entry.mimetype,
+            fileName: entry.fileName,
+            size: entry.size,
+            sha256: entry.sha256,
+            expiresAt: entry.expiresAt,
+            ...this.signUrl(entry.mediaId)
+        };
+    }
+}
+
+// Create singleton instance
+const savageMedia = new SavageMedia();
+
+module.exports = savageMedia;
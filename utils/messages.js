@@ -0,0 +1,172 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - WhatsApp Message Normalizer
+ * Flattens Baileys WAMessage objects into the { from, body, isGroup, sender, quoted, media } shape the bot connectors read
+ */
+
+// Containers WhatsApp wraps real content in
+const WRAPPER_TYPES = [
+    'ephemeralMessage',
+    'viewOnceMessage',
+    'viewOnceMessageV2',
+    'viewOnceMessageV2Extension',
+    'documentWithCaptionMessage',
+    'editedMessage'
+];
+
+// Keys that carry no user content on their own
+const IGNORED_TYPES = [
+    'senderKeyDistributionMessage',
+    'messageContextInfo',
+    'protocolMessage',
+    'reactionMessage',
+    'pollUpdateMessage'
+];
+
+const MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    stickerMessage: 'sticker'
+};
+
+class SavageMessageNormalizer {
+    /**
+     * 📦 Strip ephemeral / view-once wrappers
+     */
+    unwrap(message) {
+        let content = message;
+
+        for (let depth = 0; content && depth < 5; depth++) {
+            const wrapper = WRAPPER_TYPES.find(type => content[type]?.message);
+            if (!wrapper) break;
+            content = content[wrapper].message;
+        }
+
+        return content || null;
+    }
+
+    /**
+     * 🔍 Pick the content type of an unwrapped message
+     */
+    getContentType(content) {
+        if (!content) return null;
+
+        return Object.keys(content).find(key => !IGNORED_TYPES.includes(key) && content[key]) || null;
+    }
+
+    /**
+     * 📝 Extract the text body (text, captions, button/list replies)
+     */
+    extractBody(content, type) {
+        const node = content[type];
+
+        switch (type) {
+            case 'conversation':
+                return node;
+            case 'extendedTextMessage':
+                return node.text || '';
+            case 'imageMessage':
+            case 'videoMessage':
+            case 'documentMessage':
+                return node.caption || '';
+            case 'buttonsResponseMessage':
+                return node.selectedButtonId || node.selectedDisplayText || '';
+            case 'listResponseMessage':
+                return node.singleSelectReply?.selectedRowId || node.title || '';
+            case 'templateButtonReplyMessage':
+                return node.selectedId || node.selectedDisplayText || '';
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * 🖼️ Media descriptor (content is fetched separately, never inlined)
+     */
+    extractMedia(content, type) {
+        const mediaType = MEDIA_TYPES[type];
+        if (!mediaType) return null;
+
+        const node = content[type];
+
+        return {
+            type: mediaType,
+            mimetype: node.mimetype || null,
+            fileName: node.fileName || null,
+            fileLength: node.fileLength ? Number(node.fileLength) : null,
+            seconds: node.seconds || null,
+            caption: node.caption || null,
+            viewOnce: !!node.viewOnce
+        };
+    }
+
+    /**
+     * 💬 Quoted message, if this one is a reply
+     */
+    extractQuoted(contextInfo) {
+        if (!contextInfo?.quotedMessage) return null;
+
+        const content = this.unwrap(contextInfo.quotedMessage);
+        const type = this.getContentType(content);
+
+        return {
+            id: contextInfo.stanzaId || null,
+            sender: contextInfo.participant || null,
+            body: type ? this.extractBody(content, type) : '',
+            media: type ? this.extractMedia(content, type) : null
+        };
+    }
+
+    /**
+     * 🔄 Normalize a Baileys WAMessage
+     */
+    normalize(msg) {
+        const content = this.unwrap(msg?.message);
+        const type = this.getContentType(content);
+        if (!type) return null;
+
+        const chatId = msg.key.remoteJid;
+        const isGroup = chatId.endsWith('@g.us');
+        const contextInfo = content[type]?.contextInfo || null;
+        const timestamp = Number(msg.messageTimestamp) || Math.floor(Date.now() / 1000);
+
+        return {
+            id: msg.key.id,
+            from: chatId,
+            sender: isGroup ? (msg.key.participant || msg.participant || null) : chatId,
+            pushName: msg.pushName || null,
+            isGroup: isGroup,
+            type: type,
+            body: this.extractBody(content, type),
+            quoted: this.extractQuoted(contextInfo),
+            mentions: contextInfo?.mentionedJid || [],
+            media: this.extractMedia(content, type),
+            timestamp: new Date(timestamp * 1000).toISOString()
+        };
+    }
+
+    /**
+     * 🚦 Only live, inbound chat messages are forwarded to bots
+     */
+    shouldForward(msg, upsertType) {
+        if (upsertType !== 'notify') return false; // 'append' is history sync
+        if (!msg?.key?.remoteJid || !msg.message) return false;
+        if (msg.key.fromMe) return false;
+
+        const chatId = msg.key.remoteJid;
+        if (chatId === 'status@broadcast' || chatId.endsWith('@broadcast')) return false;
+        if (chatId.endsWith('@newsletter')) return false;
+
+        return true;
+    }
+}
+
+// Create singleton instance
+const savageMessageNormalizer = new SavageMessageNormalizer();
+
+module.exports = savageMessageNormalizer;
+
+// Quick access functions
+module.exports.normalizeMessage = (msg) => savageMessageNormalizer.normalize(msg);
+module.exports.shouldForwardMessage = (msg, upsertType) => savageMessageNormalizer.shouldForward(msg, upsertType);
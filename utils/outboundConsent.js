@@ -0,0 +1,252 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Outbound Consent
+ * No send of any kind reaches a chat that replied STOP (system notices aside).
+ * Sends to chats other than the one the triggering command came from are gated further:
+ * the chat must be on the bot's owner-managed allowlist and the triggering user must be inside their daily quota. Every attempt lands in the security audit log.
+ */
+
+const savageDatabase = require('../config/database');
+const savagePasswordAuth = require('../auth/passwordAuth');
+const savageGroupManager = require('./groupManager');
+const { WHATSAPP_CONFIG } = require('../config/constants');
+
+const { CONSENT } = WHATSAPP_CONFIG;
+
+function consentError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class SavageOutboundConsent {
+    constructor() {
+        this.scanner = null;
+        this.records = new Map(); // botName -> Map(chatJid -> consent record)
+    }
+
+    /**
+     * 🎯 Bind to the scanner that owns the WhatsApp sockets
+     */
+    initialize(scanner) {
+        this.scanner = scanner;
+        return this;
+    }
+
+    async recordsFor(botName) {
+        if (!this.records.has(botName)) {
+            const records = await savageDatabase.getConsentRecords(botName);
+            this.records.set(botName, new Map(records.map(record => [record.chatId, record])));
+        }
+        return this.records.get(botName);
+    }
+
+    async getRecord(botName, chatId) {
+        const jid = this.scanner.toJid(chatId);
+        return (await this.recordsFor(botName)).get(jid) || { botName, chatId: jid, allowed: false, optedOut: false };
+    }
+
+    async saveRecord(record) {
+        record.updatedAt = new Date();
+        await savageDatabase.saveConsent(record);
+        (await this.recordsFor(record.botName)).set(record.chatId, record);
+        return record;
+    }
+
+    /**
+     * 📋 Allowlisted and opted-out chats for a bot
+     */
+    async list(botName) {
+        const records = Array.from((await this.recordsFor(botName)).values());
+
+        return {
+            allowed: records.filter(record => record.allowed && !record.optedOut).map(record => this.toPublic(record)),
+            optedOut: records.filter(record => record.optedOut).map(record => this.toPublic(record))
+        };
+    }
+
+    /**
+     * ✅ Owner adds a chat to the allowlist (a STOP from that chat still wins)
+     */
+    async allow(botName, chatId, actor) {
+        const record = await this.getRecord(botName, chatId);
+        if (record.optedOut) {
+            throw consentError(`${record.chatId} opted out of ${botName} messages`, 'CONSENT_OPTED_OUT');
+        }
+
+        record.allowed = true;
+        record.allowedBy = actor?.user || null;
+        await this.saveRecord(record);
+
+        this.audit('CONSENT_CHANGE', actor, `${botName} allowlisted ${record.chatId}`, { botName, chatId: record.chatId, action: 'allow' });
+        return this.toPublic(record);
+    }
+
+    /**
+     * 🚫 Owner removes a chat from the allowlist
+     */
+    async revoke(botName, chatId, actor) {
+        const record = await this.getRecord(botName, chatId);
+
+        record.allowed = false;
+        record.allowedBy = null;
+        await this.saveRecord(record);
+
+        this.audit('CONSENT_CHANGE', actor, `${botName} removed ${record.chatId} from the allowlist`, { botName, chatId: record.chatId, action: 'revoke' });
+        return this.toPublic(record);
+    }
+
+    /**
+     * ✋ Recipient replied STOP - permanent, owners cannot allowlist the chat again
+     */
+    async optOut(botName, chatId, by) {
+        const record = await this.getRecord(botName, chatId);
+        if (record.optedOut) return false;
+
+        record.optedOut = true;
+        record.allowed = false;
+        record.optedOutBy = by || null;
+        record.optedOutAt = new Date();
+        await this.saveRecord(record);
+
+        this.audit('CONSENT_CHANGE', { user: by, source: 'whatsapp' }, `${record.chatId} opted out of ${botName} messages`,
+            { botName, chatId: record.chatId, action: 'opt_out' });
+        return true;
+    }
+
+    /**
+     * 🙋 The chat itself asked to hear from the bot again (e.g. subscribed to a broadcast list)
+     */
+    async optIn(botName, chatId, by) {
+        const record = await this.getRecord(botName, chatId);
+        if (!record.optedOut) return false;
+
+        record.optedOut = false;
+        record.optedOutBy = null;
+        record.optedOutAt = null;
+        await this.saveRecord(record);
+
+        this.audit('CONSENT_CHANGE', { user: by, source: 'whatsapp' }, `${record.chatId} opted back in to ${botName} messages`,
+            { botName, chatId: record.chatId, action: 'opt_in' });
+        return true;
+    }
+
+    async isOptedOut(botName, chatId) {
+        return (await this.getRecord(botName, chatId)).optedOut;
+    }
+
+    /**
+     * ✋ Every send goes through here - a chat that replied STOP gets nothing but system notices
+     */
+    async assertNotOptedOut(botName, chatId, source) {
+        if (source === 'system') return;
+
+        if (await this.isOptedOut(botName, chatId)) {
+            throw consentError(`${this.scanner.toJid(chatId)} opted out of ${botName} messages`, 'CONSENT_OPTED_OUT');
+        }
+    }
+
+    /**
+     * 🛂 Check a send before it is queued - returns the originating chat JID for relays, null for plain replies
+     * relay: { chatId, originChatId, requestedBy, attackType } (requestedBy is the WhatsApp user who triggered it)
+     * SAVAGE-X strikes (attackType set) must always name their origin and commander - a missing origin is refused, never read as "this chat"
+     */
+    async authorizeRelay(botName, { chatId, originChatId, requestedBy, attackType }, actor) {
+        const strike = !!attackType;
+        if (!originChatId && !strike) return null;
+
+        const target = this.scanner.toJid(chatId);
+        const origin = originChatId ? this.scanner.toJid(originChatId) : null;
+        if (target === origin && !strike) return null;
+
+        const details = { botName, chatId: target, originChatId: origin };
+        const user = { ...actor, user: requestedBy || null };
+
+        try {
+            if (!origin) {
+                throw consentError('Strikes must name the chat they were ordered from', 'INVALID_ORIGIN');
+            }
+            if (!requestedBy) {
+                throw consentError('Strikes and sends to another chat must name the user who triggered them', 'INVALID_REQUESTER');
+            }
+            if (target === origin) return null; // A strike on the chat that ordered it
+
+            const record = await this.getRecord(botName, target);
+            if (record.optedOut) {
+                throw consentError(`${target} opted out of ${botName} messages`, 'CONSENT_OPTED_OUT');
+            }
+            if (!record.allowed) {
+                throw consentError(`${target} is not on the ${botName} allowlist`, 'CONSENT_REQUIRED');
+            }
+
+            const used = await savageDatabase.countRelayedJobs(botName, requestedBy, this.startOfDay());
+            if (used >= CONSENT.RELAY_DAILY_QUOTA) {
+                throw consentError(`Daily limit of ${CONSENT.RELAY_DAILY_QUOTA} sends to other chats reached`, 'RELAY_QUOTA_EXCEEDED');
+            }
+
+            this.audit('OUTBOUND_RELAY', user, `${botName} → ${target} (from ${origin}, ${used + 1}/${CONSENT.RELAY_DAILY_QUOTA} today)`, details);
+            return origin;
+        } catch (error) {
+            this.audit('OUTBOUND_RELAY_BLOCKED', user, `${botName} → ${target} (from ${origin || 'an unnamed chat'}): ${error.message}`, { ...details, code: error.code });
+            throw error;
+        }
+    }
+
+    /**
+     * 📥 Inbound message - STOP in a DM opts that chat out; in a group only an admin can opt the group out
+     * Returns true when the message was an opt-out
+     */
+    async handleInbound(botName, data) {
+        const keyword = String(data.body || '').trim().toUpperCase();
+        if (!CONSENT.OPT_OUT_KEYWORDS.includes(keyword)) return false;
+
+        if (data.isGroup && !(await this.isGroupAdmin(botName, data.from, data.sender))) {
+            return false;
+        }
+
+        // Confirm once - repeated STOPs are swallowed silently
+        if (await this.optOut(botName, data.from, data.sender)) {
+            await this.scanner.sendBotMessage(botName, data.from, { text: CONSENT.OPT_OUT_REPLY }, { source: 'system' });
+        }
+
+        return true;
+    }
+
+    async isGroupAdmin(botName, groupJid, sender) {
+        try {
+            const metadata = await savageGroupManager.getMetadata(botName, groupJid);
+            return metadata.participants.some(participant => participant.id === sender && participant.admin);
+        } catch (error) {
+            console.warn(`⚠️ [CONSENT] Could not check admins of ${groupJid}:`, error.message);
+            return false;
+        }
+    }
+
+    startOfDay() {
+        const now = new Date();
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    }
+
+    audit(type, actor, message, details) {
+        savagePasswordAuth.logSecurityEvent(type, actor?.ip || 'system', message, {
+            user: actor?.user || null,
+            source: actor?.source || 'api',
+            ...details
+        });
+    }
+
+    toPublic(record) {
+        return {
+            chatId: record.chatId,
+            allowed: !!record.allowed && !record.optedOut,
+            allowedBy: record.allowedBy || null,
+            optedOut: !!record.optedOut,
+            optedOutAt: record.optedOutAt || null,
+            updatedAt: record.updatedAt || null
+        };
+    }
+}
+
+// Create singleton instance
+const savageOutboundConsent = new SavageOutboundConsent();
+
+module.exports = savageOutboundConsent;
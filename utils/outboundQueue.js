@@ -0,0 +1,269 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Durable Outbound Queue
+ * Outbound WhatsApp messages as persisted jobs: queued → sending → sent → delivered → read (or failed)
+ * Jobs wait out link drops and restarts, retry with backoff and keep the real WhatsApp message key for receipts
+ */
+
+const savageDatabase = require('../config/database');
+const savageGenerators = require('./generators');
+const savageOutboundScheduler = require('./outboundScheduler');
+const { WHATSAPP_CONFIG } = require('../config/constants');
+
+const { OUTBOUND } = WHATSAPP_CONFIG;
+
+// Refusals that no retry will fix
+const PERMANENT_ERRORS = ['BROADCAST_BLOCKED', 'MEDIA_MISSING'];
+
+class SavageOutboundQueue {
+    constructor() {
+        this.scanner = null;
+        this.jobs = new Map(); // jobId -> job waiting to go out (this process)
+        this.sent = new Map(); // WhatsApp message id -> recently sent job (receipt fast path)
+        this.retryTimers = new Map(); // jobId -> backoff timer
+    }
+
+    /**
+     * 🎯 Bind to the scanner that owns the WhatsApp sockets
+     */
+    initialize(scanner) {
+        this.scanner = scanner;
+        return this;
+    }
+
+    /**
+     * 📥 Persist a new job and send it when the bot's link and the anti-ban policy allow
+     */
+    async enqueue(botName, chatId, content, { source = 'api', requestId = null, requestedBy = null, relayedFrom = null } = {}) {
+        const job = {
+            jobId: savageGenerators.generateMessageId('OUT'),
+            botName: botName,
+            chatId: chatId,
+            content: content,
+            status: 'queued',
+            source: source,
+            requestId: requestId,
+            requestedBy: requestedBy,
+            relayedFrom: relayedFrom,
+            attempts: 0,
+            nextAttemptAt: null,
+            lastError: null,
+            messageKey: null,
+            createdAt: new Date(),
+            sentAt: null,
+            deliveredAt: null,
+            readAt: null
+        };
+
+        await savageDatabase.saveOutboundJob(job);
+        this.jobs.set(job.jobId, job);
+        this.notify(job);
+        this.dispatch(job);
+
+        return this.toPublic(job);
+    }
+
+    /**
+     * 🚀 Hand a queued job to the anti-ban scheduler
+     */
+    async dispatch(job) {
+        if (job.status !== 'queued') return;
+        if (!this.scanner.isBotLinked(job.botName)) return; // resume() picks it up on the next link
+
+        const waitFor = job.nextAttemptAt ? new Date(job.nextAttemptAt).getTime() - Date.now() : 0;
+        if (waitFor > 0) {
+            this.scheduleRetry(job, waitFor);
+            return;
+        }
+
+        await this.update(job, 'sending');
+
+        try {
+            const sent = await savageOutboundScheduler.schedule(job.botName, job.chatId,
+                () => this.scanner.deliverBotMessage(job.botName, job.chatId, job.content));
+
+            job.messageKey = sent?.key
+                ? { id: sent.key.id, remoteJid: sent.key.remoteJid, fromMe: !!sent.key.fromMe }
+                : null;
+            job.sentAt = new Date();
+            job.lastError = null;
+            job.nextAttemptAt = null;
+
+            this.jobs.delete(job.jobId);
+            this.rememberSent(job);
+            await this.update(job, 'sent');
+        } catch (error) {
+            await this.handleFailure(job, error);
+        }
+    }
+
+    /**
+     * 🔁 Failed send - back off and retry, or give up after MAX_ATTEMPTS
+     */
+    async handleFailure(job, error) {
+        if (job.status === 'failed') return;
+
+        // The bot's link was stopped while the job waited - not the message's fault
+        if (error.code === 'QUEUE_CLEARED') {
+            await this.update(job, 'queued');
+            return;
+        }
+
+        job.attempts++;
+        job.lastError = error.message;
+
+        if (PERMANENT_ERRORS.includes(error.code) || job.attempts >= OUTBOUND.MAX_ATTEMPTS) {
+            console.error(`❌ [OUTBOUND] ${job.jobId} for ${job.botName} failed after ${job.attempts} attempt(s): ${error.message}`);
+            this.jobs.delete(job.jobId);
+            await this.update(job, 'failed');
+            return;
+        }
+
+        const delay = Math.min(OUTBOUND.RETRY_BASE_DELAY * 2 ** (job.attempts - 1), OUTBOUND.RETRY_MAX_DELAY);
+        job.nextAttemptAt = new Date(Date.now() + delay);
+
+        console.warn(`🔁 [OUTBOUND] ${job.jobId} attempt ${job.attempts}/${OUTBOUND.MAX_ATTEMPTS} failed (${error.message}) - retrying in ${delay}ms`);
+        await this.update(job, 'queued');
+        this.scheduleRetry(job, delay);
+    }
+
+    scheduleRetry(job, delay) {
+        clearTimeout(this.retryTimers.get(job.jobId));
+
+        this.retryTimers.set(job.jobId, setTimeout(() => {
+            this.retryTimers.delete(job.jobId);
+            this.dispatch(job).catch(error => {
+                console.error(`❌ [OUTBOUND] Retry of ${job.jobId} failed:`, error.message);
+            });
+        }, delay));
+    }
+
+    /**
+     * ♻️ Bot linked (or re-linked) - send everything it still owes, oldest first
+     */
+    async resume(botName) {
+        const pending = await savageDatabase.getPendingOutboundJobs(botName);
+        if (pending.length === 0) return 0;
+
+        console.log(`♻️ [OUTBOUND] Resuming ${pending.length} queued message(s) for ${botName}`);
+
+        for (const stored of pending) {
+            let job = this.jobs.get(stored.jobId);
+
+            if (!job) {
+                // 'sending' without an owner here means the process died mid-send
+                job = { ...stored, status: 'queued' };
+                this.jobs.set(job.jobId, job);
+            }
+
+            this.dispatch(job).catch(error => {
+                console.error(`❌ [OUTBOUND] Resume of ${job.jobId} failed:`, error.message);
+            });
+        }
+
+        return pending.length;
+    }
+
+    /**
+     * 🚫 Fail everything a bot still owes (its WhatsApp account was logged out)
+     */
+    async failPending(botName, reason) {
+        const pending = await savageDatabase.getPendingOutboundJobs(botName);
+
+        for (const stored of pending) {
+            const job = this.jobs.get(stored.jobId) || stored;
+
+            clearTimeout(this.retryTimers.get(job.jobId));
+            this.retryTimers.delete(job.jobId);
+            this.jobs.delete(job.jobId);
+
+            job.lastError = reason;
+            await this.update(job, 'failed');
+        }
+
+        return pending.length;
+    }
+
+    /**
+     * 📬 Delivery / read receipt from Baileys messages.update
+     */
+    async handleReceipt(botName, messageId, status) {
+        const job = this.sent.get(messageId) ||
+            await savageDatabase.findOutboundJob({ botName, messageId });
+        if (!job || job.botName !== botName) return;
+
+        // Receipts only move a job forward (a late 'delivered' never undoes 'read')
+        const progress = OUTBOUND.STATUSES.indexOf(status);
+        if (job.status === 'failed' || progress <= OUTBOUND.STATUSES.indexOf(job.status)) return;
+
+        job[`${status}At`] = new Date();
+        if (status === 'read') this.sent.delete(messageId);
+
+        await this.update(job, status);
+    }
+
+    rememberSent(job) {
+        if (!job.messageKey?.id) return;
+
+        const messageId = job.messageKey.id;
+        this.sent.set(messageId, job);
+
+        const timer = setTimeout(() => this.sent.delete(messageId), OUTBOUND.RECEIPT_CACHE_TTL);
+        if (timer.unref) timer.unref();
+    }
+
+    /**
+     * 💾 Persist a status change and tell the requester
+     */
+    async update(job, status) {
+        job.status = status;
+
+        try {
+            await savageDatabase.saveOutboundJob(job);
+        } catch (error) {
+            console.error(`❌ [OUTBOUND] Could not persist ${job.jobId} (${status}):`, error.message);
+        }
+
+        this.notify(job);
+    }
+
+    notify(job) {
+        if (this.scanner) {
+            this.scanner.onOutboundStatus(this.toPublic(job));
+        }
+    }
+
+    /**
+     * 🔍 Job by ID (in-flight first, then storage)
+     */
+    async getJob(jobId) {
+        const job = this.jobs.get(jobId) || await savageDatabase.findOutboundJob({ jobId });
+        return job ? this.toPublic(job) : null;
+    }
+
+    /**
+     * 📋 Receipt shape handed to bots, the dashboard and REST callers (no message content)
+     */
+    toPublic(job) {
+        return {
+            jobId: job.jobId,
+            botName: job.botName,
+            chatId: job.chatId,
+            status: job.status,
+            source: job.source,
+            requestId: job.requestId || null,
+            messageId: job.messageKey?.id || null,
+            attempts: job.attempts,
+            lastError: job.lastError || null,
+            nextAttemptAt: job.nextAttemptAt || null,
+            createdAt: job.createdAt,
+            sentAt: job.sentAt || null,
+            deliveredAt: job.deliveredAt || null,
+            readAt: job.readAt || null
+        };
+    }
+}
+
+// Create singleton instance
+const savageOutboundQueue = new SavageOutboundQueue();
+
+module.exports = savageOutboundQueue;
@@ -0,0 +1,241 @@
+/**
+ * 🦅 SAVAGE BOTS SCANNER - Outbound Message Scheduler
+ * Every WhatsApp send (socket.io, bot gateway, REST) queues here so WHATSAPP_CONFIG.BAILEYS.ANTI_BAN is enforced per bot
+ * Token bucket per minute + minimum interval with jitter + a tighter bucket for group chats
+ */
+
+const { EventEmitter } = require('events');
+const { WHATSAPP_CONFIG } = require('../config/constants');
+
+const { ANTI_BAN } = WHATSAPP_CONFIG.BAILEYS;
+
+// Rejections carry a code so callers can tell policy refusals from send failures
+function schedulerError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class TokenBucket {
+    constructor(perMinute) {
+        this.capacity = perMinute;
+        this.tokens = perMinute;
+        this.refillPerMs = perMinute / 60000;
+        this.updatedAt = Date.now();
+    }
+
+    refill(now = Date.now()) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    /**
+     * ⏱️ Milliseconds until a token is available (0 = now)
+     */
+    waitTime(now = Date.now()) {
+        this.refill(now);
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+    }
+
+    take() {
+        this.tokens -= 1;
+    }
+}
+
+class BotOutboundQueue {
+    constructor(botName, onChange) {
+        this.botName = botName;
+        this.onChange = onChange;
+        this.jobs = [];
+        this.bucket = new TokenBucket(ANTI_BAN.MAX_MESSAGES_PER_MINUTE);
+        this.groupBucket = new TokenBucket(ANTI_BAN.GROUP_MESSAGES_PER_MINUTE);
+        this.lastSentAt = 0;
+        this.nextGap = 0;
+        this.timer = null;
+        this.sending = false;
+
+        this.stats = {
+            sent: 0,
+            failed: 0,
+            dropped: 0,
+            lastSentAt: null
+        };
+    }
+
+    push(job) {
+        this.jobs.push(job);
+        this.onChange(this.botName);
+
+        // The armed timer may be waiting on a throttled group send this job does not have to wait for
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.pump();
+    }
+
+    /**
+     * 🎯 First job allowed to go now - a throttled group send does not hold up private chats
+     */
+    findSendable(now) {
+        const groupWait = ANTI_BAN.LIMIT_GROUP_MESSAGES ? this.groupBucket.waitTime(now) : 0;
+        const index = this.jobs.findIndex(job => !job.isGroup || groupWait === 0);
+
+        return { index, wait: index === -1 ? groupWait : 0 };
+    }
+
+    /**
+     * 🚦 Send the next job when the interval and buckets allow it
+     */
+    pump() {
+        if (this.sending || this.timer || this.jobs.length === 0) return;
+
+        const now = Date.now();
+        const { index, wait: groupWait } = this.findSendable(now);
+        const intervalWait = Math.max(0, this.lastSentAt + this.nextGap - now);
+        const wait = Math.max(intervalWait, this.bucket.waitTime(now), groupWait);
+
+        if (wait > 0) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.pump();
+            }, wait);
+            return;
+        }
+
+        const [job] = this.jobs.splice(index, 1);
+        this.bucket.take();
+        if (job.isGroup && ANTI_BAN.LIMIT_GROUP_MESSAGES) {
+            this.groupBucket.take();
+        }
+
+        this.sending = true;
+        this.lastSentAt = now;
+        this.nextGap = ANTI_BAN.MIN_MESSAGE_INTERVAL +
+            (ANTI_BAN.RANDOM_DELAYS ? Math.floor(Math.random() * ANTI_BAN.MAX_RANDOM_DELAY) : 0);
+
+        this.run(job);
+    }
+
+    async run(job) {
+        try {
+            const result = await job.send();
+            this.stats.sent++;
+            this.stats.lastSentAt = new Date();
+            job.resolve(result);
+        } catch (error) {
+            this.stats.failed++;
+            job.reject(error);
+        } finally {
+            this.sending = false;
+            this.onChange(this.botName);
+            this.pump();
+        }
+    }
+
+    /**
+     * 🗑️ Reject everything still waiting
+     */
+    clear(reason) {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const pending = this.jobs.splice(0);
+        for (const job of pending) {
+            this.stats.dropped++;
+            job.reject(schedulerError(reason, 'QUEUE_CLEARED'));
+        }
+
+        if (pending.length > 0) this.onChange(this.botName);
+        return pending.length;
+    }
+
+    getStats() {
+        return {
+            depth: this.jobs.length,
+            groupDepth: this.jobs.filter(job => job.isGroup).length,
+            sending: this.sending,
+            sent: this.stats.sent,
+            failed: this.stats.failed,
+            dropped: this.stats.dropped,
+            lastSentAt: this.stats.lastSentAt
+        };
+    }
+}
+
+class SavageOutboundScheduler extends EventEmitter {
+    constructor() {
+        super();
+        this.queues = new Map(); // bot name -> BotOutboundQueue
+    }
+
+    getQueue(botName) {
+        if (!this.queues.has(botName)) {
+            this.queues.set(botName, new BotOutboundQueue(botName, (name) => {
+                this.emit('queue_update', name, this.getQueueStats(name));
+            }));
+        }
+
+        return this.queues.get(botName);
+    }
+
+    /**
+     * 📤 Queue a send for a bot - resolves with send()'s result once it has gone out
+     */
+    schedule(botName, jid, send) {
+        if (ANTI_BAN.AVOID_BROADCAST && jid.endsWith('@broadcast')) {
+            return Promise.reject(schedulerError('Broadcast lists are blocked by the anti-ban policy', 'BROADCAST_BLOCKED'));
+        }
+
+        const queue = this.getQueue(botName);
+        if (queue.jobs.length >= ANTI_BAN.MAX_QUEUE_SIZE) {
+            queue.stats.dropped++;
+            console.warn(`🚦 [OUTBOUND] ${botName} queue full (${ANTI_BAN.MAX_QUEUE_SIZE}) - send to ${jid} refused`);
+            return Promise.reject(schedulerError(`${botName} outbound queue is full, try again later`, 'QUEUE_FULL'));
+        }
+
+        return new Promise((resolve, reject) => {
+            queue.push({
+                jid: jid,
+                isGroup: jid.endsWith('@g.us'),
+                queuedAt: Date.now(),
+                send: send,
+                resolve: resolve,
+                reject: reject
+            });
+        });
+    }
+
+    /**
+     * 🗑️ Drop a bot's pending sends (link stopped or logged out)
+     */
+    clear(botName, reason = `${botName} outbound queue cleared`) {
+        const queue = this.queues.get(botName);
+        if (!queue) return 0;
+
+        const dropped = queue.clear(reason);
+        if (dropped > 0) {
+            console.log(`🗑️ [OUTBOUND] Dropped ${dropped} queued message(s) for ${botName}: ${reason}`);
+        }
+        return dropped;
+    }
+
+    /**
+     * 📊 Queue depth and counters for a bot
+     */
+    getQueueStats(botName) {
+        const queue = this.queues.get(botName);
+        if (!queue) {
+            return { depth: 0, groupDepth: 0, sending: false, sent: 0, failed: 0, dropped: 0, lastSentAt: null };
+        }
+
+        return queue.getStats();
+    }
+}
+
+// Create singleton instance
+const savageOutboundScheduler = new SavageOutboundScheduler();
+
+module.exports = savageOutboundScheduler;